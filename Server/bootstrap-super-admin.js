@@ -1,61 +1,70 @@
 // Bootstrap Super Admin User
-// Run this if super admin doesn't exist in the database
+// Creates the first super admin from SUPER_ADMIN_EMAIL / SUPER_ADMIN_PASSWORD (read from .env).
+// With --reset-password, sets SUPER_ADMIN_PASSWORD on the existing SUPER_ADMIN_EMAIL account,
+// e.g. when the server refuses to start because it still accepts a published default password.
+// Uses the compiled server code (run "npm run build" first), so the password policy, the list of
+// published default passwords and session revocation are the same as in the server.
 
-const { PrismaClient } = require('@prisma/client');
-const bcrypt = require('bcrypt');
+const fs = require('fs');
+const path = require('path');
 
-const prisma = new PrismaClient();
+if (!fs.existsSync(path.join(__dirname, 'dist', 'services', 'auth.service.js'))) {
+  console.error('❌ Build the server first: npm run build');
+  process.exit(1);
+}
+
+const { prisma } = require('./dist/db/client');
+const { bootstrapSuperAdmin, resetSuperAdminPassword } = require('./dist/services/auth.service');
+
+const RESET_PASSWORD = process.argv.includes('--reset-password');
 
-const SUPER_ADMIN_EMAIL = 'superadmin@digitalstorming.com';
-const SUPER_ADMIN_PASSWORD = 'ChangeMeSuperSecure123!';
+function printError(error) {
+  console.error('❌', error.message);
+  for (const messages of Object.values(error.details || {})) {
+    for (const message of [].concat(messages)) {
+      console.error('   -', message);
+    }
+  }
+}
 
 async function bootstrap() {
   try {
+    if (RESET_PASSWORD) {
+      const result = await resetSuperAdminPassword();
+      console.log(`✅ Password updated for ${result.email} (${result.role}); ${result.sessionsEnded} session(s) ended`);
+      return;
+    }
+
     console.log('🔍 Checking for existing super admin...');
-    
-    const existing = await prisma.user.findFirst({ 
-      where: { role: 'SUPER_ADMIN' } 
-    });
-    
-    if (existing) {
+
+    const result = await bootstrapSuperAdmin();
+
+    if (result === 'exists') {
+      const existing = await prisma.user.findFirst({ where: { role: 'SUPER_ADMIN' } });
       console.log('✅ Super Admin already exists:');
       console.log('   Email:', existing.email);
       console.log('   Status:', existing.status);
       console.log('   Created:', existing.createdAt);
       return;
     }
-    
-    console.log('❌ No Super Admin found. Creating...');
-    console.log('');
-    
-    // Hash password
-    const passwordHash = await bcrypt.hash(SUPER_ADMIN_PASSWORD, 10);
-    
-    // Create super admin
-    const superAdmin = await prisma.user.create({
-      data: {
-        email: SUPER_ADMIN_EMAIL,
-        passwordHash,
-        role: 'SUPER_ADMIN',
-        status: 'ACTIVE',
-      },
-    });
-    
+
+    if (result === 'needs_setup') {
+      console.error('❌ Set SUPER_ADMIN_EMAIL and SUPER_ADMIN_PASSWORD (in .env or the environment) first.');
+      process.exitCode = 1;
+      return;
+    }
+
     console.log('✅ Super Admin created successfully!');
+    console.log('   Email:', process.env.SUPER_ADMIN_EMAIL);
     console.log('');
-    console.log('📋 Credentials:');
-    console.log('   Email:', SUPER_ADMIN_EMAIL);
-    console.log('   Password:', SUPER_ADMIN_PASSWORD);
-    console.log('');
-    console.log('⚠️  IMPORTANT: Change the password after first login!');
-    
+    console.log('⚠️  Remove SUPER_ADMIN_PASSWORD from the environment and set up two-factor at first login.');
+
   } catch (error) {
-    console.error('❌ Failed to bootstrap super admin:', error.message);
-    process.exit(1);
+    printError(error);
+    process.exitCode = 1;
   } finally {
     await prisma.$disconnect();
   }
 }
 
 bootstrap();
-
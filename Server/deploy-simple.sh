@@ -112,9 +112,7 @@ echo "Application: http://$(curl -s ifconfig.me):3000"
 echo "API Health: http://$(curl -s ifconfig.me):3000/api/v1/healthz"
 echo "Admin Panel: http://$(curl -s ifconfig.me):3000"
 echo ""
-echo "Credentials:"
-echo "  Email: superadmin@digitalstorming.com"
-echo "  Password: ChangeMeSuperSecure123!"
+echo "First login: the SUPER_ADMIN_EMAIL / SUPER_ADMIN_PASSWORD account from .env"
 echo ""
 echo "Management commands:"
 echo "  pm2 status"
@@ -0,0 +1,209 @@
+-- Brings the migration history in line with schema.prisma.
+-- Existing deployments created these objects with `prisma db push`, so every
+-- statement is guarded and the migration is safe to apply on top of them.
+
+-- CreateEnum
+DO $$ BEGIN
+    CREATE TYPE "SecurityAlertType" AS ENUM ('MULTIPLE_DEVICE_LOGIN', 'SUSPICIOUS_LOCATION', 'FORCED_LOGOUT', 'FAILED_LOGIN_ATTEMPT');
+EXCEPTION WHEN duplicate_object THEN NULL;
+END $$;
+
+-- CreateEnum
+DO $$ BEGIN
+    CREATE TYPE "SecurityAlertSeverity" AS ENUM ('LOW', 'MEDIUM', 'HIGH', 'CRITICAL');
+EXCEPTION WHEN duplicate_object THEN NULL;
+END $$;
+
+-- CreateEnum
+DO $$ BEGIN
+    CREATE TYPE "BillingCycle" AS ENUM ('DAILY', 'WEEKLY', 'MONTHLY', 'THREE_MONTHS', 'HALF_YEAR', 'YEARLY');
+EXCEPTION WHEN duplicate_object THEN NULL;
+END $$;
+
+-- CreateEnum
+DO $$ BEGIN
+    CREATE TYPE "PaymentStatus" AS ENUM ('PAID', 'UNPAID', 'PENDING', 'REFUNDED');
+EXCEPTION WHEN duplicate_object THEN NULL;
+END $$;
+
+-- AlterTable
+ALTER TABLE "User" ADD COLUMN IF NOT EXISTS "lastLoginIP" TEXT,
+ADD COLUMN IF NOT EXISTS "currentSessionToken" TEXT,
+ADD COLUMN IF NOT EXISTS "billingCycle" "BillingCycle",
+ADD COLUMN IF NOT EXISTS "billingCycleStartDate" TIMESTAMP(3),
+ADD COLUMN IF NOT EXISTS "billingCycleEndDate" TIMESTAMP(3),
+ADD COLUMN IF NOT EXISTS "trialPeriodHours" INTEGER,
+ADD COLUMN IF NOT EXISTS "trialStartDate" TIMESTAMP(3),
+ADD COLUMN IF NOT EXISTS "trialEndDate" TIMESTAMP(3),
+ADD COLUMN IF NOT EXISTS "isTrialActive" BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN IF NOT EXISTS "isBillingActive" BOOLEAN NOT NULL DEFAULT true,
+ADD COLUMN IF NOT EXISTS "lastBillingCheckAt" TIMESTAMP(3);
+
+-- CreateTable
+CREATE TABLE IF NOT EXISTS "LoginHistory" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "email" TEXT NOT NULL,
+    "ipAddress" TEXT,
+    "location" TEXT,
+    "city" TEXT,
+    "country" TEXT,
+    "latitude" DOUBLE PRECISION,
+    "longitude" DOUBLE PRECISION,
+    "macAddress" TEXT,
+    "deviceInfo" TEXT,
+    "userAgent" TEXT,
+    "success" BOOLEAN NOT NULL DEFAULT true,
+    "failureReason" TEXT,
+    "loginAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "LoginHistory_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE IF NOT EXISTS "SessionActivity" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "sessionToken" TEXT NOT NULL,
+    "ipAddress" TEXT,
+    "location" TEXT,
+    "city" TEXT,
+    "country" TEXT,
+    "latitude" DOUBLE PRECISION,
+    "longitude" DOUBLE PRECISION,
+    "macAddress" TEXT,
+    "deviceInfo" TEXT,
+    "userAgent" TEXT,
+    "loginAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "logoutAt" TIMESTAMP(3),
+    "lastActivityAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "isActive" BOOLEAN NOT NULL DEFAULT true,
+    "logoutReason" TEXT,
+
+    CONSTRAINT "SessionActivity_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE IF NOT EXISTS "SecurityAlert" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT,
+    "alertType" "SecurityAlertType" NOT NULL,
+    "severity" "SecurityAlertSeverity" NOT NULL DEFAULT 'MEDIUM',
+    "message" TEXT NOT NULL,
+    "metadata" JSONB,
+    "isRead" BOOLEAN NOT NULL DEFAULT false,
+    "isDismissed" BOOLEAN NOT NULL DEFAULT false,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "SecurityAlert_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE IF NOT EXISTS "Payment" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "amount" DECIMAL(65,30) NOT NULL,
+    "billingCycle" "BillingCycle" NOT NULL,
+    "status" "PaymentStatus" NOT NULL DEFAULT 'PAID',
+    "paymentDate" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "cycleStartDate" TIMESTAMP(3) NOT NULL,
+    "cycleEndDate" TIMESTAMP(3) NOT NULL,
+    "memo" TEXT,
+    "createdBy" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "Payment_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE IF NOT EXISTS "BillingHistory" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "action" TEXT NOT NULL,
+    "details" JSONB,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "BillingHistory_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX IF NOT EXISTS "LoginHistory_userId_idx" ON "LoginHistory"("userId");
+
+-- CreateIndex
+CREATE INDEX IF NOT EXISTS "LoginHistory_loginAt_idx" ON "LoginHistory"("loginAt");
+
+-- CreateIndex
+CREATE INDEX IF NOT EXISTS "LoginHistory_success_idx" ON "LoginHistory"("success");
+
+-- CreateIndex
+CREATE INDEX IF NOT EXISTS "SessionActivity_userId_idx" ON "SessionActivity"("userId");
+
+-- CreateIndex
+CREATE INDEX IF NOT EXISTS "SessionActivity_sessionToken_idx" ON "SessionActivity"("sessionToken");
+
+-- CreateIndex
+CREATE INDEX IF NOT EXISTS "SessionActivity_isActive_idx" ON "SessionActivity"("isActive");
+
+-- CreateIndex
+CREATE INDEX IF NOT EXISTS "SecurityAlert_userId_idx" ON "SecurityAlert"("userId");
+
+-- CreateIndex
+CREATE INDEX IF NOT EXISTS "SecurityAlert_isRead_idx" ON "SecurityAlert"("isRead");
+
+-- CreateIndex
+CREATE INDEX IF NOT EXISTS "SecurityAlert_createdAt_idx" ON "SecurityAlert"("createdAt");
+
+-- CreateIndex
+CREATE INDEX IF NOT EXISTS "SecurityAlert_alertType_idx" ON "SecurityAlert"("alertType");
+
+-- CreateIndex
+CREATE INDEX IF NOT EXISTS "Payment_userId_idx" ON "Payment"("userId");
+
+-- CreateIndex
+CREATE INDEX IF NOT EXISTS "Payment_status_idx" ON "Payment"("status");
+
+-- CreateIndex
+CREATE INDEX IF NOT EXISTS "Payment_paymentDate_idx" ON "Payment"("paymentDate");
+
+-- CreateIndex
+CREATE INDEX IF NOT EXISTS "Payment_cycleEndDate_idx" ON "Payment"("cycleEndDate");
+
+-- CreateIndex
+CREATE INDEX IF NOT EXISTS "BillingHistory_userId_idx" ON "BillingHistory"("userId");
+
+-- CreateIndex
+CREATE INDEX IF NOT EXISTS "BillingHistory_action_idx" ON "BillingHistory"("action");
+
+-- CreateIndex
+CREATE INDEX IF NOT EXISTS "BillingHistory_createdAt_idx" ON "BillingHistory"("createdAt");
+
+-- AddForeignKey
+DO $$ BEGIN
+    ALTER TABLE "LoginHistory" ADD CONSTRAINT "LoginHistory_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+EXCEPTION WHEN duplicate_object THEN NULL;
+END $$;
+
+-- AddForeignKey
+DO $$ BEGIN
+    ALTER TABLE "SessionActivity" ADD CONSTRAINT "SessionActivity_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+EXCEPTION WHEN duplicate_object THEN NULL;
+END $$;
+
+-- AddForeignKey
+DO $$ BEGIN
+    ALTER TABLE "SecurityAlert" ADD CONSTRAINT "SecurityAlert_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+EXCEPTION WHEN duplicate_object THEN NULL;
+END $$;
+
+-- AddForeignKey
+DO $$ BEGIN
+    ALTER TABLE "Payment" ADD CONSTRAINT "Payment_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+EXCEPTION WHEN duplicate_object THEN NULL;
+END $$;
+
+-- AddForeignKey
+DO $$ BEGIN
+    ALTER TABLE "BillingHistory" ADD CONSTRAINT "BillingHistory_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+EXCEPTION WHEN duplicate_object THEN NULL;
+END $$;
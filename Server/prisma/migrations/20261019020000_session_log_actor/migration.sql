@@ -0,0 +1,11 @@
+-- AlterTable
+ALTER TABLE "DatSessionLog" ADD COLUMN "actorId" TEXT;
+
+-- CreateIndex
+CREATE INDEX "DatSessionLog_sessionId_createdAt_idx" ON "DatSessionLog"("sessionId", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "DatSessionLog_actorId_idx" ON "DatSessionLog"("actorId");
+
+-- AddForeignKey
+ALTER TABLE "DatSessionLog" ADD CONSTRAINT "DatSessionLog_actorId_fkey" FOREIGN KEY ("actorId") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,18 @@
+-- AlterTable
+ALTER TABLE "User" ADD COLUMN "lockoutResetAt" TIMESTAMP(3);
+
+-- CreateTable
+CREATE TABLE "RateLimitHit" (
+    "id" TEXT NOT NULL,
+    "bucket" TEXT NOT NULL,
+    "key" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "RateLimitHit_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "RateLimitHit_bucket_key_createdAt_idx" ON "RateLimitHit"("bucket", "key", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "RateLimitHit_createdAt_idx" ON "RateLimitHit"("createdAt");
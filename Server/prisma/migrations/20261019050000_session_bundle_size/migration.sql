@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "DatSession" ADD COLUMN     "bundleSizeBytes" INTEGER;
@@ -0,0 +1,43 @@
+-- CreateTable
+CREATE TABLE "SessionBundleVersion" (
+    "id" TEXT NOT NULL,
+    "sessionId" TEXT NOT NULL,
+    "version" INTEGER NOT NULL,
+    "bundleKey" TEXT NOT NULL,
+    "checksum" TEXT,
+    "sizeBytes" INTEGER,
+    "encryption" TEXT,
+    "uploadedById" TEXT,
+    "notes" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "prunedAt" TIMESTAMP(3),
+
+    CONSTRAINT "SessionBundleVersion_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "SessionBundleVersion_sessionId_version_key" ON "SessionBundleVersion"("sessionId", "version");
+
+-- CreateIndex
+CREATE INDEX "SessionBundleVersion_uploadedById_idx" ON "SessionBundleVersion"("uploadedById");
+
+-- AddForeignKey
+ALTER TABLE "SessionBundleVersion" ADD CONSTRAINT "SessionBundleVersion_sessionId_fkey" FOREIGN KEY ("sessionId") REFERENCES "DatSession"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "SessionBundleVersion" ADD CONSTRAINT "SessionBundleVersion_uploadedById_fkey" FOREIGN KEY ("uploadedById") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- Track the bundle each session currently serves as its first known version
+INSERT INTO "SessionBundleVersion" ("id", "sessionId", "version", "bundleKey", "checksum", "sizeBytes", "encryption", "notes", "createdAt")
+SELECT
+    'legacy_' || "id",
+    "id",
+    GREATEST("bundleVersion", 1),
+    "bundleKey",
+    CASE WHEN "bundleChecksum" ~ '^[a-f0-9]{64}$' THEN "bundleChecksum" ELSE NULL END,
+    "bundleSizeBytes",
+    "bundleEncryption",
+    'Imported from the session record',
+    COALESCE("lastSyncedAt", "updatedAt")
+FROM "DatSession"
+WHERE "bundleKey" IS NOT NULL AND "status" = 'READY';
@@ -0,0 +1,40 @@
+-- CreateEnum
+CREATE TYPE "BundleUploadStatus" AS ENUM ('PENDING', 'COMPLETED', 'EXPIRED');
+
+-- CreateTable
+CREATE TABLE "SessionBundleUpload" (
+    "id" TEXT NOT NULL,
+    "sessionId" TEXT NOT NULL,
+    "bundleKey" TEXT NOT NULL,
+    "status" "BundleUploadStatus" NOT NULL DEFAULT 'PENDING',
+    "previousStatus" "DatSessionStatus" NOT NULL,
+    "requestedById" TEXT,
+    "expiresAt" TIMESTAMP(3) NOT NULL,
+    "completedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "SessionBundleUpload_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "SessionBundleUpload_bundleKey_key" ON "SessionBundleUpload"("bundleKey");
+
+-- CreateIndex
+CREATE INDEX "SessionBundleUpload_sessionId_status_idx" ON "SessionBundleUpload"("sessionId", "status");
+
+-- CreateIndex
+CREATE INDEX "SessionBundleUpload_status_expiresAt_idx" ON "SessionBundleUpload"("status", "expiresAt");
+
+-- CreateIndex
+CREATE INDEX "SessionBundleUpload_requestedById_idx" ON "SessionBundleUpload"("requestedById");
+
+-- AddForeignKey
+ALTER TABLE "SessionBundleUpload" ADD CONSTRAINT "SessionBundleUpload_sessionId_fkey" FOREIGN KEY ("sessionId") REFERENCES "DatSession"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "SessionBundleUpload" ADD CONSTRAINT "SessionBundleUpload_requestedById_fkey" FOREIGN KEY ("requestedById") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- Sessions left in UPLOADING by the old flow have no pending upload to wait for
+UPDATE "DatSession"
+SET "status" = CASE WHEN "bundleVersion" > 0 THEN 'READY'::"DatSessionStatus" ELSE 'PENDING'::"DatSessionStatus" END
+WHERE "status" = 'UPLOADING';
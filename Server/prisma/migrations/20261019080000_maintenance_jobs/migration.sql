@@ -0,0 +1,29 @@
+-- CreateEnum
+CREATE TYPE "MaintenanceJobStatus" AS ENUM ('RUNNING', 'SUCCEEDED', 'FAILED');
+
+-- CreateEnum
+CREATE TYPE "MaintenanceJobTrigger" AS ENUM ('SCHEDULED', 'MANUAL');
+
+-- CreateTable
+CREATE TABLE "MaintenanceJob" (
+    "name" TEXT NOT NULL,
+    "lastStatus" "MaintenanceJobStatus",
+    "lastTrigger" "MaintenanceJobTrigger",
+    "lastTriggeredById" TEXT,
+    "lastStartedAt" TIMESTAMP(3),
+    "lastFinishedAt" TIMESTAMP(3),
+    "lastDurationMs" INTEGER,
+    "lastResult" JSONB,
+    "lastError" TEXT,
+    "lockedUntil" TIMESTAMP(3),
+    "runCount" INTEGER NOT NULL DEFAULT 0,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "MaintenanceJob_pkey" PRIMARY KEY ("name")
+);
+
+-- CreateIndex
+CREATE INDEX "MaintenanceJob_lastTriggeredById_idx" ON "MaintenanceJob"("lastTriggeredById");
+
+-- AddForeignKey
+ALTER TABLE "MaintenanceJob" ADD CONSTRAINT "MaintenanceJob_lastTriggeredById_fkey" FOREIGN KEY ("lastTriggeredById") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,4 @@
+-- AlterEnum
+ALTER TYPE "SecurityAlertType" ADD VALUE 'NEW_DEVICE_LOGIN';
+ALTER TYPE "SecurityAlertType" ADD VALUE 'UNUSUAL_LOGIN_TIME';
+ALTER TYPE "SecurityAlertType" ADD VALUE 'FAILED_LOGIN_BURST';
@@ -0,0 +1,76 @@
+-- CreateTable
+CREATE TABLE "Invoice" (
+    "id" TEXT NOT NULL,
+    "number" TEXT NOT NULL,
+    "year" INTEGER NOT NULL,
+    "sequence" INTEGER NOT NULL,
+    "paymentId" TEXT,
+    "userId" TEXT,
+    "customerEmail" TEXT NOT NULL,
+    "amount" DECIMAL(65,30) NOT NULL,
+    "currency" TEXT NOT NULL,
+    "billingCycle" "BillingCycle" NOT NULL,
+    "cycleStartDate" TIMESTAMP(3) NOT NULL,
+    "cycleEndDate" TIMESTAMP(3) NOT NULL,
+    "issuedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "Invoice_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "InvoiceCounter" (
+    "year" INTEGER NOT NULL,
+    "lastSequence" INTEGER NOT NULL,
+
+    CONSTRAINT "InvoiceCounter_pkey" PRIMARY KEY ("year")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Invoice_number_key" ON "Invoice"("number");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Invoice_paymentId_key" ON "Invoice"("paymentId");
+
+-- CreateIndex
+CREATE INDEX "Invoice_userId_idx" ON "Invoice"("userId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Invoice_year_sequence_key" ON "Invoice"("year", "sequence");
+
+-- AddForeignKey
+ALTER TABLE "Invoice" ADD CONSTRAINT "Invoice_paymentId_fkey" FOREIGN KEY ("paymentId") REFERENCES "Payment"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Invoice" ADD CONSTRAINT "Invoice_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- Issue invoices for payments recorded before invoicing existed, numbered by payment date within each year
+-- Payments never stored a currency, so these invoices are backfilled as USD. Deployments that billed in another
+-- currency should update "currency" on the backfilled rows ("id" starting with 'inv_') after migrating.
+INSERT INTO "Invoice" ("id", "number", "year", "sequence", "paymentId", "userId", "customerEmail", "amount", "currency", "billingCycle", "cycleStartDate", "cycleEndDate", "issuedAt")
+SELECT
+    'inv_' || numbered."id",
+    'INV-' || numbered."year" || '-' || LPAD(numbered."sequence"::TEXT, 6, '0'),
+    numbered."year",
+    numbered."sequence",
+    numbered."id",
+    numbered."userId",
+    numbered."email",
+    numbered."amount",
+    'USD',
+    numbered."billingCycle",
+    numbered."cycleStartDate",
+    numbered."cycleEndDate",
+    numbered."paymentDate"
+FROM (
+    SELECT
+        p.*,
+        u."email",
+        EXTRACT(YEAR FROM p."paymentDate")::INTEGER AS "year",
+        ROW_NUMBER() OVER (PARTITION BY EXTRACT(YEAR FROM p."paymentDate") ORDER BY p."paymentDate", p."id")::INTEGER AS "sequence"
+    FROM "Payment" p
+    JOIN "User" u ON u."id" = p."userId"
+    WHERE p."status" = 'PAID'
+) numbered;
+
+INSERT INTO "InvoiceCounter" ("year", "lastSequence")
+SELECT "year", MAX("sequence") FROM "Invoice" GROUP BY "year";
@@ -0,0 +1,14 @@
+-- AlterEnum
+ALTER TYPE "PaymentStatus" ADD VALUE 'VOIDED';
+
+-- AlterTable
+ALTER TABLE "Payment" ADD COLUMN     "amountDue" DECIMAL(65,30),
+ADD COLUMN     "refundedAmount" DECIMAL(65,30),
+ADD COLUMN     "reversedAt" TIMESTAMP(3),
+ADD COLUMN     "reversedBy" TEXT,
+ADD COLUMN     "reversalReason" TEXT;
+
+-- AlterTable
+ALTER TABLE "Invoice" ADD COLUMN     "status" "PaymentStatus" NOT NULL DEFAULT 'PAID',
+ADD COLUMN     "refundedAmount" DECIMAL(65,30),
+ADD COLUMN     "reversedAt" TIMESTAMP(3);
@@ -0,0 +1,18 @@
+-- AlterTable
+ALTER TABLE "User" ADD COLUMN     "billingExpiryWarnedFor" TIMESTAMP(3);
+
+-- CreateTable
+CREATE TABLE "ClientEvent" (
+    "id" SERIAL NOT NULL,
+    "type" TEXT NOT NULL,
+    "userId" TEXT,
+    "sessionActivityId" TEXT,
+    "roles" "UserRole"[],
+    "data" JSONB NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "ClientEvent_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "ClientEvent_createdAt_idx" ON "ClientEvent"("createdAt");
@@ -0,0 +1,42 @@
+-- CreateEnum
+CREATE TYPE "BroadcastSeverity" AS ENUM ('INFO', 'WARNING', 'CRITICAL');
+
+-- CreateTable
+CREATE TABLE "Broadcast" (
+    "id" TEXT NOT NULL,
+    "message" TEXT NOT NULL,
+    "severity" "BroadcastSeverity" NOT NULL DEFAULT 'INFO',
+    "startsAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "endsAt" TIMESTAMP(3),
+    "targetRoles" "UserRole"[],
+    "targetUserIds" TEXT[],
+    "createdById" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "Broadcast_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "BroadcastDismissal" (
+    "broadcastId" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "dismissedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "BroadcastDismissal_pkey" PRIMARY KEY ("broadcastId","userId")
+);
+
+-- CreateIndex
+CREATE INDEX "Broadcast_startsAt_endsAt_idx" ON "Broadcast"("startsAt", "endsAt");
+
+-- CreateIndex
+CREATE INDEX "BroadcastDismissal_userId_idx" ON "BroadcastDismissal"("userId");
+
+-- AddForeignKey
+ALTER TABLE "Broadcast" ADD CONSTRAINT "Broadcast_createdById_fkey" FOREIGN KEY ("createdById") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "BroadcastDismissal" ADD CONSTRAINT "BroadcastDismissal_broadcastId_fkey" FOREIGN KEY ("broadcastId") REFERENCES "Broadcast"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "BroadcastDismissal" ADD CONSTRAINT "BroadcastDismissal_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "Domain" ADD COLUMN     "maintenanceEta" TIMESTAMP(3),
+ADD COLUMN     "maintenanceMessage" TEXT;
@@ -1,6 +1,10 @@
 const API_BASE = 'http://167.99.147.118:3000/api/v1';
 let authToken = localStorage.getItem('authToken');
 let currentUser = null;
+let pendingMfaToken = null; // Set between the password step and the two-factor step of a login
+
+// Mirrors the server's password policy (PASSWORD_MIN_LENGTH defaults to 10); the server has the final say
+const PASSWORD_POLICY_HINT = 'Use at least 10 characters and mix three of: lowercase, uppercase, digits, symbols. Do not include the email address.';
 
 // Initialize
 document.addEventListener('DOMContentLoaded', function() {
@@ -40,6 +44,11 @@ async function validateTokenAndLogin() {
         console.log('User data received:', data);
         currentUser = data;
         
+        if (data.mfaRequired && !data.mfaEnabled) {
+            showMfaSetup(true);
+            return;
+        }
+        
         // Check if user has admin access and show admin panel
         if (checkAdminAccess()) {
             console.log('User has admin access, showing admin panel');
@@ -124,7 +133,7 @@ function showTab(tabName) {
     }
     
     // Check if user is trying to access admin tabs without permission
-    if (tabName !== 'auth' && !checkAdminAccess()) {
+    if (tabName !== 'auth' && tabName !== 'mfaSetup' && !checkAdminAccess()) {
         showResponse('Access denied: Admin privileges required', true);
         return;
     }
@@ -142,6 +151,22 @@ function showTab(tabName) {
     if (event && event.target) {
         event.target.classList.add('active');
     }
+
+    if (tabName === 'auditTrail') {
+        loadAuditTrail();
+    }
+
+    if (tabName === 'maintenance') {
+        loadMaintenanceJobs();
+    }
+
+    if (tabName === 'notifications') {
+        loadNotifications();
+    }
+
+    if (tabName === 'broadcasts') {
+        loadBroadcasts();
+    }
 }
 
 function showAdminPanel() {
@@ -152,8 +177,9 @@ function showAdminPanel() {
     document.getElementById('statusBar').style.display = 'flex';
     document.getElementById('tabsContainer').style.display = 'flex';
     
-    // Show logout button
+    // Show logout and two-factor buttons
     document.getElementById('logoutBtn').style.display = 'flex';
+    document.getElementById('mfaBtn').style.display = 'flex';
     
     // Update status
     updateStatus('Logged In', '#28a745');
@@ -172,14 +198,19 @@ function logout() {
     authToken = null;
     currentUser = null;
     localStorage.removeItem('authToken');
+    resetMfaLoginStep();
     
     // Hide admin panel elements
     document.getElementById('statusBar').style.display = 'none';
     document.getElementById('tabsContainer').style.display = 'none';
     document.getElementById('logoutBtn').style.display = 'none';
+    document.getElementById('mfaBtn').style.display = 'none';
     hideAdminTabs();
     
     // Show authentication tab again
+    document.querySelectorAll('.tab-content').forEach(tab => {
+        tab.classList.remove('active');
+    });
     document.getElementById('auth').classList.add('active');
     
     // Clear login status
@@ -249,6 +280,16 @@ function showResponse(data, isError = false) {
     showNotification(message, type);
 }
 
+// "Invalid password: Password must be at least 10 characters long" rather than just the headline
+function describeApiError(data) {
+    const message = data.message || 'API Error';
+    if (!data.details || typeof data.details !== 'object') {
+        return message;
+    }
+    const reasons = Object.values(data.details).flat().filter(reason => typeof reason === 'string');
+    return reasons.length ? `${message}: ${reasons.join('; ')}` : message;
+}
+
 async function apiCall(endpoint, method = 'GET', body = null, showResponse = false) {
     const options = {
         method,
@@ -284,7 +325,7 @@ async function apiCall(endpoint, method = 'GET', body = null, showResponse = fal
             if (showResponse) {
                 showResponse(data, true);
             }
-            throw new Error(data.message || 'API Error');
+            throw new Error(describeApiError(data));
         }
     } catch (error) {
         if (showResponse) {
@@ -306,10 +347,33 @@ async function login() {
     loginStatus.style.display = 'block';
     
     try {
-        const data = await apiCall('/auth/login', 'POST', { email, password }, false);
+        let data;
+        if (pendingMfaToken) {
+            const code = document.getElementById('loginMfaCode').value.trim();
+            data = await apiCall('/auth/login/mfa', 'POST', { mfaToken: pendingMfaToken, code }, false);
+            resetMfaLoginStep();
+        } else {
+            data = await apiCall('/auth/login', 'POST', { email, password }, false);
+        }
+
+        if (data.mfaRequired) {
+            pendingMfaToken = data.mfaToken;
+            document.getElementById('loginMfaGroup').style.display = 'block';
+            document.getElementById('loginMfaCode').focus();
+            loginStatus.className = 'login-status';
+            loginStatus.textContent = 'Enter the code from your authenticator app, or a recovery code.';
+            return;
+        }
+
         authToken = data.accessToken || data.tokens?.accessToken;
         localStorage.setItem('authToken', authToken);
         currentUser = data.user;
+
+        if (data.mfaEnrollmentRequired) {
+            loginStatus.style.display = 'none';
+            showMfaSetup(true);
+            return;
+        }
         
         // Check if user has admin access
         if (checkAdminAccess()) {
@@ -320,14 +384,149 @@ async function login() {
         } else {
             loginStatus.className = 'login-status error';
             loginStatus.textContent = 'Access denied: Admin privileges required';
+            // Other roles may still turn on two-factor for their account here
+            document.getElementById('mfaBtn').style.display = 'flex';
+            document.getElementById('logoutBtn').style.display = 'flex';
         }
     } catch (error) {
+        // An expired two-factor step starts over from the password
+        if (pendingMfaToken && /expired/i.test(error.message)) {
+            resetMfaLoginStep();
+        }
         loginStatus.className = 'login-status error';
         loginStatus.textContent = `Login failed: ${error.message}`;
         hideAdminTabs();
     }
 }
 
+function resetMfaLoginStep() {
+    pendingMfaToken = null;
+    document.getElementById('loginMfaCode').value = '';
+    document.getElementById('loginMfaGroup').style.display = 'none';
+}
+
+// Two-factor authentication (own account)
+function showMfaSetup(enrollmentRequired = false) {
+    document.querySelectorAll('.tab-content').forEach(tab => {
+        tab.classList.remove('active');
+    });
+    document.querySelectorAll('.tab').forEach(tab => {
+        tab.classList.remove('active');
+    });
+    document.getElementById('mfaSetup').classList.add('active');
+    document.getElementById('logoutBtn').style.display = 'flex';
+    document.getElementById('mfaBtn').style.display = 'flex';
+
+    // Until enrollment is done the server refuses everything else, so keep the tabs out of the way
+    if (enrollmentRequired) {
+        document.getElementById('statusBar').style.display = 'none';
+        document.getElementById('tabsContainer').style.display = 'none';
+        hideAdminTabs();
+    }
+    document.getElementById('mfaRequiredNotice').style.display = enrollmentRequired ? 'block' : 'none';
+    document.getElementById('mfaEnrollment').style.display = 'none';
+    document.getElementById('mfaRecoveryCodes').style.display = 'none';
+    loadMfaStatus();
+}
+
+async function loadMfaStatus() {
+    try {
+        const status = await apiCall('/auth/mfa', 'GET', null, false);
+        let text = status.required ? 'Not set up - required for your role' : 'Not set up';
+        if (status.enabled) {
+            text = `Enabled since ${formatDate(status.enabledAt)} - ${status.recoveryCodesRemaining} recovery code(s) left`;
+        }
+        document.getElementById('mfaStatus').textContent = text;
+        document.getElementById('mfaStartBtn').style.display = status.enabled ? 'none' : 'inline-block';
+        document.getElementById('mfaManage').style.display = status.enabled ? 'block' : 'none';
+        document.getElementById('mfaDisableGroup').style.display = status.required ? 'none' : 'block';
+    } catch (error) {
+        showNotification(`Failed to load two-factor status: ${error.message}`, 'error');
+    }
+}
+
+async function startMfaSetup() {
+    try {
+        const data = await apiCall('/auth/mfa/setup', 'POST', null, false);
+        document.getElementById('mfaSecret').textContent = data.secret;
+        document.getElementById('mfaOtpauthUri').textContent = data.otpauthUri;
+        document.getElementById('mfaEnableCode').value = '';
+        document.getElementById('mfaEnrollment').style.display = 'block';
+    } catch (error) {
+        showNotification(`Failed to start two-factor setup: ${error.message}`, 'error');
+    }
+}
+
+async function enableMfa() {
+    const code = document.getElementById('mfaEnableCode').value.trim();
+    if (!code) {
+        showNotification('Enter the 6-digit code from your authenticator app', 'warning');
+        return;
+    }
+
+    try {
+        const data = await apiCall('/auth/mfa/enable', 'POST', { code }, false);
+        document.getElementById('mfaEnrollment').style.display = 'none';
+        document.getElementById('mfaRequiredNotice').style.display = 'none';
+        showMfaRecoveryCodes(data.recoveryCodes);
+        showNotification('Two-factor authentication enabled', 'success');
+        loadMfaStatus();
+    } catch (error) {
+        showNotification(`Failed to enable two-factor: ${error.message}`, 'error');
+    }
+}
+
+function showMfaRecoveryCodes(codes) {
+    document.getElementById('mfaRecoveryCodeList').textContent = codes.join('\n');
+    document.getElementById('mfaRecoveryCodes').style.display = 'block';
+    document.getElementById('mfaContinueBtn').style.display = checkAdminAccess() ? 'inline-block' : 'none';
+}
+
+function closeMfaSetup() {
+    document.getElementById('mfaRecoveryCodes').style.display = 'none';
+    if (checkAdminAccess()) {
+        showAdminPanel();
+    }
+}
+
+async function regenerateMfaRecoveryCodes() {
+    const code = document.getElementById('mfaManageCode').value.trim();
+    if (!code) {
+        showNotification('Enter a current code first', 'warning');
+        return;
+    }
+    if (!confirm('Replace your recovery codes? The old ones stop working.')) return;
+
+    try {
+        const data = await apiCall('/auth/mfa/recovery-codes', 'POST', { code }, false);
+        document.getElementById('mfaManageCode').value = '';
+        showMfaRecoveryCodes(data.recoveryCodes);
+        loadMfaStatus();
+    } catch (error) {
+        showNotification(`Failed to replace recovery codes: ${error.message}`, 'error');
+    }
+}
+
+async function disableMfa() {
+    const code = document.getElementById('mfaManageCode').value.trim();
+    const password = document.getElementById('mfaDisablePassword').value;
+    if (!code || !password) {
+        showNotification('Enter your password and a current code', 'warning');
+        return;
+    }
+    if (!confirm('Turn off two-factor authentication for your account?')) return;
+
+    try {
+        const result = await apiCall('/auth/mfa/disable', 'POST', { password, code }, false);
+        document.getElementById('mfaManageCode').value = '';
+        document.getElementById('mfaDisablePassword').value = '';
+        showNotification(result.message, 'success');
+        loadMfaStatus();
+    } catch (error) {
+        showNotification(`Failed to disable two-factor: ${error.message}`, 'error');
+    }
+}
+
 async function getCurrentUser() {
     try {
         const data = await apiCall('/auth/me', 'GET', null, false);
@@ -448,6 +647,9 @@ async function renderUserTable() {
                 billingStatusBadge = `<span class="status-badge status-active">Active - ${daysRemaining}d</span>`;
             }
         }
+
+        const isSelf = currentUser && user.id === currentUser.id;
+        const manageable = !isSelf && canManageUser(user);
         
         return `
         <tr>
@@ -458,7 +660,7 @@ async function renderUserTable() {
                     </div>
                     <div class="user-details">
                         <h4>${user.email}</h4>
-                        <p style="font-size: 0.75rem; color: rgba(255, 255, 255, 0.6); margin: 0.25rem 0 0 0;">ID: ${user.id}</p>
+                        <p style="font-size: 0.75rem; color: rgba(255, 255, 255, 0.6); margin: 0.25rem 0 0 0;">ID: ${user.id}${user.totpEnabledAt ? ' · <i class="fas fa-shield-alt" title="Two-factor enabled"></i> 2FA' : ''}</p>
                     </div>
                 </div>
             </td>
@@ -490,23 +692,35 @@ async function renderUserTable() {
             <td style="white-space: nowrap; font-size: 0.875rem;">${user.lastLoginAt ? formatDate(user.lastLoginAt) : '<span style="color: rgba(255, 255, 255, 0.5);">Never</span>'}</td>
             <td>
                 <div class="action-buttons" style="display: flex; gap: 0.5rem; flex-wrap: wrap;">
-                    <button class="action-btn edit" onclick="editUser('${user.id}')" title="Edit User">
-                        <i class="fas fa-edit"></i> Edit
-                    </button>
-                    <button class="action-btn password" onclick="changeUserPassword('${user.id}')" title="Change Password">
-                        <i class="fas fa-key"></i> Password
-                    </button>
+                    ${manageable ? `
+                        <button class="action-btn edit" onclick="editUser('${user.id}')" title="Edit User">
+                            <i class="fas fa-edit"></i> Edit
+                        </button>
+                    ` : ''}
+                    ${manageable || isSelf ? `
+                        <button class="action-btn password" onclick="changeUserPassword('${user.id}')" title="Change Password">
+                            <i class="fas fa-key"></i> Password
+                        </button>
+                        <button class="action-btn password" onclick="unlockUser('${user.id}')" title="Clear login lockout">
+                            <i class="fas fa-unlock"></i> Unlock
+                        </button>
+                    ` : ''}
                     <button class="action-btn info" onclick="showAddPaymentModalForUser('${user.id}', '${user.email}')" style="background: #1E4A4A; color: #00D0B0; border-color: #00D0B0;" title="Add Payment">
                         <i class="fas fa-credit-card"></i> Payment
                     </button>
-                    <button class="action-btn toggle" onclick="toggleUserStatus('${user.id}', '${user.status}')" title="${user.status === 'ACTIVE' ? 'Disable' : 'Enable'} User">
-                        <i class="fas fa-power-off"></i> ${user.status === 'ACTIVE' ? 'Disable' : 'Enable'}
-                    </button>
-                    ${user.role !== 'SUPER_ADMIN' ? `
+                    ${manageable ? `
+                        <button class="action-btn toggle" onclick="toggleUserStatus('${user.id}', '${user.status}')" title="${user.status === 'ACTIVE' ? 'Disable' : 'Enable'} User">
+                            <i class="fas fa-power-off"></i> ${user.status === 'ACTIVE' ? 'Disable' : 'Enable'}
+                        </button>
                         <button class="action-btn delete" onclick="deleteUser('${user.id}')" title="Delete User">
                             <i class="fas fa-trash"></i> Delete
                         </button>
                     ` : ''}
+                    ${manageable && user.totpEnabledAt ? `
+                        <button class="action-btn password" onclick="resetUserMfa('${user.id}')" title="Remove two-factor enrollment, e.g. after a lost phone">
+                            <i class="fas fa-shield-alt"></i> Reset 2FA
+                        </button>
+                    ` : ''}
                 </div>
             </td>
         </tr>
@@ -553,20 +767,29 @@ function refreshUserList() {
     loadUserData();
 }
 
+// Mirrors the server's permission matrix so the UI only offers what the API will allow
+function manageableRoles() {
+    if (currentUser?.role === 'SUPER_ADMIN') return ['USER', 'SUPPORT', 'ADMIN', 'SUPER_ADMIN'];
+    if (currentUser?.role === 'ADMIN') return ['USER', 'SUPPORT'];
+    return [];
+}
+
+function canManageUser(user) {
+    return manageableRoles().includes(user.role);
+}
+
 function showCreateUserModal() {
     // For now, we'll use a simple prompt. In a real app, you'd have a modal
     const email = prompt('Enter user email:');
     if (!email) return;
     
-    const password = prompt('Enter password (min 6 characters):');
-    if (!password || password.length < 6) {
-        alert('Password must be at least 6 characters long');
-        return;
-    }
+    const password = prompt(`Enter password:\n\n${PASSWORD_POLICY_HINT}`);
+    if (!password) return;
     
-    const role = prompt('Enter role (USER, ADMIN, SUPPORT):', 'USER');
-    if (!['USER', 'ADMIN', 'SUPPORT'].includes(role)) {
-        alert('Invalid role. Must be USER, ADMIN, or SUPPORT');
+    const roles = manageableRoles();
+    const role = prompt(`Enter role (${roles.join(', ')}):`, 'USER');
+    if (!roles.includes(role)) {
+        alert(`Invalid role. Must be one of: ${roles.join(', ')}`);
         return;
     }
     
@@ -587,10 +810,11 @@ async function editUser(userId) {
     const user = allUsers.find(u => u.id === userId);
     if (!user) return;
     
-    const newRole = prompt(`Change role for ${user.email}:\nCurrent: ${user.role}\n\nEnter new role (USER, ADMIN, SUPPORT, SUPER_ADMIN):`, user.role);
+    const roles = manageableRoles();
+    const newRole = prompt(`Change role for ${user.email}:\nCurrent: ${user.role}\n\nEnter new role (${roles.join(', ')}):`, user.role);
     if (!newRole || newRole === user.role) return;
     
-    if (!['USER', 'ADMIN', 'SUPPORT', 'SUPER_ADMIN'].includes(newRole)) {
+    if (!roles.includes(newRole)) {
         alert('Invalid role');
         return;
     }
@@ -622,6 +846,35 @@ async function toggleUserStatus(userId, currentStatus) {
     }
 }
 
+async function unlockUser(userId) {
+    const user = allUsers.find(u => u.id === userId);
+    if (!user) return;
+    
+    if (!confirm(`Clear the login lockout for ${user.email}?`)) return;
+    
+    try {
+        const result = await apiCall(`/users/${userId}/unlock`, 'POST', null, false);
+        showNotification(result.message, 'success');
+    } catch (error) {
+        showResponse(`Failed to unlock user: ${error.message}`, true);
+    }
+}
+
+async function resetUserMfa(userId) {
+    const user = allUsers.find(u => u.id === userId);
+    if (!user) return;
+    
+    if (!confirm(`Reset two-factor authentication for ${user.email}?\n\nThey will have to set it up again; admin roles are blocked until they do.`)) return;
+    
+    try {
+        const result = await apiCall(`/users/${userId}/mfa/reset`, 'POST', null, false);
+        showNotification(result.message, 'success');
+        loadUserData();
+    } catch (error) {
+        showResponse(`Failed to reset two-factor: ${error.message}`, true);
+    }
+}
+
 async function deleteUser(userId) {
     const user = allUsers.find(u => u.id === userId);
     if (!user) return;
@@ -649,14 +902,9 @@ async function changeUserPassword(userId) {
         return;
     }
     
-    const newPassword = prompt(`Enter new password for user ${user.email}:\n\nPassword must be at least 6 characters long.`);
+    const newPassword = prompt(`Enter new password for user ${user.email}:\n\n${PASSWORD_POLICY_HINT}`);
     if (!newPassword) return;
     
-    if (newPassword.length < 6) {
-        alert('Password must be at least 6 characters long.');
-        return;
-    }
-    
     const confirmPassword = prompt(`Confirm the new password for ${user.email}:`);
     if (newPassword !== confirmPassword) {
         alert('Passwords do not match. Please try again.');
@@ -847,6 +1095,274 @@ async function deleteSession() {
     }
 }
 
+// Session log functions
+let sessionLogEntries = [];
+let sessionLogNextCursor = null;
+let sessionLogTailing = false;
+// Bumped whenever a tail starts or stops, so a loop still waiting on a request knows it is stale
+let sessionLogTailGeneration = 0;
+
+function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+function buildSessionLogQuery(extra = {}) {
+    const params = new URLSearchParams();
+    const level = document.getElementById('sessionLogLevel').value;
+    const from = document.getElementById('sessionLogFrom').value;
+    const to = document.getElementById('sessionLogTo').value;
+
+    if (level) params.set('level', level);
+    if (from) params.set('from', new Date(from).toISOString());
+    if (to) params.set('to', new Date(to).toISOString());
+    Object.entries(extra).forEach(([key, value]) => {
+        if (value !== undefined && value !== null) params.set(key, value);
+    });
+
+    return params.toString();
+}
+
+async function loadSessionLogs() {
+    const sessionId = document.getElementById('sessionLogSessionId').value.trim();
+    if (!sessionId) {
+        showNotification('Enter a session ID to view its logs', 'warning', 2000);
+        return;
+    }
+
+    try {
+        const data = await apiCall(`/sessions/${encodeURIComponent(sessionId)}/logs?${buildSessionLogQuery()}`);
+        sessionLogEntries = data.logs || [];
+        sessionLogNextCursor = data.nextCursor;
+        renderSessionLogTable();
+    } catch (error) {
+        showSessionLogError('Failed to load session logs: ' + error.message);
+    }
+}
+
+async function loadMoreSessionLogs() {
+    const sessionId = document.getElementById('sessionLogSessionId').value.trim();
+    if (!sessionId || !sessionLogNextCursor) return;
+
+    try {
+        const query = buildSessionLogQuery({ cursor: sessionLogNextCursor });
+        const data = await apiCall(`/sessions/${encodeURIComponent(sessionId)}/logs?${query}`);
+        sessionLogEntries = sessionLogEntries.concat(data.logs || []);
+        sessionLogNextCursor = data.nextCursor;
+        renderSessionLogTable();
+    } catch (error) {
+        showNotification('Failed to load more logs: ' + error.message, 'error');
+    }
+}
+
+async function toggleSessionLogTail() {
+    if (sessionLogTailing) {
+        stopSessionLogTail();
+        return;
+    }
+
+    const sessionId = document.getElementById('sessionLogSessionId').value.trim();
+    if (!sessionId) {
+        showNotification('Enter a session ID to tail its logs', 'warning', 2000);
+        return;
+    }
+
+    const generation = ++sessionLogTailGeneration;
+    await loadSessionLogs();
+    if (generation !== sessionLogTailGeneration) return;
+
+    sessionLogTailing = true;
+    updateSessionLogTailButton();
+    runSessionLogTail(sessionId, generation);
+}
+
+function stopSessionLogTail() {
+    sessionLogTailGeneration++;
+    sessionLogTailing = false;
+    updateSessionLogTailButton();
+}
+
+function updateSessionLogTailButton() {
+    const button = document.getElementById('sessionLogTailButton');
+    button.innerHTML = sessionLogTailing
+        ? '<i class="fas fa-stop"></i> Stop Tail'
+        : '<i class="fas fa-play"></i> Live Tail';
+}
+
+async function runSessionLogTail(sessionId, generation) {
+    const isCurrent = () => generation === sessionLogTailGeneration;
+    let cursor = null;
+
+    while (isCurrent()) {
+        // Stop following once the admin leaves the Sessions tab or picks another session
+        const stillViewing = document.getElementById('sessions').classList.contains('active') &&
+            document.getElementById('sessionLogSessionId').value.trim() === sessionId;
+        if (!stillViewing) {
+            stopSessionLogTail();
+            return;
+        }
+
+        try {
+            const level = document.getElementById('sessionLogLevel').value || undefined;
+            const params = new URLSearchParams({ tail: 'true', wait: '20' });
+            if (level) params.set('level', level);
+            if (cursor) params.set('after', cursor);
+
+            const data = await apiCall(`/sessions/${encodeURIComponent(sessionId)}/logs?${params.toString()}`);
+            if (!isCurrent()) return;
+
+            cursor = data.nextCursor;
+            if (data.logs && data.logs.length > 0) {
+                sessionLogEntries = data.logs.slice().reverse().concat(sessionLogEntries);
+                renderSessionLogTable();
+            }
+
+            // Nothing logged yet for this session; wait before asking again
+            if (!cursor) {
+                await new Promise(resolve => setTimeout(resolve, 5000));
+            }
+        } catch (error) {
+            if (!isCurrent()) return;
+            showNotification('Live tail stopped: ' + error.message, 'error');
+            stopSessionLogTail();
+            return;
+        }
+    }
+}
+
+function renderSessionLogTable() {
+    const tbody = document.getElementById('sessionLogTableBody');
+    document.getElementById('sessionLogLoadMore').style.display = sessionLogNextCursor ? 'inline-block' : 'none';
+
+    if (sessionLogEntries.length === 0) {
+        tbody.innerHTML = `
+            <tr>
+                <td colspan="5" class="loading-row">
+                    <i class="fas fa-search"></i> No log entries found
+                </td>
+            </tr>
+        `;
+        return;
+    }
+
+    const levelClass = { INFO: 'status-active', WARN: 'status-disabled', ERROR: 'status-suspended' };
+
+    tbody.innerHTML = sessionLogEntries.map(log => `
+        <tr>
+            <td>${new Date(log.createdAt).toLocaleString()}</td>
+            <td><span class="status-badge ${levelClass[log.level] || ''}">${log.level}</span></td>
+            <td>${escapeHtml(log.message)}</td>
+            <td>
+                ${log.actor
+                    ? `<span title="${escapeHtml(log.actor.id)}">${escapeHtml(log.actor.email)}</span>
+                       <span class="role-badge role-${log.actor.role.toLowerCase().replace('_', '-')}">${log.actor.role}</span>`
+                    : '<span style="color: #9CA3AF;">System</span>'}
+            </td>
+            <td>${log.context ? `<code>${escapeHtml(JSON.stringify(log.context))}</code>` : '-'}</td>
+        </tr>
+    `).join('');
+}
+
+function showSessionLogError(message) {
+    const tbody = document.getElementById('sessionLogTableBody');
+    document.getElementById('sessionLogLoadMore').style.display = 'none';
+    tbody.innerHTML = `
+        <tr>
+            <td colspan="5" class="loading-row" style="color: #fca5a5;">
+                <i class="fas fa-exclamation-triangle"></i> ${escapeHtml(message)}
+            </td>
+        </tr>
+    `;
+}
+
+// Bundle version functions
+function formatBundleSize(bytes) {
+    if (bytes === null || bytes === undefined) return '-';
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+async function loadBundleVersions() {
+    const sessionId = document.getElementById('bundleVersionSessionId').value.trim();
+    if (!sessionId) {
+        showNotification('Enter a session ID to view its bundle history', 'warning', 2000);
+        return;
+    }
+
+    const tbody = document.getElementById('bundleVersionTableBody');
+    try {
+        const data = await apiCall(`/sessions/${encodeURIComponent(sessionId)}/bundle-versions`);
+        if (data.versions.length === 0) {
+            tbody.innerHTML = `
+                <tr>
+                    <td colspan="8" class="loading-row">
+                        <i class="fas fa-search"></i> No bundle has been uploaded for this session
+                    </td>
+                </tr>
+            `;
+            return;
+        }
+
+        tbody.innerHTML = data.versions.map(version => {
+            const status = version.isCurrent
+                ? '<span class="status-badge status-active">Live</span>'
+                : version.prunedAt
+                    ? `<span class="status-badge status-suspended" title="Removed ${new Date(version.prunedAt).toLocaleString()}">Pruned</span>`
+                    : '<span class="status-badge status-disabled">Available</span>';
+            const canRollBack = !version.isCurrent && !version.prunedAt;
+
+            return `
+                <tr>
+                    <td>v${version.version}</td>
+                    <td>${new Date(version.createdAt).toLocaleString()}</td>
+                    <td>${version.uploadedBy ? escapeHtml(version.uploadedBy.email) : '<span style="color: #9CA3AF;">System</span>'}</td>
+                    <td>${formatBundleSize(version.sizeBytes)}</td>
+                    <td>${version.checksum ? `<code title="${escapeHtml(version.checksum)}">${escapeHtml(version.checksum.substring(0, 12))}…</code>` : '-'}</td>
+                    <td>${version.notes ? escapeHtml(version.notes) : '-'}</td>
+                    <td>${status}</td>
+                    <td>
+                        ${canRollBack
+                            ? `<button class="action-btn password" onclick="rollbackBundleVersion(${escapeHtml(JSON.stringify(sessionId))}, ${version.version})" title="Serve this version to all users">
+                                   <i class="fas fa-undo"></i>
+                               </button>`
+                            : ''}
+                    </td>
+                </tr>
+            `;
+        }).join('');
+    } catch (error) {
+        tbody.innerHTML = `
+            <tr>
+                <td colspan="8" class="loading-row" style="color: #fca5a5;">
+                    <i class="fas fa-exclamation-triangle"></i> ${escapeHtml('Failed to load bundle versions: ' + error.message)}
+                </td>
+            </tr>
+        `;
+    }
+}
+
+async function rollbackBundleVersion(sessionId, version) {
+    const notes = prompt(`Roll back to bundle v${version}? Every user will download this version from now on.\n\nReason (optional):`);
+    if (notes === null) return;
+
+    try {
+        const result = await apiCall(
+            `/sessions/${encodeURIComponent(sessionId)}/bundle-versions/${version}/rollback`,
+            'POST',
+            notes.trim() ? { notes: notes.trim() } : {},
+            false
+        );
+        showNotification(`Rolled back from v${result.previousVersion} to v${result.bundleVersion}`, 'success');
+        loadBundleVersions();
+    } catch (error) {
+        showResponse(`Failed to roll back bundle: ${error.message}`, true);
+    }
+}
+
 // Proxy management functions
 async function addProxy() {
     const name = document.getElementById('proxyName').value;
@@ -934,6 +1450,38 @@ async function getDomainById() {
     }
 }
 
+// Desktop clients show the message and ETA on their maintenance screen until it ends
+async function startDomainMaintenance() {
+    const domainId = prompt('Enter Domain ID:');
+    if (!domainId) return;
+    const maintenanceMessage = prompt('Message for users (leave empty for the default):') || null;
+    const minutes = prompt('Expected back in how many minutes? (leave empty if unknown)');
+    if (minutes && !(Number(minutes) > 0)) {
+        showResponse('Minutes must be a positive number', true);
+        return;
+    }
+    const maintenanceEta = minutes ? new Date(Date.now() + Number(minutes) * 60 * 1000).toISOString() : null;
+
+    try {
+        const data = await apiCall(`/domains/${domainId}`, 'PATCH', { isMaintenance: true, maintenanceMessage, maintenanceEta });
+        showResponse(`Domain ${data.label} is now in maintenance`);
+    } catch (error) {
+        showResponse(`Failed to start maintenance: ${error.message}`, true);
+    }
+}
+
+async function endDomainMaintenance() {
+    const domainId = prompt('Enter Domain ID:');
+    if (!domainId) return;
+
+    try {
+        const data = await apiCall(`/domains/${domainId}`, 'PATCH', { isMaintenance: false });
+        showResponse(`Domain ${data.label} is back in service`);
+    } catch (error) {
+        showResponse(`Failed to end maintenance: ${error.message}`, true);
+    }
+}
+
 // ============================================================================
 // LOGIN HISTORY FUNCTIONS
 // ============================================================================
@@ -1392,26 +1940,722 @@ async function dismissAllAlerts() {
 }
 
 // ============================================================================
-// AUTO-REFRESH & POLLING
+// AUDIT TRAIL FUNCTIONS
 // ============================================================================
 
-// Poll for new security alerts every 30 seconds
-setInterval(() => {
-    if (currentUser && authToken) {
-        loadSecurityAlerts();
-    }
-}, 30000);
+let auditTrailEntries = [];
+let auditTrailNextCursor = null;
+let auditFilterOptionsLoaded = false;
+
+function buildAuditQuery(extra = {}) {
+    const params = new URLSearchParams();
+    const filters = {
+        actorEmail: document.getElementById('auditActorFilter').value.trim(),
+        action: document.getElementById('auditActionFilter').value,
+        targetType: document.getElementById('auditTargetTypeFilter').value,
+        targetId: document.getElementById('auditTargetIdFilter').value.trim(),
+    };
+    const from = document.getElementById('auditFromFilter').value;
+    const to = document.getElementById('auditToFilter').value;
 
-// Load security alerts initially when user logs in
-const originalShowAdminPanel = showAdminPanel;
-showAdminPanel = function() {
-    originalShowAdminPanel();
-    // Load data for new tabs
-    loadSecurityAlerts();
-    loadDashboardData();
+    Object.entries({ ...filters, ...extra }).forEach(([key, value]) => {
+        if (value) params.set(key, value);
+    });
+    if (from) params.set('from', new Date(from).toISOString());
+    if (to) params.set('to', new Date(to).toISOString());
+
+    return params.toString();
 }
 
-// ============================================================================
+async function loadAuditFilterOptions() {
+    try {
+        const options = await apiCall('/audits/filters');
+        const fill = (selectId, values) => {
+            const select = document.getElementById(selectId);
+            const current = select.value;
+            select.innerHTML = select.options[0].outerHTML + values
+                .map(value => `<option value="${escapeHtml(value)}">${escapeHtml(value.replace(/_/g, ' '))}</option>`)
+                .join('');
+            select.value = current;
+        };
+        fill('auditActionFilter', options.actions || []);
+        fill('auditTargetTypeFilter', options.targetTypes || []);
+        auditFilterOptionsLoaded = true;
+    } catch (error) {
+        console.error('Failed to load audit filter options:', error);
+    }
+}
+
+async function loadAuditTrail() {
+    if (!auditFilterOptionsLoaded) {
+        await loadAuditFilterOptions();
+    }
+
+    try {
+        const data = await apiCall(`/audits?${buildAuditQuery()}`);
+        auditTrailEntries = data.logs || [];
+        auditTrailNextCursor = data.nextCursor;
+        renderAuditTrailTable();
+    } catch (error) {
+        showAuditTrailError('Failed to load audit trail: ' + error.message);
+    }
+}
+
+async function loadMoreAuditTrail() {
+    if (!auditTrailNextCursor) return;
+
+    try {
+        const data = await apiCall(`/audits?${buildAuditQuery({ cursor: auditTrailNextCursor })}`);
+        auditTrailEntries = auditTrailEntries.concat(data.logs || []);
+        auditTrailNextCursor = data.nextCursor;
+        renderAuditTrailTable();
+    } catch (error) {
+        showNotification('Failed to load more audit entries: ' + error.message, 'error');
+    }
+}
+
+function renderAuditTarget(entry) {
+    const target = entry.target;
+    if (!target) {
+        return `<span style="color: rgba(255, 255, 255, 0.5);">${escapeHtml(entry.targetType)}</span>`;
+    }
+
+    const label = target.label || target.id;
+    const deleted = target.exists ? '' : ' <span style="color: rgba(255, 255, 255, 0.5);">(deleted)</span>';
+
+    if (target.exists && target.type === 'USER') {
+        return `<a href="#" onclick="openAuditUser(${escapeHtml(JSON.stringify(target.label))}); return false;">👤 ${escapeHtml(label)}</a>`;
+    }
+    if (target.exists && target.type === 'DAT_SESSION') {
+        return `<a href="#" onclick="openAuditSession(${escapeHtml(JSON.stringify(target.id))}); return false;">🎯 ${escapeHtml(label)}</a>`;
+    }
+
+    return `${escapeHtml(target.type)}: ${escapeHtml(label)}${deleted}`;
+}
+
+function renderAuditTrailTable() {
+    const tbody = document.getElementById('auditTrailTableBody');
+    document.getElementById('auditTrailLoadMore').style.display = auditTrailNextCursor ? 'inline-block' : 'none';
+
+    if (auditTrailEntries.length === 0) {
+        tbody.innerHTML = `
+            <tr>
+                <td colspan="6" class="loading-row">
+                    <i class="fas fa-search"></i> No audit entries found
+                </td>
+            </tr>
+        `;
+        return;
+    }
+
+    tbody.innerHTML = auditTrailEntries.map(entry => `
+        <tr>
+            <td style="white-space: nowrap;">${new Date(entry.createdAt).toLocaleString()}</td>
+            <td>${entry.actor ? escapeHtml(entry.actor.email) : '<span style="color: rgba(255, 255, 255, 0.5);">System</span>'}</td>
+            <td><span class="status-badge">${escapeHtml(entry.action.replace(/_/g, ' '))}</span></td>
+            <td>
+                ${renderAuditTarget(entry)}
+                ${entry.targetId ? `<a href="#" title="Show all entries for this target" onclick="filterAuditByTarget(${escapeHtml(JSON.stringify(entry.targetType))}, ${escapeHtml(JSON.stringify(entry.targetId))}); return false;"><i class="fas fa-filter"></i></a>` : ''}
+            </td>
+            <td>${escapeHtml(entry.ipAddress || '-')}</td>
+            <td>${entry.metadata ? `<code style="font-size: 0.75rem;">${escapeHtml(JSON.stringify(entry.metadata))}</code>` : '-'}</td>
+        </tr>
+    `).join('');
+}
+
+function showAuditTrailError(message) {
+    const tbody = document.getElementById('auditTrailTableBody');
+    document.getElementById('auditTrailLoadMore').style.display = 'none';
+    tbody.innerHTML = `
+        <tr>
+            <td colspan="6" class="loading-row" style="color: #fca5a5;">
+                <i class="fas fa-exclamation-triangle"></i> ${escapeHtml(message)}
+            </td>
+        </tr>
+    `;
+}
+
+function filterAuditByTarget(targetType, targetId) {
+    document.getElementById('auditTargetTypeFilter').value = targetType;
+    document.getElementById('auditTargetIdFilter').value = targetId;
+    loadAuditTrail();
+}
+
+function clearAuditFilters() {
+    ['auditActorFilter', 'auditActionFilter', 'auditTargetTypeFilter', 'auditTargetIdFilter', 'auditFromFilter', 'auditToFilter']
+        .forEach(id => { document.getElementById(id).value = ''; });
+    loadAuditTrail();
+}
+
+function openAuditUser(email) {
+    showTab('users');
+    document.getElementById('userSearch').value = email;
+    filterUsers();
+}
+
+function openAuditSession(sessionId) {
+    showTab('sessions');
+    document.getElementById('sessionLogSessionId').value = sessionId;
+    loadSessionLogs();
+}
+
+function refreshAuditTrail() {
+    auditFilterOptionsLoaded = false;
+    loadAuditTrail();
+    showNotification('Audit trail refreshed', 'success', 2000);
+}
+
+async function exportAuditTrail(format) {
+    try {
+        const response = await fetch(`${API_BASE}/audits/export?${buildAuditQuery({ format })}`, {
+            headers: { 'Authorization': `Bearer ${authToken}` }
+        });
+        if (!response.ok) {
+            const data = await response.json().catch(() => ({}));
+            throw new Error(data.message || 'Export failed');
+        }
+
+        const blob = await response.blob();
+        const url = window.URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `audit-trail-${new Date().toISOString().split('T')[0]}.${format}`;
+        a.click();
+        window.URL.revokeObjectURL(url);
+
+        showNotification('Audit trail exported', 'success', 2000);
+    } catch (error) {
+        showNotification('Failed to export audit trail: ' + error.message, 'error');
+    }
+}
+
+// ============================================================================
+// MAINTENANCE JOB FUNCTIONS
+// ============================================================================
+
+async function loadMaintenanceJobs() {
+    const tbody = document.getElementById('maintenanceJobsTableBody');
+    try {
+        const data = await apiCall('/maintenance/jobs');
+        renderMaintenanceJobs(data.jobs || []);
+    } catch (error) {
+        tbody.innerHTML = `
+            <tr>
+                <td colspan="6" class="loading-row" style="color: #fca5a5;">
+                    <i class="fas fa-exclamation-triangle"></i> ${escapeHtml('Failed to load maintenance jobs: ' + error.message)}
+                </td>
+            </tr>
+        `;
+    }
+}
+
+function maintenanceStatusBadge(job) {
+    if (job.isRunning) return '<span class="status-badge status-suspended">Running</span>';
+    if (job.lastStatus === 'SUCCEEDED') return '<span class="status-badge status-active">Succeeded</span>';
+    if (job.lastStatus === 'FAILED') return '<span class="status-badge status-disabled">Failed</span>';
+    return '<span class="status-badge" style="background: rgba(255, 255, 255, 0.1); color: rgba(255, 255, 255, 0.5);">Never run</span>';
+}
+
+function renderMaintenanceJobs(jobs) {
+    const tbody = document.getElementById('maintenanceJobsTableBody');
+    tbody.innerHTML = jobs.map(job => {
+        const trigger = job.lastTrigger === 'MANUAL'
+            ? `manual${job.lastTriggeredBy ? ' by ' + escapeHtml(job.lastTriggeredBy.email) : ''}`
+            : (job.lastTrigger ? 'scheduled' : '');
+        const details = job.lastStatus === 'FAILED' ? job.lastError : (job.lastResult ? JSON.stringify(job.lastResult) : '');
+
+        return `
+        <tr>
+            <td>
+                <strong>${escapeHtml(job.name)}</strong>
+                <p style="font-size: 0.75rem; color: rgba(255, 255, 255, 0.6); margin: 0.25rem 0 0 0;">${escapeHtml(job.description)}</p>
+            </td>
+            <td><code>${escapeHtml(job.schedule)}</code></td>
+            <td>${maintenanceStatusBadge(job)}</td>
+            <td style="white-space: nowrap; font-size: 0.875rem;">
+                ${job.lastStartedAt ? formatDate(job.lastStartedAt) : 'Never'}
+                ${trigger ? `<p style="font-size: 0.75rem; color: rgba(255, 255, 255, 0.6); margin: 0.25rem 0 0 0;">${trigger}${job.lastDurationMs !== null ? ` · ${job.lastDurationMs} ms` : ''}</p>` : ''}
+            </td>
+            <td>${details ? `<code style="font-size: 0.75rem;">${escapeHtml(details)}</code>` : '-'}</td>
+            <td>
+                <button class="action-btn edit" onclick="runMaintenanceJobNow(${escapeHtml(JSON.stringify(job.name))})" ${job.isRunning ? 'disabled' : ''}>
+                    <i class="fas fa-play"></i> Run now
+                </button>
+            </td>
+        </tr>
+        `;
+    }).join('');
+}
+
+async function runMaintenanceJobNow(name) {
+    if (!confirm(`Run maintenance job "${name}" now?`)) return;
+
+    try {
+        const run = await apiCall(`/maintenance/jobs/${encodeURIComponent(name)}/run`, 'POST', null, false);
+        showNotification(`${name} finished in ${run.durationMs} ms`, 'success');
+    } catch (error) {
+        showNotification(`Failed to run ${name}: ${error.message}`, 'error');
+    }
+    loadMaintenanceJobs();
+}
+
+// ============================================================================
+// NOTIFICATION CHANNEL FUNCTIONS
+// ============================================================================
+
+let notificationChannels = [];
+
+async function loadNotifications() {
+    await Promise.all([loadNotificationChannels(), loadNotificationDeliveries()]);
+}
+
+async function loadNotificationChannels() {
+    const tbody = document.getElementById('notificationChannelsTableBody');
+    try {
+        const data = await apiCall('/notifications/channels');
+        notificationChannels = data.channels || [];
+        renderNotificationChannels();
+    } catch (error) {
+        tbody.innerHTML = `
+            <tr>
+                <td colspan="5" class="loading-row" style="color: #fca5a5;">
+                    <i class="fas fa-exclamation-triangle"></i> ${escapeHtml('Failed to load channels: ' + error.message)}
+                </td>
+            </tr>
+        `;
+    }
+}
+
+function renderNotificationChannels() {
+    const tbody = document.getElementById('notificationChannelsTableBody');
+    if (notificationChannels.length === 0) {
+        tbody.innerHTML = `
+            <tr>
+                <td colspan="5" class="loading-row">No channels yet. Alerts are only shown in this panel.</td>
+            </tr>
+        `;
+        return;
+    }
+
+    tbody.innerHTML = notificationChannels.map(channel => {
+        const id = escapeHtml(JSON.stringify(channel.id));
+        const destination = channel.type === 'WEBHOOK'
+            ? channel.webhookUrl
+            : channel.emailRecipients.join(', ');
+
+        return `
+        <tr>
+            <td>
+                <strong>${escapeHtml(channel.name)}</strong>
+                <p style="font-size: 0.75rem; color: rgba(255, 255, 255, 0.6); margin: 0.25rem 0 0 0;">${channel.type === 'WEBHOOK' ? 'Webhook' : 'Email'}</p>
+            </td>
+            <td><code style="font-size: 0.75rem;">${escapeHtml(destination)}</code></td>
+            <td>${channel.severities.map(severity => escapeHtml(severity)).join(', ')}</td>
+            <td>
+                <span class="status-badge ${channel.enabled ? 'status-active' : 'status-disabled'}">${channel.enabled ? 'Enabled' : 'Disabled'}</span>
+            </td>
+            <td>
+                <div style="display: flex; gap: 0.5rem; flex-wrap: wrap;">
+                    <button class="action-btn edit" onclick="sendTestNotification(${id})">
+                        <i class="fas fa-paper-plane"></i> Test
+                    </button>
+                    <button class="action-btn edit" onclick="editNotificationChannelSeverities(${id})">
+                        <i class="fas fa-sliders-h"></i> Severities
+                    </button>
+                    <button class="action-btn toggle" onclick="toggleNotificationChannel(${id})">
+                        <i class="fas fa-power-off"></i> ${channel.enabled ? 'Disable' : 'Enable'}
+                    </button>
+                    ${channel.type === 'WEBHOOK' ? `
+                    <button class="action-btn password" onclick="rotateNotificationSecret(${id})">
+                        <i class="fas fa-key"></i> New Secret
+                    </button>` : ''}
+                    <button class="action-btn delete" onclick="deleteNotificationChannel(${id})">
+                        <i class="fas fa-trash"></i> Delete
+                    </button>
+                </div>
+            </td>
+        </tr>
+        `;
+    }).join('');
+}
+
+function deliveryStatusBadge(status) {
+    if (status === 'DELIVERED') return '<span class="status-badge status-active">Delivered</span>';
+    if (status === 'FAILED') return '<span class="status-badge status-disabled">Failed</span>';
+    return `<span class="status-badge status-suspended">${escapeHtml(status.charAt(0) + status.slice(1).toLowerCase())}</span>`;
+}
+
+async function loadNotificationDeliveries() {
+    const tbody = document.getElementById('notificationDeliveriesTableBody');
+    const status = document.getElementById('notificationDeliveryStatusFilter').value;
+    try {
+        const query = status ? `?status=${encodeURIComponent(status)}` : '';
+        const data = await apiCall(`/notifications/deliveries${query}`);
+        const deliveries = data.deliveries || [];
+
+        if (deliveries.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="6" class="loading-row">No deliveries</td></tr>';
+            return;
+        }
+
+        tbody.innerHTML = deliveries.map(delivery => `
+        <tr>
+            <td style="white-space: nowrap; font-size: 0.875rem;">${formatDate(delivery.createdAt)}</td>
+            <td>${escapeHtml(delivery.channel.name)}</td>
+            <td>${delivery.isTest
+                ? '<em>Test message</em>'
+                : delivery.alert
+                    ? `${escapeHtml(delivery.alert.severity)} · ${escapeHtml(delivery.alert.alertType.replace(/_/g, ' '))}`
+                    : '<em>Deleted alert</em>'}</td>
+            <td>
+                ${deliveryStatusBadge(delivery.status)}
+                ${delivery.status === 'RETRYING' && delivery.nextAttemptAt ? `<p style="font-size: 0.75rem; color: rgba(255, 255, 255, 0.6); margin: 0.25rem 0 0 0;">next ${formatDate(delivery.nextAttemptAt)}</p>` : ''}
+            </td>
+            <td>${delivery.attempts}</td>
+            <td>${delivery.lastError ? `<code style="font-size: 0.75rem;">${escapeHtml(delivery.lastError)}</code>` : '-'}</td>
+        </tr>
+        `).join('');
+    } catch (error) {
+        tbody.innerHTML = `
+            <tr>
+                <td colspan="6" class="loading-row" style="color: #fca5a5;">
+                    <i class="fas fa-exclamation-triangle"></i> ${escapeHtml('Failed to load deliveries: ' + error.message)}
+                </td>
+            </tr>
+        `;
+    }
+}
+
+function showNotificationChannelModal() {
+    document.getElementById('notificationChannelModal').style.display = 'flex';
+    document.getElementById('channelName').value = '';
+    document.getElementById('channelType').value = 'WEBHOOK';
+    document.getElementById('channelWebhookUrl').value = '';
+    document.getElementById('channelEmailRecipients').value = '';
+    document.querySelectorAll('input[name="channelSeverity"]').forEach(box => {
+        box.checked = box.value === 'CRITICAL' || box.value === 'HIGH';
+    });
+    updateNotificationChannelFields();
+}
+
+function closeNotificationChannelModal() {
+    document.getElementById('notificationChannelModal').style.display = 'none';
+}
+
+function updateNotificationChannelFields() {
+    const isWebhook = document.getElementById('channelType').value === 'WEBHOOK';
+    document.getElementById('channelWebhookGroup').style.display = isWebhook ? 'block' : 'none';
+    document.getElementById('channelEmailGroup').style.display = isWebhook ? 'none' : 'block';
+}
+
+function parseSeverityList(value) {
+    const allowed = ['LOW', 'MEDIUM', 'HIGH', 'CRITICAL'];
+    return value.split(',').map(item => item.trim().toUpperCase()).filter(item => allowed.includes(item));
+}
+
+function showWebhookSecret(channel) {
+    if (channel.webhookSecret) {
+        prompt(`Signing secret for "${channel.name}". Copy it now; it will not be shown again.`, channel.webhookSecret);
+    }
+}
+
+async function submitNotificationChannel() {
+    const type = document.getElementById('channelType').value;
+    const body = {
+        name: document.getElementById('channelName').value.trim(),
+        type,
+        severities: Array.from(document.querySelectorAll('input[name="channelSeverity"]:checked')).map(box => box.value),
+    };
+
+    if (type === 'WEBHOOK') {
+        body.webhookUrl = document.getElementById('channelWebhookUrl').value.trim();
+    } else {
+        body.emailRecipients = document.getElementById('channelEmailRecipients').value
+            .split(',')
+            .map(address => address.trim())
+            .filter(Boolean);
+    }
+
+    if (!body.name || body.severities.length === 0) {
+        showNotification('Enter a name and pick at least one severity', 'error');
+        return;
+    }
+
+    try {
+        const channel = await apiCall('/notifications/channels', 'POST', body, false);
+        closeNotificationChannelModal();
+        showNotification(`Channel "${channel.name}" created`, 'success');
+        showWebhookSecret(channel);
+        loadNotificationChannels();
+    } catch (error) {
+        showNotification('Failed to create channel: ' + error.message, 'error');
+    }
+}
+
+async function sendTestNotification(channelId) {
+    const channel = notificationChannels.find(item => item.id === channelId);
+    try {
+        const delivery = await apiCall(`/notifications/channels/${encodeURIComponent(channelId)}/test`, 'POST', null, false);
+        if (delivery.status === 'DELIVERED') {
+            showNotification(`Test message sent to ${channel ? channel.name : 'channel'}`, 'success');
+        } else {
+            showNotification(`Test message failed: ${delivery.lastError || delivery.status}`, 'error', 8000);
+        }
+    } catch (error) {
+        showNotification('Failed to send test message: ' + error.message, 'error');
+    }
+    loadNotificationDeliveries();
+}
+
+async function editNotificationChannelSeverities(channelId) {
+    const channel = notificationChannels.find(item => item.id === channelId);
+    if (!channel) return;
+
+    const input = prompt('Severities to send (comma separated: LOW, MEDIUM, HIGH, CRITICAL):', channel.severities.join(', '));
+    if (input === null) return;
+
+    const severities = parseSeverityList(input);
+    if (severities.length === 0) {
+        showNotification('Pick at least one valid severity', 'error');
+        return;
+    }
+
+    try {
+        await apiCall(`/notifications/channels/${encodeURIComponent(channelId)}`, 'PATCH', { severities }, false);
+        showNotification('Channel updated', 'success');
+        loadNotificationChannels();
+    } catch (error) {
+        showNotification('Failed to update channel: ' + error.message, 'error');
+    }
+}
+
+async function toggleNotificationChannel(channelId) {
+    const channel = notificationChannels.find(item => item.id === channelId);
+    if (!channel) return;
+
+    try {
+        await apiCall(`/notifications/channels/${encodeURIComponent(channelId)}`, 'PATCH', { enabled: !channel.enabled }, false);
+        showNotification(`Channel ${channel.enabled ? 'disabled' : 'enabled'}`, 'success');
+        loadNotificationChannels();
+    } catch (error) {
+        showNotification('Failed to update channel: ' + error.message, 'error');
+    }
+}
+
+async function rotateNotificationSecret(channelId) {
+    if (!confirm('Generate a new signing secret? The receiver must be updated before the next alert.')) return;
+
+    try {
+        const channel = await apiCall(`/notifications/channels/${encodeURIComponent(channelId)}`, 'PATCH', { rotateSecret: true }, false);
+        showWebhookSecret(channel);
+        loadNotificationChannels();
+    } catch (error) {
+        showNotification('Failed to rotate secret: ' + error.message, 'error');
+    }
+}
+
+async function deleteNotificationChannel(channelId) {
+    const channel = notificationChannels.find(item => item.id === channelId);
+    if (!confirm(`Delete channel "${channel ? channel.name : channelId}" and its delivery log?`)) return;
+
+    try {
+        await apiCall(`/notifications/channels/${encodeURIComponent(channelId)}`, 'DELETE', null, false);
+        showNotification('Channel deleted', 'success');
+        loadNotifications();
+    } catch (error) {
+        showNotification('Failed to delete channel: ' + error.message, 'error');
+    }
+}
+
+// ============================================================================
+// BROADCAST FUNCTIONS
+// ============================================================================
+
+let broadcasts = [];
+let broadcastUsers = [];
+let editingBroadcastId = null;
+
+async function loadBroadcasts() {
+    const tbody = document.getElementById('broadcastsTableBody');
+    try {
+        const [data, usersData] = await Promise.all([apiCall('/broadcasts'), apiCall('/users')]);
+        broadcasts = data.broadcasts || [];
+        broadcastUsers = usersData.users || [];
+        renderBroadcasts();
+    } catch (error) {
+        tbody.innerHTML = `
+            <tr>
+                <td colspan="6" class="loading-row" style="color: #fca5a5;">
+                    <i class="fas fa-exclamation-triangle"></i> ${escapeHtml('Failed to load broadcasts: ' + error.message)}
+                </td>
+            </tr>
+        `;
+    }
+}
+
+function broadcastAudience(broadcast) {
+    const emails = broadcast.targetUserIds.map(id => {
+        const user = broadcastUsers.find(item => item.id === id);
+        return user ? user.email : id;
+    });
+    const audience = [...broadcast.targetRoles, ...emails];
+    return audience.length ? audience.join(', ') : 'Everyone';
+}
+
+function broadcastStatusBadge(broadcast) {
+    const now = Date.now();
+    if (new Date(broadcast.startsAt).getTime() > now) {
+        return '<span class="status-badge status-suspended">Scheduled</span>';
+    }
+    if (broadcast.endsAt && new Date(broadcast.endsAt).getTime() <= now) {
+        return '<span class="status-badge status-disabled">Ended</span>';
+    }
+    return '<span class="status-badge status-active">Live</span>';
+}
+
+function renderBroadcasts() {
+    const tbody = document.getElementById('broadcastsTableBody');
+    if (broadcasts.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="6" class="loading-row">No broadcasts yet</td></tr>';
+        return;
+    }
+
+    tbody.innerHTML = broadcasts.map(broadcast => {
+        const id = escapeHtml(JSON.stringify(broadcast.id));
+        return `
+        <tr>
+            <td>
+                <strong>${escapeHtml(broadcast.message)}</strong>
+                <p style="font-size: 0.75rem; color: rgba(255, 255, 255, 0.6); margin: 0.25rem 0 0 0;">${escapeHtml(broadcast.severity)}${broadcast.createdBy ? ' · by ' + escapeHtml(broadcast.createdBy.email) : ''}</p>
+            </td>
+            <td>${escapeHtml(broadcastAudience(broadcast))}</td>
+            <td style="white-space: nowrap; font-size: 0.875rem;">${formatDate(broadcast.startsAt)}<br>${broadcast.endsAt ? 'until ' + formatDate(broadcast.endsAt) : 'no end'}</td>
+            <td>${broadcastStatusBadge(broadcast)}</td>
+            <td>${broadcast._count.dismissals}</td>
+            <td>
+                <div style="display: flex; gap: 0.5rem; flex-wrap: wrap;">
+                    <button class="action-btn edit" onclick="showBroadcastModal(${id})">
+                        <i class="fas fa-edit"></i> Edit
+                    </button>
+                    <button class="action-btn delete" onclick="deleteBroadcast(${id})">
+                        <i class="fas fa-trash"></i> Delete
+                    </button>
+                </div>
+            </td>
+        </tr>
+        `;
+    }).join('');
+}
+
+// datetime-local inputs want local time without a zone
+function toDateTimeLocal(value) {
+    if (!value) return '';
+    const date = new Date(value);
+    return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+}
+
+function showBroadcastModal(broadcastId = null) {
+    const broadcast = broadcasts.find(item => item.id === broadcastId) || null;
+    editingBroadcastId = broadcast ? broadcast.id : null;
+
+    document.getElementById('broadcastModalTitle').innerHTML = `<i class="fas fa-bullhorn"></i> ${broadcast ? 'Edit' : 'New'} Broadcast`;
+    document.getElementById('broadcastMessage').value = broadcast ? broadcast.message : '';
+    document.getElementById('broadcastSeverity').value = broadcast ? broadcast.severity : 'INFO';
+    document.getElementById('broadcastStartsAt').value = broadcast ? toDateTimeLocal(broadcast.startsAt) : '';
+    document.getElementById('broadcastEndsAt').value = broadcast ? toDateTimeLocal(broadcast.endsAt) : '';
+    document.querySelectorAll('input[name="broadcastRole"]').forEach(box => {
+        box.checked = broadcast ? broadcast.targetRoles.includes(box.value) : false;
+    });
+    document.getElementById('broadcastUserEmails').value = broadcast
+        ? broadcast.targetUserIds.map(id => (broadcastUsers.find(user => user.id === id) || { email: id }).email).join(', ')
+        : '';
+    document.getElementById('broadcastModal').style.display = 'flex';
+}
+
+function closeBroadcastModal() {
+    document.getElementById('broadcastModal').style.display = 'none';
+    editingBroadcastId = null;
+}
+
+async function submitBroadcast() {
+    const startsAt = document.getElementById('broadcastStartsAt').value;
+    const endsAt = document.getElementById('broadcastEndsAt').value;
+    const emails = document.getElementById('broadcastUserEmails').value
+        .split(',')
+        .map(email => email.trim().toLowerCase())
+        .filter(Boolean);
+
+    const unknown = emails.filter(email => !broadcastUsers.some(user => user.email.toLowerCase() === email));
+    if (unknown.length) {
+        showNotification('Unknown users: ' + unknown.join(', '), 'error');
+        return;
+    }
+
+    const body = {
+        message: document.getElementById('broadcastMessage').value.trim(),
+        severity: document.getElementById('broadcastSeverity').value,
+        endsAt: endsAt ? new Date(endsAt).toISOString() : null,
+        targetRoles: Array.from(document.querySelectorAll('input[name="broadcastRole"]:checked')).map(box => box.value),
+        targetUserIds: emails.map(email => broadcastUsers.find(user => user.email.toLowerCase() === email).id),
+    };
+    // Empty start means right away for a new broadcast, and unchanged for an edit
+    if (startsAt) {
+        body.startsAt = new Date(startsAt).toISOString();
+    }
+
+    if (!body.message) {
+        showNotification('Enter a message', 'error');
+        return;
+    }
+
+    try {
+        if (editingBroadcastId) {
+            await apiCall(`/broadcasts/${encodeURIComponent(editingBroadcastId)}`, 'PATCH', body, false);
+            showNotification('Broadcast updated', 'success');
+        } else {
+            await apiCall('/broadcasts', 'POST', body, false);
+            showNotification('Broadcast created', 'success');
+        }
+        closeBroadcastModal();
+        loadBroadcasts();
+    } catch (error) {
+        showNotification('Failed to save broadcast: ' + error.message, 'error');
+    }
+}
+
+async function deleteBroadcast(broadcastId) {
+    if (!confirm('Delete this broadcast? Its banner disappears from clients on their next refresh.')) return;
+
+    try {
+        await apiCall(`/broadcasts/${encodeURIComponent(broadcastId)}`, 'DELETE', null, false);
+        showNotification('Broadcast deleted', 'success');
+        loadBroadcasts();
+    } catch (error) {
+        showNotification('Failed to delete broadcast: ' + error.message, 'error');
+    }
+}
+
+// ============================================================================
+// AUTO-REFRESH & POLLING
+// ============================================================================
+
+// Poll for new security alerts every 30 seconds
+setInterval(() => {
+    if (currentUser && authToken) {
+        loadSecurityAlerts();
+    }
+}, 30000);
+
+// Load security alerts initially when user logs in
+const originalShowAdminPanel = showAdminPanel;
+showAdminPanel = function() {
+    originalShowAdminPanel();
+    // Load data for new tabs
+    loadSecurityAlerts();
+    loadDashboardData();
+}
+
+// ============================================================================
 // BILLING MANAGEMENT
 // ============================================================================
 
@@ -1518,6 +2762,10 @@ function renderBillingTable() {
         } else {
             statusBadge = '<span class="status-badge status-inactive">No Cycle Set</span>';
         }
+
+        if (user.billing?.isPaymentPending) {
+            statusBadge += ` <span class="status-badge status-pending">$${parseFloat(user.billing.balanceDue).toFixed(2)} due</span>`;
+        }
         
         return `
             <tr>
@@ -1601,6 +2849,7 @@ function showAddPaymentModal() {
     document.getElementById('paymentUserEmail').value = '';
     document.getElementById('paymentBillingCycle').value = '';
     document.getElementById('paymentAmount').value = '';
+    document.getElementById('paymentAmountDue').value = '';
     document.getElementById('paymentMemo').value = '';
 }
 
@@ -1610,6 +2859,7 @@ function showAddPaymentModalForUser(userId, email) {
     document.getElementById('paymentUserEmail').setAttribute('data-user-id', userId);
     document.getElementById('paymentBillingCycle').value = '';
     document.getElementById('paymentAmount').value = '';
+    document.getElementById('paymentAmountDue').value = '';
     document.getElementById('paymentMemo').value = '';
 }
 
@@ -1622,12 +2872,19 @@ async function submitPayment() {
     const userId = document.getElementById('paymentUserEmail').getAttribute('data-user-id');
     const cycle = document.getElementById('paymentBillingCycle').value;
     const amount = parseFloat(document.getElementById('paymentAmount').value);
+    const amountDueInput = document.getElementById('paymentAmountDue').value;
+    const amountDue = amountDueInput ? parseFloat(amountDueInput) : null;
     const memo = document.getElementById('paymentMemo').value;
     
     if (!email || !cycle || !amount || amount <= 0) {
         showNotification('Please fill in all required fields', 'error');
         return;
     }
+
+    if (amountDue !== null && !(amountDue >= amount)) {
+        showNotification('Amount due cannot be less than the amount paid', 'error');
+        return;
+    }
     
     try {
         // Find user by email if userId not set
@@ -1642,13 +2899,16 @@ async function submitPayment() {
             targetUserId = user.id;
         }
         
-        await apiCall(`/billing/${targetUserId}/add-payment`, 'POST', {
+        const result = await apiCall(`/billing/${targetUserId}/add-payment`, 'POST', {
             cycle,
             amount,
+            amountDue,
             memo: memo || null,
         }, false);
         
-        showNotification('Payment added successfully', 'success');
+        showNotification(result.payment.status === 'PENDING'
+            ? `Partial payment recorded; $${(amountDue - amount).toFixed(2)} outstanding`
+            : 'Payment added successfully', 'success');
         closeAddPaymentModal();
         await loadBillingData();
     } catch (error) {
@@ -1770,17 +3030,44 @@ async function showPaymentHistory(userId) {
                         <th>Status</th>
                         <th>Period</th>
                         <th>Memo</th>
+                        <th>Receipt</th>
+                        <th>Actions</th>
                     </tr>
                 </thead>
                 <tbody>
                     ${payments.map(p => `
                         <tr>
                             <td>${formatDate(p.paymentDate)}</td>
-                            <td>$${parseFloat(p.amount).toFixed(2)}</td>
+                            <td>
+                                $${parseFloat(p.amount).toFixed(2)}${p.status === 'PENDING' ? ` of $${parseFloat(p.amountDue).toFixed(2)}` : ''}
+                                ${p.refundedAmount ? `<br><small style="color: var(--danger-color);">refunded $${parseFloat(p.refundedAmount).toFixed(2)}</small>` : ''}
+                            </td>
                             <td>${p.billingCycle.replace('_', ' ')}</td>
                             <td><span class="status-badge status-${p.status.toLowerCase()}">${p.status}</span></td>
                             <td>${formatDate(p.cycleStartDate)} - ${formatDate(p.cycleEndDate)}</td>
-                            <td>${p.memo || '-'}</td>
+                            <td>${escapeHtml(p.memo || '-')}${p.reversalReason ? `<br><small style="color: var(--text-muted);">${escapeHtml(p.reversalReason)}</small>` : ''}</td>
+                            <td>${p.invoice ? `
+                                <button class="action-btn edit" onclick="downloadInvoiceReceipt('${p.invoice.id}', '${p.invoice.number}')" title="Download receipt">
+                                    <i class="fas fa-file-invoice"></i> ${p.invoice.number}
+                                </button>
+                            ` : '-'}</td>
+                            <td>
+                                ${p.status === 'PENDING' ? `
+                                    <button class="action-btn toggle" onclick="addPaymentInstallment('${p.id}', '${userId}', ${parseFloat(p.amountDue) - parseFloat(p.amount)})">
+                                        <i class="fas fa-plus"></i> Installment
+                                    </button>
+                                ` : ''}
+                                ${p.status === 'PAID' ? `
+                                    <button class="action-btn password" onclick="refundPayment('${p.id}', '${userId}', ${parseFloat(p.amount)})">
+                                        <i class="fas fa-undo"></i> Refund
+                                    </button>
+                                ` : ''}
+                                ${p.status === 'PAID' || p.status === 'PENDING' ? `
+                                    <button class="action-btn delete" onclick="voidPayment('${p.id}', '${userId}')">
+                                        <i class="fas fa-ban"></i> Void
+                                    </button>
+                                ` : '-'}
+                            </td>
                         </tr>
                     `).join('')}
                 </tbody>
@@ -1791,6 +3078,85 @@ async function showPaymentHistory(userId) {
     }
 }
 
+async function downloadInvoiceReceipt(invoiceId, invoiceNumber) {
+    try {
+        const response = await fetch(`${API_BASE}/billing/invoices/${invoiceId}/receipt`, {
+            headers: { 'Authorization': `Bearer ${authToken}` }
+        });
+        if (!response.ok) {
+            const data = await response.json().catch(() => ({}));
+            throw new Error(data.message || 'Download failed');
+        }
+
+        const blob = await response.blob();
+        const url = window.URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `receipt-${invoiceNumber}.html`;
+        a.click();
+        window.URL.revokeObjectURL(url);
+    } catch (error) {
+        showNotification('Failed to download receipt: ' + error.message, 'error');
+    }
+}
+
+async function addPaymentInstallment(paymentId, userId, balance) {
+    const input = prompt(`Installment amount (outstanding: $${balance.toFixed(2)}):`, balance.toFixed(2));
+    if (input === null) return;
+
+    const amount = parseFloat(input);
+    if (!amount || amount <= 0) {
+        showNotification('Enter a positive amount', 'error');
+        return;
+    }
+
+    try {
+        const result = await apiCall(`/billing/payments/${paymentId}/installments`, 'POST', { amount }, false);
+        showNotification(result.invoice
+            ? `Paid in full; invoice ${result.invoice.number} issued`
+            : 'Installment recorded', 'success');
+        await showPaymentHistory(userId);
+        await loadBillingData();
+    } catch (error) {
+        showNotification('Failed to record installment: ' + error.message, 'error');
+    }
+}
+
+async function refundPayment(paymentId, userId, paidAmount) {
+    const input = prompt(`Refund amount (paid: $${paidAmount.toFixed(2)}). The unused part of the cycle this payment bought is taken back.`, paidAmount.toFixed(2));
+    if (input === null) return;
+
+    const amount = parseFloat(input);
+    if (!amount || amount <= 0) {
+        showNotification('Enter a positive amount', 'error');
+        return;
+    }
+    const reason = prompt('Reason for the refund (optional):');
+
+    try {
+        await apiCall(`/billing/payments/${paymentId}/refund`, 'POST', { amount, reason: reason || null }, false);
+        showNotification('Payment refunded', 'success');
+        await showPaymentHistory(userId);
+        await loadBillingData();
+    } catch (error) {
+        showNotification('Failed to refund payment: ' + error.message, 'error');
+    }
+}
+
+async function voidPayment(paymentId, userId) {
+    const reason = prompt('Void this payment? The whole cycle it bought is removed and its invoice is marked void.\n\nReason (optional):');
+    if (reason === null) return;
+
+    try {
+        await apiCall(`/billing/payments/${paymentId}/void`, 'POST', { reason: reason || null }, false);
+        showNotification('Payment voided', 'success');
+        await showPaymentHistory(userId);
+        await loadBillingData();
+    } catch (error) {
+        showNotification('Failed to void payment: ' + error.message, 'error');
+    }
+}
+
 function closePaymentHistoryModal() {
     document.getElementById('paymentHistoryModal').style.display = 'none';
 }
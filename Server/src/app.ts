@@ -0,0 +1,37 @@
+﻿import express from 'express';
+import helmet from 'helmet';
+import cors from 'cors';
+import morgan from 'morgan';
+import path from 'path';
+import apiRouter from './routes';
+import { errorHandler } from './middleware/errorHandler';
+import { logger } from './config/logger';
+import { env } from './config/env';
+
+export const app = express();
+
+// req.ip is the address the trusted proxies saw, not whatever the client put in X-Forwarded-For
+app.set('trust proxy', env.TRUST_PROXY_HOPS);
+
+// Temporarily disable helmet for admin panel development
+// app.use(helmet());
+app.use(cors());
+app.use(express.json({ limit: '2mb' }));
+app.use(express.urlencoded({ extended: true }));
+app.use(
+  morgan('combined', {
+    stream: {
+      write: (message) => logger.info(message.trim()),
+    },
+  })
+);
+
+// Serve static files from public directory
+app.use(express.static(path.join(__dirname, '../public')));
+
+app.get('/healthz', (_req, res) => {
+  res.json({ status: 'ok', timestamp: new Date().toISOString() });
+});
+
+app.use('/api/v1', apiRouter);
+app.use(errorHandler);
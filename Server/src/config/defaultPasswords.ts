@@ -0,0 +1,5 @@
+/**
+ * Passwords that were published with earlier versions of this project. Shared by the
+ * server's startup check and bootstrap-super-admin.js so both refuse the same list.
+ */
+export const PUBLISHED_DEFAULT_PASSWORDS: readonly string[] = ['ChangeMeSuperSecure123!'];
@@ -8,6 +8,9 @@ import { fileURLToPath } from 'url';
 const envPath = path.resolve(__dirname, '../../.env');
 config({ path: envPath });
 
+// Severity of the alert a login rule raises; OFF disables the rule
+const loginRuleSeverity = z.enum(['LOW', 'MEDIUM', 'HIGH', 'CRITICAL', 'OFF']);
+
 const envSchema = z.object({
   NODE_ENV: z.enum(['development', 'test', 'production']).default('development'),
   PORT: z.coerce.number().min(1).max(65535).default(4000),
@@ -17,11 +20,65 @@ const envSchema = z.object({
   JWT_ACCESS_EXPIRES_IN: z.string().default('15m'),
   JWT_REFRESH_EXPIRES_IN: z.string().default('7d'),
   BCRYPT_SALT_ROUNDS: z.coerce.number().min(4).max(15).default(12),
+  AUTH_RATE_LIMIT_WINDOW_SECONDS: z.coerce.number().int().min(1).default(60),
+  AUTH_RATE_LIMIT_PER_IP: z.coerce.number().int().min(1).default(30),
+  AUTH_RATE_LIMIT_PER_ACCOUNT: z.coerce.number().int().min(1).default(10),
+  // Reverse proxies in front of the app whose X-Forwarded-For entries are trusted (Nginx = 1)
+  TRUST_PROXY_HOPS: z.coerce.number().int().min(0).default(1),
+  LOGIN_LOCKOUT_THRESHOLD: z.coerce.number().int().min(1).default(5),
+  LOGIN_LOCKOUT_WINDOW_MINUTES: z.coerce.number().int().min(1).default(15),
+  LOGIN_LOCKOUT_DURATION_MINUTES: z.coerce.number().int().min(1).default(15),
+  SUPER_ADMIN_EMAIL: z
+    .string()
+    .optional()
+    .refine((value) => !value || z.string().email().safeParse(value).success, 'SUPER_ADMIN_EMAIL must be an email address'),
+  SUPER_ADMIN_PASSWORD: z.string().optional(),
+  PASSWORD_MIN_LENGTH: z.coerce.number().int().min(8).max(64).default(10),
+  PASSWORD_RESET_TOKEN_TTL_MINUTES: z.coerce.number().int().min(5).default(30),
+  TOTP_ISSUER: z.string().min(1).default('DAT Loadboard'),
+  TOTP_ENCRYPTION_KEY: z
+    .string()
+    .optional()
+    .refine((value) => !value || Buffer.from(value, 'base64').length === 32, 'TOTP_ENCRYPTION_KEY must be a 32-byte base64 encoded string'),
+  LOGIN_RULE_IMPOSSIBLE_TRAVEL_SEVERITY: loginRuleSeverity.default('HIGH'),
+  LOGIN_RULE_NEW_DEVICE_SEVERITY: loginRuleSeverity.default('MEDIUM'),
+  LOGIN_RULE_UNUSUAL_HOURS_SEVERITY: loginRuleSeverity.default('LOW'),
+  LOGIN_RULE_UNUSUAL_HOURS_MIN_LOGINS: z.coerce.number().int().min(1).default(10),
+  LOGIN_RULE_FAILURE_BURST_SEVERITY: loginRuleSeverity.default('HIGH'),
+  LOGIN_RULE_FAILURE_BURST_THRESHOLD: z.coerce.number().int().min(1).default(3),
   OBJECT_STORAGE_ENDPOINT: z.string().url().optional(),
   OBJECT_STORAGE_BUCKET: z.string().optional(),
   OBJECT_STORAGE_ACCESS_KEY: z.string().optional(),
   OBJECT_STORAGE_SECRET_KEY: z.string().optional(),
   OBJECT_STORAGE_REGION: z.string().optional(),
+  SESSION_BUNDLE_RETENTION: z.coerce.number().int().min(1).default(5),
+  SESSION_UPLOAD_TTL_MINUTES: z.coerce.number().int().min(1).default(60),
+  SESSION_ACTIVITY_RETENTION_DAYS: z.coerce.number().int().min(0).default(30),
+  SECURITY_ALERT_RETENTION_DAYS: z.coerce.number().int().min(0).default(90),
+  LOGIN_HISTORY_RETENTION_DAYS: z.coerce.number().int().min(0).default(180),
+  SESSION_LOG_RETENTION_DAYS: z.coerce.number().int().min(0).default(90),
+  BILLING_HISTORY_RETENTION_DAYS: z.coerce.number().int().min(0).default(730),
+  BILLING_EXPIRY_WARNING_HOURS: z.coerce.number().int().min(0).default(48),
+  CLIENT_EVENT_POLL_INTERVAL_MS: z.coerce.number().int().min(100).default(2000),
+  INVOICE_ISSUER_NAME: z.string().min(1).default('Digital Storming Loadboard'),
+  INVOICE_ISSUER_ADDRESS: z.string().optional(),
+  INVOICE_CURRENCY: z.string().regex(/^[A-Z]{3}$/, 'INVOICE_CURRENCY must be a three-letter ISO 4217 code').default('USD'),
+  GEOLOCATION_PROVIDER: z.enum(['maxmind', 'http', 'none']).default('maxmind'),
+  GEOLOCATION_DB_PATH: z.string().optional(),
+  GEOLOCATION_CACHE_SIZE: z.coerce.number().int().min(0).default(10000),
+  GEOLOCATION_CACHE_TTL_MINUTES: z.coerce.number().int().min(1).default(360),
+  SMTP_HOST: z.string().optional(),
+  SMTP_PORT: z.coerce.number().int().min(1).max(65535).default(587),
+  SMTP_SECURE: z.enum(['true', 'false']).default('false').transform((value) => value === 'true'),
+  // Refuse to send when the server does not offer STARTTLS; a missing offer may have been stripped in transit
+  SMTP_REQUIRE_TLS: z.enum(['true', 'false']).default('true').transform((value) => value === 'true'),
+  SMTP_USER: z.string().optional(),
+  SMTP_PASSWORD: z.string().optional(),
+  SMTP_FROM: z.string().optional(),
+  NOTIFICATION_MAX_ATTEMPTS: z.coerce.number().int().min(1).default(5),
+  NOTIFICATION_RETRY_BASE_SECONDS: z.coerce.number().int().min(1).default(60),
+  NOTIFICATION_TIMEOUT_SECONDS: z.coerce.number().int().min(1).default(10),
+  NOTIFICATION_DELIVERY_RETENTION_DAYS: z.coerce.number().int().min(0).default(30),
   DEFAULT_PROXY_ROTATION_INTERVAL_MINUTES: z.coerce.number().min(1).default(15),
   SEEDER_PLAYWRIGHT_WS_ENDPOINT: z.string().optional(),
   API_BASE_URL: z.string().url().optional(),
@@ -29,6 +86,15 @@ const envSchema = z.object({
   DAT_MASTER_USERNAME: z.string().optional(),
   DAT_MASTER_PASSWORD: z.string().optional(),
   SESSION_BUNDLE_ENCRYPTION_KEY: z.string().optional(),
+}).superRefine((value, ctx) => {
+  // The first super admin is only created from a complete pair
+  if (Boolean(value.SUPER_ADMIN_EMAIL) !== Boolean(value.SUPER_ADMIN_PASSWORD)) {
+    ctx.addIssue({
+      code: z.ZodIssueCode.custom,
+      path: [value.SUPER_ADMIN_EMAIL ? 'SUPER_ADMIN_PASSWORD' : 'SUPER_ADMIN_EMAIL'],
+      message: 'SUPER_ADMIN_EMAIL and SUPER_ADMIN_PASSWORD must be set together',
+    });
+  }
 });
 
 const parsed = envSchema.safeParse(process.env);
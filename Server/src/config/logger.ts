@@ -2,12 +2,13 @@ import pino, { LoggerOptions } from 'pino';
 import { env } from './env';
 
 const isDev = env.NODE_ENV !== 'production';
+const isTest = env.NODE_ENV === 'test';
 
 const baseOptions: LoggerOptions = {
-  level: isDev ? 'debug' : 'info',
+  level: isTest ? 'silent' : isDev ? 'debug' : 'info',
 };
 
-const options: LoggerOptions = isDev
+const options: LoggerOptions = isDev && !isTest
   ? {
       ...baseOptions,
       transport: {
@@ -0,0 +1,22 @@
+import { env } from './env';
+import type { SmtpConfig } from '../utils/smtpClient';
+
+/**
+ * SMTP settings for outgoing email, or null when SMTP_HOST / SMTP_FROM are not set
+ */
+export function getSmtpConfig(): SmtpConfig | null {
+  if (!env.SMTP_HOST || !env.SMTP_FROM) {
+    return null;
+  }
+
+  return {
+    host: env.SMTP_HOST,
+    port: env.SMTP_PORT,
+    secure: env.SMTP_SECURE,
+    requireTls: env.SMTP_REQUIRE_TLS,
+    user: env.SMTP_USER || undefined,
+    password: env.SMTP_PASSWORD || undefined,
+    from: env.SMTP_FROM,
+    timeoutMs: env.NOTIFICATION_TIMEOUT_SECONDS * 1000,
+  };
+}
@@ -0,0 +1,103 @@
+import type { UserRole } from '@prisma/client';
+
+/**
+ * Central permission matrix. Route guards and user-management checks read
+ * from here so a role's scope is defined in exactly one place.
+ */
+
+export type Permission =
+  | 'users:read'
+  | 'users:write'
+  | 'sessions:read'
+  | 'sessions:write'
+  | 'domains:read'
+  | 'domains:write'
+  | 'billing:read'
+  | 'billing:write'
+  | 'loginHistory:read'
+  | 'sessionActivity:read'
+  | 'sessionActivity:write'
+  | 'securityAlerts:read'
+  | 'securityAlerts:write'
+  | 'audit:read'
+  | 'maintenance:read'
+  | 'maintenance:write'
+  | 'notifications:read'
+  | 'notifications:write'
+  | 'broadcasts:read'
+  | 'broadcasts:write';
+
+const ADMIN_PERMISSIONS: readonly Permission[] = [
+  'users:read',
+  'users:write',
+  'sessions:read',
+  'sessions:write',
+  'domains:read',
+  'domains:write',
+  'billing:read',
+  'billing:write',
+  'loginHistory:read',
+  'sessionActivity:read',
+  'sessionActivity:write',
+  'securityAlerts:read',
+  'securityAlerts:write',
+  'audit:read',
+  'maintenance:read',
+  'maintenance:write',
+  'notifications:read',
+  'notifications:write',
+  'broadcasts:read',
+  'broadcasts:write',
+];
+
+export const ROLE_PERMISSIONS: Record<UserRole, readonly Permission[]> = {
+  SUPER_ADMIN: ADMIN_PERMISSIONS,
+  ADMIN: ADMIN_PERMISSIONS,
+  // Support staff can look things up to help customers but never change them
+  SUPPORT: ['users:read', 'sessions:read', 'domains:read', 'billing:read', 'loginHistory:read', 'sessionActivity:read'],
+  USER: [],
+};
+
+// Roles that must sign in with a second factor; everyone else may opt in
+export const TOTP_REQUIRED_ROLES: readonly UserRole[] = ['SUPER_ADMIN', 'ADMIN'];
+
+export function requiresTotp(role: UserRole): boolean {
+  return TOTP_REQUIRED_ROLES.includes(role);
+}
+
+export function hasPermission(role: UserRole, permission: Permission): boolean {
+  return ROLE_PERMISSIONS[role].includes(permission);
+}
+
+export function rolesWithPermission(permission: Permission): UserRole[] {
+  return (Object.keys(ROLE_PERMISSIONS) as UserRole[]).filter((role) => hasPermission(role, permission));
+}
+
+export type UserManagementAction = 'create' | 'modify' | 'disable' | 'delete';
+
+const ALL_ROLES: readonly UserRole[] = ['SUPER_ADMIN', 'ADMIN', 'SUPPORT', 'USER'];
+const STAFF_MANAGED_ROLES: readonly UserRole[] = ['SUPPORT', 'USER'];
+
+/**
+ * Which target roles each actor role may create, modify, disable or delete.
+ * For role changes the actor needs `modify` on both the current and the new role.
+ */
+export const USER_MANAGEMENT_MATRIX: Record<UserRole, Record<UserManagementAction, readonly UserRole[]>> = {
+  SUPER_ADMIN: { create: ALL_ROLES, modify: ALL_ROLES, disable: ALL_ROLES, delete: ALL_ROLES },
+  ADMIN: {
+    create: STAFF_MANAGED_ROLES,
+    modify: STAFF_MANAGED_ROLES,
+    disable: STAFF_MANAGED_ROLES,
+    delete: STAFF_MANAGED_ROLES,
+  },
+  SUPPORT: { create: [], modify: [], disable: [], delete: [] },
+  USER: { create: [], modify: [], disable: [], delete: [] },
+};
+
+export function canManageRole(actorRole: UserRole, action: UserManagementAction, targetRole: UserRole): boolean {
+  return USER_MANAGEMENT_MATRIX[actorRole][action].includes(targetRole);
+}
+
+export function manageableRoles(actorRole: UserRole, action: UserManagementAction): UserRole[] {
+  return [...USER_MANAGEMENT_MATRIX[actorRole][action]];
+}
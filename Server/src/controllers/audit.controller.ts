@@ -1,7 +1,74 @@
-﻿import { asyncHandler } from '../middleware/asyncHandler';
-import { listAuditLogs } from '../services/audit.service';
+﻿import { z } from 'zod';
+import { asyncHandler } from '../middleware/asyncHandler';
+import { AppError } from '../utils/appError';
+import type { AuthenticatedRequest } from '../middleware/auth';
+import {
+  auditLogsToCsv,
+  exportAuditLogs,
+  getAuditLogFilterOptions,
+  listAuditLogs,
+  recordAuditLog,
+} from '../services/audit.service';
 
-export const listAuditLogsHandler = asyncHandler(async (_req, res) => {
-  const logs = await listAuditLogs();
-  return res.status(200).json(logs);
+const auditFilterSchema = z.object({
+  actorId: z.string().min(1).optional(),
+  actorEmail: z.string().min(1).optional(),
+  action: z.string().min(1).optional(),
+  targetType: z.string().min(1).optional(),
+  targetId: z.string().min(1).optional(),
+  from: z.coerce.date().optional(),
+  to: z.coerce.date().optional(),
+});
+
+const auditListQuerySchema = auditFilterSchema.extend({
+  cursor: z.string().min(1).optional(),
+  limit: z.coerce.number().int().min(1).max(500).optional(),
+});
+
+const auditExportQuerySchema = auditFilterSchema.extend({
+  format: z.enum(['csv', 'json']).default('csv'),
+});
+
+function parseQuery<T extends z.ZodTypeAny>(schema: T, query: unknown): z.infer<T> {
+  const parsed = schema.safeParse(query);
+  if (!parsed.success) {
+    throw new AppError('Invalid audit log query', 400, parsed.error.flatten().fieldErrors);
+  }
+  return parsed.data;
+}
+
+export const listAuditLogsHandler = asyncHandler(async (req, res) => {
+  const query = parseQuery(auditListQuerySchema, req.query);
+  const result = await listAuditLogs(query);
+  return res.status(200).json(result);
+});
+
+export const exportAuditLogsHandler = asyncHandler(async (req: AuthenticatedRequest, res) => {
+  const { format, ...filters } = parseQuery(auditExportQuerySchema, req.query);
+  const logs = await exportAuditLogs(filters);
+  await recordAuditLog({
+    actorId: req.user?.id,
+    action: 'AUDIT_LOG_EXPORTED',
+    targetType: 'SYSTEM',
+    metadata: {
+      format,
+      filters: { ...filters, from: filters.from?.toISOString(), to: filters.to?.toISOString() },
+      rowCount: logs.length,
+    },
+  });
+  const filename = `audit-trail-${new Date().toISOString().split('T')[0]}.${format}`;
+
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+  if (format === 'json') {
+    return res.status(200).json(logs);
+  }
+
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  return res.status(200).send(auditLogsToCsv(logs));
+});
+
+export const getAuditLogFiltersHandler = asyncHandler(async (_req, res) => {
+  const options = await getAuditLogFilterOptions();
+  return res.status(200).json(options);
 });
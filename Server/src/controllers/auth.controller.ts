@@ -1,9 +1,21 @@
 ﻿import type { Response } from 'express';
 import { z } from 'zod';
 import { asyncHandler } from '../middleware/asyncHandler';
-import { login, refreshTokens } from '../services/auth.service';
+import { login, logout, refreshTokens, verifyMfaLogin, type AuthTokens } from '../services/auth.service';
+import { changePassword, requestPasswordReset, resetPassword } from '../services/password.service';
+import {
+  beginTotpEnrollment,
+  disableTotp,
+  enableTotp,
+  getTotpStatus,
+  regenerateRecoveryCodes,
+} from '../services/totp.service';
+import { requiresTotp } from '../config/permissions';
+import type { User } from '@prisma/client';
 import type { AuthenticatedRequest } from '../middleware/auth';
 import { prisma } from '../db/client';
+import { getClientIp } from '../utils/clientIp';
+import { AppError } from '../utils/appError';
 
 const loginSchema = z.object({
   email: z.string().email(),
@@ -12,30 +24,84 @@ const loginSchema = z.object({
   deviceMetadata: z.any().optional(),
 });
 
+const mfaLoginSchema = z.object({
+  mfaToken: z.string().min(10),
+  code: z.string().trim().min(6).max(20),
+  macAddress: z.string().optional(),
+  deviceMetadata: z.any().optional(),
+});
+
+const mfaCodeSchema = z.object({
+  code: z.string().trim().min(6).max(20),
+});
+
+const mfaDisableSchema = z.object({
+  password: z.string().min(1),
+  code: z.string().trim().min(6).max(20),
+});
+
 const refreshSchema = z.object({
   refreshToken: z.string().min(10),
 });
 
+// The policy itself (length, character mix, email) is applied by the password service
+const changePasswordSchema = z.object({
+  currentPassword: z.string().min(1),
+  newPassword: z.string().min(1),
+});
+
+const passwordResetRequestSchema = z.object({
+  email: z.string().email(),
+});
+
+const passwordResetConfirmSchema = z.object({
+  token: z.string().trim().min(10),
+  password: z.string().min(1),
+});
+
 export const loginHandler = asyncHandler(async (req, res) => {
   const { email, password, macAddress, deviceMetadata } = loginSchema.parse(req.body);
   
   // Extract IP address from request
-  const ipAddress = (req.headers['x-forwarded-for'] as string)?.split(',')[0]?.trim() ||
-                     req.ip ||
-                     req.socket.remoteAddress;
+  const ipAddress = getClientIp(req);
   
   // Extract User-Agent
   const userAgent = req.headers['user-agent'];
   
   // Call login with metadata
-  const { user, tokens } = await login(email, password, {
+  const result = await login(email, password, {
     ipAddress,
     userAgent,
     macAddress,
     deviceMetadata,
   });
 
-  return res.status(200).json({
+  if (result.mfaRequired) {
+    return res.status(200).json({ mfaRequired: true, mfaToken: result.mfaToken });
+  }
+
+  return res.status(200).json(loginResponse(result.user, result.tokens));
+});
+
+export const mfaLoginHandler = asyncHandler(async (req, res) => {
+  const parsed = mfaLoginSchema.safeParse(req.body ?? {});
+  if (!parsed.success) {
+    throw new AppError('Invalid two-factor payload', 400, parsed.error.flatten().fieldErrors);
+  }
+
+  const { mfaToken, code, macAddress, deviceMetadata } = parsed.data;
+  const { user, tokens } = await verifyMfaLogin(mfaToken, code, {
+    ipAddress: getClientIp(req),
+    userAgent: req.headers['user-agent'],
+    macAddress,
+    deviceMetadata,
+  });
+
+  return res.status(200).json(loginResponse(user, tokens));
+});
+
+function loginResponse(user: User, tokens: AuthTokens) {
+  return {
     user: {
       id: user.id,
       email: user.email,
@@ -46,8 +112,10 @@ export const loginHandler = asyncHandler(async (req, res) => {
       accessToken: tokens.accessToken,
       refreshToken: tokens.refreshToken,
     },
-  });
-});
+    // Admin roles must enroll before any other endpoint accepts their token
+    mfaEnrollmentRequired: requiresTotp(user.role) && !user.totpEnabledAt,
+  };
+}
 
 export const refreshHandler = asyncHandler(async (req, res) => {
   const { refreshToken } = refreshSchema.parse(req.body);
@@ -55,6 +123,16 @@ export const refreshHandler = asyncHandler(async (req, res) => {
   return res.status(200).json(tokens);
 });
 
+export const logoutHandler = asyncHandler(async (req: AuthenticatedRequest, res: Response) => {
+  const accessToken = req.headers.authorization?.split(' ')[1];
+  if (!req.user?.id || !accessToken) {
+    return res.status(401).json({ message: 'User not authenticated' });
+  }
+
+  await logout(req.user.id, accessToken);
+  return res.status(204).send();
+});
+
 export const meHandler = asyncHandler(async (req: AuthenticatedRequest, res: Response) => {
   if (!req.user?.id) {
     return res.status(401).json({ message: 'User not authenticated' });
@@ -68,6 +146,7 @@ export const meHandler = asyncHandler(async (req: AuthenticatedRequest, res: Res
       role: true,
       status: true,
       lastLoginAt: true,
+      totpEnabledAt: true,
       createdAt: true,
     },
   });
@@ -76,7 +155,12 @@ export const meHandler = asyncHandler(async (req: AuthenticatedRequest, res: Res
     return res.status(404).json({ message: 'User not found' });
   }
 
-  return res.status(200).json(user);
+  const { totpEnabledAt, ...profile } = user;
+  return res.status(200).json({
+    ...profile,
+    mfaEnabled: Boolean(totpEnabledAt),
+    mfaRequired: requiresTotp(user.role),
+  });
 });
 
 export const sessionStatusHandler = asyncHandler(async (req: AuthenticatedRequest, res: Response) => {
@@ -87,3 +171,101 @@ export const sessionStatusHandler = asyncHandler(async (req: AuthenticatedReques
     userId: req.user?.id,
   });
 });
+
+export const changePasswordHandler = asyncHandler(async (req: AuthenticatedRequest, res: Response) => {
+  const accessToken = req.headers.authorization?.split(' ')[1];
+  if (!req.user?.id || !accessToken) {
+    return res.status(401).json({ message: 'User not authenticated' });
+  }
+
+  const parsed = changePasswordSchema.safeParse(req.body ?? {});
+  if (!parsed.success) {
+    throw new AppError('Invalid password change payload', 400, parsed.error.flatten().fieldErrors);
+  }
+
+  const { sessionsEnded } = await changePassword({ userId: req.user.id, accessToken, ...parsed.data });
+  res.locals.auditMetadata = { sessionsEnded };
+
+  return res.status(200).json({
+    message: 'Password changed successfully',
+    sessionsEnded,
+  });
+});
+
+export const passwordResetRequestHandler = asyncHandler(async (req, res) => {
+  const parsed = passwordResetRequestSchema.safeParse(req.body ?? {});
+  if (!parsed.success) {
+    throw new AppError('Invalid password reset request', 400, parsed.error.flatten().fieldErrors);
+  }
+
+  await requestPasswordReset(parsed.data.email, getClientIp(req));
+
+  // Same answer whether or not the account exists
+  return res.status(202).json({
+    message: 'If an active account exists for that email, a reset code has been sent to it.',
+  });
+});
+
+export const passwordResetConfirmHandler = asyncHandler(async (req, res) => {
+  const parsed = passwordResetConfirmSchema.safeParse(req.body ?? {});
+  if (!parsed.success) {
+    throw new AppError('Invalid password reset payload', 400, parsed.error.flatten().fieldErrors);
+  }
+
+  await resetPassword(parsed.data.token, parsed.data.password, getClientIp(req));
+  return res.status(200).json({ message: 'Password has been reset. Please log in with your new password.' });
+});
+
+function requireUserId(req: AuthenticatedRequest): string {
+  if (!req.user?.id) {
+    throw new AppError('User not authenticated', 401);
+  }
+  return req.user.id;
+}
+
+export const mfaStatusHandler = asyncHandler(async (req: AuthenticatedRequest, res: Response) => {
+  return res.status(200).json(await getTotpStatus(requireUserId(req)));
+});
+
+export const mfaSetupHandler = asyncHandler(async (req: AuthenticatedRequest, res: Response) => {
+  return res.status(200).json(await beginTotpEnrollment(requireUserId(req)));
+});
+
+export const mfaEnableHandler = asyncHandler(async (req: AuthenticatedRequest, res: Response) => {
+  const userId = requireUserId(req);
+  const parsed = mfaCodeSchema.safeParse(req.body ?? {});
+  if (!parsed.success) {
+    throw new AppError('Invalid two-factor payload', 400, parsed.error.flatten().fieldErrors);
+  }
+
+  const { recoveryCodes } = await enableTotp(userId, parsed.data.code);
+  return res.status(200).json({
+    message: 'Two-factor authentication enabled. Store these recovery codes somewhere safe; they are shown only once.',
+    recoveryCodes,
+  });
+});
+
+export const mfaRecoveryCodesHandler = asyncHandler(async (req: AuthenticatedRequest, res: Response) => {
+  const userId = requireUserId(req);
+  const parsed = mfaCodeSchema.safeParse(req.body ?? {});
+  if (!parsed.success) {
+    throw new AppError('Invalid two-factor payload', 400, parsed.error.flatten().fieldErrors);
+  }
+
+  const { recoveryCodes } = await regenerateRecoveryCodes(userId, parsed.data.code);
+  return res.status(200).json({
+    message: 'New recovery codes generated. The previous codes no longer work.',
+    recoveryCodes,
+  });
+});
+
+export const mfaDisableHandler = asyncHandler(async (req: AuthenticatedRequest, res: Response) => {
+  const userId = requireUserId(req);
+  const parsed = mfaDisableSchema.safeParse(req.body ?? {});
+  if (!parsed.success) {
+    throw new AppError('Invalid two-factor payload', 400, parsed.error.flatten().fieldErrors);
+  }
+
+  await disableTotp(userId, parsed.data.password, parsed.data.code);
+  return res.status(200).json({ message: 'Two-factor authentication disabled' });
+});
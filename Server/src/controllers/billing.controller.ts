@@ -1,16 +1,24 @@
 import { z } from 'zod';
+import type { Response } from 'express';
+import type { Invoice } from '@prisma/client';
 import { asyncHandler } from '../middleware/asyncHandler';
 import {
   startBillingCycle,
   addPayment,
+  addPaymentInstallment,
+  refundPayment,
+  voidPayment,
   setTrialPeriod,
   getUserBillingStatus,
   getPaymentHistory,
   getBillingHistory,
   checkAndDisableExpiredAccounts,
   getExpiredAccounts,
+  serializeBillingUser,
+  getPaymentOwnerId,
 } from '../services/billing.service';
-import { recordAuditLog } from '../services/audit.service';
+import { assertCanManageUser } from '../services/user.service';
+import { getInvoice, listUserInvoices, renderInvoiceHtml } from '../services/invoice.service';
 import type { AuthenticatedRequest } from '../middleware/auth';
 import { AppError } from '../utils/appError';
 
@@ -22,33 +30,53 @@ const startCycleSchema = z.object({
 const addPaymentSchema = z.object({
   cycle: z.enum(['DAILY', 'WEEKLY', 'MONTHLY', 'THREE_MONTHS', 'HALF_YEAR', 'YEARLY']),
   amount: z.number().positive(),
+  // Full price when this is the first installment of a partial payment
+  amountDue: z.number().positive().optional().nullable(),
   memo: z.string().optional().nullable(),
 });
 
+const installmentSchema = z.object({
+  amount: z.number().positive(),
+  memo: z.string().optional().nullable(),
+});
+
+const refundSchema = z.object({
+  // Defaults to the full amount paid
+  amount: z.number().positive().optional().nullable(),
+  reason: z.string().max(500).optional().nullable(),
+});
+
+const voidSchema = z.object({
+  reason: z.string().max(500).optional().nullable(),
+});
+
 const setTrialSchema = z.object({
   hours: z.number().int().positive(),
 });
 
+/**
+ * Changing someone's billing changes their account, so it follows the user management matrix
+ */
+async function assertCanManageBilling(req: AuthenticatedRequest, userId: string) {
+  if (!req.user) {
+    throw new AppError('Authentication token missing', 401);
+  }
+  await assertCanManageUser(req.user, userId, {});
+}
+
 export const startBillingCycleHandler = asyncHandler(async (req: AuthenticatedRequest, res) => {
   const { userId } = req.params;
   if (!userId) {
     throw new AppError('User ID is required', 400);
   }
 
+  await assertCanManageBilling(req, userId);
   const payload = startCycleSchema.parse(req.body);
   const startDate = payload.startDate ? new Date(payload.startDate) : undefined;
   
   const user = await startBillingCycle(userId, payload.cycle, startDate);
-  
-  await recordAuditLog({
-    actorId: req.user?.id,
-    action: 'BILLING_CYCLE_STARTED',
-    targetType: 'USER',
-    targetId: userId,
-    metadata: { cycle: payload.cycle, startDate: user.billingCycleStartDate },
-  });
 
-  return res.status(200).json({ user });
+  return res.status(200).json({ user: serializeBillingUser(user) });
 });
 
 export const addPaymentHandler = asyncHandler(async (req: AuthenticatedRequest, res) => {
@@ -57,22 +85,65 @@ export const addPaymentHandler = asyncHandler(async (req: AuthenticatedRequest,
     throw new AppError('User ID is required', 400);
   }
 
+  await assertCanManageBilling(req, userId);
   const payload = addPaymentSchema.parse(req.body);
-  const result = await addPayment(userId, payload.cycle, payload.amount, payload.memo || null, req.user?.id || null);
+  const result = await addPayment(
+    userId,
+    payload.cycle,
+    payload.amount,
+    payload.memo || null,
+    req.user?.id || null,
+    payload.amountDue ?? null
+  );
   
-  await recordAuditLog({
-    actorId: req.user?.id,
-    action: 'PAYMENT_ADDED',
-    targetType: 'USER',
-    targetId: userId,
-    metadata: { 
-      amount: payload.amount, 
-      cycle: payload.cycle,
-      paymentId: result.payment.id,
-    },
-  });
+  res.locals.auditMetadata = { paymentId: result.payment.id, invoiceNumber: result.invoice?.number ?? null };
+
+  return res.status(200).json({ payment: result.payment, invoice: result.invoice, user: serializeBillingUser(result.user) });
+});
+
+export const addPaymentInstallmentHandler = asyncHandler(async (req: AuthenticatedRequest, res) => {
+  const { paymentId } = req.params;
+  if (!paymentId) {
+    throw new AppError('Payment ID is required', 400);
+  }
+
+  await assertCanManageBilling(req, await getPaymentOwnerId(paymentId));
+  const payload = installmentSchema.parse(req.body);
+  const result = await addPaymentInstallment(paymentId, payload.amount, payload.memo || null, req.user?.id || null);
+
+  res.locals.auditMetadata = { userId: result.payment.userId, status: result.payment.status, invoiceNumber: result.invoice?.number ?? null };
+
+  return res.status(200).json({ ...result, user: serializeBillingUser(result.user) });
+});
+
+export const refundPaymentHandler = asyncHandler(async (req: AuthenticatedRequest, res) => {
+  const { paymentId } = req.params;
+  if (!paymentId) {
+    throw new AppError('Payment ID is required', 400);
+  }
 
-  return res.status(200).json({ payment: result.payment, user: result.user });
+  await assertCanManageBilling(req, await getPaymentOwnerId(paymentId));
+  const payload = refundSchema.parse(req.body ?? {});
+  const result = await refundPayment(paymentId, payload.amount ?? null, payload.reason || null, req.user?.id || null);
+
+  res.locals.auditMetadata = { userId: result.payment.userId, refundedAmount: result.payment.refundedAmount?.toString() };
+
+  return res.status(200).json({ ...result, user: serializeBillingUser(result.user) });
+});
+
+export const voidPaymentHandler = asyncHandler(async (req: AuthenticatedRequest, res) => {
+  const { paymentId } = req.params;
+  if (!paymentId) {
+    throw new AppError('Payment ID is required', 400);
+  }
+
+  await assertCanManageBilling(req, await getPaymentOwnerId(paymentId));
+  const payload = voidSchema.parse(req.body ?? {});
+  const result = await voidPayment(paymentId, payload.reason || null, req.user?.id || null);
+
+  res.locals.auditMetadata = { userId: result.payment.userId };
+
+  return res.status(200).json({ ...result, user: serializeBillingUser(result.user) });
 });
 
 export const getUserBillingStatusHandler = asyncHandler(async (req, res) => {
@@ -111,18 +182,11 @@ export const setTrialPeriodHandler = asyncHandler(async (req: AuthenticatedReque
     throw new AppError('User ID is required', 400);
   }
 
+  await assertCanManageBilling(req, userId);
   const payload = setTrialSchema.parse(req.body);
   const user = await setTrialPeriod(userId, payload.hours);
-  
-  await recordAuditLog({
-    actorId: req.user?.id,
-    action: 'TRIAL_PERIOD_SET',
-    targetType: 'USER',
-    targetId: userId,
-    metadata: { hours: payload.hours },
-  });
 
-  return res.status(200).json({ user });
+  return res.status(200).json({ user: serializeBillingUser(user) });
 });
 
 export const getExpiredAccountsHandler = asyncHandler(async (req, res) => {
@@ -133,12 +197,7 @@ export const getExpiredAccountsHandler = asyncHandler(async (req, res) => {
 export const checkExpiredAccountsHandler = asyncHandler(async (req: AuthenticatedRequest, res) => {
   const result = await checkAndDisableExpiredAccounts();
   
-  await recordAuditLog({
-    actorId: req.user?.id,
-    action: 'EXPIRED_ACCOUNTS_CHECKED',
-    targetType: 'SYSTEM',
-    metadata: { disabled: result.disabled, expiredUsers: result.expiredUsers },
-  });
+  res.locals.auditMetadata = { disabled: result.disabled, expiredUsers: result.expiredUsers };
 
   return res.status(200).json(result);
 });
@@ -152,3 +211,40 @@ export const getMyBillingStatusHandler = asyncHandler(async (req: AuthenticatedR
   return res.status(200).json(status);
 });
 
+export const getMyInvoicesHandler = asyncHandler(async (req: AuthenticatedRequest, res) => {
+  if (!req.user?.id) {
+    throw new AppError('User not authenticated', 401);
+  }
+
+  const invoices = await listUserInvoices(req.user.id);
+  return res.status(200).json({ invoices });
+});
+
+function sendInvoiceReceipt(res: Response, invoice: Invoice) {
+  res.setHeader('Content-Type', 'text/html; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="receipt-${invoice.number}.html"`);
+  return res.status(200).send(renderInvoiceHtml(invoice));
+}
+
+export const getMyInvoiceReceiptHandler = asyncHandler(async (req: AuthenticatedRequest, res) => {
+  if (!req.user?.id) {
+    throw new AppError('User not authenticated', 401);
+  }
+  const { invoiceId } = req.params;
+  if (!invoiceId) {
+    throw new AppError('Invoice ID is required', 400);
+  }
+
+  const invoice = await getInvoice(invoiceId, req.user.id);
+  return sendInvoiceReceipt(res, invoice);
+});
+
+export const getInvoiceReceiptHandler = asyncHandler(async (req, res) => {
+  const { invoiceId } = req.params;
+  if (!invoiceId) {
+    throw new AppError('Invoice ID is required', 400);
+  }
+
+  const invoice = await getInvoice(invoiceId);
+  return sendInvoiceReceipt(res, invoice);
+});
@@ -0,0 +1,81 @@
+import { z } from 'zod';
+import { asyncHandler } from '../middleware/asyncHandler';
+import { AppError } from '../utils/appError';
+import type { AuthenticatedRequest } from '../middleware/auth';
+import {
+  createBroadcast,
+  deleteBroadcast,
+  dismissBroadcast,
+  listActiveBroadcasts,
+  listBroadcasts,
+  updateBroadcast,
+} from '../services/broadcast.service';
+
+const broadcastFields = {
+  message: z.string().trim().min(1).max(1000),
+  severity: z.enum(['INFO', 'WARNING', 'CRITICAL']),
+  startsAt: z.coerce.date(),
+  endsAt: z.coerce.date().nullable(),
+  // Everyone when both are empty
+  targetRoles: z.array(z.enum(['SUPER_ADMIN', 'ADMIN', 'SUPPORT', 'USER'])),
+  targetUserIds: z.array(z.string().min(1)).max(500),
+};
+
+const createBroadcastSchema = z.object(broadcastFields).partial().extend({ message: broadcastFields.message });
+
+const updateBroadcastSchema = z.object(broadcastFields).partial();
+
+function requireBroadcastId(req: AuthenticatedRequest): string {
+  const { id } = req.params;
+  if (!id) {
+    throw new AppError('Broadcast ID is required', 400);
+  }
+  return id;
+}
+
+function requireUser(req: AuthenticatedRequest) {
+  if (!req.user) {
+    throw new AppError('User not authenticated', 401);
+  }
+  return req.user;
+}
+
+export const listBroadcastsHandler = asyncHandler(async (_req: AuthenticatedRequest, res) => {
+  const broadcasts = await listBroadcasts();
+  return res.status(200).json({ broadcasts });
+});
+
+export const createBroadcastHandler = asyncHandler(async (req: AuthenticatedRequest, res) => {
+  const parsed = createBroadcastSchema.safeParse(req.body);
+  if (!parsed.success) {
+    throw new AppError('Invalid broadcast', 400, parsed.error.flatten().fieldErrors);
+  }
+
+  const broadcast = await createBroadcast(parsed.data, req.user?.id);
+  return res.status(201).json(broadcast);
+});
+
+export const updateBroadcastHandler = asyncHandler(async (req: AuthenticatedRequest, res) => {
+  const parsed = updateBroadcastSchema.safeParse(req.body);
+  if (!parsed.success) {
+    throw new AppError('Invalid broadcast', 400, parsed.error.flatten().fieldErrors);
+  }
+
+  const broadcast = await updateBroadcast(requireBroadcastId(req), parsed.data);
+  return res.status(200).json(broadcast);
+});
+
+export const deleteBroadcastHandler = asyncHandler(async (req: AuthenticatedRequest, res) => {
+  await deleteBroadcast(requireBroadcastId(req));
+  return res.status(200).json({ message: 'Broadcast deleted' });
+});
+
+export const listActiveBroadcastsHandler = asyncHandler(async (req: AuthenticatedRequest, res) => {
+  const broadcasts = await listActiveBroadcasts(requireUser(req));
+  return res.status(200).json({ broadcasts });
+});
+
+export const dismissBroadcastHandler = asyncHandler(async (req: AuthenticatedRequest, res) => {
+  const dismissal = await dismissBroadcast(requireBroadcastId(req), requireUser(req));
+  return res.status(200).json({ message: 'Broadcast dismissed', dismissedAt: dismissal.dismissedAt });
+});
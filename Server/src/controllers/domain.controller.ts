@@ -13,6 +13,8 @@ const domainCreateSchema = z.object({
 
 const domainUpdateSchema = domainCreateSchema.partial().extend({
   isMaintenance: z.boolean().optional(),
+  maintenanceMessage: z.string().trim().max(500).nullable().optional(),
+  maintenanceEta: z.coerce.date().nullable().optional(),
 });
 
 export const listDomainsHandler = asyncHandler(async (_req, res) => {
@@ -0,0 +1,38 @@
+import { asyncHandler } from '../middleware/asyncHandler';
+import { AppError } from '../utils/appError';
+import type { AuthenticatedRequest } from '../middleware/auth';
+import { getTokenExpiry } from '../utils/token';
+import { openClientStream, type OpenClientStreamParams } from '../services/clientEvent.service';
+import { findActiveSession } from '../services/sessionActivity.service';
+import { getBillingExpiryWarning } from '../services/billing.service';
+
+function parseLastEventId(value: unknown): number | undefined {
+  const id = typeof value === 'string' ? Number.parseInt(value, 10) : NaN;
+  return Number.isInteger(id) && id >= 0 ? id : undefined;
+}
+
+export const streamEventsHandler = asyncHandler(async (req: AuthenticatedRequest, res) => {
+  const accessToken = req.headers.authorization?.split(' ')[1];
+  if (!req.user || !accessToken) {
+    throw new AppError('User not authenticated', 401);
+  }
+
+  const [session, billingWarning] = await Promise.all([
+    findActiveSession(accessToken),
+    getBillingExpiryWarning(req.user.id),
+  ]);
+
+  const initialEvents: OpenClientStreamParams['initialEvents'] = billingWarning
+    ? [{ type: 'billing_expiring', data: billingWarning }]
+    : [];
+
+  await openClientStream(res, {
+    userId: req.user.id,
+    role: req.user.role,
+    sessionActivityId: session?.id ?? null,
+    since: session?.loginAt ?? new Date(),
+    lastEventId: parseLastEventId(req.headers['last-event-id'] ?? req.query.lastEventId),
+    expiresAt: getTokenExpiry(accessToken) ?? undefined,
+    initialEvents,
+  });
+});
@@ -0,0 +1,27 @@
+import { asyncHandler } from '../middleware/asyncHandler';
+import { AppError } from '../utils/appError';
+import type { AuthenticatedRequest } from '../middleware/auth';
+import { isMaintenanceJobName, listMaintenanceJobs, runMaintenanceJob } from '../services/maintenance.service';
+
+export const listMaintenanceJobsHandler = asyncHandler(async (_req: AuthenticatedRequest, res) => {
+  const jobs = await listMaintenanceJobs();
+  return res.status(200).json({ jobs });
+});
+
+export const runMaintenanceJobHandler = asyncHandler(async (req: AuthenticatedRequest, res) => {
+  const { name } = req.params;
+  if (!name || !isMaintenanceJobName(name)) {
+    throw new AppError('Unknown maintenance job', 404);
+  }
+
+  const run = await runMaintenanceJob(name, { trigger: 'MANUAL', actorId: req.user?.id });
+  if (run.status === 'SKIPPED') {
+    throw new AppError('Maintenance job is already running', 409);
+  }
+  if (run.status === 'FAILED') {
+    throw new AppError(`Maintenance job ${name} failed`, 500, { error: run.error, durationMs: run.durationMs });
+  }
+
+  res.locals.auditMetadata = { result: run.result, durationMs: run.durationMs };
+  return res.status(200).json({ name, ...run });
+});
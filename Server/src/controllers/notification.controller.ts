@@ -0,0 +1,98 @@
+import { z } from 'zod';
+import { asyncHandler } from '../middleware/asyncHandler';
+import { AppError } from '../utils/appError';
+import type { AuthenticatedRequest } from '../middleware/auth';
+import {
+  createNotificationChannel,
+  deleteNotificationChannel,
+  listNotificationChannels,
+  listNotificationDeliveries,
+  sendTestNotification,
+  serializeNotificationChannel,
+  updateNotificationChannel,
+} from '../services/notification.service';
+
+const severitySchema = z.enum(['LOW', 'MEDIUM', 'HIGH', 'CRITICAL']);
+
+const channelFields = {
+  name: z.string().trim().min(1).max(100),
+  enabled: z.boolean(),
+  severities: z.array(severitySchema).min(1),
+  webhookUrl: z.string().url().refine((url) => /^https?:\/\//i.test(url), 'Webhook URL must be http(s)'),
+  webhookSecret: z.string().min(16).max(256),
+  emailRecipients: z.array(z.string().email()).min(1).max(50),
+};
+
+const createChannelSchema = z.object({
+  ...channelFields,
+  type: z.enum(['WEBHOOK', 'EMAIL']),
+  enabled: channelFields.enabled.optional(),
+  webhookUrl: channelFields.webhookUrl.optional(),
+  webhookSecret: channelFields.webhookSecret.optional(),
+  emailRecipients: channelFields.emailRecipients.optional(),
+});
+
+const updateChannelSchema = z.object(channelFields).partial().extend({
+  type: z.enum(['WEBHOOK', 'EMAIL']).optional(),
+  rotateSecret: z.boolean().optional(),
+});
+
+const deliveryQuerySchema = z.object({
+  channelId: z.string().min(1).optional(),
+  status: z.enum(['PENDING', 'SENDING', 'RETRYING', 'DELIVERED', 'FAILED']).optional(),
+  limit: z.coerce.number().int().min(1).max(500).optional(),
+});
+
+function requireChannelId(req: AuthenticatedRequest): string {
+  const { id } = req.params;
+  if (!id) {
+    throw new AppError('Channel ID is required', 400);
+  }
+  return id;
+}
+
+export const listChannelsHandler = asyncHandler(async (_req: AuthenticatedRequest, res) => {
+  const channels = await listNotificationChannels();
+  return res.status(200).json({ channels: channels.map((channel) => serializeNotificationChannel(channel)) });
+});
+
+export const createChannelHandler = asyncHandler(async (req: AuthenticatedRequest, res) => {
+  const parsed = createChannelSchema.safeParse(req.body);
+  if (!parsed.success) {
+    throw new AppError('Invalid notification channel', 400, parsed.error.flatten().fieldErrors);
+  }
+
+  const channel = await createNotificationChannel(parsed.data);
+  return res.status(201).json(serializeNotificationChannel(channel, { revealSecret: true }));
+});
+
+export const updateChannelHandler = asyncHandler(async (req: AuthenticatedRequest, res) => {
+  const parsed = updateChannelSchema.safeParse(req.body);
+  if (!parsed.success) {
+    throw new AppError('Invalid notification channel', 400, parsed.error.flatten().fieldErrors);
+  }
+
+  const { channel, secretChanged } = await updateNotificationChannel(requireChannelId(req), parsed.data);
+  return res.status(200).json(serializeNotificationChannel(channel, { revealSecret: secretChanged }));
+});
+
+export const deleteChannelHandler = asyncHandler(async (req: AuthenticatedRequest, res) => {
+  await deleteNotificationChannel(requireChannelId(req));
+  return res.status(200).json({ message: 'Notification channel deleted' });
+});
+
+export const testChannelHandler = asyncHandler(async (req: AuthenticatedRequest, res) => {
+  const delivery = await sendTestNotification(requireChannelId(req));
+  res.locals.auditMetadata = { deliveryId: delivery.id, status: delivery.status, error: delivery.lastError };
+  return res.status(200).json(delivery);
+});
+
+export const listDeliveriesHandler = asyncHandler(async (req: AuthenticatedRequest, res) => {
+  const parsed = deliveryQuerySchema.safeParse(req.query);
+  if (!parsed.success) {
+    throw new AppError('Invalid delivery log query', 400, parsed.error.flatten().fieldErrors);
+  }
+
+  const deliveries = await listNotificationDeliveries(parsed.data);
+  return res.status(200).json({ deliveries });
+});
@@ -2,15 +2,18 @@
 import { asyncHandler } from '../middleware/asyncHandler';
 import { createSession, deleteSession, listSessions, updateSession } from '../services/session.service';
 import { getSessionAssignmentStats } from '../services/sessionAssignment.service';
-import { recordAuditLog } from '../services/audit.service';
+import { getDomainMaintenance } from '../services/domain.service';
 import type { AuthenticatedRequest } from '../middleware/auth';
 import { AppError } from '../utils/appError';
 import {
   completeBundleUpload,
   createSessionBundleDownloadUrl,
   createSessionBundleUploadUrl,
+  listSessionBundleVersions,
   recordSessionEvent,
+  rollbackSessionBundle,
 } from '../services/sessionBundle.service';
+import { listSessionLogs, tailSessionLogs } from '../services/sessionLog.service';
 
 const sessionCreateSchema = z.object({
   name: z.string().min(1),
@@ -40,9 +43,15 @@ const uploadSignedUrlSchema = signedUrlRequestSchema.extend({
 });
 
 const completeUploadSchema = z.object({
-  checksum: z.string().min(1).optional(),
+  bundleKey: z.string().min(1).optional(),
+  checksum: z.string().regex(/^[a-f0-9]{64}$/i, 'checksum must be a hex-encoded SHA-256 digest'),
   fileSizeBytes: z.number().int().nonnegative().optional(),
   encryption: z.string().optional(),
+  notes: z.string().max(500).optional(),
+});
+
+const rollbackSchema = z.object({
+  notes: z.string().max(500).optional(),
 });
 
 const sessionEventSchema = z.object({
@@ -51,6 +60,17 @@ const sessionEventSchema = z.object({
   context: z.record(z.string(), z.any()).optional(),
 });
 
+const sessionLogQuerySchema = z.object({
+  level: z.enum(['INFO', 'WARN', 'ERROR']).optional(),
+  from: z.coerce.date().optional(),
+  to: z.coerce.date().optional(),
+  cursor: z.string().min(1).optional(),
+  limit: z.coerce.number().int().min(1).max(200).optional(),
+  tail: z.enum(['true', 'false']).optional(),
+  after: z.string().min(1).optional(),
+  wait: z.coerce.number().int().min(0).max(25).optional(),
+});
+
 export const listSessionsHandler = asyncHandler(async (_req, res) => {
   const sessions = await listSessions();
   return res.status(200).json(sessions);
@@ -59,12 +79,6 @@ export const listSessionsHandler = asyncHandler(async (_req, res) => {
 export const createSessionHandler = asyncHandler(async (req: AuthenticatedRequest, res) => {
   const payload = sessionCreateSchema.parse(req.body);
   const session = await createSession(payload);
-  await recordAuditLog({
-    actorId: req.user?.id,
-    action: 'SESSION_CREATED',
-    targetType: 'DAT_SESSION',
-    targetId: session.id,
-  });
   return res.status(201).json(session);
 });
 
@@ -75,13 +89,6 @@ export const updateSessionHandler = asyncHandler(async (req: AuthenticatedReques
     throw new AppError('Session id parameter is required', 400);
   }
   const session = await updateSession(id, payload);
-  await recordAuditLog({
-    actorId: req.user?.id,
-    action: 'SESSION_UPDATED',
-    targetType: 'DAT_SESSION',
-    targetId: session.id,
-    metadata: payload,
-  });
   return res.status(200).json(session);
 });
 
@@ -91,12 +98,6 @@ export const deleteSessionHandler = asyncHandler(async (req: AuthenticatedReques
     throw new AppError('Session id parameter is required', 400);
   }
   await deleteSession(id);
-  await recordAuditLog({
-    actorId: req.user?.id,
-    action: 'SESSION_DELETED',
-    targetType: 'DAT_SESSION',
-    targetId: id,
-  });
   return res.status(204).send();
 });
 
@@ -106,18 +107,15 @@ export const requestSessionDownloadUrlHandler = asyncHandler(async (req: Authent
     throw new AppError('Session id parameter is required', 400);
   }
   const { expiresInSeconds } = signedUrlRequestSchema.parse(req.body ?? {});
-  const result = await createSessionBundleDownloadUrl(id, expiresInSeconds);
-  await recordAuditLog({
-    actorId: req.user?.id,
-    action: 'SESSION_BUNDLE_DOWNLOAD_REQUESTED',
-    targetType: 'DAT_SESSION',
-    targetId: id,
-    metadata: { expiresInSeconds: result.expiresInSeconds, bundleKey: result.bundleKey },
-  });
+  const result = await createSessionBundleDownloadUrl(id, expiresInSeconds, req.user?.id);
+  res.locals.auditMetadata = { expiresInSeconds: result.expiresInSeconds, bundleKey: result.bundleKey };
   return res.status(200).json({
     url: result.url,
     expiresInSeconds: result.expiresInSeconds,
     bundleKey: result.bundleKey,
+    checksum: result.checksum,
+    sizeBytes: result.sizeBytes,
+    bundleVersion: result.bundleVersion,
   });
 });
 
@@ -127,14 +125,8 @@ export const requestSessionUploadUrlHandler = asyncHandler(async (req: Authentic
     throw new AppError('Session id parameter is required', 400);
   }
   const payload = uploadSignedUrlSchema.parse(req.body ?? {});
-  const result = await createSessionBundleUploadUrl(id, payload);
-  await recordAuditLog({
-    actorId: req.user?.id,
-    action: 'SESSION_BUNDLE_UPLOAD_REQUESTED',
-    targetType: 'DAT_SESSION',
-    targetId: id,
-    metadata: { expiresInSeconds: result.expiresInSeconds, bundleKey: result.bundleKey },
-  });
+  const result = await createSessionBundleUploadUrl(id, { ...payload, actorId: req.user?.id });
+  res.locals.auditMetadata = { expiresInSeconds: result.expiresInSeconds, bundleKey: result.bundleKey };
   return res.status(200).json(result);
 });
 
@@ -143,40 +135,95 @@ export const completeSessionUploadHandler = asyncHandler(async (req: Authenticat
   if (!id) {
     throw new AppError('Session id parameter is required', 400);
   }
-  const payload = completeUploadSchema.parse(req.body ?? {});
+  const parsed = completeUploadSchema.safeParse(req.body ?? {});
+  if (!parsed.success) {
+    throw new AppError('Invalid upload completion payload', 400, parsed.error.flatten().fieldErrors);
+  }
+  const payload = parsed.data;
   await completeBundleUpload({
     sessionId: id,
+    bundleKey: payload.bundleKey,
     checksum: payload.checksum,
     fileSizeBytes: payload.fileSizeBytes,
     encryption: payload.encryption,
-  });
-  await recordAuditLog({
+    notes: payload.notes,
     actorId: req.user?.id,
-    action: 'SESSION_BUNDLE_UPLOAD_COMPLETED',
-    targetType: 'DAT_SESSION',
-    targetId: id,
-    metadata: payload,
   });
   return res.status(204).send();
 });
 
+export const listSessionBundleVersionsHandler = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  if (!id) {
+    throw new AppError('Session id parameter is required', 400);
+  }
+  const result = await listSessionBundleVersions(id);
+  return res.status(200).json(result);
+});
+
+export const rollbackSessionBundleHandler = asyncHandler(async (req: AuthenticatedRequest, res) => {
+  const { id } = req.params;
+  const version = Number(req.params.version);
+  if (!id) {
+    throw new AppError('Session id parameter is required', 400);
+  }
+  if (!Number.isInteger(version) || version < 1) {
+    throw new AppError('Bundle version must be a positive integer', 400);
+  }
+  const parsed = rollbackSchema.safeParse(req.body ?? {});
+  if (!parsed.success) {
+    throw new AppError('Invalid rollback payload', 400, parsed.error.flatten().fieldErrors);
+  }
+  const result = await rollbackSessionBundle(id, version, { notes: parsed.data.notes, actorId: req.user?.id });
+  res.locals.auditMetadata = { fromVersion: result.previousVersion, toVersion: result.bundleVersion };
+  return res.status(200).json(result);
+});
+
 export const recordSessionEventHandler = asyncHandler(async (req: AuthenticatedRequest, res) => {
   const { id } = req.params;
   if (!id) {
     throw new AppError('Session id parameter is required', 400);
   }
   const payload = sessionEventSchema.parse(req.body ?? {});
-  await recordSessionEvent(id, payload.level, payload.message, payload.context ?? undefined);
-  await recordAuditLog({
-    actorId: req.user?.id,
-    action: 'SESSION_EVENT_RECORDED',
-    targetType: 'DAT_SESSION',
-    targetId: id,
-    metadata: payload,
-  });
+  await recordSessionEvent(id, payload.level, payload.message, payload.context ?? undefined, req.user?.id);
   return res.status(202).json({ status: 'queued' });
 });
 
+export const listSessionLogsHandler = asyncHandler(async (req: AuthenticatedRequest, res) => {
+  const { id } = req.params;
+  if (!id) {
+    throw new AppError('Session id parameter is required', 400);
+  }
+  const parsed = sessionLogQuerySchema.safeParse(req.query);
+  if (!parsed.success) {
+    throw new AppError('Invalid log query', 400, parsed.error.flatten().fieldErrors);
+  }
+  const query = parsed.data;
+
+  if (query.tail === 'true') {
+    // Stop long-polling as soon as the client goes away
+    const abort = new AbortController();
+    res.on('close', () => abort.abort());
+    const result = await tailSessionLogs(id, {
+      level: query.level,
+      after: query.after,
+      limit: query.limit,
+      waitSeconds: query.wait,
+      signal: abort.signal,
+    });
+    return res.status(200).json(result);
+  }
+
+  const result = await listSessionLogs(id, {
+    level: query.level,
+    from: query.from,
+    to: query.to,
+    cursor: query.cursor,
+    limit: query.limit,
+  });
+  return res.status(200).json(result);
+});
+
 export const getMySessionsHandler = asyncHandler(async (req: AuthenticatedRequest, res) => {
   if (!req.user?.id) {
     throw new AppError('User not authenticated', 401);
@@ -187,6 +234,13 @@ export const getMySessionsHandler = asyncHandler(async (req: AuthenticatedReques
   
   // Get the shared session for this user
   const sharedSession = await assignSharedSessionToUser(req.user.id);
+
+  // The client shows a maintenance screen and asks again instead of launching
+  const maintenance = getDomainMaintenance(sharedSession.domain);
+  if (maintenance) {
+    res.setHeader('Retry-After', maintenance.retryAfterSeconds);
+    throw new AppError(maintenance.message, 503, { maintenance });
+  }
   
   return res.status(200).json([sharedSession]);
 });
@@ -219,13 +273,5 @@ export const markSharedSessionReadyHandler = asyncHandler(async (req: Authentica
   const { markSharedSessionAsReady } = await import('../services/sharedSession.service');
   const updatedSession = await markSharedSessionAsReady(sessionId, req.user.id);
 
-  await recordAuditLog({
-    actorId: req.user.id,
-    action: 'SHARED_SESSION_MARKED_READY',
-    targetType: 'DAT_SESSION',
-    targetId: sessionId,
-    metadata: { status: 'READY' },
-  });
-
   return res.json(updatedSession);
 });
@@ -13,8 +13,10 @@ import {
   getUserSessionHistory,
   forceLogout,
   getSessionStats,
+  getSessionOwnerId,
   invalidateAllUserSessions
 } from '../services/sessionActivity.service';
+import { assertCanManageUser } from '../services/user.service';
 import { AppError } from '../utils/appError';
 
 /**
@@ -78,6 +80,8 @@ export const forceLogoutSessionHandler = asyncHandler(
       throw new AppError('Session ID is required', 400);
     }
 
+    // Ending a session counts as modifying its user, so admins cannot sign out super admins
+    await assertCanManageUser(req.user, await getSessionOwnerId(sessionId), {});
     const result = await forceLogout(sessionId, req.user.id);
 
     return res.status(200).json({
@@ -93,11 +97,16 @@ export const forceLogoutSessionHandler = asyncHandler(
  */
 export const logoutAllUserSessionsHandler = asyncHandler(
   async (req: AuthenticatedRequest, res: Response) => {
+    if (!req.user?.id) {
+      return res.status(401).json({ message: 'User not authenticated' });
+    }
+
     const userId = req.params.userId;
     if (!userId) {
       throw new AppError('User ID is required', 400);
     }
 
+    await assertCanManageUser(req.user, userId, {});
     const count = await invalidateAllUserSessions(userId, 'forced_by_admin');
 
     return res.status(200).json({
@@ -1,20 +1,26 @@
 import { z } from 'zod';
 import { asyncHandler } from '../middleware/asyncHandler';
-import { createUser, deleteUser, listUsers, updateUser } from '../services/user.service';
-import { recordAuditLog } from '../services/audit.service';
+import { assertCanCreateUser, assertCanManageUser, createUser, deleteUser, listUsers, updateUser } from '../services/user.service';
 import type { AuthenticatedRequest } from '../middleware/auth';
 import { AppError } from '../utils/appError';
+import { unlockAccount } from '../services/accountLockout.service';
+import { resetTotp } from '../services/totp.service';
+import { passwordSchema } from '../utils/passwordPolicy';
 
 const userCreateSchema = z.object({
   email: z.string().email(),
-  password: z.string().min(6),
+  password: passwordSchema,
   role: z.enum(['SUPER_ADMIN', 'ADMIN', 'SUPPORT', 'USER']),
   status: z.enum(['ACTIVE', 'SUSPENDED', 'DISABLED']).optional(),
 });
 
+const passwordChangeSchema = z.object({
+  password: passwordSchema,
+});
+
 const userUpdateSchema = z.object({
   email: z.string().email().optional(),
-  password: z.string().min(6).optional(),
+  password: passwordSchema.optional(),
   role: z.enum(['SUPER_ADMIN', 'ADMIN', 'SUPPORT', 'USER']).optional(),
   status: z.enum(['ACTIVE', 'SUSPENDED', 'DISABLED']).optional(),
 });
@@ -26,33 +32,36 @@ export const listUsersHandler = asyncHandler(async (req, res) => {
   return res.status(200).json({ users: result.data, total: result.count });
 });
 
+function requireActor(req: AuthenticatedRequest) {
+  if (!req.user) {
+    throw new AppError('Authentication token missing', 401);
+  }
+  return req.user;
+}
+
 export const createUserHandler = asyncHandler(async (req: AuthenticatedRequest, res) => {
-  const payload = userCreateSchema.parse(req.body);
+  const parsed = userCreateSchema.safeParse(req.body ?? {});
+  if (!parsed.success) {
+    throw new AppError('Invalid user payload', 400, parsed.error.flatten().fieldErrors);
+  }
+  const payload = parsed.data;
+  assertCanCreateUser(requireActor(req), payload.role);
   const user = await createUser(payload);
-  await recordAuditLog({
-    actorId: req.user?.id,
-    action: 'USER_CREATED',
-    targetType: 'USER',
-    targetId: user.id,
-    metadata: { email: user.email, role: user.role },
-  });
   return res.status(201).json(user);
 });
 
 export const updateUserHandler = asyncHandler(async (req: AuthenticatedRequest, res) => {
-  const payload = userUpdateSchema.parse(req.body);
   const { id } = req.params;
   if (!id) {
     throw new AppError('User id parameter is required', 400);
   }
+  const parsed = userUpdateSchema.safeParse(req.body ?? {});
+  if (!parsed.success) {
+    throw new AppError('Invalid user payload', 400, parsed.error.flatten().fieldErrors);
+  }
+  const payload = parsed.data;
+  await assertCanManageUser(requireActor(req), id, payload);
   const user = await updateUser(id, payload);
-  await recordAuditLog({
-    actorId: req.user?.id,
-    action: 'USER_UPDATED',
-    targetType: 'USER',
-    targetId: user.id,
-    metadata: payload,
-  });
   return res.status(200).json(user);
 });
 
@@ -62,14 +71,8 @@ export const deleteUserHandler = asyncHandler(async (req: AuthenticatedRequest,
     throw new AppError('User id parameter is required', 400);
   }
   
+  await assertCanManageUser(requireActor(req), id, 'delete');
   const user = await deleteUser(id);
-  await recordAuditLog({
-    actorId: req.user?.id,
-    action: 'USER_DELETED',
-    targetType: 'USER',
-    targetId: id,
-    metadata: { deletedUser: user.email, deletedBy: req.user?.id },
-  });
   
   return res.status(200).json({ 
     message: 'User deleted successfully',
@@ -81,24 +84,19 @@ export const deleteUserHandler = asyncHandler(async (req: AuthenticatedRequest,
 // New endpoint for changing user password
 export const changeUserPasswordHandler = asyncHandler(async (req: AuthenticatedRequest, res) => {
   const { id } = req.params;
-  const { password } = req.body;
   
   if (!id) {
     throw new AppError('User id parameter is required', 400);
   }
   
-  if (!password || password.length < 6) {
-    throw new AppError('Password must be at least 6 characters long', 400);
+  const parsed = passwordChangeSchema.safeParse(req.body ?? {});
+  if (!parsed.success) {
+    throw new AppError('Invalid password', 400, parsed.error.flatten().fieldErrors);
   }
+  const { password } = parsed.data;
   
+  await assertCanManageUser(requireActor(req), id, { password });
   const user = await updateUser(id, { password });
-  await recordAuditLog({
-    actorId: req.user?.id,
-    action: 'USER_PASSWORD_CHANGED',
-    targetType: 'USER',
-    targetId: id,
-    metadata: { changedBy: req.user?.id },
-  });
   
   return res.status(200).json({ 
     message: 'Password updated successfully',
@@ -120,14 +118,8 @@ export const toggleUserStatusHandler = asyncHandler(async (req: AuthenticatedReq
     throw new AppError('Valid status is required (ACTIVE, SUSPENDED, DISABLED)', 400);
   }
   
+  await assertCanManageUser(requireActor(req), id, { status });
   const user = await updateUser(id, { status });
-  await recordAuditLog({
-    actorId: req.user?.id,
-    action: 'USER_STATUS_CHANGED',
-    targetType: 'USER',
-    targetId: id,
-    metadata: { newStatus: status, changedBy: req.user?.id },
-  });
   
   return res.status(200).json({ 
     message: 'User status updated successfully',
@@ -150,14 +142,8 @@ export const updateUserRoleHandler = asyncHandler(async (req: AuthenticatedReque
     throw new AppError('Valid role is required (SUPER_ADMIN, ADMIN, SUPPORT, USER)', 400);
   }
   
+  await assertCanManageUser(requireActor(req), id, { role });
   const user = await updateUser(id, { role });
-  await recordAuditLog({
-    actorId: req.user?.id,
-    action: 'USER_ROLE_CHANGED',
-    targetType: 'USER',
-    targetId: id,
-    metadata: { newRole: role, changedBy: req.user?.id },
-  });
   
   return res.status(200).json({ 
     message: 'User role updated successfully',
@@ -165,4 +151,40 @@ export const updateUserRoleHandler = asyncHandler(async (req: AuthenticatedReque
     email: user.email,
     role: user.role 
   });
-});
\ No newline at end of file
+});
+
+// Clear a temporary login lockout
+export const unlockUserHandler = asyncHandler(async (req: AuthenticatedRequest, res) => {
+  const { id } = req.params;
+
+  if (!id) {
+    throw new AppError('User id parameter is required', 400);
+  }
+
+  await assertCanManageUser(requireActor(req), id, {});
+  const result = await unlockAccount(id);
+  res.locals.auditMetadata = { wasLocked: result.wasLocked, failedAttempts: result.failedAttempts };
+
+  return res.status(200).json({
+    message: result.wasLocked ? 'User account unlocked successfully' : 'User account was not locked; failure count reset',
+    ...result,
+  });
+});
+
+export const resetUserMfaHandler = asyncHandler(async (req: AuthenticatedRequest, res) => {
+  const { id } = req.params;
+
+  if (!id) {
+    throw new AppError('User id parameter is required', 400);
+  }
+
+  const actor = requireActor(req);
+  if (actor.id === id) {
+    throw new AppError('You cannot reset your own two-factor authentication', 403);
+  }
+
+  await assertCanManageUser(actor, id, {});
+  await resetTotp(id);
+
+  return res.status(200).json({ message: 'Two-factor authentication reset. The user must set it up again at next sign-in if their role requires it.' });
+});
@@ -1,6 +1,6 @@
 import * as cron from 'node-cron';
 import { logger } from '../config/logger';
-import { checkAndDisableExpiredAccounts } from '../services/billing.service';
+import { MAINTENANCE_JOBS, runMaintenanceJob } from '../services/maintenance.service';
 
 let billingJob: cron.ScheduledTask | null = null;
 
@@ -17,10 +17,14 @@ export function startBillingJob(): void {
   logger.info('Starting billing background job (runs every hour)');
 
   // Run every hour at minute 0 (e.g., 1:00, 2:00, 3:00, etc.)
-  billingJob = cron.schedule('0 * * * *', async () => {
+  billingJob = cron.schedule(MAINTENANCE_JOBS['billing-expiration'].schedule, async () => {
     try {
       logger.info('Running billing expiration check...');
-      const result = await checkAndDisableExpiredAccounts();
+      const run = await runMaintenanceJob('billing-expiration', { trigger: 'SCHEDULED' });
+      if (run.status !== 'SUCCEEDED') {
+        return;
+      }
+      const { result } = run;
       
       if (result.disabled > 0) {
         logger.warn(
@@ -39,7 +43,11 @@ export function startBillingJob(): void {
   setTimeout(async () => {
     try {
       logger.info('Running initial billing expiration check on startup...');
-      const result = await checkAndDisableExpiredAccounts();
+      const run = await runMaintenanceJob('billing-expiration', { trigger: 'SCHEDULED' });
+      if (run.status !== 'SUCCEEDED') {
+        return;
+      }
+      const { result } = run;
       
       if (result.disabled > 0) {
         logger.warn(
@@ -0,0 +1,53 @@
+import * as cron from 'node-cron';
+import { logger } from '../config/logger';
+import { MAINTENANCE_JOBS, runMaintenanceJob } from '../services/maintenance.service';
+
+let bundleUploadJob: cron.ScheduledTask | null = null;
+
+async function runUploadJanitor() {
+  const run = await runMaintenanceJob('bundle-upload-janitor', { trigger: 'SCHEDULED' });
+  if (run.status === 'SUCCEEDED' && run.result.expired > 0) {
+    logger.warn({ expired: run.result.expired }, `Expired ${run.result.expired} abandoned session bundle upload(s)`);
+  }
+}
+
+/**
+ * Start the bundle upload janitor
+ * Runs every 5 minutes to expire staged uploads that were never completed
+ */
+export function startBundleUploadJob(): void {
+  if (bundleUploadJob) {
+    logger.warn('Bundle upload janitor is already running');
+    return;
+  }
+
+  logger.info('Starting bundle upload janitor (runs every 5 minutes)');
+
+  bundleUploadJob = cron.schedule(MAINTENANCE_JOBS['bundle-upload-janitor'].schedule, async () => {
+    try {
+      await runUploadJanitor();
+    } catch (error) {
+      logger.error({ err: error }, 'Error in bundle upload janitor');
+    }
+  });
+
+  // Also run shortly after startup to settle uploads abandoned while the server was down
+  setTimeout(async () => {
+    try {
+      await runUploadJanitor();
+    } catch (error) {
+      logger.error({ err: error }, 'Error in initial bundle upload janitor run');
+    }
+  }, 5000);
+}
+
+/**
+ * Stop the bundle upload janitor
+ */
+export function stopBundleUploadJob(): void {
+  if (bundleUploadJob) {
+    bundleUploadJob.stop();
+    bundleUploadJob = null;
+    logger.info('Bundle upload janitor stopped');
+  }
+}
@@ -0,0 +1,61 @@
+import * as cron from 'node-cron';
+import { logger } from '../config/logger';
+import { MAINTENANCE_JOBS, runMaintenanceJob, type MaintenanceJobName } from '../services/maintenance.service';
+
+// billing-expiration and bundle-upload-janitor keep their own job files
+const RETENTION_JOBS: MaintenanceJobName[] = [
+  'billing-expiry-warning',
+  'session-activity-retention',
+  'security-alert-retention',
+  'login-history-retention',
+  'session-log-retention',
+  'billing-history-retention',
+  'rate-limit-prune',
+  'password-reset-token-prune',
+  'client-event-prune',
+  'notification-retry',
+  'notification-delivery-retention',
+];
+
+let maintenanceTasks: cron.ScheduledTask[] = [];
+
+async function runScheduled(name: MaintenanceJobName) {
+  const run = await runMaintenanceJob(name, { trigger: 'SCHEDULED' });
+  if (run.status === 'SUCCEEDED') {
+    logger.info({ job: name, result: run.result, durationMs: run.durationMs }, `Maintenance job ${name} finished`);
+  }
+}
+
+/**
+ * Start the retention jobs
+ * Each job prunes one table on its own schedule from the maintenance registry
+ */
+export function startMaintenanceJobs(): void {
+  if (maintenanceTasks.length > 0) {
+    logger.warn('Maintenance jobs are already running');
+    return;
+  }
+
+  logger.info({ jobs: RETENTION_JOBS }, 'Starting maintenance jobs');
+
+  maintenanceTasks = RETENTION_JOBS.map((name) =>
+    cron.schedule(MAINTENANCE_JOBS[name].schedule, async () => {
+      try {
+        await runScheduled(name);
+      } catch (error) {
+        logger.error({ err: error, job: name }, `Error in maintenance job ${name}`);
+      }
+    })
+  );
+}
+
+/**
+ * Stop the retention jobs
+ */
+export function stopMaintenanceJobs(): void {
+  if (maintenanceTasks.length > 0) {
+    maintenanceTasks.forEach((task) => task.stop());
+    maintenanceTasks = [];
+    logger.info('Maintenance jobs stopped');
+  }
+}
@@ -116,7 +116,7 @@ async function uploadBundle(config: SeederConfig, bundle: { buffer: Buffer; chec
 
   await axios.post(
     `${config.apiBaseUrl}/sessions/${config.sessionId}/complete-upload`,
-    { checksum: bundle.checksum, fileSizeBytes: bundle.buffer.length, encryption: bundle.encryption },
+    { bundleKey, checksum: bundle.checksum, fileSizeBytes: bundle.buffer.length, encryption: bundle.encryption },
     { headers: { Authorization: `Bearer ${config.apiToken}` } }
   );
 
@@ -0,0 +1,107 @@
+import type { Response, NextFunction } from 'express';
+import type { AuthenticatedRequest } from './auth';
+import { logger } from '../config/logger';
+import { diffAuditSnapshots, recordAuditLog, snapshotAuditTarget } from '../services/audit.service';
+import { getClientIp } from '../utils/clientIp';
+
+type TargetIdResolver = (req: AuthenticatedRequest, responseBody?: unknown) => string | undefined;
+
+interface AuditTrailOptions {
+  action: string;
+  targetType: string;
+  /** Route parameter holding the target id, or a resolver for targets only known from the response */
+  targetId?: string | TargetIdResolver;
+}
+
+/** Target id for create endpoints, taken from the created record in the response */
+export const responseBodyId: TargetIdResolver = (_req, body) =>
+  body && typeof body === 'object' && 'id' in body && typeof body.id === 'string' ? body.id : undefined;
+
+const SENSITIVE_KEY = /password|token|secret/i;
+
+function sanitizeRequestBody(value: unknown): unknown {
+  if (Array.isArray(value)) {
+    return value.map(sanitizeRequestBody);
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, entry]) => [key, SENSITIVE_KEY.test(key) ? '[REDACTED]' : sanitizeRequestBody(entry)])
+    );
+  }
+  return value;
+}
+
+/**
+ * Record every non-GET request on the route in the audit log: actor, IP, action,
+ * target and the field-level diff of the target. The response is held back until
+ * the entry is written so callers never observe a change without its audit row.
+ * Failed requests are recorded as `<action>_FAILED`.
+ *
+ * Handlers can add details only they know through `res.locals.auditMetadata`.
+ */
+export function auditTrail(options: AuditTrailOptions) {
+  const resolveTargetId: TargetIdResolver = typeof options.targetId === 'function'
+    ? options.targetId
+    : (req) => (options.targetId ? req.params[options.targetId as string] : undefined);
+
+  return async function auditTrail(req: AuthenticatedRequest, res: Response, next: NextFunction) {
+    if (req.method === 'GET') {
+      return next();
+    }
+
+    const requestTargetId = resolveTargetId(req);
+    let before: Record<string, unknown> | null | undefined;
+    try {
+      before = requestTargetId ? await snapshotAuditTarget(options.targetType, requestTargetId) : undefined;
+    } catch (error) {
+      return next(error);
+    }
+
+    const record = async (responseBody: unknown) => {
+      const succeeded = res.statusCode < 400;
+      const targetId = resolveTargetId(req, responseBody) ?? requestTargetId;
+      const after = succeeded && targetId ? await snapshotAuditTarget(options.targetType, targetId) : undefined;
+      const changes = succeeded && (before !== undefined || after !== undefined)
+        ? diffAuditSnapshots(before ?? null, after ?? null)
+        : undefined;
+
+      await recordAuditLog({
+        actorId: req.user?.id,
+        action: succeeded ? options.action : `${options.action}_FAILED`,
+        targetType: options.targetType,
+        targetId,
+        ipAddress: getClientIp(req),
+        metadata: {
+          method: req.method,
+          path: req.originalUrl,
+          statusCode: res.statusCode,
+          request: sanitizeRequestBody(req.body ?? {}),
+          changes,
+          ...(res.locals.auditMetadata ?? {}),
+        },
+      });
+    };
+
+    const originalJson = res.json.bind(res);
+    const originalSend = res.send.bind(res);
+    let recorded = false;
+
+    const recordThen = (respond: () => void, responseBody: unknown) => {
+      // res.json() calls res.send() internally; only the first call records
+      if (recorded) {
+        respond();
+        return res;
+      }
+      recorded = true;
+      record(responseBody)
+        .catch((error) => logger.error({ err: error, action: options.action }, 'Failed to record audit log'))
+        .finally(respond);
+      return res;
+    };
+
+    res.json = (body?: unknown) => recordThen(() => originalJson(body), body);
+    res.send = (body?: unknown) => recordThen(() => originalSend(body), body);
+
+    return next();
+  };
+}
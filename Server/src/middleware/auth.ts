@@ -5,6 +5,7 @@ import { AppError } from '../utils/appError';
 import { prisma } from '../db/client';
 import type { UserRole } from '@prisma/client';
 import { updateSessionActivity } from '../services/sessionActivity.service';
+import { hasPermission, requiresTotp, rolesWithPermission, type Permission } from '../config/permissions';
 
 export interface AuthenticatedRequest extends Request {
   user?: {
@@ -18,7 +19,21 @@ interface AccessTokenPayload {
   role: UserRole;
 }
 
-export function authenticate(requiredRoles?: UserRole[]) {
+export interface AuthenticateOptions {
+  /**
+   * Let through roles that must use two-factor but have not enrolled yet, so they
+   * can reach the enrollment endpoints. Everything else answers 403 until they do.
+   */
+  allowMfaEnrollment?: boolean;
+}
+
+/**
+ * Verifies the access token and, optionally, that the user holds one of the given roles
+ * or a permission from the central matrix in config/permissions.
+ */
+export function authenticate(requirement?: UserRole[] | Permission, options: AuthenticateOptions = {}) {
+  const requiredRoles = typeof requirement === 'string' ? rolesWithPermission(requirement) : requirement;
+
   return async (req: AuthenticatedRequest, _res: Response, next: NextFunction) => {
     const authHeader = req.headers.authorization;
     if (!authHeader?.startsWith('Bearer ')) {
@@ -67,6 +82,14 @@ export function authenticate(requiredRoles?: UserRole[]) {
         return next(new AppError('Insufficient permissions', 403));
       }
 
+      if (!options.allowMfaEnrollment && requiresTotp(user.role) && !user.totpEnabledAt) {
+        return next(
+          new AppError('Two-factor authentication must be set up before this account can be used', 403, {
+            mfaEnrollmentRequired: true,
+          })
+        );
+      }
+
       req.user = { id: user.id, role: user.role };
       return next();
     } catch (error) {
@@ -77,4 +100,22 @@ export function authenticate(requiredRoles?: UserRole[]) {
       return next(new AppError('Invalid or expired token', 401));
     }
   };
-}
\ No newline at end of file
+}
+
+/**
+ * Permission check for routes already behind `authenticate`, e.g. a write endpoint on a
+ * router whose `router.use` only requires read access.
+ */
+export function authorize(permission: Permission) {
+  return (req: AuthenticatedRequest, _res: Response, next: NextFunction) => {
+    if (!req.user) {
+      return next(new AppError('Authentication token missing', 401));
+    }
+
+    if (!hasPermission(req.user.role, permission)) {
+      return next(new AppError('Insufficient permissions', 403));
+    }
+
+    return next();
+  };
+}
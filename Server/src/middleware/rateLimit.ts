@@ -0,0 +1,35 @@
+import type { Request, Response, NextFunction } from 'express';
+import { AppError } from '../utils/appError';
+import { consumeRateLimit } from '../services/rateLimit.service';
+
+interface RateLimitOptions {
+  bucket: string;
+  limit: number;
+  windowSeconds: number;
+  /** Returns the key to count against, or null to skip limiting this request */
+  key: (req: Request) => string | null | undefined;
+}
+
+export function rateLimit(options: RateLimitOptions) {
+  return async (req: Request, res: Response, next: NextFunction) => {
+    const key = options.key(req);
+    if (!key) {
+      return next();
+    }
+
+    try {
+      const result = await consumeRateLimit(options.bucket, key, options.limit, options.windowSeconds);
+
+      if (!result.allowed) {
+        res.setHeader('Retry-After', result.retryAfterSeconds);
+        return next(new AppError('Too many requests. Please try again later.', 429, {
+          retryAfterSeconds: result.retryAfterSeconds,
+        }));
+      }
+
+      return next();
+    } catch (error) {
+      return next(error);
+    }
+  };
+}
@@ -1,10 +1,12 @@
 ﻿import { Router } from 'express';
 import { authenticate } from '../middleware/auth';
-import { listAuditLogsHandler } from '../controllers/audit.controller';
+import { exportAuditLogsHandler, getAuditLogFiltersHandler, listAuditLogsHandler } from '../controllers/audit.controller';
 
 const router = Router();
 
-router.use(authenticate(['SUPER_ADMIN', 'ADMIN']));
+router.use(authenticate('audit:read'));
 router.get('/', listAuditLogsHandler);
+router.get('/export', exportAuditLogsHandler);
+router.get('/filters', getAuditLogFiltersHandler);
 
 export const auditRoutes = router;
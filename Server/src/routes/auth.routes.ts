@@ -1,12 +1,139 @@
 ﻿import { Router } from 'express';
-import { authenticate } from '../middleware/auth';
-import { loginHandler, meHandler, refreshHandler, sessionStatusHandler } from '../controllers/auth.controller';
+import { authenticate, type AuthenticatedRequest } from '../middleware/auth';
+import { rateLimit } from '../middleware/rateLimit';
+import { auditTrail } from '../middleware/audit';
+import {
+  changePasswordHandler,
+  loginHandler,
+  logoutHandler,
+  meHandler,
+  mfaDisableHandler,
+  mfaEnableHandler,
+  mfaLoginHandler,
+  mfaRecoveryCodesHandler,
+  mfaSetupHandler,
+  mfaStatusHandler,
+  passwordResetConfirmHandler,
+  passwordResetRequestHandler,
+  refreshHandler,
+  sessionStatusHandler,
+} from '../controllers/auth.controller';
+import { env } from '../config/env';
+import { verifyMfaToken, verifyRefreshToken } from '../utils/token';
 
 const router = Router();
 
-router.post('/login', loginHandler);
-router.post('/refresh', refreshHandler);
-router.get('/me', authenticate(), meHandler);
-router.get('/session-status', authenticate(), sessionStatusHandler);
+const windowSeconds = env.AUTH_RATE_LIMIT_WINDOW_SECONDS;
+
+const perIp = (bucket: string) => rateLimit({
+  bucket,
+  limit: env.AUTH_RATE_LIMIT_PER_IP,
+  windowSeconds,
+  key: (req) => req.ip,
+});
+
+const perAccount = (bucket: string, key: Parameters<typeof rateLimit>[0]['key']) => rateLimit({
+  bucket,
+  limit: env.AUTH_RATE_LIMIT_PER_ACCOUNT,
+  windowSeconds,
+  key,
+});
+
+// Reachable before an admin has enrolled in two-factor, so they can enroll or leave
+const authenticateEnrolling = authenticate(undefined, { allowMfaEnrollment: true });
+
+// Only a validly signed token names an account, so forged tokens cannot throttle someone else
+function refreshTokenAccount(refreshToken: unknown) {
+  if (typeof refreshToken !== 'string') {
+    return null;
+  }
+  try {
+    return verifyRefreshToken(refreshToken).sub;
+  } catch {
+    return null;
+  }
+}
+
+function mfaTokenAccount(mfaToken: unknown) {
+  if (typeof mfaToken !== 'string') {
+    return null;
+  }
+  try {
+    return verifyMfaToken(mfaToken).sub;
+  } catch {
+    return null;
+  }
+}
+
+router.post(
+  '/login',
+  perIp('login:ip'),
+  perAccount('login:account', (req) => {
+    const email = req.body?.email;
+    return typeof email === 'string' ? email.trim().toLowerCase() : null;
+  }),
+  loginHandler
+);
+router.post(
+  '/login/mfa',
+  perIp('login-mfa:ip'),
+  perAccount('login-mfa:account', (req) => mfaTokenAccount(req.body?.mfaToken)),
+  mfaLoginHandler
+);
+router.post(
+  '/refresh',
+  perIp('refresh:ip'),
+  perAccount('refresh:account', (req) => refreshTokenAccount(req.body?.refreshToken)),
+  refreshHandler
+);
+router.post(
+  '/change-password',
+  authenticateEnrolling,
+  perAccount('change-password:account', (req) => (req as AuthenticatedRequest).user?.id),
+  auditTrail({ action: 'PASSWORD_CHANGED', targetType: 'USER', targetId: (req) => req.user?.id }),
+  changePasswordHandler
+);
+router.post(
+  '/password-reset/request',
+  perIp('password-reset:ip'),
+  perAccount('password-reset:account', (req) => {
+    const email = req.body?.email;
+    return typeof email === 'string' ? email.trim().toLowerCase() : null;
+  }),
+  passwordResetRequestHandler
+);
+router.post('/password-reset/confirm', perIp('password-reset-confirm:ip'), passwordResetConfirmHandler);
+router.post('/logout', authenticateEnrolling, logoutHandler);
+router.get('/me', authenticateEnrolling, meHandler);
+router.get('/session-status', authenticateEnrolling, sessionStatusHandler);
+
+router.get('/mfa', authenticateEnrolling, mfaStatusHandler);
+router.post(
+  '/mfa/setup',
+  authenticateEnrolling,
+  auditTrail({ action: 'MFA_SETUP_STARTED', targetType: 'USER', targetId: (req) => req.user?.id }),
+  mfaSetupHandler
+);
+router.post(
+  '/mfa/enable',
+  authenticateEnrolling,
+  perAccount('mfa:account', (req) => (req as AuthenticatedRequest).user?.id),
+  auditTrail({ action: 'MFA_ENABLED', targetType: 'USER', targetId: (req) => req.user?.id }),
+  mfaEnableHandler
+);
+router.post(
+  '/mfa/recovery-codes',
+  authenticate(),
+  perAccount('mfa:account', (req) => (req as AuthenticatedRequest).user?.id),
+  auditTrail({ action: 'MFA_RECOVERY_CODES_REGENERATED', targetType: 'USER', targetId: (req) => req.user?.id }),
+  mfaRecoveryCodesHandler
+);
+router.post(
+  '/mfa/disable',
+  authenticate(),
+  perAccount('mfa:account', (req) => (req as AuthenticatedRequest).user?.id),
+  auditTrail({ action: 'MFA_DISABLED', targetType: 'USER', targetId: (req) => req.user?.id }),
+  mfaDisableHandler
+);
 
 export const authRoutes = router;
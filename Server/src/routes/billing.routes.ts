@@ -1,8 +1,12 @@
 import { Router } from 'express';
-import { authenticate } from '../middleware/auth';
+import { authenticate, authorize } from '../middleware/auth';
+import { auditTrail } from '../middleware/audit';
 import {
   startBillingCycleHandler,
   addPaymentHandler,
+  addPaymentInstallmentHandler,
+  refundPaymentHandler,
+  voidPaymentHandler,
   getUserBillingStatusHandler,
   getPaymentHistoryHandler,
   getBillingHistoryHandler,
@@ -10,27 +14,38 @@ import {
   getExpiredAccountsHandler,
   checkExpiredAccountsHandler,
   getMyBillingStatusHandler,
+  getMyInvoicesHandler,
+  getMyInvoiceReceiptHandler,
+  getInvoiceReceiptHandler,
 } from '../controllers/billing.controller';
 
 const router = Router();
 
-// User route - allows any authenticated user to get their own billing status
+// User routes - allow any authenticated user to get their own billing status and receipts
 router.get('/my-status', authenticate(), getMyBillingStatusHandler);
+router.get('/my-invoices', authenticate(), getMyInvoicesHandler);
+router.get('/my-invoices/:invoiceId/receipt', authenticate(), getMyInvoiceReceiptHandler);
 
-// All other billing routes require authentication and admin role
-router.use(authenticate(['SUPER_ADMIN', 'ADMIN']));
+// All other billing routes require billing access; changes are limited to admins
+router.use(authenticate('billing:read'));
 
 // User-specific billing operations
-router.post('/:userId/start-cycle', startBillingCycleHandler);
-router.post('/:userId/add-payment', addPaymentHandler);
+router.post('/:userId/start-cycle', authorize('billing:write'), auditTrail({ action: 'BILLING_CYCLE_STARTED', targetType: 'USER', targetId: 'userId' }), startBillingCycleHandler);
+router.post('/:userId/add-payment', authorize('billing:write'), auditTrail({ action: 'PAYMENT_ADDED', targetType: 'USER', targetId: 'userId' }), addPaymentHandler);
 router.get('/:userId/status', getUserBillingStatusHandler);
 router.get('/:userId/payments', getPaymentHistoryHandler);
 router.get('/:userId/history', getBillingHistoryHandler);
-router.post('/:userId/set-trial', setTrialPeriodHandler);
+router.get('/invoices/:invoiceId/receipt', getInvoiceReceiptHandler);
+
+// Payment corrections: remaining installments of a partial payment, refunds and voids
+router.post('/payments/:paymentId/installments', authorize('billing:write'), auditTrail({ action: 'PAYMENT_INSTALLMENT_ADDED', targetType: 'PAYMENT', targetId: 'paymentId' }), addPaymentInstallmentHandler);
+router.post('/payments/:paymentId/refund', authorize('billing:write'), auditTrail({ action: 'PAYMENT_REFUNDED', targetType: 'PAYMENT', targetId: 'paymentId' }), refundPaymentHandler);
+router.post('/payments/:paymentId/void', authorize('billing:write'), auditTrail({ action: 'PAYMENT_VOIDED', targetType: 'PAYMENT', targetId: 'paymentId' }), voidPaymentHandler);
+router.post('/:userId/set-trial', authorize('billing:write'), auditTrail({ action: 'TRIAL_PERIOD_SET', targetType: 'USER', targetId: 'userId' }), setTrialPeriodHandler);
 
 // Admin-only operations
 router.get('/expired', getExpiredAccountsHandler);
-router.post('/check-expired', checkExpiredAccountsHandler);
+router.post('/check-expired', authorize('billing:write'), auditTrail({ action: 'EXPIRED_ACCOUNTS_CHECKED', targetType: 'SYSTEM' }), checkExpiredAccountsHandler);
 
 export default router;
 
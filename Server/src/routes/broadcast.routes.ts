@@ -0,0 +1,26 @@
+import { Router } from 'express';
+import { authenticate, authorize } from '../middleware/auth';
+import { auditTrail, responseBodyId } from '../middleware/audit';
+import {
+  createBroadcastHandler,
+  deleteBroadcastHandler,
+  dismissBroadcastHandler,
+  listActiveBroadcastsHandler,
+  listBroadcastsHandler,
+  updateBroadcastHandler,
+} from '../controllers/broadcast.controller';
+
+const router = Router();
+
+router.use(authenticate());
+
+// Desktop client: the banners addressed to the signed-in user
+router.get('/active', listActiveBroadcastsHandler);
+router.post('/:id/dismiss', auditTrail({ action: 'BROADCAST_DISMISSED', targetType: 'BROADCAST', targetId: 'id' }), dismissBroadcastHandler);
+
+router.get('/', authorize('broadcasts:read'), listBroadcastsHandler);
+router.post('/', authorize('broadcasts:write'), auditTrail({ action: 'BROADCAST_CREATED', targetType: 'BROADCAST', targetId: responseBodyId }), createBroadcastHandler);
+router.patch('/:id', authorize('broadcasts:write'), auditTrail({ action: 'BROADCAST_UPDATED', targetType: 'BROADCAST', targetId: 'id' }), updateBroadcastHandler);
+router.delete('/:id', authorize('broadcasts:write'), auditTrail({ action: 'BROADCAST_DELETED', targetType: 'BROADCAST', targetId: 'id' }), deleteBroadcastHandler);
+
+export const broadcastRoutes = router;
@@ -1,14 +1,14 @@
 ﻿import { Router } from 'express';
-import { authenticate } from '../middleware/auth';
+import { authenticate, authorize } from '../middleware/auth';
 import { createDomainHandler, deleteDomainHandler, listDomainsHandler, updateDomainHandler } from '../controllers/domain.controller';
 
 const router = Router();
 
-router.use(authenticate(['SUPER_ADMIN', 'ADMIN', 'SUPPORT']));
+router.use(authenticate('domains:read'));
 
 router.get('/', listDomainsHandler);
-router.post('/', createDomainHandler);
-router.patch('/:id', updateDomainHandler);
-router.delete('/:id', deleteDomainHandler);
+router.post('/', authorize('domains:write'), createDomainHandler);
+router.patch('/:id', authorize('domains:write'), updateDomainHandler);
+router.delete('/:id', authorize('domains:write'), deleteDomainHandler);
 
 export const domainRoutes = router;
@@ -0,0 +1,10 @@
+import { Router } from 'express';
+import { authenticate } from '../middleware/auth';
+import { streamEventsHandler } from '../controllers/events.controller';
+
+const router = Router();
+
+// Server-sent events for the desktop client; any signed-in user listens to their own stream
+router.get('/stream', authenticate(), streamEventsHandler);
+
+export const eventRoutes = router;
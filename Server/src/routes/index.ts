@@ -8,6 +8,10 @@ import { loginHistoryRoutes } from './loginHistory.routes';
 import { sessionActivityRoutes } from './sessionActivity.routes';
 import { securityAlertRoutes } from './securityAlert.routes';
 import billingRoutes from './billing.routes';
+import { maintenanceRoutes } from './maintenance.routes';
+import { notificationRoutes } from './notification.routes';
+import { eventRoutes } from './events.routes';
+import { broadcastRoutes } from './broadcast.routes';
 
 const router = Router();
 
@@ -31,5 +35,9 @@ router.use('/login-history', loginHistoryRoutes);
 router.use('/session-activity', sessionActivityRoutes);
 router.use('/security-alerts', securityAlertRoutes);
 router.use('/billing', billingRoutes);
+router.use('/maintenance', maintenanceRoutes);
+router.use('/notifications', notificationRoutes);
+router.use('/events', eventRoutes);
+router.use('/broadcasts', broadcastRoutes);
 
 export default router;
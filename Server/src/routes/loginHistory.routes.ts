@@ -13,7 +13,7 @@ router.get('/me', authenticate(), getMyLoginHistoryHandler);
 router.get('/me/stats', authenticate(), getMyLoginStatsHandler);
 
 // Admin routes (only SUPER_ADMIN and ADMIN can see all login history)
-router.get('/', authenticate(['SUPER_ADMIN', 'ADMIN']), getAllLoginHistoryHandler);
+router.get('/', authenticate('loginHistory:read'), getAllLoginHistoryHandler);
 
 export const loginHistoryRoutes = router;
 
@@ -0,0 +1,13 @@
+import { Router } from 'express';
+import { authenticate, authorize } from '../middleware/auth';
+import { auditTrail } from '../middleware/audit';
+import { listMaintenanceJobsHandler, runMaintenanceJobHandler } from '../controllers/maintenance.controller';
+
+const router = Router();
+
+router.use(authenticate('maintenance:read'));
+
+router.get('/jobs', listMaintenanceJobsHandler);
+router.post('/jobs/:name/run', authorize('maintenance:write'), auditTrail({ action: 'MAINTENANCE_JOB_TRIGGERED', targetType: 'MAINTENANCE_JOB', targetId: 'name' }), runMaintenanceJobHandler);
+
+export const maintenanceRoutes = router;
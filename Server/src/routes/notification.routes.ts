@@ -0,0 +1,24 @@
+import { Router } from 'express';
+import { authenticate, authorize } from '../middleware/auth';
+import { auditTrail, responseBodyId } from '../middleware/audit';
+import {
+  createChannelHandler,
+  deleteChannelHandler,
+  listChannelsHandler,
+  listDeliveriesHandler,
+  testChannelHandler,
+  updateChannelHandler,
+} from '../controllers/notification.controller';
+
+const router = Router();
+
+router.use(authenticate('notifications:read'));
+
+router.get('/channels', listChannelsHandler);
+router.post('/channels', authorize('notifications:write'), auditTrail({ action: 'NOTIFICATION_CHANNEL_CREATED', targetType: 'NOTIFICATION_CHANNEL', targetId: responseBodyId }), createChannelHandler);
+router.patch('/channels/:id', authorize('notifications:write'), auditTrail({ action: 'NOTIFICATION_CHANNEL_UPDATED', targetType: 'NOTIFICATION_CHANNEL', targetId: 'id' }), updateChannelHandler);
+router.delete('/channels/:id', authorize('notifications:write'), auditTrail({ action: 'NOTIFICATION_CHANNEL_DELETED', targetType: 'NOTIFICATION_CHANNEL', targetId: 'id' }), deleteChannelHandler);
+router.post('/channels/:id/test', authorize('notifications:write'), auditTrail({ action: 'NOTIFICATION_TEST_SENT', targetType: 'NOTIFICATION_CHANNEL', targetId: 'id' }), testChannelHandler);
+router.get('/deliveries', listDeliveriesHandler);
+
+export const notificationRoutes = router;
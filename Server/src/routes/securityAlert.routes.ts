@@ -1,5 +1,6 @@
 import { Router } from 'express';
 import { authenticate } from '../middleware/auth';
+import { auditTrail } from '../middleware/audit';
 import {
   getUnreadAlertsHandler,
   getAllAlertsHandler,
@@ -13,13 +14,13 @@ import {
 const router = Router();
 
 // All routes require SUPER_ADMIN or ADMIN access
-router.get('/unread', authenticate(['SUPER_ADMIN', 'ADMIN']), getUnreadAlertsHandler);
-router.get('/unread/count', authenticate(['SUPER_ADMIN', 'ADMIN']), getUnreadAlertCountHandler);
-router.get('/stats', authenticate(['SUPER_ADMIN', 'ADMIN']), getAlertStatsHandler);
-router.get('/', authenticate(['SUPER_ADMIN', 'ADMIN']), getAllAlertsHandler);
-router.post('/:id/read', authenticate(['SUPER_ADMIN', 'ADMIN']), markAlertAsReadHandler);
-router.post('/read-all', authenticate(['SUPER_ADMIN', 'ADMIN']), markAllAlertsAsReadHandler);
-router.post('/:id/dismiss', authenticate(['SUPER_ADMIN', 'ADMIN']), dismissAlertHandler);
+router.get('/unread', authenticate('securityAlerts:read'), getUnreadAlertsHandler);
+router.get('/unread/count', authenticate('securityAlerts:read'), getUnreadAlertCountHandler);
+router.get('/stats', authenticate('securityAlerts:read'), getAlertStatsHandler);
+router.get('/', authenticate('securityAlerts:read'), getAllAlertsHandler);
+router.post('/:id/read', authenticate('securityAlerts:write'), auditTrail({ action: 'SECURITY_ALERT_READ', targetType: 'SECURITY_ALERT', targetId: 'id' }), markAlertAsReadHandler);
+router.post('/read-all', authenticate('securityAlerts:write'), auditTrail({ action: 'SECURITY_ALERTS_READ_ALL', targetType: 'SECURITY_ALERT' }), markAllAlertsAsReadHandler);
+router.post('/:id/dismiss', authenticate('securityAlerts:write'), auditTrail({ action: 'SECURITY_ALERT_DISMISSED', targetType: 'SECURITY_ALERT', targetId: 'id' }), dismissAlertHandler);
 
 export const securityAlertRoutes = router;
 
@@ -1,6 +1,7 @@
 ﻿import { Router } from 'express';
-import { authenticate } from '../middleware/auth';
-import { createSessionHandler, deleteSessionHandler, listSessionsHandler, updateSessionHandler, getSessionAssignmentStatsHandler, getMySessionsHandler, getSharedSessionStatsHandler, markSharedSessionReadyHandler, requestSessionDownloadUrlHandler, requestSessionUploadUrlHandler, completeSessionUploadHandler, recordSessionEventHandler } from '../controllers/session.controller';
+import { authenticate, authorize } from '../middleware/auth';
+import { auditTrail, responseBodyId } from '../middleware/audit';
+import { createSessionHandler, deleteSessionHandler, listSessionsHandler, updateSessionHandler, getSessionAssignmentStatsHandler, getMySessionsHandler, getSharedSessionStatsHandler, markSharedSessionReadyHandler, requestSessionDownloadUrlHandler, requestSessionUploadUrlHandler, completeSessionUploadHandler, recordSessionEventHandler, listSessionLogsHandler, listSessionBundleVersionsHandler, rollbackSessionBundleHandler } from '../controllers/session.controller';
 
 const router = Router();
 
@@ -11,22 +12,25 @@ router.get('/my-sessions', authenticate(), getMySessionsHandler);
 router.get('/shared-stats', authenticate(), getSharedSessionStatsHandler);
 
 // Super admin endpoint to mark shared session as ready
-router.post('/:sessionId/mark-ready', authenticate(['SUPER_ADMIN']), markSharedSessionReadyHandler);
+router.post('/:sessionId/mark-ready', authenticate(['SUPER_ADMIN']), auditTrail({ action: 'SHARED_SESSION_MARKED_READY', targetType: 'DAT_SESSION', targetId: 'sessionId' }), markSharedSessionReadyHandler);
 
 // Session bundle endpoints (available to all authenticated users)
-router.post('/:id/request-download', authenticate(), requestSessionDownloadUrlHandler);
-router.post('/:id/request-upload', authenticate(), requestSessionUploadUrlHandler);
-router.post('/:id/complete-upload', authenticate(), completeSessionUploadHandler);
-router.post('/:id/events', authenticate(), recordSessionEventHandler);
+router.post('/:id/request-download', authenticate(), auditTrail({ action: 'SESSION_BUNDLE_DOWNLOAD_REQUESTED', targetType: 'DAT_SESSION', targetId: 'id' }), requestSessionDownloadUrlHandler);
+router.post('/:id/request-upload', authenticate(), auditTrail({ action: 'SESSION_BUNDLE_UPLOAD_REQUESTED', targetType: 'DAT_SESSION', targetId: 'id' }), requestSessionUploadUrlHandler);
+router.post('/:id/complete-upload', authenticate(), auditTrail({ action: 'SESSION_BUNDLE_UPLOAD_COMPLETED', targetType: 'DAT_SESSION', targetId: 'id' }), completeSessionUploadHandler);
+router.post('/:id/events', authenticate(), auditTrail({ action: 'SESSION_EVENT_RECORDED', targetType: 'DAT_SESSION', targetId: 'id' }), recordSessionEventHandler);
 
-// Admin-only endpoints
-router.use(authenticate(['SUPER_ADMIN', 'ADMIN', 'SUPPORT']));
+// Staff endpoints: support can read, only admins can change anything
+router.use(authenticate('sessions:read'));
 
 router.get('/', listSessionsHandler);
-router.post('/', createSessionHandler);
-router.patch('/:id', updateSessionHandler);
-router.delete('/:id', deleteSessionHandler);
+router.post('/', authorize('sessions:write'), auditTrail({ action: 'SESSION_CREATED', targetType: 'DAT_SESSION', targetId: responseBodyId }), createSessionHandler);
+router.patch('/:id', authorize('sessions:write'), auditTrail({ action: 'SESSION_UPDATED', targetType: 'DAT_SESSION', targetId: 'id' }), updateSessionHandler);
+router.delete('/:id', authorize('sessions:write'), auditTrail({ action: 'SESSION_DELETED', targetType: 'DAT_SESSION', targetId: 'id' }), deleteSessionHandler);
 router.get('/assignment-stats', getSessionAssignmentStatsHandler);
+router.get('/:id/logs', listSessionLogsHandler);
+router.get('/:id/bundle-versions', listSessionBundleVersionsHandler);
+router.post('/:id/bundle-versions/:version/rollback', authorize('sessions:write'), auditTrail({ action: 'SESSION_BUNDLE_ROLLED_BACK', targetType: 'DAT_SESSION', targetId: 'id' }), rollbackSessionBundleHandler);
 
 export const sessionRoutes = router;
 
@@ -1,5 +1,6 @@
 import { Router } from 'express';
 import { authenticate } from '../middleware/auth';
+import { auditTrail } from '../middleware/audit';
 import {
   getAllActiveSessionsHandler,
   getMyActiveSessionHandler,
@@ -16,10 +17,10 @@ router.get('/active/me', authenticate(), getMyActiveSessionHandler);
 router.get('/history/me', authenticate(), getMySessionHistoryHandler);
 
 // Admin routes (only SUPER_ADMIN and ADMIN can manage all sessions)
-router.get('/active', authenticate(['SUPER_ADMIN', 'ADMIN']), getAllActiveSessionsHandler);
-router.get('/stats', authenticate(['SUPER_ADMIN', 'ADMIN']), getSessionStatsHandler);
-router.post('/:id/logout', authenticate(['SUPER_ADMIN', 'ADMIN']), forceLogoutSessionHandler);
-router.post('/logout-all/:userId', authenticate(['SUPER_ADMIN', 'ADMIN']), logoutAllUserSessionsHandler);
+router.get('/active', authenticate('sessionActivity:read'), getAllActiveSessionsHandler);
+router.get('/stats', authenticate('sessionActivity:read'), getSessionStatsHandler);
+router.post('/:id/logout', authenticate('sessionActivity:write'), auditTrail({ action: 'SESSION_FORCE_LOGOUT', targetType: 'SESSION_ACTIVITY', targetId: 'id' }), forceLogoutSessionHandler);
+router.post('/logout-all/:userId', authenticate('sessionActivity:write'), auditTrail({ action: 'USER_SESSIONS_LOGGED_OUT', targetType: 'USER', targetId: 'userId' }), logoutAllUserSessionsHandler);
 
 export const sessionActivityRoutes = router;
 
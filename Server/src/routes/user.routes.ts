@@ -1,5 +1,6 @@
 ﻿import { Router } from 'express';
-import { authenticate } from '../middleware/auth';
+import { authenticate, authorize } from '../middleware/auth';
+import { auditTrail, responseBodyId } from '../middleware/audit';
 import { 
   createUserHandler, 
   deleteUserHandler, 
@@ -7,21 +8,25 @@ import {
   updateUserHandler,
   changeUserPasswordHandler,
   toggleUserStatusHandler,
-  updateUserRoleHandler
+  updateUserRoleHandler,
+  unlockUserHandler,
+  resetUserMfaHandler
 } from '../controllers/user.controller';
 
 const router = Router();
 
-router.use(authenticate(['SUPER_ADMIN', 'ADMIN']));
+router.use(authenticate('users:read'));
 
 router.get('/', listUsersHandler);
-router.post('/', createUserHandler);
-router.patch('/:id', updateUserHandler);
-router.delete('/:id', deleteUserHandler);
+router.post('/', authorize('users:write'), auditTrail({ action: 'USER_CREATED', targetType: 'USER', targetId: responseBodyId }), createUserHandler);
+router.patch('/:id', authorize('users:write'), auditTrail({ action: 'USER_UPDATED', targetType: 'USER', targetId: 'id' }), updateUserHandler);
+router.delete('/:id', authorize('users:write'), auditTrail({ action: 'USER_DELETED', targetType: 'USER', targetId: 'id' }), deleteUserHandler);
 
 // New user management endpoints
-router.patch('/:id/password', changeUserPasswordHandler);
-router.patch('/:id/status', toggleUserStatusHandler);
-router.patch('/:id/role', updateUserRoleHandler);
+router.patch('/:id/password', authorize('users:write'), auditTrail({ action: 'USER_PASSWORD_CHANGED', targetType: 'USER', targetId: 'id' }), changeUserPasswordHandler);
+router.patch('/:id/status', authorize('users:write'), auditTrail({ action: 'USER_STATUS_CHANGED', targetType: 'USER', targetId: 'id' }), toggleUserStatusHandler);
+router.patch('/:id/role', authorize('users:write'), auditTrail({ action: 'USER_ROLE_CHANGED', targetType: 'USER', targetId: 'id' }), updateUserRoleHandler);
+router.post('/:id/unlock', authorize('users:write'), auditTrail({ action: 'USER_UNLOCKED', targetType: 'USER', targetId: 'id' }), unlockUserHandler);
+router.post('/:id/mfa/reset', authorize('users:write'), auditTrail({ action: 'USER_MFA_RESET', targetType: 'USER', targetId: 'id' }), resetUserMfaHandler);
 
 export const userRoutes = router;
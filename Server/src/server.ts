@@ -1,49 +1,53 @@
-﻿import express from 'express';
-import helmet from 'helmet';
-import cors from 'cors';
-import morgan from 'morgan';
-import path from 'path';
-import apiRouter from './routes';
-import { errorHandler } from './middleware/errorHandler';
+﻿import { app } from './app';
 import { env } from './config/env';
 import { logger } from './config/logger';
 import { connectDatabase } from './db/client';
-import { bootstrapSuperAdmin } from './services/auth.service';
+import { bootstrapSuperAdmin, findAdminsWithDefaultPassword } from './services/auth.service';
 import { startBillingJob } from './jobs/billing.job';
+import { startBundleUploadJob } from './jobs/bundleUpload.job';
+import { startMaintenanceJobs } from './jobs/maintenance.job';
+import { startClientEventRelay } from './services/clientEvent.service';
+
+/**
+ * Create the first super admin if configured, and in production refuse to run while
+ * an admin account still accepts a password that has been published
+ */
+async function prepareAdminAccounts() {
+  const result = await bootstrapSuperAdmin();
+  if (result === 'created') {
+    logger.info({ email: env.SUPER_ADMIN_EMAIL }, 'Created the first super admin; SUPER_ADMIN_PASSWORD can now be removed from the environment');
+  } else if (result === 'needs_setup') {
+    logger.warn('No super admin exists yet. Set SUPER_ADMIN_EMAIL and SUPER_ADMIN_PASSWORD and restart to create one.');
+  }
 
-const app = express();
-
-// Temporarily disable helmet for admin panel development
-// app.use(helmet());
-app.use(cors());
-app.use(express.json({ limit: '2mb' }));
-app.use(express.urlencoded({ extended: true }));
-app.use(
-  morgan('combined', {
-    stream: {
-      write: (message) => logger.info(message.trim()),
-    },
-  })
-);
-
-// Serve static files from public directory
-app.use(express.static(path.join(__dirname, '../public')));
-
-app.get('/healthz', (_req, res) => {
-  res.json({ status: 'ok', timestamp: new Date().toISOString() });
-});
-
-app.use('/api/v1', apiRouter);
-app.use(errorHandler);
+  if (env.NODE_ENV === 'production') {
+    const exposed = await findAdminsWithDefaultPassword();
+    if (exposed.length > 0) {
+      throw new Error(
+        `Refusing to start: ${exposed.join(', ')} still accept(s) a published default password. ` +
+          'Change it with "node bootstrap-super-admin.js --reset-password" and restart.'
+      );
+    }
+  }
+}
 
 async function start() {
   try {
     await connectDatabase();
-    await bootstrapSuperAdmin('superadmin@digitalstorming.com', 'ChangeMeSuperSecure123!');
+    await prepareAdminAccounts();
 
     // Start billing background job
     startBillingJob();
 
+    // Expire session bundle uploads that were requested but never completed
+    startBundleUploadJob();
+
+    // Prune sessions, alerts, logs and billing history past their retention period
+    startMaintenanceJobs();
+
+    // Push events raised on any worker to the clients connected to this one
+    await startClientEventRelay();
+
     app.listen(env.PORT, () => {
       logger.info('DAT Loadboard backend listening on port ' + env.PORT);
     });
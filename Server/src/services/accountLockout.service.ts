@@ -0,0 +1,67 @@
+/**
+ * Account Lockout Service
+ *
+ * Temporarily locks an account after repeated failed logins. The failure
+ * count is derived from LoginHistory rather than stored on the user, and only
+ * counts failures since the later of the lockout window start, the last
+ * successful login and the last admin unlock.
+ */
+
+import type { User } from '@prisma/client';
+import { prisma } from '../db/client';
+import { env } from '../config/env';
+import { AppError } from '../utils/appError';
+import { getFailedLoginAttempts } from './loginHistory.service';
+
+export interface LockoutStatus {
+  locked: boolean;
+  failedAttempts: number;
+  lockedUntil: Date | null;
+}
+
+type LockoutUser = Pick<User, 'id' | 'lastLoginAt' | 'lockoutResetAt'>;
+
+function failureCountingStart(user: LockoutUser): Date {
+  const windowStart = Date.now() - env.LOGIN_LOCKOUT_WINDOW_MINUTES * 60 * 1000;
+  const resetPoints = [windowStart, user.lastLoginAt?.getTime() ?? 0, user.lockoutResetAt?.getTime() ?? 0];
+  return new Date(Math.max(...resetPoints));
+}
+
+/**
+ * Work out whether the account is currently locked
+ */
+export async function getLockoutStatus(user: LockoutUser): Promise<LockoutStatus> {
+  const failures = await getFailedLoginAttempts(user.id, failureCountingStart(user));
+  const failedAttempts = failures.length;
+  const latestFailure = failures[0];
+
+  if (failedAttempts < env.LOGIN_LOCKOUT_THRESHOLD || !latestFailure) {
+    return { locked: false, failedAttempts, lockedUntil: null };
+  }
+
+  const lockedUntil = new Date(latestFailure.loginAt.getTime() + env.LOGIN_LOCKOUT_DURATION_MINUTES * 60 * 1000);
+  return {
+    locked: lockedUntil > new Date(),
+    failedAttempts,
+    lockedUntil: lockedUntil > new Date() ? lockedUntil : null,
+  };
+}
+
+/**
+ * Clear the failure count for an account so it can log in again immediately
+ */
+export async function unlockAccount(userId: string) {
+  const user = await prisma.user.findUnique({ where: { id: userId } });
+  if (!user) {
+    throw new AppError('User not found', 404);
+  }
+
+  const previous = await getLockoutStatus(user);
+
+  await prisma.user.update({
+    where: { id: userId },
+    data: { lockoutResetAt: new Date() },
+  });
+
+  return { userId, email: user.email, wasLocked: previous.locked, failedAttempts: previous.failedAttempts };
+}
@@ -1,5 +1,6 @@
 import { prisma } from '../db/client';
 import type { Prisma } from '@prisma/client';
+import { AppError } from '../utils/appError';
 
 interface CreateAuditLogInput {
   actorId?: string;
@@ -10,6 +11,36 @@ interface CreateAuditLogInput {
   ipAddress?: string;
 }
 
+export interface AuditLogFilters {
+  actorId?: string;
+  actorEmail?: string;
+  action?: string;
+  targetType?: string;
+  targetId?: string;
+  from?: Date;
+  to?: Date;
+}
+
+export interface ListAuditLogsOptions extends AuditLogFilters {
+  cursor?: string;
+  limit?: number;
+}
+
+export const AUDIT_EXPORT_MAX_ROWS = 10000;
+
+const auditLogInclude = {
+  actor: { select: { id: true, email: true, role: true } },
+} satisfies Prisma.AuditLogInclude;
+
+type AuditLogWithActor = Prisma.AuditLogGetPayload<{ include: typeof auditLogInclude }>;
+
+export interface AuditTarget {
+  type: string;
+  id: string;
+  label: string | null;
+  exists: boolean;
+}
+
 export function recordAuditLog(payload: CreateAuditLogInput) {
   const metadata = payload.metadata ? (payload.metadata as Prisma.InputJsonValue) : undefined;
   return prisma.auditLog.create({
@@ -24,12 +55,213 @@ export function recordAuditLog(payload: CreateAuditLogInput) {
   });
 }
 
-export function listAuditLogs(limit = 100) {
-  return prisma.auditLog.findMany({
-    take: limit,
-    orderBy: { createdAt: 'desc' },
-    include: {
-      actor: { select: { id: true, email: true, role: true } },
-    },
+type AuditSnapshot = Record<string, unknown>;
+
+export interface AuditChange {
+  before: unknown;
+  after: unknown;
+}
+
+// Secrets are never written to the audit log; a change is still reported, just not the value
+const REDACTED_FIELDS = new Set(['passwordHash', 'currentSessionToken', 'sessionToken', 'webhookSecret', 'totpSecret']);
+
+// Bumped on every write, so they would show up in every diff
+const IGNORED_DIFF_FIELDS = new Set(['updatedAt']);
+
+const auditSnapshotLoaders: Record<string, (id: string) => Promise<object | null>> = {
+  USER: (id) => prisma.user.findUnique({ where: { id } }),
+  DAT_SESSION: (id) => prisma.datSession.findUnique({ where: { id } }),
+  SESSION_ACTIVITY: (id) => prisma.sessionActivity.findUnique({ where: { id } }),
+  SECURITY_ALERT: (id) => prisma.securityAlert.findUnique({ where: { id } }),
+  MAINTENANCE_JOB: (name) => prisma.maintenanceJob.findUnique({ where: { name } }),
+  NOTIFICATION_CHANNEL: (id) => prisma.notificationChannel.findUnique({ where: { id } }),
+  PAYMENT: (id) => prisma.payment.findUnique({ where: { id } }),
+  BROADCAST: (id) => prisma.broadcast.findUnique({ where: { id } }),
+};
+
+/**
+ * Capture the current state of an audit target as plain JSON, or null if it does not exist.
+ * Returns undefined for target types that have no snapshot loader.
+ */
+export async function snapshotAuditTarget(targetType: string, targetId: string): Promise<AuditSnapshot | null | undefined> {
+  const load = auditSnapshotLoaders[targetType];
+  if (!load) {
+    return undefined;
+  }
+
+  const record = await load(targetId);
+  return record ? (JSON.parse(JSON.stringify(record)) as AuditSnapshot) : null;
+}
+
+function redact(field: string, value: unknown) {
+  return REDACTED_FIELDS.has(field) && value !== null && value !== undefined ? '[REDACTED]' : value;
+}
+
+/**
+ * Field-level before/after changes between two snapshots
+ */
+export function diffAuditSnapshots(before: AuditSnapshot | null, after: AuditSnapshot | null) {
+  const changes: Record<string, AuditChange> = {};
+  const fields = new Set([...Object.keys(before ?? {}), ...Object.keys(after ?? {})]);
+
+  for (const field of fields) {
+    if (IGNORED_DIFF_FIELDS.has(field)) {
+      continue;
+    }
+    const previous = before?.[field] ?? null;
+    const next = after?.[field] ?? null;
+    if (JSON.stringify(previous) !== JSON.stringify(next)) {
+      changes[field] = { before: redact(field, previous), after: redact(field, next) };
+    }
+  }
+
+  return changes;
+}
+
+function buildAuditWhere(filters: AuditLogFilters): Prisma.AuditLogWhereInput {
+  const where: Prisma.AuditLogWhereInput = {};
+
+  if (filters.actorId) where.actorId = filters.actorId;
+  if (filters.actorEmail) where.actor = { email: { contains: filters.actorEmail, mode: 'insensitive' } };
+  if (filters.action) where.action = filters.action;
+  if (filters.targetType) where.targetType = filters.targetType;
+  if (filters.targetId) where.targetId = filters.targetId;
+
+  if (filters.from || filters.to) {
+    where.createdAt = {};
+    if (filters.from) where.createdAt.gte = filters.from;
+    if (filters.to) where.createdAt.lte = filters.to;
+  }
+
+  return where;
+}
+
+/**
+ * Look up the users and sessions referenced by a page of audit entries
+ */
+async function resolveAuditTargets(logs: AuditLogWithActor[]) {
+  const idsOfType = (type: string) => [
+    ...new Set(logs.filter((log) => log.targetType === type && log.targetId).map((log) => log.targetId as string)),
+  ];
+
+  const [users, sessions] = await Promise.all([
+    prisma.user.findMany({ where: { id: { in: idsOfType('USER') } }, select: { id: true, email: true } }),
+    prisma.datSession.findMany({ where: { id: { in: idsOfType('DAT_SESSION') } }, select: { id: true, name: true } }),
+  ]);
+
+  const labels = new Map<string, string>();
+  users.forEach((user) => labels.set(`USER:${user.id}`, user.email));
+  sessions.forEach((session) => labels.set(`DAT_SESSION:${session.id}`, session.name));
+
+  return logs.map((log) => {
+    const target: AuditTarget | null = log.targetId
+      ? {
+          type: log.targetType,
+          id: log.targetId,
+          label: labels.get(`${log.targetType}:${log.targetId}`) ?? null,
+          exists: labels.has(`${log.targetType}:${log.targetId}`),
+        }
+      : null;
+    return { ...log, target };
   });
-}
\ No newline at end of file
+}
+
+/**
+ * List audit entries, newest first, one page at a time
+ */
+export async function listAuditLogs(options: ListAuditLogsOptions = {}) {
+  const limit = options.limit ?? 100;
+  const where = buildAuditWhere(options);
+
+  if (options.cursor) {
+    const cursor = await prisma.auditLog.findUnique({
+      where: { id: options.cursor },
+      select: { id: true, createdAt: true },
+    });
+    if (!cursor) {
+      throw new AppError('Invalid audit log cursor', 400);
+    }
+    where.AND = [
+      {
+        OR: [
+          { createdAt: { lt: cursor.createdAt } },
+          { createdAt: cursor.createdAt, id: { lt: cursor.id } },
+        ],
+      },
+    ];
+  }
+
+  const rows = await prisma.auditLog.findMany({
+    where,
+    include: auditLogInclude,
+    orderBy: [{ createdAt: 'desc' }, { id: 'desc' }],
+    take: limit + 1,
+  });
+
+  const page = rows.slice(0, limit);
+  const nextCursor = rows.length > limit ? page[page.length - 1]?.id ?? null : null;
+
+  return { logs: await resolveAuditTargets(page), nextCursor };
+}
+
+/**
+ * All audit entries matching the filters, capped for export
+ */
+export async function exportAuditLogs(filters: AuditLogFilters = {}) {
+  const rows = await prisma.auditLog.findMany({
+    where: buildAuditWhere(filters),
+    include: auditLogInclude,
+    orderBy: [{ createdAt: 'desc' }, { id: 'desc' }],
+    take: AUDIT_EXPORT_MAX_ROWS,
+  });
+
+  return resolveAuditTargets(rows);
+}
+
+/**
+ * Distinct actions and target types, for filter dropdowns
+ */
+export async function getAuditLogFilterOptions() {
+  const [actions, targetTypes] = await Promise.all([
+    prisma.auditLog.findMany({ distinct: ['action'], select: { action: true }, orderBy: { action: 'asc' } }),
+    prisma.auditLog.findMany({ distinct: ['targetType'], select: { targetType: true }, orderBy: { targetType: 'asc' } }),
+  ]);
+
+  return {
+    actions: actions.map((row) => row.action),
+    targetTypes: targetTypes.map((row) => row.targetType),
+  };
+}
+
+function csvCell(value: unknown): string {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  let text = typeof value === 'string' ? value : JSON.stringify(value);
+  // Keep spreadsheet apps from evaluating user-controlled text as a formula
+  if (/^[=+\-@]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Render exported audit entries as CSV
+ */
+export function auditLogsToCsv(logs: Awaited<ReturnType<typeof exportAuditLogs>>): string {
+  const header = ['id', 'createdAt', 'actorId', 'actorEmail', 'action', 'targetType', 'targetId', 'targetLabel', 'ipAddress', 'metadata'];
+  const lines = logs.map((log) => [
+    log.id,
+    log.createdAt.toISOString(),
+    log.actorId,
+    log.actor?.email,
+    log.action,
+    log.targetType,
+    log.targetId,
+    log.target?.label,
+    log.ipAddress,
+    log.metadata,
+  ].map(csvCell).join(','));
+
+  return [header.join(','), ...lines].join('\r\n');
+}
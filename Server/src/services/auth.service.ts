@@ -1,20 +1,32 @@
 ﻿import { prisma } from '../db/client';
 import { AppError } from '../utils/appError';
 import { comparePassword, hashPassword } from '../utils/password';
-import { signAccessToken, signRefreshToken, verifyRefreshToken } from '../utils/token';
+import { assertPasswordPolicy } from '../utils/passwordPolicy';
+import { env } from '../config/env';
+import { PUBLISHED_DEFAULT_PASSWORDS } from '../config/defaultPasswords';
+import { signAccessToken, signMfaToken, verifyMfaToken, verifyRefreshToken, RefreshTokenPayload } from '../utils/token';
 import type { User, UserRole } from '@prisma/client';
 import { createLoginHistory } from './loginHistory.service';
-import { createSession, invalidateSession, getUserActiveSessions } from './sessionActivity.service';
-import { createMultipleDeviceLoginAlert, createFailedLoginAlert } from './securityAlert.service';
-import { getLocationFromIP, isSuspiciousLocationChange } from '../utils/geolocation';
+import { createSession, invalidateSession, invalidateAllUserSessions, getUserActiveSessions } from './sessionActivity.service';
+import { createMultipleDeviceLoginAlert, createFailedLoginAlert, createRefreshTokenReuseAlert } from './securityAlert.service';
+import { issueRefreshToken, revokeRefreshTokenFamilies, rotateRefreshToken } from './refreshToken.service';
+import { getLocationFromIP } from '../utils/geolocation';
 import { parseDeviceInfo, getDeviceFingerprint } from '../utils/deviceFingerprint';
 import { checkAndDisableExpiredAccounts } from './billing.service';
+import { getLockoutStatus, type LockoutStatus } from './accountLockout.service';
+import { buildLoginRuleContext, evaluateLoginRules } from './loginRules.service';
+import { verifySecondFactor } from './totp.service';
+import { recordAuditLog } from './audit.service';
 
 export interface AuthTokens {
   accessToken: string;
   refreshToken: string;
 }
 
+export interface IssuedTokens extends AuthTokens {
+  familyId: string;
+}
+
 export interface LoginMetadata {
   ipAddress?: string;
   userAgent?: string;
@@ -22,12 +34,36 @@ export interface LoginMetadata {
   deviceMetadata?: any;
 }
 
-export async function bootstrapSuperAdmin(email: string, password: string): Promise<void> {
+/**
+ * Outcome of the password step. Accounts with two-factor enabled get a short-lived
+ * `mfaToken` instead of session tokens and finish through `verifyMfaLogin`.
+ */
+export type LoginResult =
+  | { mfaRequired: false; user: User; tokens: AuthTokens }
+  | { mfaRequired: true; user: User; mfaToken: string };
+
+const INVALID_MFA_TOKEN = 'Two-factor sign-in expired. Please log in again.';
+
+export type SuperAdminBootstrapResult = 'exists' | 'created' | 'needs_setup';
+
+/**
+ * Create the first super admin from SUPER_ADMIN_EMAIL / SUPER_ADMIN_PASSWORD. Nothing happens
+ * once any super admin exists, so the variables can be removed after the first start.
+ */
+export async function bootstrapSuperAdmin(): Promise<SuperAdminBootstrapResult> {
   const existing = await prisma.user.findFirst({ where: { role: 'SUPER_ADMIN' } });
   if (existing) {
-    return;
+    return 'exists';
+  }
+
+  const email = env.SUPER_ADMIN_EMAIL;
+  const password = env.SUPER_ADMIN_PASSWORD;
+  if (!email || !password) {
+    return 'needs_setup';
   }
 
+  assertSuperAdminPassword(password, email);
+
   const passwordHash = await hashPassword(password);
   await prisma.user.create({
     data: {
@@ -37,43 +73,97 @@ export async function bootstrapSuperAdmin(email: string, password: string): Prom
       status: 'ACTIVE',
     },
   });
+
+  return 'created';
+}
+
+function assertSuperAdminPassword(password: string, email: string) {
+  if (PUBLISHED_DEFAULT_PASSWORDS.includes(password)) {
+    throw new AppError('SUPER_ADMIN_PASSWORD is a published default password; choose a new one', 400);
+  }
+  assertPasswordPolicy(password, email, 'SUPER_ADMIN_PASSWORD');
+}
+
+/**
+ * Set SUPER_ADMIN_PASSWORD on the existing SUPER_ADMIN_EMAIL account, under the same rules as
+ * any other new password. Every session and refresh token of the account is ended.
+ */
+export async function resetSuperAdminPassword() {
+  const email = env.SUPER_ADMIN_EMAIL;
+  const password = env.SUPER_ADMIN_PASSWORD;
+  if (!email || !password) {
+    throw new AppError('Set SUPER_ADMIN_EMAIL and SUPER_ADMIN_PASSWORD first', 400);
+  }
+
+  const user = await prisma.user.findUnique({ where: { email } });
+  if (!user) {
+    throw new AppError(`No account with email ${email}`, 404);
+  }
+  assertSuperAdminPassword(password, user.email);
+
+  await prisma.user.update({
+    where: { id: user.id },
+    data: {
+      passwordHash: await hashPassword(password),
+      currentSessionToken: null,
+      lockoutResetAt: new Date(),
+    },
+  });
+  const sessionsEnded = await invalidateAllUserSessions(user.id, 'password_reset');
+
+  await recordAuditLog({
+    actorId: user.id,
+    action: 'PASSWORD_RESET_COMPLETED',
+    targetType: 'USER',
+    targetId: user.id,
+    metadata: { source: 'bootstrap-super-admin', sessionsEnded },
+  });
+
+  return { email: user.email, role: user.role, sessionsEnded };
+}
+
+/**
+ * Emails of active admin accounts that still accept a published default password
+ */
+export async function findAdminsWithDefaultPassword(): Promise<string[]> {
+  const admins = await prisma.user.findMany({
+    where: { role: { in: ['SUPER_ADMIN', 'ADMIN'] }, status: 'ACTIVE' },
+    select: { email: true, passwordHash: true },
+  });
+
+  const exposed: string[] = [];
+  for (const admin of admins) {
+    for (const password of PUBLISHED_DEFAULT_PASSWORDS) {
+      if (await comparePassword(password, admin.passwordHash)) {
+        exposed.push(admin.email);
+        break;
+      }
+    }
+  }
+  return exposed;
 }
 
 export async function login(
   email: string, 
   password: string,
   metadata?: LoginMetadata
-): Promise<{ user: User; tokens: AuthTokens }> {
+): Promise<LoginResult> {
   const user = await prisma.user.findUnique({ where: { email } });
 
   // Check if user exists and is active
   if (!user || user.status !== 'ACTIVE') {
     // Record failed login attempt only if user exists (to avoid FK constraint violation)
     if (metadata && user) {
-      await createLoginHistory({
-        userId: user.id,
-        email,
-        ipAddress: metadata.ipAddress,
-        userAgent: metadata.userAgent,
-        macAddress: metadata.macAddress,
-        success: false,
-        failureReason: 'Invalid credentials or inactive account',
-      });
-
-      // Create alert for multiple failed attempts
-      const location = await getLocationFromIP(metadata.ipAddress);
-      await createFailedLoginAlert({
-        email,
-        ipAddress: metadata.ipAddress || 'Unknown',
-        location: location?.location || null,
-        attemptCount: 1,
-        reason: 'Invalid credentials or inactive account',
-      });
+      await recordFailedLogin(user, metadata, 'Invalid credentials or inactive account');
     }
     
     throw new AppError('Invalid email or password', 401);
   }
 
+  // Refuse while locked out, before the password is even checked
+  const lockout = await getLockoutStatus(user);
+  assertNotLockedOut(lockout);
+
   // Check billing status before allowing login
   const now = new Date();
   let billingError: string | null = null;
@@ -134,20 +224,83 @@ export async function login(
   if (!isValid) {
     // Record failed login attempt
     if (metadata) {
-      await createLoginHistory({
-        userId: user.id,
-        email,
-        ipAddress: metadata.ipAddress,
-        userAgent: metadata.userAgent,
-        macAddress: metadata.macAddress,
-        success: false,
-        failureReason: 'Incorrect password',
-      });
+      await recordFailedLogin(user, metadata, 'Incorrect password');
     }
     
     throw new AppError('Invalid email or password', 401);
   }
 
+  // The password alone only earns the right to present the second factor
+  if (user.totpEnabledAt) {
+    return { mfaRequired: true, user, mfaToken: signMfaToken(user.id) };
+  }
+
+  const tokens = await completeLogin(user, metadata, lockout.failedAttempts);
+  return { mfaRequired: false, user, tokens };
+}
+
+/**
+ * Second step of a login for accounts with two-factor enabled. Wrong codes count
+ * as failed logins, so they feed the same lockout as wrong passwords.
+ */
+export async function verifyMfaLogin(
+  mfaToken: string,
+  code: string,
+  metadata?: LoginMetadata
+): Promise<{ user: User; tokens: AuthTokens }> {
+  let userId: string;
+  try {
+    userId = verifyMfaToken(mfaToken).sub;
+  } catch (error) {
+    throw new AppError(INVALID_MFA_TOKEN, 401);
+  }
+
+  const user = await prisma.user.findUnique({ where: { id: userId } });
+  if (!user || user.status !== 'ACTIVE' || !user.totpEnabledAt) {
+    throw new AppError(INVALID_MFA_TOKEN, 401);
+  }
+
+  const lockout = await getLockoutStatus(user);
+  assertNotLockedOut(lockout);
+
+  const method = await verifySecondFactor(user, code);
+  if (!method) {
+    if (metadata) {
+      await recordFailedLogin(user, metadata, 'Invalid two-factor code');
+    }
+    throw new AppError('Invalid two-factor code', 401);
+  }
+
+  if (method === 'recovery_code') {
+    await recordAuditLog({
+      actorId: user.id,
+      action: 'MFA_RECOVERY_CODE_USED',
+      targetType: 'USER',
+      targetId: user.id,
+      ipAddress: metadata?.ipAddress,
+    });
+  }
+
+  const tokens = await completeLogin(user, metadata, lockout.failedAttempts);
+  return { user, tokens };
+}
+
+function assertNotLockedOut(lockout: LockoutStatus) {
+  if (lockout.locked && lockout.lockedUntil) {
+    const retryAfterSeconds = Math.ceil((lockout.lockedUntil.getTime() - Date.now()) / 1000);
+    throw new AppError(
+      `Account temporarily locked after too many failed login attempts. Try again in ${Math.ceil(retryAfterSeconds / 60)} minute(s).`,
+      423,
+      { lockedUntil: lockout.lockedUntil.toISOString(), retryAfterSeconds }
+    );
+  }
+}
+
+/**
+ * Start a session for a fully authenticated user: end their other sessions,
+ * run the login rules and issue tokens
+ */
+async function completeLogin(user: User, metadata: LoginMetadata | undefined, recentFailures: number): Promise<AuthTokens> {
   // === SINGLE SESSION ENFORCEMENT ===
   // Check if user has an active session on another device
   const existingSessions = await getUserActiveSessions(user.id);
@@ -194,8 +347,20 @@ export async function login(
     }
   }
 
-  // Generate new tokens
-  const tokens = issueTokens(user.id, user.role);
+  // Check the login against the user's history before it becomes part of it
+  if (metadata) {
+    const ruleContext = await buildLoginRuleContext({
+      user,
+      ipAddress: metadata.ipAddress,
+      userAgent: metadata.userAgent,
+      macAddress: metadata.macAddress,
+      recentFailures,
+    });
+    await evaluateLoginRules(ruleContext);
+  }
+
+  // Generate new tokens (each login starts a new refresh token family)
+  const tokens = await issueTokens(user.id, user.role);
 
   // Update user with new session info
   await prisma.user.update({
@@ -227,39 +392,148 @@ export async function login(
       userAgent: metadata.userAgent,
       macAddress: metadata.macAddress,
       deviceMetadata: metadata.deviceMetadata,
+      refreshFamilyId: tokens.familyId,
     });
   }
 
-  return { user, tokens };
+  return { accessToken: tokens.accessToken, refreshToken: tokens.refreshToken };
 }
 
-export function issueTokens(userId: string, role: UserRole): AuthTokens {
+/**
+ * Record a failed login and alert with the real number of recent failures
+ */
+async function recordFailedLogin(user: User, metadata: LoginMetadata, reason: string) {
+  await createLoginHistory({
+    userId: user.id,
+    email: user.email,
+    ipAddress: metadata.ipAddress,
+    userAgent: metadata.userAgent,
+    macAddress: metadata.macAddress,
+    success: false,
+    failureReason: reason,
+  });
+
+  const lockout = await getLockoutStatus(user);
+  const location = await getLocationFromIP(metadata.ipAddress);
+  await createFailedLoginAlert({
+    userId: user.id,
+    email: user.email,
+    ipAddress: metadata.ipAddress || 'Unknown',
+    location: location?.location || null,
+    attemptCount: lockout.failedAttempts,
+    reason,
+    lockedUntil: lockout.lockedUntil,
+  });
+}
+
+export async function issueTokens(userId: string, role: UserRole): Promise<IssuedTokens> {
+  const refreshToken = await issueRefreshToken(userId, role);
   return {
     accessToken: signAccessToken(userId, role),
-    refreshToken: signRefreshToken(userId, role),
+    refreshToken: refreshToken.token,
+    familyId: refreshToken.familyId,
   };
 }
 
 export async function refreshTokens(refreshToken: string): Promise<AuthTokens> {
+  let payload: RefreshTokenPayload;
   try {
-    const payload = verifyRefreshToken(refreshToken);
-    const user = await prisma.user.findUnique({ where: { id: payload.sub } });
+    payload = verifyRefreshToken(refreshToken);
+  } catch (error) {
+    throw new AppError('Invalid refresh token', 401);
+  }
 
-    if (!user || user.status !== 'ACTIVE') {
-      throw new AppError('User is not active', 403);
-    }
+  const user = await prisma.user.findUnique({ where: { id: payload.sub } });
+  if (!user || user.status !== 'ACTIVE') {
+    throw new AppError('Invalid refresh token', 401);
+  }
 
-    const tokens = issueTokens(user.id, user.role);
+  // The family dies with the session it was issued for (logout, new login, forced logout)
+  const sessionActivity = await prisma.sessionActivity.findFirst({
+    where: { refreshFamilyId: payload.fam },
+  });
+  if (sessionActivity && !sessionActivity.isActive) {
+    await revokeRefreshTokenFamilies([payload.fam], sessionActivity.logoutReason ?? 'session_inactive');
+    throw new AppError('Invalid refresh token', 401);
+  }
 
-    // CRITICAL: Update user's currentSessionToken to the new access token
-    // This allows the refreshed token to pass validation
-    await prisma.user.update({
-      where: { id: user.id },
-      data: { currentSessionToken: tokens.accessToken },
-    });
+  const rotation = await rotateRefreshToken(payload);
 
-    return tokens;
-  } catch (error) {
+  if (rotation.status === 'reused') {
+    await handleRefreshTokenReuse(user, rotation.familyId);
+    throw new AppError('Invalid refresh token', 401);
+  }
+
+  if (rotation.status === 'rejected') {
     throw new AppError('Invalid refresh token', 401);
   }
+
+  const accessToken = signAccessToken(user.id, user.role);
+
+  // CRITICAL: Update user's currentSessionToken to the new access token
+  // This allows the refreshed token to pass validation
+  await prisma.user.update({
+    where: { id: user.id },
+    data: { currentSessionToken: accessToken },
+  });
+
+  // Keep the session activity pointed at the live access token so activity
+  // tracking and forced logout keep working after a refresh
+  if (sessionActivity) {
+    await prisma.sessionActivity.update({
+      where: { id: sessionActivity.id },
+      data: { sessionToken: accessToken, lastActivityAt: new Date() },
+    });
+  }
+
+  return { accessToken, refreshToken: rotation.refreshToken.token };
+}
+
+/**
+ * A consumed refresh token was presented again: either the client replayed it
+ * or it was stolen. Kill the family and its session and tell the admins.
+ */
+async function handleRefreshTokenReuse(user: User, familyId: string) {
+  await revokeRefreshTokenFamilies([familyId], 'reuse_detected');
+
+  const sessions = await prisma.sessionActivity.findMany({
+    where: { refreshFamilyId: familyId, isActive: true },
+  });
+
+  for (const session of sessions) {
+    await invalidateSession(session.sessionToken, 'refresh_token_reuse');
+  }
+
+  if (sessions.length > 0) {
+    await prisma.user.updateMany({
+      where: {
+        id: user.id,
+        currentSessionToken: { in: sessions.map((session) => session.sessionToken) },
+      },
+      data: { currentSessionToken: null },
+    });
+  }
+
+  await createRefreshTokenReuseAlert({
+    userId: user.id,
+    userEmail: user.email,
+    familyId,
+    ipAddress: sessions[0]?.ipAddress ?? null,
+    device: sessions[0]?.deviceInfo ?? null,
+  });
+}
+
+/**
+ * Log out the session that owns the given access token
+ */
+export async function logout(userId: string, accessToken: string): Promise<void> {
+  await invalidateSession(accessToken, 'logout');
+
+  await prisma.user.updateMany({
+    where: {
+      id: userId,
+      currentSessionToken: accessToken,
+    },
+    data: { currentSessionToken: null },
+  });
 }
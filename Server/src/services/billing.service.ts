@@ -1,7 +1,10 @@
 import { prisma } from '../db/client';
 import { AppError } from '../utils/appError';
-import type { BillingCycle, PaymentStatus, User } from '@prisma/client';
+import type { BillingCycle, Invoice, Payment, PaymentStatus, Prisma, User } from '@prisma/client';
 import { Decimal } from '@prisma/client/runtime/library';
+import { env } from '../config/env';
+import { issueInvoice } from './invoice.service';
+import { publishClientEvent } from './clientEvent.service';
 
 /**
  * Calculate the end date of a billing cycle based on start date and cycle type
@@ -83,71 +86,373 @@ export async function startBillingCycle(
 }
 
 /**
- * Add a payment and extend the billing cycle
+ * When a newly paid cycle runs: after the current cycle if it is still running, otherwise from now
+ */
+function nextCycleWindow(user: User, cycle: BillingCycle, now: Date) {
+  const cycleStart = user.billingCycleEndDate && user.billingCycleEndDate > now
+    ? user.billingCycleEndDate
+    : now;
+  return { cycleStart, cycleEnd: calculateCycleEndDate(cycleStart, cycle) };
+}
+
+/**
+ * Read the user and hold their row until the transaction ends, so payments recorded at the
+ * same time stack one after the other instead of both starting from the same cycle end
+ */
+async function lockBillingUser(tx: Prisma.TransactionClient, userId: string): Promise<User> {
+  await tx.$queryRaw`SELECT "id" FROM "User" WHERE "id" = ${userId} FOR UPDATE`;
+  const user = await tx.user.findUnique({ where: { id: userId } });
+  if (!user) {
+    throw new AppError('User not found', 404);
+  }
+  return user;
+}
+
+/**
+ * Give the user the cycle a fully paid payment bought and issue its invoice
+ */
+async function grantPaidCycle(tx: Prisma.TransactionClient, payment: Payment, email: string) {
+  const invoice = await issueInvoice(tx, payment, email);
+
+  const user = await tx.user.update({
+    where: { id: payment.userId },
+    data: {
+      billingCycle: payment.billingCycle,
+      billingCycleStartDate: payment.cycleStartDate,
+      billingCycleEndDate: payment.cycleEndDate,
+      isBillingActive: true,
+      isTrialActive: false,
+      lastBillingCheckAt: new Date(),
+    },
+  });
+
+  return { invoice, user };
+}
+
+/**
+ * Add a payment, issue its invoice and extend the billing cycle. With an `amountDue` above
+ * `amount` the payment is recorded as a PENDING first installment instead: no cycle is
+ * granted and no invoice issued until the rest is paid with `addPaymentInstallment`.
  */
 export async function addPayment(
   userId: string,
   cycle: BillingCycle,
   amount: number,
   memo: string | null,
+  adminId: string | null,
+  amountDue: number | null = null
+): Promise<{ payment: Payment; invoice: Invoice | null; user: User }> {
+  if (amountDue !== null && amountDue < amount) {
+    throw new AppError('Amount due cannot be less than the amount paid', 400);
+  }
+  const isPartial = amountDue !== null && amountDue > amount;
+
+  // The invoice number is only consumed if the whole payment is recorded
+  return prisma.$transaction(async (tx) => {
+    const user = await lockBillingUser(tx, userId);
+    const paymentDate = new Date();
+    const { cycleStart, cycleEnd } = nextCycleWindow(user, cycle, paymentDate);
+
+    // Create payment record; a pending payment's cycle dates are provisional
+    const payment = await tx.payment.create({
+      data: {
+        userId,
+        amount: new Decimal(amount),
+        amountDue: amountDue !== null ? new Decimal(amountDue) : null,
+        billingCycle: cycle,
+        status: isPartial ? 'PENDING' : 'PAID',
+        paymentDate,
+        cycleStartDate: cycleStart,
+        cycleEndDate: cycleEnd,
+        memo: memo || null,
+        createdBy: adminId || null,
+      },
+    });
+
+    if (isPartial) {
+      await tx.billingHistory.create({
+        data: {
+          userId,
+          action: 'PAYMENT_PENDING',
+          details: {
+            paymentId: payment.id,
+            amount: amount.toString(),
+            amountDue: String(amountDue),
+            balance: new Decimal(amountDue).minus(amount).toString(),
+            cycle,
+            memo: memo || null,
+          },
+        },
+      });
+
+      return { payment, invoice: null, user };
+    }
+
+    const granted = await grantPaidCycle(tx, payment, user.email);
+
+    // Log to billing history
+    await tx.billingHistory.create({
+      data: {
+        userId,
+        action: 'PAYMENT_ADDED',
+        details: {
+          paymentId: payment.id,
+          invoiceNumber: granted.invoice.number,
+          amount: amount.toString(),
+          cycle,
+          memo: memo || null,
+          cycleStartDate: cycleStart.toISOString(),
+          cycleEndDate: cycleEnd.toISOString(),
+        },
+      },
+    });
+
+    return { payment, invoice: granted.invoice, user: granted.user };
+  });
+}
+
+/**
+ * Owner of a payment, so an admin's permission over that user can be checked before correcting it
+ */
+export async function getPaymentOwnerId(paymentId: string): Promise<string> {
+  const payment = await prisma.payment.findUnique({ where: { id: paymentId }, select: { userId: true } });
+  if (!payment) {
+    throw new AppError('Payment not found', 404);
+  }
+  return payment.userId;
+}
+
+/**
+ * Record an installment towards a pending payment. The installment that pays the balance
+ * makes the payment PAID, starts its cycle and issues its invoice.
+ */
+export async function addPaymentInstallment(
+  paymentId: string,
+  amount: number,
+  memo: string | null,
   adminId: string | null
-): Promise<{ payment: any; user: User }> {
-  const user = await prisma.user.findUnique({ where: { id: userId } });
-  if (!user) {
-    throw new AppError('User not found', 404);
+): Promise<{ payment: Payment; invoice: Invoice | null; user: User }> {
+  return prisma.$transaction(async (tx) => {
+    const payment = await tx.payment.findUnique({ where: { id: paymentId } });
+    if (!payment) {
+      throw new AppError('Payment not found', 404);
+    }
+    if (payment.status !== 'PENDING' || !payment.amountDue) {
+      throw new AppError('Only pending payments accept installments', 409);
+    }
+
+    const received = payment.amount.plus(amount);
+    if (received.gt(payment.amountDue)) {
+      throw new AppError(`Installment exceeds the outstanding balance of ${payment.amountDue.minus(payment.amount).toFixed(2)}`, 400);
+    }
+
+    const user = await lockBillingUser(tx, payment.userId);
+    const paidInFull = received.equals(payment.amountDue);
+    const window = paidInFull ? nextCycleWindow(user, payment.billingCycle, new Date()) : null;
+
+    // Guarded on the amount read above, so two concurrent installments cannot both apply
+    const claimed = await tx.payment.updateMany({
+      where: { id: paymentId, status: 'PENDING', amount: payment.amount },
+      data: {
+        amount: received,
+        ...(window ? { status: 'PAID' as const, cycleStartDate: window.cycleStart, cycleEndDate: window.cycleEnd } : {}),
+      },
+    });
+    if (claimed.count === 0) {
+      throw new AppError('The payment was changed by another request. Reload and try again.', 409);
+    }
+    const updated = await tx.payment.findUniqueOrThrow({ where: { id: paymentId } });
+
+    await tx.billingHistory.create({
+      data: {
+        userId: payment.userId,
+        action: 'PAYMENT_INSTALLMENT_ADDED',
+        details: {
+          paymentId,
+          amount: amount.toString(),
+          received: received.toString(),
+          amountDue: payment.amountDue.toString(),
+          balance: payment.amountDue.minus(received).toString(),
+          memo: memo || null,
+          recordedBy: adminId,
+        },
+      },
+    });
+
+    if (!paidInFull) {
+      return { payment: updated, invoice: null, user };
+    }
+
+    const granted = await grantPaidCycle(tx, updated, user.email);
+
+    await tx.billingHistory.create({
+      data: {
+        userId: payment.userId,
+        action: 'PAYMENT_COMPLETED',
+        details: {
+          paymentId,
+          invoiceNumber: granted.invoice.number,
+          amount: received.toString(),
+          cycle: updated.billingCycle,
+          cycleStartDate: updated.cycleStartDate.toISOString(),
+          cycleEndDate: updated.cycleEndDate.toISOString(),
+        },
+      },
+    });
+
+    return { payment: updated, invoice: granted.invoice, user: granted.user };
+  });
+}
+
+/**
+ * The account fields billing responses carry; never the whole row, which holds the
+ * password hash, session token and two-factor secret
+ */
+export function serializeBillingUser(user: User) {
+  return {
+    id: user.id,
+    email: user.email,
+    status: user.status,
+    billingCycle: user.billingCycle,
+    billingCycleStartDate: user.billingCycleStartDate,
+    billingCycleEndDate: user.billingCycleEndDate,
+    trialPeriodHours: user.trialPeriodHours,
+    trialStartDate: user.trialStartDate,
+    trialEndDate: user.trialEndDate,
+    isTrialActive: user.isTrialActive,
+    isBillingActive: user.isBillingActive,
+  };
+}
+
+/**
+ * Take back the cycle time a payment granted from `from` to the end of its cycle, or `share`
+ * of it. Payments stacked after it and the user's cycle end move earlier by the same amount.
+ * Nothing moves when the user's cycle no longer includes the payment, e.g. after a trial or a
+ * manual restart.
+ */
+async function removeGrantedTime(tx: Prisma.TransactionClient, payment: Payment, user: User, from: Date, share = 1) {
+  const removedMs = Math.round((payment.cycleEndDate.getTime() - from.getTime()) * share);
+  if (removedMs <= 0 || !user.billingCycleEndDate || user.billingCycleEndDate < payment.cycleEndDate) {
+    return { removedMs: 0, user };
   }
 
-  const paymentDate = new Date();
-  const cycleStart = user.billingCycleEndDate && user.billingCycleEndDate > paymentDate
-    ? user.billingCycleEndDate
-    : paymentDate;
-  const cycleEnd = calculateCycleEndDate(cycleStart, cycle);
+  const shift = (date: Date) => new Date(date.getTime() - removedMs);
 
-  // Create payment record
-  const payment = await prisma.payment.create({
-    data: {
-      userId,
-      amount: new Decimal(amount),
-      billingCycle: cycle,
-      status: 'PAID',
-      paymentDate,
-      cycleStartDate: cycleStart,
-      cycleEndDate: cycleEnd,
-      memo: memo || null,
-      createdBy: adminId || null,
-    },
+  const stacked = await tx.payment.findMany({
+    where: { userId: user.id, status: 'PAID', id: { not: payment.id }, cycleStartDate: { gte: payment.cycleEndDate } },
   });
+  for (const later of stacked) {
+    await tx.payment.update({
+      where: { id: later.id },
+      data: { cycleStartDate: shift(later.cycleStartDate), cycleEndDate: shift(later.cycleEndDate) },
+    });
+  }
 
-  // Update user billing cycle
-  const updatedUser = await prisma.user.update({
-    where: { id: userId },
+  const updatedUser = await tx.user.update({
+    where: { id: user.id },
     data: {
-      billingCycle: cycle,
-      billingCycleStartDate: cycleStart,
-      billingCycleEndDate: cycleEnd,
-      isBillingActive: true,
-      isTrialActive: false,
+      billingCycleEndDate: shift(user.billingCycleEndDate),
+      ...(user.billingCycleStartDate && user.billingCycleStartDate >= payment.cycleEndDate
+        ? { billingCycleStartDate: shift(user.billingCycleStartDate) }
+        : {}),
       lastBillingCheckAt: new Date(),
     },
   });
 
-  // Log to billing history
-  await prisma.billingHistory.create({
-    data: {
-      userId,
-      action: 'PAYMENT_ADDED',
-      details: {
-        paymentId: payment.id,
-        amount: amount.toString(),
-        cycle,
-        memo: memo || null,
-        cycleStartDate: cycleStart.toISOString(),
-        cycleEndDate: cycleEnd.toISOString(),
+  return { removedMs, user: updatedUser };
+}
+
+const REVERSIBLE_STATUSES: Record<'REFUNDED' | 'VOIDED', PaymentStatus[]> = {
+  REFUNDED: ['PAID'],
+  VOIDED: ['PAID', 'PENDING'],
+};
+
+async function reversePayment(
+  paymentId: string,
+  outcome: 'REFUNDED' | 'VOIDED',
+  options: { refundAmount?: number | null; reason: string | null; adminId: string | null }
+): Promise<{ payment: Payment; user: User }> {
+  return prisma.$transaction(async (tx) => {
+    const payment = await tx.payment.findUnique({ where: { id: paymentId }, include: { user: true } });
+    if (!payment) {
+      throw new AppError('Payment not found', 404);
+    }
+
+    const allowed = REVERSIBLE_STATUSES[outcome];
+    if (!allowed.includes(payment.status)) {
+      throw new AppError(`Only ${allowed.join(' or ').toLowerCase()} payments can be ${outcome.toLowerCase()}`, 409);
+    }
+
+    const refundedAmount = outcome === 'REFUNDED'
+      ? (options.refundAmount != null ? new Decimal(options.refundAmount) : payment.amount)
+      : null;
+    if (refundedAmount && refundedAmount.gt(payment.amount)) {
+      throw new AppError('Refund cannot exceed the amount paid', 400);
+    }
+
+    const now = new Date();
+    const claimed = await tx.payment.updateMany({
+      where: { id: paymentId, status: payment.status },
+      data: {
+        status: outcome,
+        refundedAmount,
+        reversedAt: now,
+        reversedBy: options.adminId,
+        reversalReason: options.reason,
       },
-    },
+    });
+    if (claimed.count === 0) {
+      throw new AppError('The payment was changed by another request. Reload and try again.', 409);
+    }
+
+    // A refund takes back the time not used yet, in proportion to the share of the amount refunded;
+    // a void undoes the whole cycle as if never paid
+    let user = payment.user;
+    let removedMs = 0;
+    if (payment.status === 'PAID') {
+      const from = outcome === 'VOIDED' || payment.cycleStartDate > now ? payment.cycleStartDate : now;
+      const share = refundedAmount && payment.amount.gt(0) ? refundedAmount.div(payment.amount).toNumber() : 1;
+      ({ removedMs, user } = await removeGrantedTime(tx, payment, payment.user, from, share));
+      await tx.invoice.updateMany({ where: { paymentId }, data: { status: outcome, refundedAmount, reversedAt: now } });
+    }
+
+    await tx.billingHistory.create({
+      data: {
+        userId: payment.userId,
+        action: outcome === 'REFUNDED' ? 'PAYMENT_REFUNDED' : 'PAYMENT_VOIDED',
+        details: {
+          paymentId,
+          previousStatus: payment.status,
+          amount: payment.amount.toString(),
+          refundedAmount: refundedAmount?.toString() ?? null,
+          reason: options.reason,
+          removedHours: Math.round((removedMs / (1000 * 60 * 60)) * 100) / 100,
+          cycleEndDate: user.billingCycleEndDate?.toISOString() ?? null,
+          recordedBy: options.adminId,
+        },
+      },
+    });
+
+    const updated = await tx.payment.findUniqueOrThrow({ where: { id: paymentId } });
+    return { payment: updated, user };
   });
+}
+
+/**
+ * Refund a paid payment, in full unless `amount` is given. The unused part of the cycle it
+ * granted is taken back, scaled by the refunded share of the amount (half the money, half the
+ * remaining time); its invoice is marked refunded.
+ */
+export function refundPayment(paymentId: string, amount: number | null, reason: string | null, adminId: string | null) {
+  return reversePayment(paymentId, 'REFUNDED', { refundAmount: amount, reason, adminId });
+}
 
-  return { payment, user: updatedUser };
+/**
+ * Void a payment recorded in error. A paid payment loses the whole cycle it granted and its
+ * invoice is marked void (the number stays used); a pending one is simply cancelled.
+ */
+export function voidPayment(paymentId: string, reason: string | null, adminId: string | null) {
+  return reversePayment(paymentId, 'VOIDED', { reason, adminId });
 }
 
 /**
@@ -215,6 +520,15 @@ export async function getUserBillingStatus(userId: string) {
     throw new AppError('User not found', 404);
   }
 
+  const pendingPayments = await prisma.payment.findMany({
+    where: { userId, status: 'PENDING' },
+    orderBy: { createdAt: 'asc' },
+  });
+  const balanceDue = pendingPayments.reduce(
+    (sum, p) => sum.plus((p.amountDue ?? p.amount).minus(p.amount)),
+    new Decimal(0)
+  );
+
   const now = new Date();
   let isExpired = false;
   let daysRemaining: number | null = null;
@@ -242,34 +556,41 @@ export async function getUserBillingStatus(userId: string) {
       statusMessage = `Active - ${daysRemaining} day(s) remaining`;
     }
   } else {
-    statusMessage = 'No billing cycle set';
+    statusMessage = pendingPayments.length > 0 ? 'Payment pending' : 'No billing cycle set';
+  }
+
+  if (pendingPayments.length > 0) {
+    statusMessage = `${statusMessage} - ${balanceDue.toFixed(2)} outstanding`;
   }
 
   return {
-    user: {
-      id: user.id,
-      email: user.email,
-      billingCycle: user.billingCycle,
-      billingCycleStartDate: user.billingCycleStartDate,
-      billingCycleEndDate: user.billingCycleEndDate,
-      trialPeriodHours: user.trialPeriodHours,
-      trialStartDate: user.trialStartDate,
-      trialEndDate: user.trialEndDate,
-      isTrialActive: user.isTrialActive,
-      isBillingActive: user.isBillingActive,
-    },
+    user: serializeBillingUser(user),
     isExpired,
     daysRemaining,
     statusMessage,
+    isPaymentPending: pendingPayments.length > 0,
+    balanceDue: balanceDue.toString(),
+    pendingPayments: pendingPayments.map(p => ({
+      id: p.id,
+      amount: p.amount.toString(),
+      amountDue: (p.amountDue ?? p.amount).toString(),
+      balance: (p.amountDue ?? p.amount).minus(p.amount).toString(),
+      billingCycle: p.billingCycle,
+      paymentDate: p.paymentDate,
+    })),
     recentPayments: user.payments.map(p => ({
       id: p.id,
       amount: p.amount.toString(),
+      amountDue: p.amountDue?.toString() ?? null,
+      refundedAmount: p.refundedAmount?.toString() ?? null,
       billingCycle: p.billingCycle,
       status: p.status,
       paymentDate: p.paymentDate,
       cycleStartDate: p.cycleStartDate,
       cycleEndDate: p.cycleEndDate,
       memo: p.memo,
+      reversedAt: p.reversedAt,
+      reversalReason: p.reversalReason,
     })),
   };
 }
@@ -281,20 +602,27 @@ export async function getPaymentHistory(userId: string) {
   const payments = await prisma.payment.findMany({
     where: { userId },
     orderBy: { createdAt: 'desc' },
+    include: { invoice: { select: { id: true, number: true } } },
   });
 
   return payments.map(p => ({
     id: p.id,
     amount: p.amount.toString(),
+    amountDue: p.amountDue?.toString() ?? null,
+    refundedAmount: p.refundedAmount?.toString() ?? null,
     billingCycle: p.billingCycle,
     status: p.status,
     paymentDate: p.paymentDate,
     cycleStartDate: p.cycleStartDate,
     cycleEndDate: p.cycleEndDate,
     memo: p.memo,
+    reversedAt: p.reversedAt,
+    reversedBy: p.reversedBy,
+    reversalReason: p.reversalReason,
     createdBy: p.createdBy,
     createdAt: p.createdAt,
     updatedAt: p.updatedAt,
+    invoice: p.invoice,
   }));
 }
 
@@ -368,6 +696,12 @@ export async function checkAndDisableExpiredAccounts(): Promise<{
       },
     });
 
+    await publishClientEvent(
+      'account_disabled',
+      { reason: 'billing_expired', message: 'Your billing cycle has expired. Please renew your subscription to continue.' },
+      { userId: user.id }
+    );
+
     expiredUsers.push(user.id);
   }
 
@@ -393,6 +727,12 @@ export async function checkAndDisableExpiredAccounts(): Promise<{
       },
     });
 
+    await publishClientEvent(
+      'account_disabled',
+      { reason: 'trial_expired', message: 'Your trial period has expired. Please contact support to activate your account.' },
+      { userId: user.id }
+    );
+
     expiredUsers.push(user.id);
   }
 
@@ -402,6 +742,79 @@ export async function checkAndDisableExpiredAccounts(): Promise<{
   };
 }
 
+type BillingPeriod = Pick<User, 'isTrialActive' | 'trialEndDate' | 'isBillingActive' | 'billingCycleEndDate'>;
+
+/**
+ * When the trial or paid cycle ends, if that falls within BILLING_EXPIRY_WARNING_HOURS
+ */
+function getUpcomingExpiry(user: BillingPeriod, now = new Date()) {
+  const endsAt = user.isTrialActive ? user.trialEndDate : user.isBillingActive ? user.billingCycleEndDate : null;
+  if (!endsAt || endsAt <= now) {
+    return null;
+  }
+
+  const hoursRemaining = Math.ceil((endsAt.getTime() - now.getTime()) / (60 * 60 * 1000));
+  if (hoursRemaining > env.BILLING_EXPIRY_WARNING_HOURS) {
+    return null;
+  }
+
+  return { endsAt, isTrial: user.isTrialActive, hoursRemaining };
+}
+
+/**
+ * Payload of the billing_expiring client event
+ */
+function billingExpiringEventData(expiry: NonNullable<ReturnType<typeof getUpcomingExpiry>>) {
+  const period = expiry.isTrial ? 'trial period' : 'billing cycle';
+  return {
+    endsAt: expiry.endsAt.toISOString(),
+    isTrial: expiry.isTrial,
+    hoursRemaining: expiry.hoursRemaining,
+    message: `Your ${period} ends in ${expiry.hoursRemaining} hour(s). Please renew to keep access.`,
+  };
+}
+
+/**
+ * The billing_expiring event a client should see on connect, if its account ends soon
+ */
+export async function getBillingExpiryWarning(userId: string) {
+  const user = await prisma.user.findUnique({ where: { id: userId } });
+  const expiry = user ? getUpcomingExpiry(user) : null;
+  return expiry ? billingExpiringEventData(expiry) : null;
+}
+
+/**
+ * Warn connected clients once per end date that their trial or billing cycle is about to end
+ */
+export async function warnExpiringAccounts(now = new Date()): Promise<{ warned: number; warnedUsers: string[] }> {
+  const horizon = new Date(now.getTime() + env.BILLING_EXPIRY_WARNING_HOURS * 60 * 60 * 1000);
+  const window = { gt: now, lte: horizon };
+
+  const users = await prisma.user.findMany({
+    where: {
+      status: 'ACTIVE',
+      OR: [
+        { isTrialActive: true, trialEndDate: window },
+        { isTrialActive: false, isBillingActive: true, billingCycleEndDate: window },
+      ],
+    },
+  });
+
+  const warnedUsers: string[] = [];
+  for (const user of users) {
+    const expiry = getUpcomingExpiry(user, now);
+    if (!expiry || user.billingExpiryWarnedFor?.getTime() === expiry.endsAt.getTime()) {
+      continue;
+    }
+
+    await prisma.user.update({ where: { id: user.id }, data: { billingExpiryWarnedFor: expiry.endsAt } });
+    await publishClientEvent('billing_expiring', billingExpiringEventData(expiry), { userId: user.id });
+    warnedUsers.push(user.id);
+  }
+
+  return { warned: warnedUsers.length, warnedUsers };
+}
+
 /**
  * Get list of expired accounts
  */
@@ -446,3 +859,21 @@ export async function getExpiredAccounts() {
   };
 }
 
+/**
+ * Delete billing history entries older than the retention period.
+ * Payments themselves are kept; only the action log is pruned.
+ */
+export async function cleanupOldBillingHistory(daysOld: number) {
+  const cutoffDate = new Date();
+  cutoffDate.setDate(cutoffDate.getDate() - daysOld);
+
+  const deleted = await prisma.billingHistory.deleteMany({
+    where: {
+      createdAt: {
+        lt: cutoffDate,
+      },
+    },
+  });
+
+  return deleted.count;
+}
@@ -0,0 +1,172 @@
+/**
+ * Broadcast Service
+ *
+ * Messages from the admins to desktop users, shown as a banner in the client's
+ * tab bar while their start/end window is open. A broadcast goes to its target
+ * roles and users, or to everyone when it has neither. The client fetches the
+ * active ones at sign-in and on refresh; one that is already live when saved is
+ * also pushed to connected clients. Dismissals are per user and server-side, so
+ * a closed banner stays closed on every device.
+ */
+
+import type { Broadcast, BroadcastSeverity, Prisma, UserRole } from '@prisma/client';
+import { prisma } from '../db/client';
+import { AppError } from '../utils/appError';
+import { publishClientEvent } from './clientEvent.service';
+
+export interface BroadcastInput {
+  message?: string;
+  severity?: BroadcastSeverity;
+  startsAt?: Date;
+  endsAt?: Date | null;
+  targetRoles?: UserRole[];
+  targetUserIds?: string[];
+}
+
+interface BroadcastViewer {
+  id: string;
+  role: UserRole;
+}
+
+const SEVERITY_ORDER: Record<BroadcastSeverity, number> = { CRITICAL: 0, WARNING: 1, INFO: 2 };
+
+const broadcastInclude = {
+  createdBy: { select: { id: true, email: true } },
+  _count: { select: { dismissals: true } },
+} satisfies Prisma.BroadcastInclude;
+
+function isLive(broadcast: Broadcast, now: Date) {
+  return broadcast.startsAt <= now && (!broadcast.endsAt || broadcast.endsAt > now);
+}
+
+function liveAt(now: Date): Prisma.BroadcastWhereInput {
+  return { startsAt: { lte: now }, OR: [{ endsAt: null }, { endsAt: { gt: now } }] };
+}
+
+function addressedTo(viewer: BroadcastViewer): Prisma.BroadcastWhereInput {
+  return {
+    OR: [
+      { targetRoles: { isEmpty: true }, targetUserIds: { isEmpty: true } },
+      { targetRoles: { has: viewer.role } },
+      { targetUserIds: { has: viewer.id } },
+    ],
+  };
+}
+
+/** What the client needs to show the banner */
+export function serializeClientBroadcast(broadcast: Broadcast) {
+  return {
+    id: broadcast.id,
+    message: broadcast.message,
+    severity: broadcast.severity,
+    startsAt: broadcast.startsAt,
+    endsAt: broadcast.endsAt,
+  };
+}
+
+async function assertValidTargets(broadcast: { startsAt: Date; endsAt: Date | null; targetUserIds: string[] }) {
+  if (broadcast.endsAt && broadcast.endsAt <= broadcast.startsAt) {
+    throw new AppError('Broadcast must end after it starts', 400);
+  }
+
+  if (broadcast.targetUserIds.length > 0) {
+    const found = await prisma.user.count({ where: { id: { in: broadcast.targetUserIds } } });
+    if (found !== broadcast.targetUserIds.length) {
+      throw new AppError('Unknown target user', 400);
+    }
+  }
+}
+
+// Connected clients fetch the banner again when told; later windows are picked up on their next refresh
+async function announceBroadcast(broadcast: Broadcast) {
+  if (!isLive(broadcast, new Date())) {
+    return;
+  }
+
+  const data = serializeClientBroadcast(broadcast);
+  const everyone = broadcast.targetRoles.length === 0 && broadcast.targetUserIds.length === 0;
+  if (everyone || broadcast.targetRoles.length > 0) {
+    await publishClientEvent('broadcast', data, everyone ? {} : { roles: broadcast.targetRoles });
+  }
+  for (const userId of broadcast.targetUserIds) {
+    await publishClientEvent('broadcast', data, { userId });
+  }
+}
+
+export function listBroadcasts() {
+  return prisma.broadcast.findMany({ include: broadcastInclude, orderBy: { startsAt: 'desc' } });
+}
+
+export async function createBroadcast(input: BroadcastInput & { message: string }, createdById?: string) {
+  const data = {
+    message: input.message,
+    severity: input.severity ?? 'INFO',
+    startsAt: input.startsAt ?? new Date(),
+    endsAt: input.endsAt ?? null,
+    targetRoles: [...new Set(input.targetRoles ?? [])],
+    targetUserIds: [...new Set(input.targetUserIds ?? [])],
+  };
+  await assertValidTargets(data);
+
+  const broadcast = await prisma.broadcast.create({ data: { ...data, createdById }, include: broadcastInclude });
+  await announceBroadcast(broadcast);
+  return broadcast;
+}
+
+export async function updateBroadcast(id: string, input: BroadcastInput) {
+  const existing = await prisma.broadcast.findUnique({ where: { id } });
+  if (!existing) {
+    throw new AppError('Broadcast not found', 404);
+  }
+
+  const data = {
+    ...input,
+    ...(input.targetRoles ? { targetRoles: [...new Set(input.targetRoles)] } : {}),
+    ...(input.targetUserIds ? { targetUserIds: [...new Set(input.targetUserIds)] } : {}),
+  };
+  await assertValidTargets({
+    startsAt: data.startsAt ?? existing.startsAt,
+    endsAt: data.endsAt !== undefined ? data.endsAt : existing.endsAt,
+    targetUserIds: data.targetUserIds ?? [],
+  });
+
+  const broadcast = await prisma.broadcast.update({ where: { id }, data, include: broadcastInclude });
+  await announceBroadcast(broadcast);
+  return broadcast;
+}
+
+export async function deleteBroadcast(id: string) {
+  const { count } = await prisma.broadcast.deleteMany({ where: { id } });
+  if (count === 0) {
+    throw new AppError('Broadcast not found', 404);
+  }
+}
+
+/**
+ * Live broadcasts addressed to this user that they have not dismissed,
+ * most severe first and newest first within a severity
+ */
+export async function listActiveBroadcasts(viewer: BroadcastViewer, now = new Date()) {
+  const broadcasts = await prisma.broadcast.findMany({
+    where: { AND: [liveAt(now), addressedTo(viewer)], dismissals: { none: { userId: viewer.id } } },
+    orderBy: { startsAt: 'desc' },
+  });
+
+  return broadcasts
+    .sort((a, b) => SEVERITY_ORDER[a.severity] - SEVERITY_ORDER[b.severity])
+    .map((broadcast) => serializeClientBroadcast(broadcast));
+}
+
+export async function dismissBroadcast(id: string, viewer: BroadcastViewer) {
+  // Any broadcast addressed to the user can be dismissed, live or not
+  const broadcast = await prisma.broadcast.findFirst({ where: { id, ...addressedTo(viewer) } });
+  if (!broadcast) {
+    throw new AppError('Broadcast not found', 404);
+  }
+
+  return prisma.broadcastDismissal.upsert({
+    where: { broadcastId_userId: { broadcastId: id, userId: viewer.id } },
+    create: { broadcastId: id, userId: viewer.id },
+    update: {},
+  });
+}
@@ -0,0 +1,305 @@
+/**
+ * Client Event Service
+ *
+ * Pushes events to connected desktop clients over server-sent events. An event
+ * is first written to the ClientEvent table; every cluster worker then relays
+ * new rows to the streams connected to it, so an event raised on one worker
+ * reaches a client whose stream landed on another. A client that reconnects
+ * sends the last event id it saw and is sent what it missed.
+ *
+ * Ids are taken when a row is inserted but the row only shows up once its
+ * transaction commits, so a lower id can appear after a higher one was relayed.
+ * The relay therefore also re-reads the last few seconds of events and skips
+ * the ones it already sent.
+ */
+
+import type { ClientEvent, Prisma, UserRole } from '@prisma/client';
+import type { Response } from 'express';
+import { prisma } from '../db/client';
+import { env } from '../config/env';
+import { logger } from '../config/logger';
+
+export type ClientEventType =
+  | 'session_invalidated'
+  | 'account_disabled'
+  | 'billing_expiring'
+  | 'bundle_updated'
+  | 'broadcast';
+
+/** Who receives an event. A session beats a user, a user beats roles; nothing set means everyone. */
+export interface ClientEventTarget {
+  userId?: string;
+  sessionActivityId?: string;
+  roles?: UserRole[];
+}
+
+interface ClientStream {
+  userId: string;
+  role: UserRole;
+  sessionActivityId: string | null;
+  res: Response;
+  // Relayed while the stream is still replaying missed events, sent right after them
+  held: ClientEvent[] | null;
+  // Sent by the replay; the relay may still come across them in its trailing window
+  replayed: Set<number>;
+}
+
+// Proxies drop idle connections; a comment line keeps the stream alive
+const HEARTBEAT_MS = 25 * 1000;
+// Clients wait this long before reconnecting after the stream drops
+const RECONNECT_DELAY_MS = 5 * 1000;
+const RELAY_BATCH_SIZE = 500;
+// How late an event may commit after its id was taken and still be relayed
+const RELAY_LOOKBACK_MS = 10 * 1000;
+const REPLAY_LIMIT = 100;
+// Long enough for any reconnect to catch up
+const RETENTION_MS = 24 * 60 * 60 * 1000;
+
+// Events after which the client is signed out, so its stream is closed
+const TERMINAL_EVENTS: readonly string[] = ['session_invalidated', 'account_disabled'];
+
+const SESSION_END_MESSAGES: Record<string, string> = {
+  new_login: 'You have been logged in from another device.',
+  forced_by_admin: 'An administrator ended your session.',
+  refresh_token_reuse: 'Your session was ended for security reasons. Please log in again.',
+  password_changed: 'Your password was changed. Please log in again.',
+  password_reset: 'Your password was reset. Please log in again.',
+};
+
+const streams = new Set<ClientStream>();
+let lastRelayedId = 0;
+// Ids relayed within the lookback window, with when they were created
+const recentlyRelayed = new Map<number, number>();
+let relayTimer: NodeJS.Timeout | null = null;
+// A slow poll must not overlap the next one, or both would deliver the same rows
+let relaying = false;
+
+function eventData(type: ClientEventType, data: Record<string, unknown>) {
+  return { type, data: data as Prisma.InputJsonObject };
+}
+
+/**
+ * Queue an event for connected clients. Failures are logged and swallowed: the
+ * action that raised the event must not fail because clients could not be told.
+ */
+export async function publishClientEvent(type: ClientEventType, data: Record<string, unknown>, target: ClientEventTarget = {}) {
+  try {
+    await prisma.clientEvent.create({
+      data: {
+        ...eventData(type, data),
+        userId: target.userId,
+        sessionActivityId: target.sessionActivityId,
+        roles: target.roles ?? [],
+      },
+    });
+  } catch (error) {
+    logger.warn({ err: error, type, target }, 'Failed to publish client event');
+  }
+}
+
+/**
+ * Tell the clients of ended sessions why they were signed out
+ */
+export async function publishSessionsInvalidated(sessionActivityIds: string[], reason: string) {
+  if (sessionActivityIds.length === 0) {
+    return;
+  }
+
+  const data = { reason, message: SESSION_END_MESSAGES[reason] ?? 'Your session has ended. Please log in again.' };
+  try {
+    await prisma.clientEvent.createMany({
+      data: sessionActivityIds.map((sessionActivityId) => ({ ...eventData('session_invalidated', data), sessionActivityId })),
+    });
+  } catch (error) {
+    logger.warn({ err: error, reason, sessionActivityIds }, 'Failed to publish client event');
+  }
+}
+
+function matches(event: Pick<ClientEvent, 'userId' | 'sessionActivityId' | 'roles'>, stream: ClientStream) {
+  if (event.sessionActivityId) {
+    return event.sessionActivityId === stream.sessionActivityId;
+  }
+  if (event.userId) {
+    return event.userId === stream.userId;
+  }
+  return event.roles.length === 0 || event.roles.includes(stream.role);
+}
+
+function write(stream: ClientStream, type: string, data: unknown, id?: number) {
+  stream.res.write(`${id !== undefined ? `id: ${id}\n` : ''}event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+function deliver(stream: ClientStream, event: ClientEvent) {
+  write(stream, event.type, { ...(event.data as Prisma.JsonObject), sentAt: event.createdAt.toISOString() }, event.id);
+  if (TERMINAL_EVENTS.includes(event.type)) {
+    stream.res.end();
+  }
+}
+
+/**
+ * Send new events to the streams connected to this worker
+ */
+export async function relayClientEvents() {
+  if (relaying) {
+    return 0;
+  }
+
+  relaying = true;
+  try {
+    const lookbackStart = Date.now() - RELAY_LOOKBACK_MS;
+    for (const [id, createdAt] of recentlyRelayed) {
+      if (createdAt < lookbackStart) {
+        recentlyRelayed.delete(id);
+      }
+    }
+
+    const events = await prisma.clientEvent.findMany({
+      where: {
+        OR: [
+          { id: { gt: lastRelayedId } },
+          // Committed late, below ids that were already relayed
+          { id: { lte: lastRelayedId, notIn: [...recentlyRelayed.keys()] }, createdAt: { gte: new Date(lookbackStart) } },
+        ],
+      },
+      orderBy: { id: 'asc' },
+      take: RELAY_BATCH_SIZE,
+    });
+
+    for (const event of events) {
+      for (const stream of streams) {
+        if (stream.held) {
+          stream.held.push(event);
+        } else if (!stream.res.writableEnded && !stream.replayed.has(event.id) && matches(event, stream)) {
+          deliver(stream, event);
+        }
+      }
+      recentlyRelayed.set(event.id, event.createdAt.getTime());
+      lastRelayedId = Math.max(lastRelayedId, event.id);
+    }
+
+    return events.length;
+  } finally {
+    relaying = false;
+  }
+}
+
+/**
+ * Start relaying events on this worker. Events published before the start are
+ * left to the replay of reconnecting clients.
+ */
+export async function startClientEventRelay() {
+  if (relayTimer) {
+    logger.warn('Client event relay is already running');
+    return;
+  }
+
+  const latest = await prisma.clientEvent.aggregate({ _max: { id: true } });
+  lastRelayedId = latest._max.id ?? 0;
+  recentlyRelayed.clear();
+
+  relayTimer = setInterval(() => {
+    relayClientEvents().catch((error) => logger.error({ err: error }, 'Failed to relay client events'));
+  }, env.CLIENT_EVENT_POLL_INTERVAL_MS);
+}
+
+export function stopClientEventRelay() {
+  if (relayTimer) {
+    clearInterval(relayTimer);
+    relayTimer = null;
+  }
+}
+
+export interface OpenClientStreamParams {
+  userId: string;
+  role: UserRole;
+  sessionActivityId: string | null;
+  /** Only events raised after this are replayed, so a new login never sees the last one's logout */
+  since: Date;
+  lastEventId?: number;
+  /** Close the stream when the access token it was opened with expires */
+  expiresAt?: Date;
+  /** Events sent once on connect without an id, e.g. the current billing warning */
+  initialEvents?: Array<{ type: ClientEventType; data: Record<string, unknown> }>;
+}
+
+/**
+ * Turn the response into an event stream registered with this worker's relay
+ */
+export async function openClientStream(res: Response, params: OpenClientStreamParams) {
+  res.status(200);
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache, no-transform');
+  res.setHeader('Connection', 'keep-alive');
+  // nginx would otherwise buffer the stream
+  res.setHeader('X-Accel-Buffering', 'no');
+  res.flushHeaders();
+  res.write(`retry: ${RECONNECT_DELAY_MS}\n\n`);
+
+  const held: ClientEvent[] = [];
+  const stream: ClientStream = {
+    userId: params.userId,
+    role: params.role,
+    sessionActivityId: params.sessionActivityId,
+    res,
+    held,
+    replayed: new Set(),
+  };
+  // Registered before the replay query so nothing relayed meanwhile is lost
+  const replayUpTo = lastRelayedId;
+  streams.add(stream);
+
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+  const expiry = params.expiresAt
+    ? setTimeout(() => res.end(), Math.max(params.expiresAt.getTime() - Date.now(), 0))
+    : null;
+
+  res.on('close', () => {
+    clearInterval(heartbeat);
+    if (expiry) {
+      clearTimeout(expiry);
+    }
+    streams.delete(stream);
+  });
+
+  let missed: ClientEvent[] = [];
+  if (params.lastEventId !== undefined && params.lastEventId < replayUpTo) {
+    try {
+      missed = await prisma.clientEvent.findMany({
+        where: { id: { gt: params.lastEventId, lte: replayUpTo }, createdAt: { gte: params.since } },
+        orderBy: { id: 'asc' },
+        take: REPLAY_LIMIT,
+      });
+    } catch (error) {
+      // The headers are already sent; dropping the stream makes the client retry
+      logger.error({ err: error, userId: params.userId }, 'Failed to replay client events');
+      res.end();
+      return;
+    }
+  }
+
+  for (const event of params.initialEvents ?? []) {
+    write(stream, event.type, event.data);
+  }
+
+  for (const event of missed) {
+    stream.replayed.add(event.id);
+  }
+  // A late commit can be both replayed and relayed during the replay
+  const pending = [...missed, ...held.filter((event) => !stream.replayed.has(event.id))];
+  stream.held = null;
+  for (const event of pending) {
+    if (!res.writableEnded && matches(event, stream)) {
+      deliver(stream, event);
+    }
+  }
+}
+
+/**
+ * Delete events old enough that no reconnecting client still needs them
+ */
+export async function pruneClientEvents(now = new Date()) {
+  const result = await prisma.clientEvent.deleteMany({
+    where: { createdAt: { lt: new Date(now.getTime() - RETENTION_MS) } },
+  });
+  return result.count;
+}
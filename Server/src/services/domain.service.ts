@@ -1,4 +1,5 @@
-﻿import { prisma } from '../db/client';
+﻿import type { Domain } from '@prisma/client';
+import { prisma } from '../db/client';
 import { AppError } from '../utils/appError';
 
 interface CreateDomainInput {
@@ -12,8 +13,22 @@ interface UpdateDomainInput {
   baseUrl?: string;
   description?: string | null;
   isMaintenance?: boolean;
+  maintenanceMessage?: string | null;
+  maintenanceEta?: Date | null;
 }
 
+export interface DomainMaintenance {
+  domain: string;
+  message: string;
+  eta: Date | null;
+  retryAfterSeconds: number;
+}
+
+// How often a waiting client asks again; sooner when the ETA is close, never more often than the floor
+const MAINTENANCE_RETRY_SECONDS = 60;
+const MIN_MAINTENANCE_RETRY_SECONDS = 15;
+const MAX_MAINTENANCE_RETRY_SECONDS = 300;
+
 export function listDomains() {
   return prisma.domain.findMany({ orderBy: { createdAt: 'desc' } });
 }
@@ -28,7 +43,9 @@ export async function updateDomain(id: string, input: UpdateDomainInput) {
     throw new AppError('Domain not found', 404);
   }
 
-  return prisma.domain.update({ where: { id }, data: input });
+  // The message and ETA describe one maintenance window, so ending it drops them
+  const data = input.isMaintenance === false ? { ...input, maintenanceMessage: null, maintenanceEta: null } : input;
+  return prisma.domain.update({ where: { id }, data });
 }
 
 export async function deleteDomain(id: string): Promise<void> {
@@ -44,3 +61,29 @@ export async function deleteDomain(id: string): Promise<void> {
 
   await prisma.domain.delete({ where: { id } });
 }
+
+/** Null while the domain is up, otherwise what the desktop client shows while it waits */
+export function getDomainMaintenance(domain: Domain | null | undefined, now = new Date()): DomainMaintenance | null {
+  if (!domain?.isMaintenance) {
+    return null;
+  }
+
+  const secondsToEta = domain.maintenanceEta ? Math.ceil((domain.maintenanceEta.getTime() - now.getTime()) / 1000) : 0;
+  const retryAfterSeconds = secondsToEta > 0
+    ? Math.min(Math.max(secondsToEta, MIN_MAINTENANCE_RETRY_SECONDS), MAX_MAINTENANCE_RETRY_SECONDS)
+    : MAINTENANCE_RETRY_SECONDS;
+
+  return {
+    domain: domain.label,
+    message: domain.maintenanceMessage || `${domain.label} is down for maintenance.`,
+    eta: domain.maintenanceEta,
+    retryAfterSeconds,
+  };
+}
+
+export function assertDomainAvailable(domain: Domain | null | undefined): void {
+  const maintenance = getDomainMaintenance(domain);
+  if (maintenance) {
+    throw new AppError(maintenance.message, 503, { maintenance });
+  }
+}
@@ -0,0 +1,181 @@
+/**
+ * Invoice Service
+ *
+ * Issues one invoice per fully paid payment, numbered INV-<year>-<sequence> from a
+ * per-year counter that is bumped in the payment's transaction so numbers have no
+ * gaps. Also lists a user's invoices and renders printable HTML receipts.
+ */
+
+import { prisma } from '../db/client';
+import { env } from '../config/env';
+import { AppError } from '../utils/appError';
+import type { BillingCycle, Invoice, Payment, Prisma } from '@prisma/client';
+
+const CYCLE_LABELS: Record<BillingCycle, string> = {
+  DAILY: 'daily',
+  WEEKLY: 'weekly',
+  MONTHLY: 'monthly',
+  THREE_MONTHS: 'quarterly',
+  HALF_YEAR: 'half-yearly',
+  YEARLY: 'yearly',
+};
+
+export function formatInvoiceNumber(year: number, sequence: number): string {
+  return `INV-${year}-${String(sequence).padStart(6, '0')}`;
+}
+
+/**
+ * Issue the invoice for a paid payment. Must run inside the transaction that records the
+ * payment: the per-year counter row stays locked until it commits and its increment is
+ * rolled back with it, so numbers are issued in order without gaps.
+ */
+export async function issueInvoice(tx: Prisma.TransactionClient, payment: Payment, customerEmail: string): Promise<Invoice> {
+  const issuedAt = new Date();
+  const year = issuedAt.getUTCFullYear();
+
+  const counter = await tx.invoiceCounter.upsert({
+    where: { year },
+    create: { year, lastSequence: 1 },
+    update: { lastSequence: { increment: 1 } },
+  });
+
+  return tx.invoice.create({
+    data: {
+      number: formatInvoiceNumber(year, counter.lastSequence),
+      year,
+      sequence: counter.lastSequence,
+      paymentId: payment.id,
+      userId: payment.userId,
+      customerEmail,
+      amount: payment.amount,
+      currency: env.INVOICE_CURRENCY,
+      billingCycle: payment.billingCycle,
+      cycleStartDate: payment.cycleStartDate,
+      cycleEndDate: payment.cycleEndDate,
+      issuedAt,
+    },
+  });
+}
+
+function serializeInvoice(invoice: Invoice) {
+  return {
+    id: invoice.id,
+    number: invoice.number,
+    issuedAt: invoice.issuedAt,
+    amount: invoice.amount.toString(),
+    currency: invoice.currency,
+    billingCycle: invoice.billingCycle,
+    cycleStartDate: invoice.cycleStartDate,
+    cycleEndDate: invoice.cycleEndDate,
+    status: invoice.status,
+    refundedAmount: invoice.refundedAmount?.toString() ?? null,
+  };
+}
+
+/**
+ * A user's invoices, newest first
+ */
+export async function listUserInvoices(userId: string) {
+  const invoices = await prisma.invoice.findMany({
+    where: { userId },
+    orderBy: [{ year: 'desc' }, { sequence: 'desc' }],
+  });
+
+  return invoices.map(serializeInvoice);
+}
+
+/**
+ * Look up an invoice, optionally only among those belonging to `ownerId`
+ */
+export async function getInvoice(invoiceId: string, ownerId?: string): Promise<Invoice> {
+  const invoice = await prisma.invoice.findUnique({ where: { id: invoiceId } });
+  if (!invoice || (ownerId !== undefined && invoice.userId !== ownerId)) {
+    throw new AppError('Invoice not found', 404);
+  }
+  return invoice;
+}
+
+function escapeHtml(value: string): string {
+  return value
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function formatInvoiceDate(date: Date): string {
+  return date.toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric', timeZone: 'UTC' });
+}
+
+/**
+ * Render an invoice as a standalone, printable HTML receipt
+ */
+export function renderInvoiceHtml(invoice: Invoice): string {
+  const currency = new Intl.NumberFormat('en-US', { style: 'currency', currency: invoice.currency });
+  const amount = currency.format(Number(invoice.amount.toString()));
+  const refundRow = invoice.status === 'REFUNDED' && invoice.refundedAmount && invoice.reversedAt
+    ? `<tr class="total"><td colspan="2">Refunded ${formatInvoiceDate(invoice.reversedAt)}</td><td>-${currency.format(Number(invoice.refundedAmount.toString()))}</td></tr>`
+    : '';
+  const stamp = invoice.status === 'VOIDED' ? 'VOID' : invoice.status;
+  const issuerAddress = (env.INVOICE_ISSUER_ADDRESS ?? '')
+    .split('|')
+    .map((line) => line.trim())
+    .filter(Boolean)
+    .map((line) => `<div>${escapeHtml(line)}</div>`)
+    .join('');
+  const period = `${formatInvoiceDate(invoice.cycleStartDate)} – ${formatInvoiceDate(invoice.cycleEndDate)}`;
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Receipt ${escapeHtml(invoice.number)}</title>
+<style>
+  body { font-family: Arial, Helvetica, sans-serif; color: #1f2937; margin: 0; padding: 40px; }
+  .receipt { max-width: 720px; margin: 0 auto; }
+  header { display: flex; justify-content: space-between; align-items: flex-start; margin-bottom: 40px; }
+  h1 { font-size: 28px; margin: 0 0 8px; }
+  .muted { color: #6b7280; font-size: 14px; }
+  .issuer { text-align: right; font-size: 14px; }
+  .issuer strong { font-size: 16px; }
+  table { width: 100%; border-collapse: collapse; margin: 24px 0; }
+  th, td { text-align: left; padding: 12px 8px; border-bottom: 1px solid #e5e7eb; }
+  th:last-child, td:last-child { text-align: right; }
+  .total td { font-weight: bold; border-bottom: none; }
+  .stamp { display: inline-block; padding: 4px 12px; border: 2px solid #059669; color: #059669; font-weight: bold; letter-spacing: 2px; }
+  .stamp.reversed { border-color: #dc2626; color: #dc2626; }
+  @media print { body { padding: 0; } }
+</style>
+</head>
+<body>
+<div class="receipt">
+  <header>
+    <div>
+      <h1>Receipt</h1>
+      <div class="muted">Invoice ${escapeHtml(invoice.number)}</div>
+      <div class="muted">Issued ${formatInvoiceDate(invoice.issuedAt)}</div>
+    </div>
+    <div class="issuer">
+      <strong>${escapeHtml(env.INVOICE_ISSUER_NAME)}</strong>
+      ${issuerAddress}
+    </div>
+  </header>
+  <div class="muted">Billed to</div>
+  <div>${escapeHtml(invoice.customerEmail)}</div>
+  <table>
+    <thead>
+      <tr><th>Description</th><th>Period</th><th>Amount</th></tr>
+    </thead>
+    <tbody>
+      <tr><td>Loadboard access, ${CYCLE_LABELS[invoice.billingCycle]} plan</td><td>${period}</td><td>${amount}</td></tr>
+      <tr class="total"><td colspan="2">Total paid</td><td>${amount}</td></tr>
+      ${refundRow}
+    </tbody>
+  </table>
+  <span class="stamp${invoice.status === 'PAID' ? '' : ' reversed'}">${stamp}</span>
+</div>
+</body>
+</html>
+`;
+}
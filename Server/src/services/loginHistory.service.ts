@@ -179,3 +179,20 @@ export async function getUserLoginStats(userId: string) {
   };
 }
 
+/**
+ * Delete login attempts older than the retention period
+ */
+export async function cleanupOldLoginHistory(daysOld: number = 180) {
+  const cutoffDate = new Date();
+  cutoffDate.setDate(cutoffDate.getDate() - daysOld);
+
+  const deleted = await prisma.loginHistory.deleteMany({
+    where: {
+      loginAt: {
+        lt: cutoffDate,
+      },
+    },
+  });
+
+  return deleted.count;
+}
@@ -0,0 +1,225 @@
+/**
+ * Login Rules Service
+ *
+ * Checks each successful login against the user's earlier logins and raises a
+ * security alert for every rule that matches. Severities come from the
+ * LOGIN_RULE_* settings; a rule set to OFF is skipped.
+ */
+
+import type { LoginHistory, SecurityAlertSeverity, SecurityAlertType, User } from '@prisma/client';
+import { prisma } from '../db/client';
+import { env } from '../config/env';
+import { logger } from '../config/logger';
+import { createSecurityAlert } from './securityAlert.service';
+import { calculateDistance, getLocationFromIP, hasCoordinates, isSuspiciousLocationChange, type LocationData } from '../utils/geolocation';
+import { areSameDevice, getDeviceFingerprint, parseDeviceInfo, type DeviceInfo } from '../utils/deviceFingerprint';
+
+// Enough history to learn usual hours without scanning every login ever made
+const HISTORY_SAMPLE_SIZE = 100;
+
+export interface LoginRuleContext {
+  user: Pick<User, 'id' | 'email'>;
+  at: Date;
+  ipAddress: string | null;
+  macAddress: string | null;
+  location: LocationData | null;
+  device: DeviceInfo;
+  /** Earlier successful logins, newest first */
+  previousLogins: LoginHistory[];
+  /** Failed attempts since the last successful login, within the lockout window */
+  recentFailures: number;
+}
+
+interface LoginRuleMatch {
+  message: string;
+  metadata: Record<string, unknown>;
+}
+
+interface LoginRule {
+  alertType: SecurityAlertType;
+  severity: () => SecurityAlertSeverity | 'OFF';
+  evaluate: (context: LoginRuleContext) => LoginRuleMatch | null;
+}
+
+function storedLocation(login: LoginHistory): LocationData {
+  return {
+    city: login.city ?? undefined,
+    country: login.country ?? undefined,
+    latitude: login.latitude ?? undefined,
+    longitude: login.longitude ?? undefined,
+    location: login.location ?? undefined,
+  };
+}
+
+function isKnownDevice(login: LoginHistory, context: LoginRuleContext): boolean {
+  if (login.macAddress && context.macAddress && login.macAddress !== context.macAddress) {
+    return false;
+  }
+  return areSameDevice(parseDeviceInfo(login.userAgent ?? undefined), context.device);
+}
+
+function hourDistance(a: number, b: number): number {
+  const diff = Math.abs(a - b);
+  return Math.min(diff, 24 - diff);
+}
+
+export const LOGIN_RULES = {
+  'impossible-travel': {
+    alertType: 'SUSPICIOUS_LOCATION',
+    severity: () => env.LOGIN_RULE_IMPOSSIBLE_TRAVEL_SEVERITY,
+    evaluate: (context) => {
+      const previous = context.previousLogins.find((login) => hasCoordinates(storedLocation(login)));
+      const from = previous ? storedLocation(previous) : null;
+      if (!previous || !hasCoordinates(from) || !hasCoordinates(context.location)) {
+        return null;
+      }
+
+      const minutes = Math.max(0, Math.round((context.at.getTime() - previous.loginAt.getTime()) / 60000));
+      if (!isSuspiciousLocationChange(from, context.location, minutes)) {
+        return null;
+      }
+
+      const distance = calculateDistance(from.latitude, from.longitude, context.location.latitude, context.location.longitude);
+      return {
+        message: `Impossible travel for ${context.user.email}: ${distance.toFixed(0)} km from ${from.location || 'Unknown location'} to ${context.location.location || 'Unknown location'} in ${minutes} minutes.`,
+        metadata: {
+          previousLocation: from.location ?? null,
+          previousIP: previous.ipAddress,
+          previousLoginAt: previous.loginAt.toISOString(),
+          newLocation: context.location.location ?? null,
+          distanceKm: Math.round(distance),
+          timeMinutes: minutes,
+        },
+      };
+    },
+  },
+  'new-device': {
+    alertType: 'NEW_DEVICE_LOGIN',
+    severity: () => env.LOGIN_RULE_NEW_DEVICE_SEVERITY,
+    evaluate: (context) => {
+      // A first ever login has nothing to compare against
+      if (context.previousLogins.length === 0) {
+        return null;
+      }
+      if (context.previousLogins.some((login) => isKnownDevice(login, context))) {
+        return null;
+      }
+
+      const device = getDeviceFingerprint(context.device);
+      return {
+        message: `${context.user.email} logged in from a device not seen before: ${device}.`,
+        metadata: {
+          device,
+          macAddress: context.macAddress,
+          knownDevices: [...new Set(context.previousLogins.map((login) => login.deviceInfo ?? 'Unknown Device'))],
+        },
+      };
+    },
+  },
+  'unusual-hours': {
+    alertType: 'UNUSUAL_LOGIN_TIME',
+    severity: () => env.LOGIN_RULE_UNUSUAL_HOURS_SEVERITY,
+    evaluate: (context) => {
+      if (context.previousLogins.length < env.LOGIN_RULE_UNUSUAL_HOURS_MIN_LOGINS) {
+        return null;
+      }
+
+      const hour = context.at.getUTCHours();
+      const usualHours = [...new Set(context.previousLogins.map((login) => login.loginAt.getUTCHours()))].sort((a, b) => a - b);
+      if (usualHours.some((usual) => hourDistance(usual, hour) <= 1)) {
+        return null;
+      }
+
+      return {
+        message: `${context.user.email} logged in at ${String(hour).padStart(2, '0')}:00 UTC, outside their usual login hours.`,
+        metadata: { hourUtc: hour, usualHoursUtc: usualHours, sampledLogins: context.previousLogins.length },
+      };
+    },
+  },
+  'failure-burst': {
+    alertType: 'FAILED_LOGIN_BURST',
+    severity: () => env.LOGIN_RULE_FAILURE_BURST_SEVERITY,
+    evaluate: (context) => {
+      if (context.recentFailures < env.LOGIN_RULE_FAILURE_BURST_THRESHOLD) {
+        return null;
+      }
+
+      return {
+        message: `${context.user.email} logged in successfully after ${context.recentFailures} failed attempts. The password may have been guessed.`,
+        metadata: { failedAttempts: context.recentFailures, windowMinutes: env.LOGIN_LOCKOUT_WINDOW_MINUTES },
+      };
+    },
+  },
+} satisfies Record<string, LoginRule>;
+
+export type LoginRuleName = keyof typeof LOGIN_RULES;
+
+/**
+ * Gather what the rules need about a login that has just passed authentication.
+ * Must run before the login itself is recorded in LoginHistory.
+ */
+export async function buildLoginRuleContext(params: {
+  user: Pick<User, 'id' | 'email'>;
+  ipAddress?: string;
+  userAgent?: string;
+  macAddress?: string;
+  recentFailures: number;
+}): Promise<LoginRuleContext> {
+  const previousLogins = await prisma.loginHistory.findMany({
+    where: { userId: params.user.id, success: true },
+    orderBy: { loginAt: 'desc' },
+    take: HISTORY_SAMPLE_SIZE,
+  });
+
+  return {
+    user: params.user,
+    at: new Date(),
+    ipAddress: params.ipAddress ?? null,
+    macAddress: params.macAddress ?? null,
+    location: await getLocationFromIP(params.ipAddress),
+    device: parseDeviceInfo(params.userAgent),
+    previousLogins,
+    recentFailures: params.recentFailures,
+  };
+}
+
+/**
+ * Run every enabled rule and raise an alert for each match. A broken rule is
+ * logged and skipped; it never blocks the login.
+ */
+export async function evaluateLoginRules(context: LoginRuleContext) {
+  const matched: LoginRuleName[] = [];
+
+  for (const [name, rule] of Object.entries(LOGIN_RULES) as [LoginRuleName, LoginRule][]) {
+    const severity = rule.severity();
+    if (severity === 'OFF') {
+      continue;
+    }
+
+    try {
+      const match = rule.evaluate(context);
+      if (!match) {
+        continue;
+      }
+
+      await createSecurityAlert({
+        userId: context.user.id,
+        alertType: rule.alertType,
+        severity,
+        message: match.message,
+        metadata: {
+          rule: name,
+          email: context.user.email,
+          ipAddress: context.ipAddress,
+          ...match.metadata,
+          timestamp: context.at.toISOString(),
+        },
+      });
+      matched.push(name);
+    } catch (error) {
+      logger.error({ err: error, rule: name, userId: context.user.id }, `Login rule ${name} failed`);
+    }
+  }
+
+  return matched;
+}
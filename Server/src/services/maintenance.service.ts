@@ -0,0 +1,222 @@
+/**
+ * Maintenance Service
+ *
+ * Registry of background jobs and the bookkeeping around each run. A run first
+ * claims the job's MaintenanceJob row, so across PM2 cluster workers a job never
+ * runs twice at once and the admin API reports the same last run whichever
+ * worker serves it.
+ */
+
+import type { MaintenanceJobStatus, MaintenanceJobTrigger, Prisma } from '@prisma/client';
+import { prisma } from '../db/client';
+import { env } from '../config/env';
+import { logger } from '../config/logger';
+import { checkAndDisableExpiredAccounts, cleanupOldBillingHistory, warnExpiringAccounts } from './billing.service';
+import { expireAbandonedUploads } from './sessionBundle.service';
+import { cleanupOldSessions } from './sessionActivity.service';
+import { cleanupOldAlerts } from './securityAlert.service';
+import { cleanupOldLoginHistory } from './loginHistory.service';
+import { cleanupOldSessionLogs } from './sessionLog.service';
+import { pruneRateLimitHits } from './rateLimit.service';
+import { cleanupOldDeliveries, processDueDeliveries } from './notification.service';
+import { cleanupExpiredPasswordResetTokens } from './password.service';
+import { pruneClientEvents } from './clientEvent.service';
+
+// A crashed worker cannot hold a job forever
+const RUN_LOCK_MS = 30 * 60 * 1000;
+// Every worker's cron fires on the same tick; only the first claim within this window runs
+const SCHEDULED_DEDUPE_MS = 60 * 1000;
+
+interface MaintenanceJobDefinition {
+  description: string;
+  schedule: string;
+  run: () => Promise<Record<string, unknown>>;
+}
+
+function retention(days: number, cleanup: (daysOld: number) => Promise<number>) {
+  return async () => {
+    if (days === 0) {
+      return { retentionDays: 0, deleted: 0, keptForever: true };
+    }
+    return { retentionDays: days, deleted: await cleanup(days) };
+  };
+}
+
+export const MAINTENANCE_JOBS = {
+  'billing-expiration': {
+    description: 'Disable accounts whose billing cycle or trial has ended',
+    schedule: '0 * * * *',
+    run: () => checkAndDisableExpiredAccounts(),
+  },
+  'billing-expiry-warning': {
+    description: 'Warn connected clients whose billing cycle or trial ends soon',
+    schedule: '5 * * * *',
+    run: () => warnExpiringAccounts(),
+  },
+  'bundle-upload-janitor': {
+    description: 'Expire session bundle uploads that were requested but never completed',
+    schedule: '*/5 * * * *',
+    run: () => expireAbandonedUploads(),
+  },
+  'session-activity-retention': {
+    description: 'Delete ended session activity records',
+    schedule: '0 3 * * *',
+    run: retention(env.SESSION_ACTIVITY_RETENTION_DAYS, cleanupOldSessions),
+  },
+  'security-alert-retention': {
+    description: 'Delete dismissed security alerts',
+    schedule: '10 3 * * *',
+    run: retention(env.SECURITY_ALERT_RETENTION_DAYS, cleanupOldAlerts),
+  },
+  'login-history-retention': {
+    description: 'Delete old login attempts',
+    schedule: '20 3 * * *',
+    run: retention(env.LOGIN_HISTORY_RETENTION_DAYS, cleanupOldLoginHistory),
+  },
+  'session-log-retention': {
+    description: 'Delete old DAT session log entries',
+    schedule: '30 3 * * *',
+    run: retention(env.SESSION_LOG_RETENTION_DAYS, cleanupOldSessionLogs),
+  },
+  'billing-history-retention': {
+    description: 'Delete old billing history entries',
+    schedule: '40 3 * * *',
+    run: retention(env.BILLING_HISTORY_RETENTION_DAYS, cleanupOldBillingHistory),
+  },
+  'rate-limit-prune': {
+    description: 'Delete rate limit hits outside the throttling window',
+    schedule: '15 * * * *',
+    run: async () => ({ deleted: await pruneRateLimitHits(env.AUTH_RATE_LIMIT_WINDOW_SECONDS) }),
+  },
+  'password-reset-token-prune': {
+    description: 'Delete expired password reset codes',
+    schedule: '25 * * * *',
+    run: async () => ({ deleted: await cleanupExpiredPasswordResetTokens() }),
+  },
+  'client-event-prune': {
+    description: 'Delete client push events too old to be replayed',
+    schedule: '45 * * * *',
+    run: async () => ({ deleted: await pruneClientEvents() }),
+  },
+  'notification-retry': {
+    description: 'Retry alert notifications whose backoff has elapsed',
+    schedule: '*/2 * * * *',
+    run: () => processDueDeliveries(),
+  },
+  'notification-delivery-retention': {
+    description: 'Delete finished alert notification deliveries',
+    schedule: '50 3 * * *',
+    run: retention(env.NOTIFICATION_DELIVERY_RETENTION_DAYS, cleanupOldDeliveries),
+  },
+} satisfies Record<string, MaintenanceJobDefinition>;
+
+export type MaintenanceJobName = keyof typeof MAINTENANCE_JOBS;
+
+type MaintenanceJobResult<N extends MaintenanceJobName> = Awaited<ReturnType<(typeof MAINTENANCE_JOBS)[N]['run']>>;
+
+export type MaintenanceJobRun<N extends MaintenanceJobName> =
+  | { status: 'SKIPPED' }
+  | { status: 'SUCCEEDED'; result: MaintenanceJobResult<N>; durationMs: number }
+  | { status: 'FAILED'; error: string; durationMs: number };
+
+export function isMaintenanceJobName(name: string): name is MaintenanceJobName {
+  return Object.prototype.hasOwnProperty.call(MAINTENANCE_JOBS, name);
+}
+
+/**
+ * Run a job unless another worker is already running it (or, for scheduled runs,
+ * has just started it). The outcome is stored as the job's last run.
+ */
+export async function runMaintenanceJob<N extends MaintenanceJobName>(
+  name: N,
+  options: { trigger: MaintenanceJobTrigger; actorId?: string }
+): Promise<MaintenanceJobRun<N>> {
+  const now = new Date();
+  const claimConditions: Prisma.MaintenanceJobWhereInput[] = [
+    { OR: [{ lockedUntil: null }, { lockedUntil: { lt: now } }] },
+  ];
+  if (options.trigger === 'SCHEDULED') {
+    claimConditions.push({
+      OR: [{ lastStartedAt: null }, { lastStartedAt: { lt: new Date(now.getTime() - SCHEDULED_DEDUPE_MS) } }],
+    });
+  }
+
+  await prisma.maintenanceJob.upsert({ where: { name }, create: { name }, update: {} });
+  const claim = await prisma.maintenanceJob.updateMany({
+    where: { name, AND: claimConditions },
+    data: {
+      lockedUntil: new Date(now.getTime() + RUN_LOCK_MS),
+      lastStatus: 'RUNNING',
+      lastTrigger: options.trigger,
+      lastTriggeredById: options.actorId ?? null,
+      lastStartedAt: now,
+      lastFinishedAt: null,
+      lastDurationMs: null,
+      lastError: null,
+      runCount: { increment: 1 },
+    },
+  });
+
+  if (claim.count === 0) {
+    return { status: 'SKIPPED' };
+  }
+
+  const job: MaintenanceJobDefinition = MAINTENANCE_JOBS[name];
+  let outcome: MaintenanceJobRun<N>;
+  try {
+    const result = (await job.run()) as MaintenanceJobResult<N>;
+    outcome = { status: 'SUCCEEDED', result, durationMs: Date.now() - now.getTime() };
+  } catch (error) {
+    logger.error({ err: error, job: name }, `Maintenance job ${name} failed`);
+    outcome = {
+      status: 'FAILED',
+      error: error instanceof Error ? error.message : String(error),
+      durationMs: Date.now() - now.getTime(),
+    };
+  }
+
+  await prisma.maintenanceJob.update({
+    where: { name },
+    data: {
+      lockedUntil: null,
+      lastStatus: outcome.status as MaintenanceJobStatus,
+      lastFinishedAt: new Date(),
+      lastDurationMs: outcome.durationMs,
+      lastResult: outcome.status === 'SUCCEEDED' ? (JSON.parse(JSON.stringify(outcome.result)) as Prisma.InputJsonValue) : undefined,
+      lastError: outcome.status === 'FAILED' ? outcome.error : null,
+    },
+  });
+
+  return outcome;
+}
+
+/**
+ * Every registered job with its schedule and last run
+ */
+export async function listMaintenanceJobs() {
+  const rows = await prisma.maintenanceJob.findMany({
+    include: { lastTriggeredBy: { select: { id: true, email: true } } },
+  });
+  const byName = new Map(rows.map((row) => [row.name, row]));
+  const now = new Date();
+
+  return (Object.keys(MAINTENANCE_JOBS) as MaintenanceJobName[]).map((name) => {
+    const { description, schedule } = MAINTENANCE_JOBS[name];
+    const row = byName.get(name);
+    return {
+      name,
+      description,
+      schedule,
+      isRunning: row?.lastStatus === 'RUNNING' && !!row.lockedUntil && row.lockedUntil > now,
+      lastStatus: row?.lastStatus ?? null,
+      lastTrigger: row?.lastTrigger ?? null,
+      lastTriggeredBy: row?.lastTriggeredBy ?? null,
+      lastStartedAt: row?.lastStartedAt ?? null,
+      lastFinishedAt: row?.lastFinishedAt ?? null,
+      lastDurationMs: row?.lastDurationMs ?? null,
+      lastResult: row?.lastResult ?? null,
+      lastError: row?.lastError ?? null,
+      runCount: row?.runCount ?? 0,
+    };
+  });
+}
@@ -0,0 +1,414 @@
+/**
+ * Notification Service
+ *
+ * Pushes security alerts to the configured channels: JSON webhooks signed with
+ * an HMAC of the body, and email over SMTP. Every alert/channel pair becomes a
+ * NotificationDelivery row that is attempted straight away and then retried
+ * with exponential backoff by the notification-retry job until it succeeds or
+ * runs out of attempts. Rows are claimed atomically, so cluster workers never
+ * send the same delivery twice at once.
+ */
+
+import { createHmac, randomBytes } from 'crypto';
+import axios from 'axios';
+import type {
+  NotificationChannel,
+  NotificationChannelType,
+  NotificationDeliveryStatus,
+  Prisma,
+  SecurityAlert,
+  SecurityAlertSeverity,
+} from '@prisma/client';
+import { prisma } from '../db/client';
+import { env } from '../config/env';
+import { getSmtpConfig } from '../config/mail';
+import { logger } from '../config/logger';
+import { AppError } from '../utils/appError';
+import { sendMail, SmtpError } from '../utils/smtpClient';
+
+// A worker that dies mid-send releases the delivery after this long
+const SEND_LEASE_MS = 5 * 60 * 1000;
+const DUE_BATCH_SIZE = 100;
+const ERROR_MAX_LENGTH = 1000;
+
+export const SIGNATURE_HEADER = 'X-Signature';
+export const SIGNATURE_TIMESTAMP_HEADER = 'X-Signature-Timestamp';
+
+export interface NotificationChannelInput {
+  name?: string;
+  type?: NotificationChannelType;
+  enabled?: boolean;
+  severities?: SecurityAlertSeverity[];
+  webhookUrl?: string | null;
+  webhookSecret?: string;
+  emailRecipients?: string[];
+}
+
+class DeliveryError extends Error {
+  constructor(message: string, readonly responseCode?: number) {
+    super(message);
+  }
+}
+
+type DeliveryWithContext = Prisma.NotificationDeliveryGetPayload<{
+  include: { channel: true; alert: { include: { user: { select: { id: true; email: true } } } } };
+}>;
+
+function generateWebhookSecret(): string {
+  return randomBytes(32).toString('hex');
+}
+
+/**
+ * Channel as returned by the API. The webhook secret is only shown when it was
+ * just created or rotated; afterwards the admin can only replace it.
+ */
+export function serializeNotificationChannel(channel: NotificationChannel, options: { revealSecret?: boolean } = {}) {
+  const { webhookSecret, ...rest } = channel;
+  return {
+    ...rest,
+    hasWebhookSecret: !!webhookSecret,
+    ...(options.revealSecret && webhookSecret ? { webhookSecret } : {}),
+  };
+}
+
+function assertChannelConfig(channel: {
+  type: NotificationChannelType;
+  severities: SecurityAlertSeverity[];
+  webhookUrl: string | null;
+  emailRecipients: string[];
+}) {
+  if (channel.severities.length === 0) {
+    throw new AppError('Select at least one severity for the channel', 400);
+  }
+  if (channel.type === 'WEBHOOK' && !channel.webhookUrl) {
+    throw new AppError('Webhook channels need a URL', 400);
+  }
+  if (channel.type === 'EMAIL' && channel.emailRecipients.length === 0) {
+    throw new AppError('Email channels need at least one recipient', 400);
+  }
+}
+
+export async function listNotificationChannels() {
+  return prisma.notificationChannel.findMany({ orderBy: { createdAt: 'asc' } });
+}
+
+export async function createNotificationChannel(input: NotificationChannelInput & { name: string; type: NotificationChannelType }) {
+  const data = {
+    name: input.name,
+    type: input.type,
+    enabled: input.enabled ?? true,
+    severities: [...new Set(input.severities ?? [])],
+    webhookUrl: input.type === 'WEBHOOK' ? input.webhookUrl ?? null : null,
+    webhookSecret: input.type === 'WEBHOOK' ? input.webhookSecret ?? generateWebhookSecret() : null,
+    emailRecipients: input.type === 'EMAIL' ? [...new Set(input.emailRecipients ?? [])] : [],
+  };
+  assertChannelConfig(data);
+
+  return prisma.notificationChannel.create({ data });
+}
+
+/**
+ * Update a channel. Its type is fixed; create a new channel to switch transport.
+ */
+export async function updateNotificationChannel(id: string, input: NotificationChannelInput & { rotateSecret?: boolean }) {
+  const channel = await prisma.notificationChannel.findUnique({ where: { id } });
+  if (!channel) {
+    throw new AppError('Notification channel not found', 404);
+  }
+  if (input.type && input.type !== channel.type) {
+    throw new AppError('The channel type cannot be changed', 400);
+  }
+
+  const isWebhook = channel.type === 'WEBHOOK';
+  const webhookSecret = isWebhook && input.rotateSecret ? generateWebhookSecret() : isWebhook ? input.webhookSecret : undefined;
+  const data = {
+    name: input.name ?? channel.name,
+    enabled: input.enabled ?? channel.enabled,
+    severities: input.severities ? [...new Set(input.severities)] : channel.severities,
+    webhookUrl: isWebhook && input.webhookUrl !== undefined ? input.webhookUrl : channel.webhookUrl,
+    emailRecipients: !isWebhook && input.emailRecipients ? [...new Set(input.emailRecipients)] : channel.emailRecipients,
+  };
+  assertChannelConfig({ ...data, type: channel.type });
+
+  const updated = await prisma.notificationChannel.update({
+    where: { id },
+    data: { ...data, ...(webhookSecret ? { webhookSecret } : {}) },
+  });
+  return { channel: updated, secretChanged: !!webhookSecret };
+}
+
+export async function deleteNotificationChannel(id: string) {
+  const deleted = await prisma.notificationChannel.deleteMany({ where: { id } });
+  if (deleted.count === 0) {
+    throw new AppError('Notification channel not found', 404);
+  }
+}
+
+/**
+ * Queue the alert for every enabled channel that subscribes to its severity and
+ * start sending in the background. Never throws: a broken channel must not
+ * fail whatever raised the alert.
+ */
+export async function dispatchSecurityAlert(alert: Pick<SecurityAlert, 'id' | 'severity'>): Promise<string[]> {
+  try {
+    const channels = await prisma.notificationChannel.findMany({
+      where: { enabled: true, severities: { has: alert.severity } },
+      select: { id: true },
+    });
+    if (channels.length === 0) {
+      return [];
+    }
+
+    const deliveries = await prisma.$transaction(
+      channels.map((channel) =>
+        prisma.notificationDelivery.create({
+          data: { channelId: channel.id, alertId: alert.id, nextAttemptAt: new Date() },
+          select: { id: true },
+        })
+      )
+    );
+    const ids = deliveries.map((delivery) => delivery.id);
+
+    void (async () => {
+      for (const id of ids) {
+        await attemptDelivery(id);
+      }
+    })().catch((error) => logger.error({ err: error, alertId: alert.id }, 'Alert notification dispatch failed'));
+
+    return ids;
+  } catch (error) {
+    logger.error({ err: error, alertId: alert.id }, 'Failed to queue alert notifications');
+    return [];
+  }
+}
+
+/**
+ * Send a test message through a channel right now. Test sends are not retried.
+ */
+export async function sendTestNotification(channelId: string) {
+  const channel = await prisma.notificationChannel.findUnique({ where: { id: channelId } });
+  if (!channel) {
+    throw new AppError('Notification channel not found', 404);
+  }
+
+  const delivery = await prisma.notificationDelivery.create({ data: { channelId, isTest: true, nextAttemptAt: new Date() } });
+  return (await attemptDelivery(delivery.id)) ?? delivery;
+}
+
+function retryDelayMs(attempts: number): number {
+  return env.NOTIFICATION_RETRY_BASE_SECONDS * 1000 * 2 ** Math.max(0, attempts - 1);
+}
+
+/**
+ * Claim a delivery and make one attempt. Returns the updated delivery, or null
+ * if it is not due or another worker holds it.
+ */
+export async function attemptDelivery(id: string) {
+  const now = new Date();
+  const claim = await prisma.notificationDelivery.updateMany({
+    where: {
+      id,
+      status: { in: ['PENDING', 'RETRYING', 'SENDING'] },
+      nextAttemptAt: { lte: now },
+    },
+    data: { status: 'SENDING', nextAttemptAt: new Date(now.getTime() + SEND_LEASE_MS), attempts: { increment: 1 } },
+  });
+  if (claim.count === 0) {
+    return null;
+  }
+
+  const delivery = await prisma.notificationDelivery.findUniqueOrThrow({
+    where: { id },
+    include: { channel: true, alert: { include: { user: { select: { id: true, email: true } } } } },
+  });
+
+  try {
+    const responseCode = await send(delivery);
+    return await prisma.notificationDelivery.update({
+      where: { id },
+      data: { status: 'DELIVERED', deliveredAt: new Date(), nextAttemptAt: null, lastError: null, responseCode },
+    });
+  } catch (error) {
+    const message = (error instanceof Error ? error.message : String(error)).slice(0, ERROR_MAX_LENGTH);
+    // Test sends report straight back to the admin, and a deleted alert will never send
+    const givesUp = delivery.isTest || !delivery.alert || delivery.attempts >= env.NOTIFICATION_MAX_ATTEMPTS;
+    const status: NotificationDeliveryStatus = givesUp ? 'FAILED' : 'RETRYING';
+
+    logger.warn(
+      { err: error, deliveryId: id, channelId: delivery.channelId, attempts: delivery.attempts, status },
+      `Notification delivery to ${delivery.channel.name} failed`
+    );
+
+    return prisma.notificationDelivery.update({
+      where: { id },
+      data: {
+        status,
+        lastError: message,
+        responseCode: error instanceof DeliveryError ? error.responseCode ?? null : error instanceof SmtpError ? error.code ?? null : null,
+        nextAttemptAt: givesUp ? null : new Date(Date.now() + retryDelayMs(delivery.attempts)),
+      },
+    });
+  }
+}
+
+/**
+ * Retry every delivery whose backoff has elapsed (and any whose sender died)
+ */
+export async function processDueDeliveries() {
+  const due = await prisma.notificationDelivery.findMany({
+    where: { status: { in: ['PENDING', 'RETRYING', 'SENDING'] }, nextAttemptAt: { lte: new Date() } },
+    orderBy: { nextAttemptAt: 'asc' },
+    take: DUE_BATCH_SIZE,
+    select: { id: true },
+  });
+
+  const result = { attempted: 0, delivered: 0, failed: 0, retrying: 0 };
+  for (const { id } of due) {
+    const delivery = await attemptDelivery(id);
+    if (!delivery) {
+      continue;
+    }
+    result.attempted += 1;
+    if (delivery.status === 'DELIVERED') result.delivered += 1;
+    if (delivery.status === 'FAILED') result.failed += 1;
+    if (delivery.status === 'RETRYING') result.retrying += 1;
+  }
+  return result;
+}
+
+export async function listNotificationDeliveries(filters: {
+  channelId?: string;
+  status?: NotificationDeliveryStatus;
+  limit?: number;
+} = {}) {
+  return prisma.notificationDelivery.findMany({
+    where: { channelId: filters.channelId, status: filters.status },
+    include: {
+      channel: { select: { id: true, name: true, type: true } },
+      alert: { select: { id: true, alertType: true, severity: true, message: true } },
+    },
+    orderBy: { createdAt: 'desc' },
+    take: filters.limit ?? 100,
+  });
+}
+
+/**
+ * Delete the delivery log for sends that have finished, one way or the other
+ */
+export async function cleanupOldDeliveries(daysOld: number = 30) {
+  const cutoffDate = new Date();
+  cutoffDate.setDate(cutoffDate.getDate() - daysOld);
+
+  const deleted = await prisma.notificationDelivery.deleteMany({
+    where: { status: { in: ['DELIVERED', 'FAILED'] }, createdAt: { lt: cutoffDate } },
+  });
+  return deleted.count;
+}
+
+function buildPayload(delivery: DeliveryWithContext) {
+  const alert = delivery.alert;
+  return {
+    event: delivery.isTest ? 'notification.test' : 'security_alert.created',
+    deliveryId: delivery.id,
+    channel: { id: delivery.channel.id, name: delivery.channel.name },
+    sentAt: new Date().toISOString(),
+    alert: alert
+      ? {
+          id: alert.id,
+          type: alert.alertType,
+          severity: alert.severity,
+          message: alert.message,
+          user: alert.user,
+          metadata: alert.metadata,
+          createdAt: alert.createdAt.toISOString(),
+        }
+      : null,
+  };
+}
+
+async function send(delivery: DeliveryWithContext): Promise<number | null> {
+  if (!delivery.isTest && !delivery.alert) {
+    throw new DeliveryError('The alert no longer exists');
+  }
+
+  const payload = buildPayload(delivery);
+  return delivery.channel.type === 'WEBHOOK' ? sendWebhook(delivery.channel, payload) : sendEmail(delivery.channel, payload);
+}
+
+/**
+ * Signature over "<timestamp>.<raw body>"; receivers recompute it with the
+ * channel secret and reject stale timestamps to stop replays
+ */
+export function signWebhookPayload(secret: string, timestamp: string, body: string): string {
+  return `sha256=${createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+async function sendWebhook(channel: NotificationChannel, payload: ReturnType<typeof buildPayload>): Promise<number> {
+  if (!channel.webhookUrl || !channel.webhookSecret) {
+    throw new DeliveryError('Webhook channel is missing its URL or secret');
+  }
+
+  const body = JSON.stringify(payload);
+  const timestamp = Math.floor(Date.now() / 1000).toString();
+
+  let status: number;
+  try {
+    const response = await axios.post(channel.webhookUrl, body, {
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Notification-Event': payload.event,
+        'X-Notification-Delivery': payload.deliveryId,
+        [SIGNATURE_TIMESTAMP_HEADER]: timestamp,
+        [SIGNATURE_HEADER]: signWebhookPayload(channel.webhookSecret, timestamp, body),
+      },
+      timeout: env.NOTIFICATION_TIMEOUT_SECONDS * 1000,
+      maxRedirects: 0,
+      validateStatus: () => true,
+    });
+    status = response.status;
+  } catch (error) {
+    throw new DeliveryError(`Webhook request failed: ${error instanceof Error ? error.message : String(error)}`);
+  }
+
+  if (status < 200 || status >= 300) {
+    throw new DeliveryError(`Webhook responded with HTTP ${status}`, status);
+  }
+  return status;
+}
+
+function formatEmail(payload: ReturnType<typeof buildPayload>) {
+  const alert = payload.alert;
+  if (!alert) {
+    return {
+      subject: `Test notification from ${payload.channel.name}`,
+      text: `This is a test message for the "${payload.channel.name}" notification channel.\n\nSent at ${payload.sentAt}.`,
+    };
+  }
+
+  const lines = [
+    alert.message,
+    '',
+    `Type: ${alert.type.replace(/_/g, ' ')}`,
+    `Severity: ${alert.severity}`,
+    `User: ${alert.user?.email ?? 'n/a'}`,
+    `Raised at: ${alert.createdAt}`,
+  ];
+  if (alert.metadata && typeof alert.metadata === 'object') {
+    lines.push('', 'Details:', JSON.stringify(alert.metadata, null, 2));
+  }
+
+  return {
+    subject: `[${alert.severity}] Security alert: ${alert.type.replace(/_/g, ' ').toLowerCase()}`,
+    text: lines.join('\n'),
+  };
+}
+
+async function sendEmail(channel: NotificationChannel, payload: ReturnType<typeof buildPayload>): Promise<null> {
+  const smtp = getSmtpConfig();
+  if (!smtp) {
+    throw new DeliveryError('SMTP is not configured (set SMTP_HOST and SMTP_FROM)');
+  }
+
+  await sendMail(smtp, { to: channel.emailRecipients, ...formatEmail(payload) });
+  return null;
+}
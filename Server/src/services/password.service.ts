@@ -0,0 +1,194 @@
+/**
+ * Password Service
+ *
+ * Self-service password changes and email-based resets. Reset codes are random,
+ * stored only as a SHA-256 hash, expire after PASSWORD_RESET_TOKEN_TTL_MINUTES
+ * and are claimed atomically so each one works exactly once. A change ends every
+ * other session of the user; a completed reset ends all of them.
+ */
+
+import { createHash, randomBytes } from 'crypto';
+import type { User } from '@prisma/client';
+import { prisma } from '../db/client';
+import { env } from '../config/env';
+import { logger } from '../config/logger';
+import { getSmtpConfig } from '../config/mail';
+import { AppError } from '../utils/appError';
+import { comparePassword, hashPassword } from '../utils/password';
+import { assertPasswordPolicy } from '../utils/passwordPolicy';
+import { sendMail } from '../utils/smtpClient';
+import { recordAuditLog } from './audit.service';
+import { invalidateAllUserSessions, invalidateSession } from './sessionActivity.service';
+import { revokeUserRefreshTokens } from './refreshToken.service';
+
+const INVALID_RESET_TOKEN = 'Invalid or expired reset code';
+
+function hashResetToken(token: string): string {
+  return createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Change the password of a signed-in user and end their other sessions
+ */
+export async function changePassword(params: {
+  userId: string;
+  accessToken: string;
+  currentPassword: string;
+  newPassword: string;
+}) {
+  const user = await prisma.user.findUnique({ where: { id: params.userId } });
+  if (!user) {
+    throw new AppError('User not found', 404);
+  }
+
+  if (!(await comparePassword(params.currentPassword, user.passwordHash))) {
+    throw new AppError('Current password is incorrect', 400, { currentPassword: ['Current password is incorrect'] });
+  }
+  if (params.newPassword === params.currentPassword) {
+    throw new AppError('New password must be different from the current password', 400, {
+      newPassword: ['New password must be different from the current password'],
+    });
+  }
+  assertPasswordPolicy(params.newPassword, user.email, 'newPassword');
+
+  await prisma.user.update({
+    where: { id: user.id },
+    data: { passwordHash: await hashPassword(params.newPassword) },
+  });
+
+  const otherSessions = await prisma.sessionActivity.findMany({
+    where: { userId: user.id, isActive: true, sessionToken: { not: params.accessToken } },
+    select: { sessionToken: true },
+  });
+  for (const session of otherSessions) {
+    await invalidateSession(session.sessionToken, 'password_changed');
+  }
+
+  // Refresh tokens of sessions without an activity record are not covered above
+  const currentSession = await prisma.sessionActivity.findFirst({
+    where: { sessionToken: params.accessToken, isActive: true },
+    select: { refreshFamilyId: true },
+  });
+  await revokeUserRefreshTokens(user.id, 'password_changed', { exceptFamilyId: currentSession?.refreshFamilyId ?? undefined });
+
+  return { sessionsEnded: otherSessions.length };
+}
+
+/**
+ * Email a reset code if the address belongs to an active account. Callers must
+ * answer the same way either way so the endpoint cannot be used to probe for accounts.
+ */
+export async function requestPasswordReset(email: string, ipAddress?: string): Promise<void> {
+  const user = await prisma.user.findUnique({ where: { email } });
+  if (!user || user.status !== 'ACTIVE') {
+    return;
+  }
+
+  // Issued and sent in the background so the response time does not reveal whether the account exists
+  issuePasswordReset(user, ipAddress).catch((error) => {
+    logger.error({ err: error, userId: user.id }, 'Failed to issue a password reset code');
+  });
+}
+
+async function issuePasswordReset(user: User, ipAddress?: string): Promise<void> {
+  const smtp = getSmtpConfig();
+  if (!smtp) {
+    logger.warn({ userId: user.id }, 'Password reset requested but SMTP is not configured (set SMTP_HOST and SMTP_FROM)');
+    return;
+  }
+
+  const token = randomBytes(32).toString('base64url');
+  const expiresAt = new Date(Date.now() + env.PASSWORD_RESET_TOKEN_TTL_MINUTES * 60 * 1000);
+
+  // Only the newest code is valid
+  await prisma.passwordResetToken.updateMany({
+    where: { userId: user.id, usedAt: null },
+    data: { usedAt: new Date() },
+  });
+  await prisma.passwordResetToken.create({
+    data: { userId: user.id, tokenHash: hashResetToken(token), expiresAt, requestedIp: ipAddress },
+  });
+
+  await recordAuditLog({
+    actorId: user.id,
+    action: 'PASSWORD_RESET_REQUESTED',
+    targetType: 'USER',
+    targetId: user.id,
+    ipAddress,
+  });
+
+  await sendMail(smtp, {
+    to: [user.email],
+    subject: 'Your password reset code',
+    text: [
+      'A password reset was requested for your account.',
+      '',
+      `Reset code: ${token}`,
+      '',
+      `Enter it in the app under "Forgot password?" within ${env.PASSWORD_RESET_TOKEN_TTL_MINUTES} minutes.`,
+      `Requested from IP ${ipAddress ?? 'unknown'}. If this was not you, ignore this email; your password has not changed.`,
+    ].join('\n'),
+  });
+}
+
+/**
+ * Set a new password with a reset code. Ends every session of the user and
+ * clears a login lockout, since the code proves control of the mailbox.
+ */
+export async function resetPassword(token: string, newPassword: string, ipAddress?: string) {
+  const record = await prisma.passwordResetToken.findUnique({
+    where: { tokenHash: hashResetToken(token) },
+    include: { user: true },
+  });
+
+  const now = new Date();
+  if (!record || record.usedAt || record.expiresAt <= now || record.user.status !== 'ACTIVE') {
+    throw new AppError(INVALID_RESET_TOKEN, 400);
+  }
+
+  // Checked before the code is claimed so a rejected password does not burn it
+  assertPasswordPolicy(newPassword, record.user.email);
+
+  const claimed = await prisma.passwordResetToken.updateMany({
+    where: { id: record.id, usedAt: null, expiresAt: { gt: now } },
+    data: { usedAt: now },
+  });
+  if (claimed.count === 0) {
+    throw new AppError(INVALID_RESET_TOKEN, 400);
+  }
+
+  await prisma.user.update({
+    where: { id: record.userId },
+    data: {
+      passwordHash: await hashPassword(newPassword),
+      currentSessionToken: null,
+      lockoutResetAt: now,
+    },
+  });
+  await prisma.passwordResetToken.updateMany({
+    where: { userId: record.userId, usedAt: null },
+    data: { usedAt: now },
+  });
+  const sessionsEnded = await invalidateAllUserSessions(record.userId, 'password_reset');
+
+  await recordAuditLog({
+    actorId: record.userId,
+    action: 'PASSWORD_RESET_COMPLETED',
+    targetType: 'USER',
+    targetId: record.userId,
+    ipAddress,
+    metadata: { sessionsEnded },
+  });
+
+  return { userId: record.userId, email: record.user.email };
+}
+
+/**
+ * Delete reset codes that can no longer be used
+ */
+export async function cleanupExpiredPasswordResetTokens(): Promise<number> {
+  const result = await prisma.passwordResetToken.deleteMany({
+    where: { expiresAt: { lt: new Date() } },
+  });
+  return result.count;
+}
@@ -0,0 +1,77 @@
+/**
+ * Rate Limit Service
+ *
+ * Sliding-window request counting backed by the database, so every PM2
+ * cluster worker sees the same hit log for a given key.
+ */
+
+import { prisma } from '../db/client';
+
+export interface RateLimitResult {
+  allowed: boolean;
+  remaining: number;
+  retryAfterSeconds: number;
+}
+
+/**
+ * Record a hit for the key unless it already reached the limit within the window.
+ * Runs under a transaction-scoped advisory lock on the bucket and key, so parallel
+ * requests for the same key count one after another instead of all reading the same total.
+ */
+export async function consumeRateLimit(
+  bucket: string,
+  key: string,
+  limit: number,
+  windowSeconds: number
+): Promise<RateLimitResult> {
+  return prisma.$transaction(async (tx) => {
+    await tx.$executeRaw`SELECT pg_advisory_xact_lock(hashtext(${`${bucket}:${key}`}::text))`;
+
+    const now = Date.now();
+    const windowStart = new Date(now - windowSeconds * 1000);
+
+    // Hits that slid out of the window are no longer needed for this key
+    await tx.rateLimitHit.deleteMany({
+      where: { bucket, key, createdAt: { lt: windowStart } },
+    });
+
+    const hits = await tx.rateLimitHit.count({
+      where: { bucket, key, createdAt: { gte: windowStart } },
+    });
+
+    if (hits >= limit) {
+      const oldest = await tx.rateLimitHit.findFirst({
+        where: { bucket, key, createdAt: { gte: windowStart } },
+        orderBy: { createdAt: 'asc' },
+        select: { createdAt: true },
+      });
+      const freesAt = (oldest?.createdAt.getTime() ?? now) + windowSeconds * 1000;
+
+      return {
+        allowed: false,
+        remaining: 0,
+        retryAfterSeconds: Math.max(1, Math.ceil((freesAt - now) / 1000)),
+      };
+    }
+
+    await tx.rateLimitHit.create({ data: { bucket, key } });
+
+    return {
+      allowed: true,
+      remaining: limit - hits - 1,
+      retryAfterSeconds: 0,
+    };
+  });
+}
+
+/**
+ * Delete hits that have aged out of every window. `consumeRateLimit` only prunes
+ * the key it is counting, so keys that stop sending requests would otherwise linger.
+ */
+export async function pruneRateLimitHits(olderThanSeconds: number) {
+  const deleted = await prisma.rateLimitHit.deleteMany({
+    where: { createdAt: { lt: new Date(Date.now() - olderThanSeconds * 1000) } },
+  });
+
+  return deleted.count;
+}
@@ -0,0 +1,127 @@
+/**
+ * Refresh Token Service
+ *
+ * Persists refresh tokens in rotation families. Every refresh consumes the
+ * presented token and issues its successor; presenting an already-consumed
+ * token is treated as theft and revokes the whole family.
+ */
+
+import { randomUUID } from 'crypto';
+import type { UserRole } from '@prisma/client';
+import { prisma } from '../db/client';
+import { signRefreshToken, RefreshTokenPayload } from '../utils/token';
+
+export interface IssuedRefreshToken {
+  token: string;
+  tokenId: string;
+  familyId: string;
+}
+
+export type RefreshTokenRotation =
+  | { status: 'rotated'; refreshToken: IssuedRefreshToken }
+  | { status: 'reused'; familyId: string }
+  | { status: 'rejected' };
+
+/**
+ * Issue a refresh token, starting a new family unless one is given
+ */
+export async function issueRefreshToken(
+  userId: string,
+  role: UserRole,
+  familyId: string = randomUUID()
+): Promise<IssuedRefreshToken> {
+  const tokenId = randomUUID();
+  const { token, expiresAt } = signRefreshToken(userId, role, tokenId, familyId);
+
+  await prisma.refreshToken.create({
+    data: {
+      id: tokenId,
+      userId,
+      familyId,
+      expiresAt,
+    },
+  });
+
+  return { token, tokenId, familyId };
+}
+
+/**
+ * Consume a verified refresh token and issue its successor in the same family
+ */
+export async function rotateRefreshToken(payload: RefreshTokenPayload): Promise<RefreshTokenRotation> {
+  const record = await prisma.refreshToken.findUnique({ where: { id: payload.jti } });
+
+  if (!record || record.userId !== payload.sub || record.familyId !== payload.fam) {
+    return { status: 'rejected' };
+  }
+
+  if (record.revokedAt || record.expiresAt < new Date()) {
+    return { status: 'rejected' };
+  }
+
+  // Claim the token atomically so two concurrent refreshes cannot both succeed
+  const claimed = await prisma.refreshToken.updateMany({
+    where: {
+      id: record.id,
+      usedAt: null,
+      revokedAt: null,
+    },
+    data: {
+      usedAt: new Date(),
+    },
+  });
+
+  if (claimed.count === 0) {
+    return { status: 'reused', familyId: record.familyId };
+  }
+
+  const refreshToken = await issueRefreshToken(payload.sub, payload.role, record.familyId);
+
+  await prisma.refreshToken.update({
+    where: { id: record.id },
+    data: { replacedById: refreshToken.tokenId },
+  });
+
+  return { status: 'rotated', refreshToken };
+}
+
+/**
+ * Revoke every outstanding token in the given families
+ */
+export async function revokeRefreshTokenFamilies(familyIds: string[], reason: string) {
+  if (familyIds.length === 0) {
+    return 0;
+  }
+
+  const revoked = await prisma.refreshToken.updateMany({
+    where: {
+      familyId: { in: familyIds },
+      revokedAt: null,
+    },
+    data: {
+      revokedAt: new Date(),
+      revokedReason: reason,
+    },
+  });
+
+  return revoked.count;
+}
+
+/**
+ * Revoke every outstanding refresh token for a user, optionally sparing one family
+ */
+export async function revokeUserRefreshTokens(userId: string, reason: string, options: { exceptFamilyId?: string } = {}) {
+  const revoked = await prisma.refreshToken.updateMany({
+    where: {
+      userId,
+      revokedAt: null,
+      ...(options.exceptFamilyId ? { familyId: { not: options.exceptFamilyId } } : {}),
+    },
+    data: {
+      revokedAt: new Date(),
+      revokedReason: reason,
+    },
+  });
+
+  return revoked.count;
+}
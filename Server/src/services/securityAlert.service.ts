@@ -6,6 +6,7 @@
 
 import { prisma } from '../db/client';
 import { SecurityAlertType, SecurityAlertSeverity } from '@prisma/client';
+import { dispatchSecurityAlert } from './notification.service';
 
 export interface CreateAlertParams {
   userId?: string;
@@ -38,6 +39,9 @@ export async function createSecurityAlert(params: CreateAlertParams) {
     },
   });
 
+  // Push to the configured webhook and email channels
+  await dispatchSecurityAlert(alert);
+
   return alert;
 }
 
@@ -110,16 +114,20 @@ export async function createSuspiciousLocationAlert(params: {
  * Create a failed login attempt alert
  */
 export async function createFailedLoginAlert(params: {
+  userId?: string;
   email: string;
   ipAddress: string;
   location: string | null;
   attemptCount: number;
   reason: string;
+  lockedUntil?: Date | null;
 }) {
-  const severity: SecurityAlertSeverity = params.attemptCount >= 5 ? 'HIGH' : 'MEDIUM';
-  const message = `${params.attemptCount} failed login attempt(s) for ${params.email} from ${params.ipAddress} (${params.location || 'Unknown location'})`;
+  const severity = failedLoginSeverity(params.attemptCount);
+  const lockNotice = params.lockedUntil ? ` Account locked until ${params.lockedUntil.toISOString()}.` : '';
+  const message = `${params.attemptCount} failed login attempt(s) for ${params.email} from ${params.ipAddress} (${params.location || 'Unknown location'}).${lockNotice}`;
 
   return createSecurityAlert({
+    userId: params.userId,
     alertType: 'FAILED_LOGIN_ATTEMPT',
     severity,
     message,
@@ -129,6 +137,44 @@ export async function createFailedLoginAlert(params: {
       location: params.location,
       attemptCount: params.attemptCount,
       reason: params.reason,
+      lockedUntil: params.lockedUntil?.toISOString() ?? null,
+      timestamp: new Date().toISOString(),
+    },
+  });
+}
+
+/**
+ * Severity for a run of failed logins: a typo is noise, a sustained run is an attack
+ */
+export function failedLoginSeverity(attemptCount: number): SecurityAlertSeverity {
+  if (attemptCount >= 10) return 'CRITICAL';
+  if (attemptCount >= 5) return 'HIGH';
+  if (attemptCount >= 3) return 'MEDIUM';
+  return 'LOW';
+}
+
+/**
+ * Create a refresh token reuse alert
+ */
+export async function createRefreshTokenReuseAlert(params: {
+  userId: string;
+  userEmail: string;
+  familyId: string;
+  ipAddress: string | null;
+  device: string | null;
+}) {
+  const message = `A previously used refresh token was presented for ${params.userEmail}. The session has been revoked; the token may have been stolen.`;
+
+  return createSecurityAlert({
+    userId: params.userId,
+    alertType: 'REFRESH_TOKEN_REUSE',
+    severity: 'HIGH',
+    message,
+    metadata: {
+      email: params.userEmail,
+      familyId: params.familyId,
+      ipAddress: params.ipAddress,
+      device: params.device,
       timestamp: new Date().toISOString(),
     },
   });
@@ -5,8 +5,11 @@
  */
 
 import { prisma } from '../db/client';
+import { AppError } from '../utils/appError';
 import { getLocationFromIP, LocationData } from '../utils/geolocation';
 import { parseDeviceInfo, getDeviceFingerprint } from '../utils/deviceFingerprint';
+import { revokeRefreshTokenFamilies, revokeUserRefreshTokens } from './refreshToken.service';
+import { publishSessionsInvalidated } from './clientEvent.service';
 
 export interface CreateSessionParams {
   userId: string;
@@ -15,6 +18,7 @@ export interface CreateSessionParams {
   userAgent?: string;
   macAddress?: string;
   deviceMetadata?: any;
+  refreshFamilyId?: string;
 }
 
 /**
@@ -46,6 +50,7 @@ export async function createSession(params: CreateSessionParams) {
       deviceInfo: deviceFingerprint,
       userAgent: params.userAgent,
       isActive: true,
+      refreshFamilyId: params.refreshFamilyId,
     },
   });
 
@@ -53,12 +58,18 @@ export async function createSession(params: CreateSessionParams) {
 }
 
 /**
- * Invalidate a session (mark as inactive)
+ * Invalidate a session (mark as inactive), revoke its refresh tokens and tell
+ * its client why
  */
 export async function invalidateSession(
   sessionToken: string,
   logoutReason: string = 'manual'
 ) {
+  const sessions = await prisma.sessionActivity.findMany({
+    where: { sessionToken },
+    select: { id: true, isActive: true, refreshFamilyId: true },
+  });
+
   const updated = await prisma.sessionActivity.updateMany({
     where: {
       sessionToken,
@@ -71,16 +82,32 @@ export async function invalidateSession(
     },
   });
 
+  const familyIds = sessions
+    .map((session) => session.refreshFamilyId)
+    .filter((familyId): familyId is string => Boolean(familyId));
+  await revokeRefreshTokenFamilies(familyIds, logoutReason);
+
+  await publishSessionsInvalidated(
+    sessions.filter((session) => session.isActive).map((session) => session.id),
+    logoutReason
+  );
+
   return updated.count > 0;
 }
 
 /**
- * Invalidate all sessions for a user
+ * Invalidate all sessions for a user, revoke all of their refresh tokens and
+ * tell the clients of those sessions why
  */
 export async function invalidateAllUserSessions(
   userId: string,
   logoutReason: string = 'manual'
 ) {
+  const active = await prisma.sessionActivity.findMany({
+    where: { userId, isActive: true },
+    select: { id: true },
+  });
+
   const updated = await prisma.sessionActivity.updateMany({
     where: {
       userId,
@@ -93,6 +120,10 @@ export async function invalidateAllUserSessions(
     },
   });
 
+  await revokeUserRefreshTokens(userId, logoutReason);
+
+  await publishSessionsInvalidated(active.map((session) => session.id), logoutReason);
+
   return updated.count;
 }
 
@@ -166,6 +197,17 @@ export async function getUserSessionHistory(userId: string, limit: number = 50)
   return sessions;
 }
 
+/**
+ * Owner of a session record, so an admin's permission over that user can be checked first
+ */
+export async function getSessionOwnerId(sessionId: string): Promise<string> {
+  const session = await prisma.sessionActivity.findUnique({ where: { id: sessionId }, select: { userId: true } });
+  if (!session) {
+    throw new AppError('Session not found', 404);
+  }
+  return session.userId;
+}
+
 /**
  * Force logout a session (admin action)
  */
@@ -209,6 +251,16 @@ export async function forceLogout(sessionId: string, adminId: string) {
   };
 }
 
+/**
+ * Active session record for an access token
+ */
+export async function findActiveSession(sessionToken: string) {
+  return prisma.sessionActivity.findFirst({
+    where: { sessionToken, isActive: true },
+    orderBy: { loginAt: 'desc' },
+  });
+}
+
 /**
  * Check if a session token is valid and active
  */
@@ -1,10 +1,14 @@
-﻿import { randomUUID } from 'crypto';
-import { GetObjectCommand, PutObjectCommand } from '@aws-sdk/client-s3';
+﻿import { createHash, randomUUID } from 'crypto';
+import { DeleteObjectCommand, GetObjectCommand, HeadObjectCommand, NotFound, PutObjectCommand } from '@aws-sdk/client-s3';
 import { getSignedUrl } from '@aws-sdk/s3-request-presigner';
-import { Prisma, LogLevel } from '@prisma/client';
+import { Prisma, LogLevel, DatSessionStatus, SessionBundleUpload } from '@prisma/client';
 import { prisma } from '../db/client';
+import { env } from '../config/env';
+import { logger } from '../config/logger';
 import { getObjectStorageClient } from '../config/storage';
 import { AppError } from '../utils/appError';
+import { publishClientEvent } from './clientEvent.service';
+import { assertDomainAvailable } from './domain.service';
 
 const DEFAULT_URL_EXPIRY_SECONDS = 900; // 15 minutes
 
@@ -12,11 +16,13 @@ async function appendSessionLog(
   sessionId: string,
   level: LogLevel,
   message: string,
-  context?: Record<string, unknown>
+  context?: Record<string, unknown>,
+  actorId?: string
 ) {
   await prisma.datSessionLog.create({
     data: {
       sessionId,
+      actorId,
       level,
       message,
       context: (context ?? undefined) as Prisma.InputJsonValue | undefined,
@@ -24,6 +30,18 @@ async function appendSessionLog(
   });
 }
 
+/**
+ * Tell clients using the session that a different bundle is now live. The shared
+ * session has no assigned user, so every client hears about it.
+ */
+async function announceBundleUpdate(session: { id: string; assignedUserId: string | null }, bundleVersion: number) {
+  await publishClientEvent(
+    'bundle_updated',
+    { sessionId: session.id, bundleVersion, message: 'A refreshed session is available. It will be used the next time you launch.' },
+    session.assignedUserId ? { userId: session.assignedUserId } : {}
+  );
+}
+
 function ensureBundleKey(key?: string | null): asserts key is string {
   if (!key) {
     throw new AppError('Session bundle is not available for download. Please set up the session first.', 409);
@@ -32,13 +50,16 @@ function ensureBundleKey(key?: string | null): asserts key is string {
 
 export async function createSessionBundleDownloadUrl(
   sessionId: string,
-  expiresInSeconds = DEFAULT_URL_EXPIRY_SECONDS
+  expiresInSeconds = DEFAULT_URL_EXPIRY_SECONDS,
+  actorId?: string
 ) {
-  const session = await prisma.datSession.findUnique({ where: { id: sessionId } });
+  const session = await prisma.datSession.findUnique({ where: { id: sessionId }, include: { domain: true } });
   if (!session) {
     throw new AppError('Session not found', 404);
   }
 
+  // No launching, and so no bundle, while the session's site is down for maintenance
+  assertDomainAvailable(session.domain);
   ensureBundleKey(session.bundleKey);
 
   const { client, bucket } = getObjectStorageClient();
@@ -48,18 +69,30 @@ export async function createSessionBundleDownloadUrl(
   await appendSessionLog(sessionId, 'INFO', 'Generated bundle download URL', {
     expiresInSeconds,
     bundleKey: session.bundleKey,
-  });
+  }, actorId);
 
   return {
     url: signedUrl,
     expiresInSeconds,
     bundleKey: session.bundleKey,
+    checksum: session.bundleChecksum,
+    sizeBytes: session.bundleSizeBytes,
+    bundleVersion: session.bundleVersion,
   };
 }
 
 interface UploadRequestOptions {
   contentType?: string;
   expiresInSeconds?: number;
+  actorId?: string;
+}
+
+// UPLOADING only ever means "waiting on a staged upload", so never restore to it
+function statusBeforeUpload(session: { status: DatSessionStatus; bundleVersion: number }): DatSessionStatus {
+  if (session.status !== 'UPLOADING') {
+    return session.status;
+  }
+  return session.bundleVersion > 0 ? 'READY' : 'PENDING';
 }
 
 export async function createSessionBundleUploadUrl(
@@ -71,8 +104,17 @@ export async function createSessionBundleUploadUrl(
     throw new AppError('Session not found', 404);
   }
 
-  const expiresInSeconds = options.expiresInSeconds ?? DEFAULT_URL_EXPIRY_SECONDS;
+  const uploadTtlSeconds = env.SESSION_UPLOAD_TTL_MINUTES * 60;
+  const expiresInSeconds = Math.min(options.expiresInSeconds ?? DEFAULT_URL_EXPIRY_SECONDS, uploadTtlSeconds);
   const newKey = `sessions/${session.id}/${Date.now()}-${randomUUID()}.zip`;
+  const expiresAt = new Date(Date.now() + uploadTtlSeconds * 1000);
+
+  // A newer request wins; the status to restore is the one from before the first of them
+  const superseded = await prisma.sessionBundleUpload.findMany({
+    where: { sessionId, status: 'PENDING' },
+    orderBy: { createdAt: 'asc' },
+  });
+  const previousStatus = superseded[0]?.previousStatus ?? statusBeforeUpload(session);
 
   const { client, bucket } = getObjectStorageClient();
   const command = new PutObjectCommand({
@@ -82,66 +124,381 @@ export async function createSessionBundleUploadUrl(
   });
   const signedUrl = await getSignedUrl(client, command, { expiresIn: expiresInSeconds });
 
-  await prisma.datSession.update({
-    where: { id: sessionId },
-    data: {
-      status: 'UPLOADING',
-      bundleKey: newKey,
-      updatedAt: new Date(),
-    },
-  });
+  // The live bundleKey is left alone until the upload is confirmed in completeBundleUpload
+  await prisma.$transaction([
+    prisma.sessionBundleUpload.updateMany({
+      where: { id: { in: superseded.map((upload) => upload.id) }, status: 'PENDING' },
+      data: { status: 'EXPIRED' },
+    }),
+    prisma.sessionBundleUpload.create({
+      data: {
+        sessionId,
+        bundleKey: newKey,
+        previousStatus,
+        requestedById: options.actorId,
+        expiresAt,
+      },
+    }),
+    prisma.datSession.update({
+      where: { id: sessionId },
+      data: { status: 'UPLOADING' },
+    }),
+  ]);
+
+  await Promise.all(superseded.map((upload) => deleteStoredBundle(upload.bundleKey)));
 
   await appendSessionLog(sessionId, 'INFO', 'Generated bundle upload URL', {
     expiresInSeconds,
     bundleKey: newKey,
-  });
+    uploadExpiresAt: expiresAt.toISOString(),
+    supersededUploads: superseded.map((upload) => upload.bundleKey),
+  }, options.actorId);
 
   return {
     url: signedUrl,
     expiresInSeconds,
     bundleKey: newKey,
+    uploadExpiresAt: expiresAt,
   };
 }
 
+async function deleteStoredBundle(key: string) {
+  const { client, bucket } = getObjectStorageClient();
+  try {
+    await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+    return true;
+  } catch (error) {
+    logger.warn({ err: error, bundleKey: key }, 'Failed to delete session bundle from storage');
+    return false;
+  }
+}
+
+async function headStoredBundle(key: string) {
+  const { client, bucket } = getObjectStorageClient();
+  try {
+    return await client.send(new HeadObjectCommand({ Bucket: bucket, Key: key }));
+  } catch (error) {
+    if (error instanceof NotFound) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Hash the object as it landed in storage. HEAD first so a missing or
+ * wrongly sized object is rejected without streaming it.
+ */
+async function inspectStoredBundle(key: string, expectedSizeBytes?: number) {
+  const head = await headStoredBundle(key);
+  if (!head) {
+    return null;
+  }
+
+  if (expectedSizeBytes !== undefined && head.ContentLength !== expectedSizeBytes) {
+    return { checksum: null, sizeBytes: head.ContentLength ?? 0 };
+  }
+
+  const { client, bucket } = getObjectStorageClient();
+  const object = await client.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+  const hash = createHash('sha256');
+  let sizeBytes = 0;
+  for await (const chunk of object.Body as AsyncIterable<Uint8Array>) {
+    hash.update(chunk);
+    sizeBytes += chunk.length;
+  }
+
+  return { checksum: hash.digest('hex'), sizeBytes };
+}
+
 interface CompleteUploadInput {
   sessionId: string;
-  checksum?: string;
+  /** Staged key returned by request-upload; defaults to the session's latest pending upload */
+  bundleKey?: string;
+  checksum: string;
   fileSizeBytes?: number;
   encryption?: string;
+  notes?: string;
+  actorId?: string;
 }
 
 export async function completeBundleUpload({
   sessionId,
+  bundleKey,
   checksum,
   fileSizeBytes,
   encryption,
+  notes,
+  actorId,
 }: CompleteUploadInput) {
   const session = await prisma.datSession.findUnique({ where: { id: sessionId } });
   if (!session) {
     throw new AppError('Session not found', 404);
   }
 
-  ensureBundleKey(session.bundleKey);
+  const upload = await prisma.sessionBundleUpload.findFirst({
+    where: { sessionId, status: 'PENDING', ...(bundleKey ? { bundleKey } : {}) },
+    orderBy: { createdAt: 'desc' },
+  });
+  if (!upload) {
+    throw new AppError('No upload is pending for this session. Request a new upload URL.', 409);
+  }
+
+  if (upload.expiresAt <= new Date()) {
+    await expirePendingUpload(upload);
+    throw new AppError('The upload window has expired. Request a new upload URL.', 410);
+  }
+
+  const stored = await inspectStoredBundle(upload.bundleKey, fileSizeBytes);
+  if (!stored) {
+    await appendSessionLog(sessionId, 'ERROR', 'Uploaded bundle not found in storage', {
+      bundleKey: upload.bundleKey,
+    }, actorId);
+    throw new AppError('Uploaded bundle was not found in storage', 409);
+  }
+
+  const expectedChecksum = checksum.toLowerCase();
+  if (stored.checksum !== expectedChecksum) {
+    const details = {
+      expectedChecksum,
+      actualChecksum: stored.checksum,
+      expectedSizeBytes: fileSizeBytes ?? null,
+      actualSizeBytes: stored.sizeBytes,
+    };
+    await appendSessionLog(sessionId, 'ERROR', 'Session bundle failed integrity check', {
+      bundleKey: upload.bundleKey,
+      ...details,
+    }, actorId);
+    throw new AppError('Uploaded bundle does not match the reported checksum', 422, details);
+  }
+
+  // After a rollback the live version is no longer the highest one
+  const latest = await prisma.sessionBundleVersion.aggregate({ where: { sessionId }, _max: { version: true } });
+  const bundleVersion = Math.max(latest._max.version ?? 0, session.bundleVersion) + 1;
+  const bundleEncryption = encryption ?? session.bundleEncryption;
+
+  await prisma.$transaction(async (tx) => {
+    // Claim the upload so a concurrent janitor run or duplicate request cannot promote it twice
+    const claimed = await tx.sessionBundleUpload.updateMany({
+      where: { id: upload.id, status: 'PENDING' },
+      data: { status: 'COMPLETED', completedAt: new Date() },
+    });
+    if (claimed.count === 0) {
+      throw new AppError('Upload is no longer pending', 409);
+    }
+
+    await tx.datSession.update({
+      where: { id: sessionId },
+      data: {
+        status: 'READY',
+        bundleKey: upload.bundleKey,
+        bundleChecksum: expectedChecksum,
+        bundleSizeBytes: stored.sizeBytes,
+        bundleEncryption,
+        bundleVersion,
+        lastSyncedAt: new Date(),
+      },
+    });
+
+    await tx.sessionBundleVersion.create({
+      data: {
+        sessionId,
+        version: bundleVersion,
+        bundleKey: upload.bundleKey,
+        checksum: expectedChecksum,
+        sizeBytes: stored.sizeBytes,
+        encryption: bundleEncryption,
+        uploadedById: actorId,
+        notes,
+      },
+    });
+  });
+
+  await appendSessionLog(sessionId, 'INFO', 'Session bundle upload completed', {
+    bundleKey: upload.bundleKey,
+    checksum: expectedChecksum,
+    fileSizeBytes: stored.sizeBytes,
+    bundleVersion,
+    encryption,
+  }, actorId);
+
+  await announceBundleUpdate(session, bundleVersion);
+
+  try {
+    await pruneSessionBundleVersions(sessionId);
+  } catch (error) {
+    logger.warn({ err: error, sessionId }, 'Failed to apply session bundle retention');
+  }
+}
+
+export async function listSessionBundleVersions(sessionId: string) {
+  const session = await prisma.datSession.findUnique({ where: { id: sessionId } });
+  if (!session) {
+    throw new AppError('Session not found', 404);
+  }
+
+  const versions = await prisma.sessionBundleVersion.findMany({
+    where: { sessionId },
+    orderBy: { version: 'desc' },
+    include: { uploadedBy: { select: { id: true, email: true } } },
+  });
 
-  const bundleVersion = session.bundleVersion + 1;
+  return {
+    currentVersion: session.bundleVersion,
+    retention: env.SESSION_BUNDLE_RETENTION,
+    versions: versions.map((version) => ({ ...version, isCurrent: version.version === session.bundleVersion })),
+  };
+}
+
+interface RollbackOptions {
+  notes?: string;
+  actorId?: string;
+}
+
+/**
+ * Point the session back at an earlier upload. The version history itself is
+ * left untouched, so the next upload still gets a fresh version number.
+ */
+export async function rollbackSessionBundle(sessionId: string, version: number, options: RollbackOptions = {}) {
+  const session = await prisma.datSession.findUnique({ where: { id: sessionId } });
+  if (!session) {
+    throw new AppError('Session not found', 404);
+  }
+
+  if (session.status === 'UPLOADING') {
+    throw new AppError('An upload is in progress for this session', 409);
+  }
+
+  const target = await prisma.sessionBundleVersion.findUnique({
+    where: { sessionId_version: { sessionId, version } },
+  });
+  if (!target) {
+    throw new AppError('Bundle version not found', 404);
+  }
+
+  if (target.prunedAt || !(await headStoredBundle(target.bundleKey))) {
+    throw new AppError('Bundle version is no longer in storage', 410);
+  }
 
   await prisma.datSession.update({
     where: { id: sessionId },
     data: {
       status: 'READY',
-      bundleChecksum: checksum ?? session.bundleChecksum,
-      bundleEncryption: encryption ?? session.bundleEncryption,
-      bundleVersion,
+      bundleKey: target.bundleKey,
+      bundleChecksum: target.checksum,
+      bundleSizeBytes: target.sizeBytes,
+      bundleEncryption: target.encryption,
+      bundleVersion: target.version,
       lastSyncedAt: new Date(),
     },
   });
 
-  await appendSessionLog(sessionId, 'INFO', 'Session bundle upload completed', {
-    checksum,
-    fileSizeBytes,
-    bundleVersion,
-    encryption,
+  await appendSessionLog(sessionId, 'WARN', 'Session bundle rolled back', {
+    fromVersion: session.bundleVersion,
+    toVersion: target.version,
+    bundleKey: target.bundleKey,
+    notes: options.notes,
+  }, options.actorId);
+
+  await announceBundleUpdate(session, target.version);
+
+  return {
+    previousVersion: session.bundleVersion,
+    bundleVersion: target.version,
+    bundleKey: target.bundleKey,
+  };
+}
+
+/**
+ * Delete stored bundles beyond the newest `keep` versions. The live bundle is
+ * never deleted, and rows stay behind (marked pruned) as upload history.
+ */
+export async function pruneSessionBundleVersions(sessionId: string, keep = env.SESSION_BUNDLE_RETENTION) {
+  const session = await prisma.datSession.findUnique({ where: { id: sessionId } });
+  if (!session) {
+    return [];
+  }
+
+  const stale = await prisma.sessionBundleVersion.findMany({
+    where: { sessionId, prunedAt: null },
+    orderBy: { version: 'desc' },
+    skip: keep,
+  });
+
+  const pruned: number[] = [];
+  for (const version of stale) {
+    if (version.bundleKey === session.bundleKey) {
+      continue;
+    }
+
+    if (await deleteStoredBundle(version.bundleKey)) {
+      await prisma.sessionBundleVersion.update({ where: { id: version.id }, data: { prunedAt: new Date() } });
+      pruned.push(version.version);
+    }
+  }
+
+  if (pruned.length > 0) {
+    await appendSessionLog(sessionId, 'INFO', 'Pruned old bundle versions', { versions: pruned, keep });
+  }
+
+  return pruned;
+}
+
+/**
+ * Give up on a staged upload: delete whatever reached storage and, once no
+ * other upload is pending, put the session back into its pre-upload status.
+ * Returns false when another caller already settled the upload.
+ */
+async function expirePendingUpload(upload: SessionBundleUpload) {
+  const claimed = await prisma.sessionBundleUpload.updateMany({
+    where: { id: upload.id, status: 'PENDING' },
+    data: { status: 'EXPIRED' },
+  });
+  if (claimed.count === 0) {
+    return false;
+  }
+
+  await deleteStoredBundle(upload.bundleKey);
+
+  const stillPending = await prisma.sessionBundleUpload.count({
+    where: { sessionId: upload.sessionId, status: 'PENDING' },
+  });
+  let restoredStatus: DatSessionStatus | null = null;
+  if (stillPending === 0) {
+    const restored = await prisma.datSession.updateMany({
+      where: { id: upload.sessionId, status: 'UPLOADING' },
+      data: { status: upload.previousStatus },
+    });
+    restoredStatus = restored.count > 0 ? upload.previousStatus : null;
+  }
+
+  await appendSessionLog(upload.sessionId, 'WARN', 'Abandoned bundle upload expired', {
+    bundleKey: upload.bundleKey,
+    requestedAt: upload.createdAt.toISOString(),
+    restoredStatus,
+  }, upload.requestedById ?? undefined);
+
+  return true;
+}
+
+/**
+ * Expire every staged upload whose window has passed. Safe to run from
+ * several workers at once; each upload is only settled by one of them.
+ */
+export async function expireAbandonedUploads(now = new Date()) {
+  const abandoned = await prisma.sessionBundleUpload.findMany({
+    where: { status: 'PENDING', expiresAt: { lte: now } },
+    orderBy: { expiresAt: 'asc' },
   });
+
+  let expired = 0;
+  for (const upload of abandoned) {
+    if (await expirePendingUpload(upload)) {
+      expired += 1;
+    }
+  }
+
+  return { expired };
 }
 
 export { appendSessionLog as recordSessionEvent };
@@ -0,0 +1,236 @@
+/**
+ * Session Log Service
+ *
+ * Reads the DatSessionLog trail for a session: filtered, cursor-paginated
+ * history for the admin panel and a long-poll tail for following new entries.
+ * Tailing polls the database rather than an in-process emitter so it works
+ * across PM2 cluster workers.
+ *
+ * Entries written by another worker can commit after one with a later timestamp
+ * has already been returned, so a strict "newer than the cursor" scan would skip
+ * them for good. Each tail poll therefore re-reads a trailing window and skips
+ * the ids the caller already has; those ids travel in the opaque tail cursor.
+ */
+
+import { Prisma, LogLevel } from '@prisma/client';
+import { prisma } from '../db/client';
+import { AppError } from '../utils/appError';
+
+const TAIL_POLL_INTERVAL_MS = 1000;
+// How far back each tail poll looks for entries that committed late
+const TAIL_LOOKBACK_MS = 10 * 1000;
+
+const logInclude = {
+  actor: {
+    select: {
+      id: true,
+      email: true,
+      role: true,
+    },
+  },
+} satisfies Prisma.DatSessionLogInclude;
+
+export interface SessionLogFilters {
+  level?: LogLevel;
+  from?: Date;
+  to?: Date;
+}
+
+export interface ListSessionLogsOptions extends SessionLogFilters {
+  cursor?: string;
+  limit?: number;
+}
+
+export interface TailSessionLogsOptions {
+  level?: LogLevel;
+  after?: string;
+  limit?: number;
+  waitSeconds?: number;
+  signal?: AbortSignal;
+}
+
+interface TailCursor {
+  /** Newest entry returned so far */
+  id: string;
+  /** Entries within the lookback window of it that the caller already has */
+  seen: string[];
+}
+
+function encodeTailCursor(cursor: TailCursor): string {
+  return Buffer.from(JSON.stringify(cursor), 'utf8').toString('base64url');
+}
+
+// A bare log id (e.g. a history cursor) starts tailing after that entry
+function decodeTailCursor(value: string): TailCursor {
+  try {
+    const parsed = JSON.parse(Buffer.from(value, 'base64url').toString('utf8'));
+    if (typeof parsed?.id === 'string' && Array.isArray(parsed.seen) && parsed.seen.every((id: unknown) => typeof id === 'string')) {
+      return { id: parsed.id, seen: parsed.seen };
+    }
+  } catch {
+    // Not an encoded cursor
+  }
+  return { id: value, seen: [] };
+}
+
+function lookbackStart(createdAt: Date) {
+  return new Date(createdAt.getTime() - TAIL_LOOKBACK_MS);
+}
+
+/**
+ * Cursor after `position`, remembering the given ids that are still inside its lookback window
+ */
+async function buildTailCursor(sessionId: string, position: { id: string; createdAt: Date }, ids: Iterable<string>) {
+  const seen = await prisma.datSessionLog.findMany({
+    where: { sessionId, id: { in: [...new Set(ids)] }, createdAt: { gte: lookbackStart(position.createdAt) } },
+    select: { id: true },
+  });
+  return encodeTailCursor({ id: position.id, seen: seen.map((entry) => entry.id) });
+}
+
+function buildLogWhere(sessionId: string, filters: SessionLogFilters): Prisma.DatSessionLogWhereInput {
+  const where: Prisma.DatSessionLogWhereInput = { sessionId };
+
+  if (filters.level) {
+    where.level = filters.level;
+  }
+
+  if (filters.from || filters.to) {
+    where.createdAt = {};
+    if (filters.from) where.createdAt.gte = filters.from;
+    if (filters.to) where.createdAt.lte = filters.to;
+  }
+
+  return where;
+}
+
+async function ensureSessionExists(sessionId: string) {
+  const session = await prisma.datSession.findUnique({
+    where: { id: sessionId },
+    select: { id: true },
+  });
+  if (!session) {
+    throw new AppError('Session not found', 404);
+  }
+}
+
+async function findCursorEntry(sessionId: string, logId: string) {
+  const entry = await prisma.datSessionLog.findFirst({
+    where: { id: logId, sessionId },
+    select: { id: true, createdAt: true },
+  });
+  if (!entry) {
+    throw new AppError('Invalid log cursor', 400);
+  }
+  return entry;
+}
+
+/**
+ * List logs for a session, newest first, one page at a time
+ */
+export async function listSessionLogs(sessionId: string, options: ListSessionLogsOptions = {}) {
+  await ensureSessionExists(sessionId);
+
+  const limit = options.limit ?? 50;
+  const where = buildLogWhere(sessionId, options);
+
+  if (options.cursor) {
+    const cursor = await findCursorEntry(sessionId, options.cursor);
+    where.OR = [
+      { createdAt: { lt: cursor.createdAt } },
+      { createdAt: cursor.createdAt, id: { lt: cursor.id } },
+    ];
+  }
+
+  const rows = await prisma.datSessionLog.findMany({
+    where,
+    include: logInclude,
+    orderBy: [{ createdAt: 'desc' }, { id: 'desc' }],
+    take: limit + 1,
+  });
+
+  const logs = rows.slice(0, limit);
+  const nextCursor = rows.length > limit ? logs[logs.length - 1]?.id ?? null : null;
+
+  return { logs, nextCursor };
+}
+
+/**
+ * Wait for logs written after the given tail cursor, oldest first, including ones
+ * that committed late with an earlier timestamp. Without `after`, returns no logs
+ * and a cursor at the latest entry so the caller can start following from now.
+ */
+export async function tailSessionLogs(sessionId: string, options: TailSessionLogsOptions = {}) {
+  await ensureSessionExists(sessionId);
+
+  const limit = options.limit ?? 100;
+
+  if (!options.after) {
+    const latest = await prisma.datSessionLog.findFirst({
+      where: { sessionId },
+      orderBy: [{ createdAt: 'desc' }, { id: 'desc' }],
+      select: { id: true, createdAt: true },
+    });
+    if (!latest) {
+      return { logs: [], nextCursor: null };
+    }
+    // Everything up to now counts as history, late or not
+    const recent = await prisma.datSessionLog.findMany({
+      where: { sessionId, createdAt: { gte: lookbackStart(latest.createdAt) } },
+      select: { id: true },
+    });
+    return { logs: [], nextCursor: await buildTailCursor(sessionId, latest, recent.map((entry) => entry.id)) };
+  }
+
+  const cursor = decodeTailCursor(options.after);
+  let position = await findCursorEntry(sessionId, cursor.id);
+  const seen = new Set([...cursor.seen, position.id]);
+  const deadline = Date.now() + (options.waitSeconds ?? 0) * 1000;
+
+  for (;;) {
+    // Scan without the level filter so the cursor advances past skipped entries
+    const rows = await prisma.datSessionLog.findMany({
+      where: {
+        sessionId,
+        id: { notIn: [...seen] },
+        OR: [
+          { createdAt: { gt: position.createdAt } },
+          { createdAt: { gte: lookbackStart(position.createdAt), lte: position.createdAt } },
+        ],
+      },
+      include: logInclude,
+      orderBy: [{ createdAt: 'asc' }, { id: 'asc' }],
+      take: limit,
+    });
+
+    for (const row of rows) {
+      seen.add(row.id);
+      if (row.createdAt > position.createdAt || (row.createdAt.getTime() === position.createdAt.getTime() && row.id > position.id)) {
+        position = { id: row.id, createdAt: row.createdAt };
+      }
+    }
+
+    const logs = options.level ? rows.filter((row) => row.level === options.level) : rows;
+    if (logs.length > 0 || Date.now() >= deadline || options.signal?.aborted) {
+      return { logs, nextCursor: await buildTailCursor(sessionId, position, seen) };
+    }
+
+    if (rows.length === 0) {
+      await new Promise((resolve) => setTimeout(resolve, TAIL_POLL_INTERVAL_MS));
+    }
+  }
+}
+
+/**
+ * Delete session log entries older than the retention period
+ */
+export async function cleanupOldSessionLogs(daysOld: number = 90) {
+  const cutoffDate = new Date();
+  cutoffDate.setDate(cutoffDate.getDate() - daysOld);
+
+  const deleted = await prisma.datSessionLog.deleteMany({
+    where: { createdAt: { lt: cutoffDate } },
+  });
+
+  return deleted.count;
+}
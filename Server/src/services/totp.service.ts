@@ -0,0 +1,230 @@
+/**
+ * TOTP Service
+ *
+ * Two-factor enrollment, verification and recovery codes. Secrets are stored
+ * encrypted (AES-256-GCM) and only become active once the user proves their
+ * app produces matching codes. Each accepted code's time step is recorded and
+ * claimed atomically, so a code cannot be replayed even across cluster workers.
+ * Recovery codes are single use and stored as SHA-256 hashes.
+ */
+
+import { createCipheriv, createDecipheriv, createHash, randomBytes } from 'crypto';
+import type { User } from '@prisma/client';
+import { prisma } from '../db/client';
+import { env } from '../config/env';
+import { requiresTotp } from '../config/permissions';
+import { AppError } from '../utils/appError';
+import { comparePassword } from '../utils/password';
+import { buildOtpauthUri, generateTotpSecret, verifyTotp } from '../utils/totp';
+
+const RECOVERY_CODE_COUNT = 10;
+const SECRET_FORMAT_VERSION = 'v1';
+
+export type SecondFactorMethod = 'totp' | 'recovery_code';
+
+type TotpUser = Pick<User, 'id' | 'totpSecret' | 'totpEnabledAt' | 'totpLastUsedStep'>;
+
+function encryptionKey(): Buffer {
+  return env.TOTP_ENCRYPTION_KEY
+    ? Buffer.from(env.TOTP_ENCRYPTION_KEY, 'base64')
+    : createHash('sha256').update(`totp-secret:${env.JWT_ACCESS_SECRET}`).digest();
+}
+
+/**
+ * Seal a base32 secret for storage in `User.totpSecret`
+ */
+export function encryptTotpSecret(secret: string): string {
+  const iv = randomBytes(12);
+  const cipher = createCipheriv('aes-256-gcm', encryptionKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [SECRET_FORMAT_VERSION, iv, cipher.getAuthTag(), ciphertext].map((part) => (typeof part === 'string' ? part : part.toString('base64'))).join(':');
+}
+
+function decryptSecret(stored: string): string {
+  const [version, iv, tag, ciphertext] = stored.split(':');
+  if (version !== SECRET_FORMAT_VERSION || !iv || !tag || !ciphertext) {
+    throw new AppError('Stored two-factor secret is unreadable', 500);
+  }
+  const decipher = createDecipheriv('aes-256-gcm', encryptionKey(), Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64'));
+  return Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64')), decipher.final()]).toString('utf8');
+}
+
+function normalizeRecoveryCode(code: string): string {
+  return code.toLowerCase().replace(/[^0-9a-f]/g, '');
+}
+
+function hashRecoveryCode(code: string): string {
+  return createHash('sha256').update(normalizeRecoveryCode(code)).digest('hex');
+}
+
+/** "3f9a1-c07be" */
+function generateRecoveryCode(): string {
+  const hex = randomBytes(5).toString('hex');
+  return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+}
+
+async function replaceRecoveryCodes(userId: string): Promise<string[]> {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, generateRecoveryCode);
+  await prisma.$transaction([
+    prisma.totpRecoveryCode.deleteMany({ where: { userId } }),
+    prisma.totpRecoveryCode.createMany({ data: codes.map((code) => ({ userId, codeHash: hashRecoveryCode(code) })) }),
+  ]);
+  return codes;
+}
+
+/**
+ * Accept a code from the authenticator app once per time step
+ */
+async function consumeTotpCode(user: TotpUser, code: string): Promise<boolean> {
+  if (!user.totpSecret || !/^\d{6}$/.test(code.replace(/\s/g, ''))) {
+    return false;
+  }
+
+  const step = verifyTotp(decryptSecret(user.totpSecret), code);
+  if (step === null) {
+    return false;
+  }
+
+  const claimed = await prisma.user.updateMany({
+    where: { id: user.id, OR: [{ totpLastUsedStep: null }, { totpLastUsedStep: { lt: step } }] },
+    data: { totpLastUsedStep: step },
+  });
+  return claimed.count > 0;
+}
+
+async function consumeRecoveryCode(userId: string, code: string): Promise<boolean> {
+  const claimed = await prisma.totpRecoveryCode.updateMany({
+    where: { userId, codeHash: hashRecoveryCode(code), usedAt: null },
+    data: { usedAt: new Date() },
+  });
+  return claimed.count > 0;
+}
+
+/**
+ * Check a second factor for a user with two-factor enabled: a 6 digit app code
+ * or one of their recovery codes. Returns the method used, or null.
+ */
+export async function verifySecondFactor(user: TotpUser, code: string): Promise<SecondFactorMethod | null> {
+  if (!user.totpEnabledAt) {
+    return null;
+  }
+  if (await consumeTotpCode(user, code)) {
+    return 'totp';
+  }
+  if (normalizeRecoveryCode(code).length === 10 && (await consumeRecoveryCode(user.id, code))) {
+    return 'recovery_code';
+  }
+  return null;
+}
+
+async function requireUser(userId: string) {
+  const user = await prisma.user.findUnique({ where: { id: userId } });
+  if (!user) {
+    throw new AppError('User not found', 404);
+  }
+  return user;
+}
+
+async function requireSecondFactor(user: TotpUser, code: string) {
+  if (!(await verifySecondFactor(user, code))) {
+    throw new AppError('Invalid two-factor code', 400, { code: ['Invalid two-factor code'] });
+  }
+}
+
+export async function getTotpStatus(userId: string) {
+  const user = await requireUser(userId);
+  const recoveryCodesRemaining = user.totpEnabledAt
+    ? await prisma.totpRecoveryCode.count({ where: { userId, usedAt: null } })
+    : 0;
+
+  return {
+    enabled: Boolean(user.totpEnabledAt),
+    enabledAt: user.totpEnabledAt,
+    required: requiresTotp(user.role),
+    recoveryCodesRemaining,
+  };
+}
+
+/**
+ * Start (or restart) enrollment with a fresh secret; it is inactive until confirmed
+ */
+export async function beginTotpEnrollment(userId: string) {
+  const user = await requireUser(userId);
+  if (user.totpEnabledAt) {
+    throw new AppError('Two-factor authentication is already enabled', 409);
+  }
+
+  const secret = generateTotpSecret();
+  await prisma.user.update({
+    where: { id: user.id },
+    data: { totpSecret: encryptTotpSecret(secret), totpLastUsedStep: null },
+  });
+
+  return {
+    secret,
+    otpauthUri: buildOtpauthUri({ issuer: env.TOTP_ISSUER, account: user.email, secret }),
+  };
+}
+
+/**
+ * Confirm enrollment with a code from the app; returns the recovery codes, shown only this once
+ */
+export async function enableTotp(userId: string, code: string) {
+  const user = await requireUser(userId);
+  if (user.totpEnabledAt) {
+    throw new AppError('Two-factor authentication is already enabled', 409);
+  }
+  if (!user.totpSecret) {
+    throw new AppError('Start two-factor setup first', 400);
+  }
+  if (!(await consumeTotpCode(user, code))) {
+    throw new AppError('Invalid two-factor code', 400, { code: ['Invalid two-factor code'] });
+  }
+
+  await prisma.user.update({ where: { id: user.id }, data: { totpEnabledAt: new Date() } });
+  return { recoveryCodes: await replaceRecoveryCodes(user.id) };
+}
+
+/**
+ * Replace all recovery codes; needs a current second factor
+ */
+export async function regenerateRecoveryCodes(userId: string, code: string) {
+  const user = await requireUser(userId);
+  if (!user.totpEnabledAt) {
+    throw new AppError('Two-factor authentication is not enabled', 400);
+  }
+  await requireSecondFactor(user, code);
+  return { recoveryCodes: await replaceRecoveryCodes(user.id) };
+}
+
+/**
+ * Turn two-factor off for a role that does not require it
+ */
+export async function disableTotp(userId: string, password: string, code: string) {
+  const user = await requireUser(userId);
+  if (requiresTotp(user.role)) {
+    throw new AppError(`Two-factor authentication is required for ${user.role} accounts`, 403);
+  }
+  if (!user.totpEnabledAt) {
+    throw new AppError('Two-factor authentication is not enabled', 400);
+  }
+  if (!(await comparePassword(password, user.passwordHash))) {
+    throw new AppError('Password is incorrect', 400, { password: ['Password is incorrect'] });
+  }
+  await requireSecondFactor(user, code);
+  await resetTotp(user.id);
+}
+
+/**
+ * Remove a user's enrollment and recovery codes, e.g. after a lost phone
+ */
+export async function resetTotp(userId: string) {
+  await prisma.$transaction([
+    prisma.totpRecoveryCode.deleteMany({ where: { userId } }),
+    prisma.user.update({
+      where: { id: userId },
+      data: { totpSecret: null, totpEnabledAt: null, totpLastUsedStep: null },
+    }),
+  ]);
+}
@@ -1,7 +1,11 @@
 ﻿import { prisma } from '../db/client';
 import { AppError } from '../utils/appError';
 import { hashPassword } from '../utils/password';
+import { assertPasswordPolicy } from '../utils/passwordPolicy';
 import { assignLatestDatSessionToUser } from './sessionAssignment.service';
+import { publishClientEvent } from './clientEvent.service';
+import { invalidateAllUserSessions } from './sessionActivity.service';
+import { canManageRole, type UserManagementAction } from '../config/permissions';
 import type { Prisma, UserRole, UserStatus } from '@prisma/client';
 
 interface CreateUserInput {
@@ -18,6 +22,79 @@ interface UpdateUserInput {
   status?: UserStatus;
 }
 
+export interface UserActor {
+  id: string;
+  role: UserRole;
+}
+
+const ACTION_VERBS: Record<UserManagementAction, string> = {
+  create: 'create',
+  modify: 'modify',
+  disable: 'change the status of',
+  delete: 'delete',
+};
+
+function requireManageable(actor: UserActor, action: UserManagementAction, targetRole: UserRole) {
+  if (!canManageRole(actor.role, action, targetRole)) {
+    throw new AppError(`Insufficient permissions to ${ACTION_VERBS[action]} ${targetRole} accounts`, 403);
+  }
+}
+
+export function assertCanCreateUser(actor: UserActor, role: UserRole) {
+  requireManageable(actor, 'create', role);
+}
+
+/**
+ * Checks a change to an existing user against the permission matrix. Nobody may change
+ * their own role or status or delete themselves, and a role change needs `modify` on
+ * both the current and the requested role, so admins cannot mint or demote super admins.
+ * Nor may anyone set their own password or email here: their own password goes through
+ * /auth/change-password, which asks for the current one and ends their other sessions.
+ */
+export async function assertCanManageUser(actor: UserActor, targetId: string, change: UpdateUserInput | 'delete') {
+  const target = await prisma.user.findUnique({ where: { id: targetId }, select: { id: true, email: true, role: true, status: true } });
+  if (!target) {
+    throw new AppError('User not found', 404);
+  }
+
+  const isSelf = target.id === actor.id;
+
+  if (change === 'delete') {
+    if (isSelf) {
+      throw new AppError('You cannot delete your own account', 403);
+    }
+    requireManageable(actor, 'delete', target.role);
+    return;
+  }
+
+  const roleChanged = change.role !== undefined && change.role !== target.role;
+  const statusChanged = change.status !== undefined && change.status !== target.status;
+
+  if (isSelf) {
+    if (roleChanged) {
+      throw new AppError('You cannot change your own role', 403);
+    }
+    if (statusChanged) {
+      throw new AppError('You cannot change your own account status', 403);
+    }
+    if (change.password) {
+      throw new AppError('Change your own password through /auth/change-password', 403);
+    }
+    if (change.email !== undefined && change.email !== target.email) {
+      throw new AppError('Your email can only be changed by another administrator', 403);
+    }
+    return;
+  }
+
+  requireManageable(actor, 'modify', target.role);
+  if (statusChanged) {
+    requireManageable(actor, 'disable', target.role);
+  }
+  if (roleChanged && change.role) {
+    requireManageable(actor, 'modify', change.role);
+  }
+}
+
 export async function listUsers(params: { skip?: number; take?: number }): Promise<{ data: unknown[]; count: number }> {
   const [data, count] = await prisma.$transaction([
     prisma.user.findMany({
@@ -30,6 +107,7 @@ export async function listUsers(params: { skip?: number; take?: number }): Promi
         role: true,
         status: true,
         lastLoginAt: true,
+        totpEnabledAt: true,
         createdAt: true,
       },
     }),
@@ -45,6 +123,7 @@ export async function createUser(input: CreateUserInput) {
     throw new AppError('Email already in use', 409);
   }
 
+  assertPasswordPolicy(input.password, input.email);
   const passwordHash = await hashPassword(input.password);
   
   // Create the user
@@ -93,7 +172,9 @@ export async function updateUser(id: string, input: UpdateUserInput) {
   }
 
   if (input.password) {
+    assertPasswordPolicy(input.password, input.email ?? user.email);
     data.passwordHash = await hashPassword(input.password);
+    data.currentSessionToken = null;
   }
 
   if (input.role) {
@@ -104,7 +185,7 @@ export async function updateUser(id: string, input: UpdateUserInput) {
     data.status = input.status;
   }
 
-  return prisma.user.update({
+  const updated = await prisma.user.update({
     where: { id },
     data,
     select: {
@@ -115,6 +196,21 @@ export async function updateUser(id: string, input: UpdateUserInput) {
       createdAt: true,
     },
   });
+
+  // Whoever signed in with the old password must not keep access
+  if (input.password) {
+    await invalidateAllUserSessions(id, 'password_changed');
+  }
+
+  if (updated.status !== 'ACTIVE' && user.status === 'ACTIVE') {
+    const message =
+      updated.status === 'SUSPENDED'
+        ? 'Your account has been suspended. Please contact support.'
+        : 'Your account has been disabled. Please contact support.';
+    await publishClientEvent('account_disabled', { reason: updated.status.toLowerCase(), message }, { userId: id });
+  }
+
+  return updated;
 }
 
 export async function deleteUser(id: string): Promise<{ id: string; email: string }> {
@@ -0,0 +1,16 @@
+/**
+ * Client IP Utility
+ *
+ * Resolves the originating client address for requests that arrive through
+ * the reverse proxy
+ */
+
+import type { Request } from 'express';
+
+/**
+ * Get the client IP. Express resolves X-Forwarded-For only up to the
+ * `trust proxy` hop count, so a client cannot pick its own address.
+ */
+export function getClientIp(req: Request): string | undefined {
+  return req.ip || req.socket.remoteAddress;
+}
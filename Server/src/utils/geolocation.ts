@@ -1,12 +1,20 @@
 /**
  * Geolocation Utility
  * 
- * Retrieves geographical location information from IP addresses
- * using the ip-api.com free API (no API key required)
+ * Retrieves geographical location information from IP addresses through a
+ * pluggable provider (see utils/geolocationProviders) with an LRU cache in front
  */
 
-import axios from 'axios';
+import path from 'path';
+import { env } from '../config/env';
 import { logger } from '../config/logger';
+import { LruCache } from './lruCache';
+import {
+  HttpGeolocationProvider,
+  MaxMindGeolocationProvider,
+  NullGeolocationProvider,
+  type GeolocationProvider,
+} from './geolocationProviders';
 
 export interface LocationData {
   city?: string;
@@ -17,9 +25,40 @@ export interface LocationData {
   location?: string; // Formatted string: "City, Country"
 }
 
+const DEFAULT_DATABASE_PATH = path.resolve(__dirname, '../../data/GeoLite2-City.mmdb');
+
+let provider: GeolocationProvider | null = null;
+const cache = new LruCache<string, LocationData | null>(env.GEOLOCATION_CACHE_SIZE, env.GEOLOCATION_CACHE_TTL_MINUTES * 60 * 1000);
+
+function createProvider(): GeolocationProvider {
+  switch (env.GEOLOCATION_PROVIDER) {
+    case 'http':
+      return new HttpGeolocationProvider();
+    case 'none':
+      return new NullGeolocationProvider();
+    default:
+      return new MaxMindGeolocationProvider(env.GEOLOCATION_DB_PATH ?? DEFAULT_DATABASE_PATH);
+  }
+}
+
+export function getGeolocationProvider(): GeolocationProvider {
+  if (!provider) {
+    provider = createProvider();
+  }
+  return provider;
+}
+
+/**
+ * Swap the provider at runtime (tests, or an admin reloading the database); clears the cache
+ */
+export function setGeolocationProvider(next: GeolocationProvider): void {
+  provider = next;
+  cache.clear();
+}
+
 /**
- * Get location data from IP address using ip-api.com
- * Free tier: 45 requests per minute
+ * Get location data from IP address using the configured provider.
+ * Results, including "not found", are cached per IP; failed lookups are not.
  * 
  * @param ipAddress - The IP address to lookup
  * @returns Location data or null if lookup fails
@@ -39,35 +78,32 @@ export async function getLocationFromIP(ipAddress: string | undefined): Promise<
     };
   }
 
+  const cached = cache.get(ipAddress);
+  if (cached !== undefined) {
+    return cached;
+  }
+
+  const activeProvider = getGeolocationProvider();
   try {
-    // ip-api.com free API
-    const response = await axios.get(`http://ip-api.com/json/${ipAddress}`, {
-      params: {
-        fields: 'status,message,country,city,lat,lon,regionName'
-      },
-      timeout: 5000
-    });
-
-    if (response.data.status === 'success') {
-      const data = response.data;
-      return {
-        city: data.city || undefined,
-        region: data.regionName || undefined,
-        country: data.country || undefined,
-        latitude: data.lat || undefined,
-        longitude: data.lon || undefined,
-        location: `${data.city || 'Unknown'}, ${data.country || 'Unknown'}`,
-      };
-    } else {
-      logger.warn(`Geolocation lookup failed for ${ipAddress}: ${response.data.message}`);
-      return null;
-    }
-  } catch (error: any) {
-    logger.error(`Error getting location for IP ${ipAddress}:`, error.message);
+    const location = await activeProvider.lookup(ipAddress);
+    cache.set(ipAddress, location);
+    return location;
+  } catch (error) {
+    logger.warn({ err: error, provider: activeProvider.name }, `Error getting location for IP ${ipAddress}`);
     return null;
   }
 }
 
+/**
+ * True when a location carries usable coordinates. Providers without coordinates
+ * (or lookups that found nothing) cannot be compared for travel speed.
+ */
+export function hasCoordinates(
+  location: LocationData | null | undefined
+): location is LocationData & { latitude: number; longitude: number } {
+  return typeof location?.latitude === 'number' && typeof location?.longitude === 'number';
+}
+
 /**
  * Calculate distance between two geographic coordinates (Haversine formula)
  * Used to detect suspicious location changes
@@ -107,6 +143,9 @@ function toRadians(degrees: number): number {
  * Check if a location change is suspicious based on distance and time
  * Example: 1000+ km in less than 1 hour is likely impossible
  * 
+ * Accepts either two LocationData results (from any provider) or raw coordinates.
+ * Locations without coordinates are never reported as suspicious.
+ * 
  * @param prevLat - Previous latitude
  * @param prevLon - Previous longitude
  * @param newLat - New latitude
@@ -114,13 +153,30 @@ function toRadians(degrees: number): number {
  * @param timeDiffMinutes - Time difference in minutes
  * @returns True if suspicious, false otherwise
  */
+export function isSuspiciousLocationChange(
+  previous: LocationData | null | undefined,
+  next: LocationData | null | undefined,
+  timeDiffMinutes: number
+): boolean;
 export function isSuspiciousLocationChange(
   prevLat: number,
   prevLon: number,
   newLat: number,
   newLon: number,
   timeDiffMinutes: number
+): boolean;
+export function isSuspiciousLocationChange(
+  ...args: [LocationData | null | undefined, LocationData | null | undefined, number] | [number, number, number, number, number]
 ): boolean {
+  if (args.length === 3) {
+    const [previous, next, minutes] = args;
+    if (!hasCoordinates(previous) || !hasCoordinates(next)) {
+      return false;
+    }
+    return isSuspiciousLocationChange(previous.latitude, previous.longitude, next.latitude, next.longitude, minutes);
+  }
+
+  const [prevLat, prevLon, newLat, newLon, timeDiffMinutes] = args;
   const distance = calculateDistance(prevLat, prevLon, newLat, newLon);
   
   // If distance > 500 km and time < 60 minutes, it's suspicious
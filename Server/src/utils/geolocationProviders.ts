@@ -0,0 +1,120 @@
+/**
+ * Geolocation Providers
+ *
+ * Interchangeable IP-to-location backends behind utils/geolocation:
+ * - MaxMindGeolocationProvider reads a local .mmdb City database (default, offline)
+ * - HttpGeolocationProvider calls ip-api.com (opt-in; sends user IPs to a third party)
+ * - NullGeolocationProvider never resolves anything (tests, air-gapped installs)
+ */
+
+import fs from 'fs/promises';
+import axios from 'axios';
+import { logger } from '../config/logger';
+import { MmdbReader } from './mmdb';
+import type { LocationData } from './geolocation';
+
+export interface GeolocationProvider {
+  readonly name: string;
+  /**
+   * Resolve a public IP address. Returns null when the provider has no data for it
+   * and throws when the lookup itself failed, so failures are not cached.
+   */
+  lookup(ipAddress: string): Promise<LocationData | null>;
+}
+
+function formatLocation(city?: string, country?: string): string {
+  return `${city || 'Unknown'}, ${country || 'Unknown'}`;
+}
+
+interface MmdbCityRecord {
+  city?: { names?: Record<string, string> };
+  subdivisions?: { names?: Record<string, string> }[];
+  country?: { names?: Record<string, string> };
+  location?: { latitude?: number; longitude?: number };
+}
+
+export class MaxMindGeolocationProvider implements GeolocationProvider {
+  readonly name = 'maxmind';
+  private reader: Promise<MmdbReader | null> | null = null;
+
+  constructor(private readonly databasePath: string) {}
+
+  async lookup(ipAddress: string): Promise<LocationData | null> {
+    const reader = await this.open();
+    const record = reader?.get<MmdbCityRecord>(ipAddress);
+    if (!record) {
+      return null;
+    }
+
+    const city = record.city?.names?.en;
+    const country = record.country?.names?.en;
+    return {
+      city,
+      region: record.subdivisions?.[0]?.names?.en,
+      country,
+      latitude: record.location?.latitude,
+      longitude: record.location?.longitude,
+      location: formatLocation(city, country),
+    };
+  }
+
+  // A missing or corrupt database disables lookups with a single warning instead of failing every login
+  private open(): Promise<MmdbReader | null> {
+    if (!this.reader) {
+      this.reader = fs
+        .readFile(this.databasePath)
+        .then((buffer) => {
+          const reader = new MmdbReader(buffer);
+          logger.info(
+            { path: this.databasePath, databaseType: reader.metadata.database_type, builtAt: new Date(reader.metadata.build_epoch * 1000) },
+            'Loaded geolocation database'
+          );
+          return reader;
+        })
+        .catch((error) => {
+          logger.warn({ err: error, path: this.databasePath }, 'Geolocation database unavailable; locations will not be resolved');
+          return null;
+        });
+    }
+    return this.reader;
+  }
+}
+
+export class HttpGeolocationProvider implements GeolocationProvider {
+  readonly name = 'http';
+
+  constructor(private readonly baseUrl = 'http://ip-api.com/json/', private readonly timeoutMs = 5000) {}
+
+  async lookup(ipAddress: string): Promise<LocationData | null> {
+    // ip-api.com free tier: 45 requests per minute, plain HTTP only
+    const response = await axios.get(`${this.baseUrl}${encodeURIComponent(ipAddress)}`, {
+      params: {
+        fields: 'status,message,country,city,lat,lon,regionName',
+      },
+      timeout: this.timeoutMs,
+    });
+
+    const data = response.data;
+    if (data.status !== 'success') {
+      logger.warn(`Geolocation lookup failed for ${ipAddress}: ${data.message}`);
+      return null;
+    }
+
+    return {
+      city: data.city || undefined,
+      region: data.regionName || undefined,
+      country: data.country || undefined,
+      latitude: typeof data.lat === 'number' ? data.lat : undefined,
+      longitude: typeof data.lon === 'number' ? data.lon : undefined,
+      location: formatLocation(data.city, data.country),
+    };
+  }
+}
+
+export class NullGeolocationProvider implements GeolocationProvider {
+  readonly name = 'none';
+
+  async lookup(): Promise<LocationData | null> {
+    return null;
+  }
+}
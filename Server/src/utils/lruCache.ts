@@ -0,0 +1,67 @@
+/**
+ * LRU Cache
+ *
+ * Small least-recently-used cache with per-entry expiry, built on Map insertion
+ * order. Used for lookups that are cheap to repeat but not free, such as IP
+ * geolocation on every login.
+ */
+
+interface CacheEntry<V> {
+  value: V;
+  expiresAt: number;
+}
+
+export class LruCache<K, V> {
+  private readonly entries = new Map<K, CacheEntry<V>>();
+
+  constructor(private readonly maxEntries: number, private readonly ttlMs: number) {}
+
+  get size(): number {
+    return this.entries.size;
+  }
+
+  has(key: K): boolean {
+    return this.read(key) !== undefined;
+  }
+
+  get(key: K): V | undefined {
+    return this.read(key)?.value;
+  }
+
+  set(key: K, value: V): void {
+    if (this.maxEntries <= 0) {
+      return;
+    }
+
+    this.entries.delete(key);
+    this.entries.set(key, { value, expiresAt: Date.now() + this.ttlMs });
+
+    while (this.entries.size > this.maxEntries) {
+      const oldest = this.entries.keys().next();
+      if (oldest.done) {
+        break;
+      }
+      this.entries.delete(oldest.value);
+    }
+  }
+
+  clear(): void {
+    this.entries.clear();
+  }
+
+  private read(key: K): CacheEntry<V> | undefined {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      return undefined;
+    }
+    if (entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return undefined;
+    }
+
+    // Re-insert so the entry becomes the most recently used
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry;
+  }
+}
@@ -0,0 +1,273 @@
+/**
+ * MaxMind DB Reader
+ *
+ * Minimal reader for the MaxMind DB (.mmdb) format used by GeoLite2/GeoIP2
+ * City databases and compatible exports such as DB-IP. The whole file is held
+ * in memory and looked up synchronously; no network access is involved.
+ *
+ * Format reference: https://maxmind.github.io/MaxMind-DB/
+ */
+
+import { isIPv4, isIPv6 } from 'net';
+
+const METADATA_MARKER = Buffer.from([0xab, 0xcd, 0xef, ...Buffer.from('MaxMind.com')]);
+const DATA_SECTION_SEPARATOR_SIZE = 16;
+
+export interface MmdbMetadata {
+  node_count: number;
+  record_size: number;
+  ip_version: number;
+  database_type: string;
+  build_epoch: number;
+  [key: string]: unknown;
+}
+
+export class MmdbReader {
+  readonly metadata: MmdbMetadata;
+  private readonly searchTreeSize: number;
+  private readonly dataSectionStart: number;
+  private readonly nodeByteSize: number;
+  private ipv4StartNode = 0;
+
+  constructor(private readonly buffer: Buffer) {
+    const markerAt = buffer.lastIndexOf(METADATA_MARKER);
+    if (markerAt === -1) {
+      throw new Error('Not a MaxMind DB file: metadata marker missing');
+    }
+
+    const metadataStart = markerAt + METADATA_MARKER.length;
+    this.metadata = new Decoder(buffer, metadataStart).decode(metadataStart).value as MmdbMetadata;
+
+    const { node_count: nodeCount, record_size: recordSize } = this.metadata;
+    if (![24, 28, 32].includes(recordSize)) {
+      throw new Error(`Unsupported MaxMind DB record size: ${recordSize}`);
+    }
+
+    this.nodeByteSize = recordSize / 4;
+    this.searchTreeSize = nodeCount * this.nodeByteSize;
+    this.dataSectionStart = this.searchTreeSize + DATA_SECTION_SEPARATOR_SIZE;
+
+    // IPv4 addresses live under ::/96 in IPv6 trees
+    if (this.metadata.ip_version === 6) {
+      let node = 0;
+      for (let i = 0; i < 96 && node < nodeCount; i += 1) {
+        node = this.readRecord(node, 0);
+      }
+      this.ipv4StartNode = node;
+    }
+  }
+
+  /**
+   * Look up the record for an IP address, or null if the database has none
+   */
+  get<T = Record<string, unknown>>(ipAddress: string): T | null {
+    const bytes = parseIp(ipAddress);
+    if (!bytes) {
+      return null;
+    }
+    if (bytes.length === 16 && this.metadata.ip_version === 4) {
+      return null;
+    }
+
+    const nodeCount = this.metadata.node_count;
+    let node = bytes.length === 4 ? this.ipv4StartNode : 0;
+    const bitCount = bytes.length * 8;
+
+    for (let i = 0; i < bitCount && node < nodeCount; i += 1) {
+      const bit = ((bytes[i >> 3] ?? 0) >> (7 - (i % 8))) & 1;
+      node = this.readRecord(node, bit);
+    }
+
+    if (node <= nodeCount) {
+      return null;
+    }
+
+    const offset = node - nodeCount + this.searchTreeSize;
+    return new Decoder(this.buffer, this.dataSectionStart).decode(offset).value as T;
+  }
+
+  private readRecord(node: number, bit: number): number {
+    const base = node * this.nodeByteSize;
+    const b = this.buffer;
+
+    switch (this.metadata.record_size) {
+      case 24: {
+        const at = base + bit * 3;
+        return b.readUIntBE(at, 3);
+      }
+      case 28: {
+        const middle = b[base + 3] ?? 0;
+        return bit === 0
+          ? ((middle & 0xf0) << 20) | b.readUIntBE(base, 3)
+          : ((middle & 0x0f) << 24) | b.readUIntBE(base + 4, 3);
+      }
+      default:
+        return b.readUInt32BE(base + bit * 4);
+    }
+  }
+}
+
+class Decoder {
+  constructor(private readonly buffer: Buffer, private readonly pointerBase: number) {}
+
+  decode(offset: number): { value: unknown; next: number } {
+    const ctrl = this.byte(offset);
+    let cursor = offset + 1;
+    let type = ctrl >> 5;
+
+    if (type === 1) {
+      return this.decodePointer(ctrl, cursor);
+    }
+
+    if (type === 0) {
+      type = 7 + this.byte(cursor);
+      cursor += 1;
+    }
+
+    const { size, next } = this.decodeSize(ctrl & 0x1f, cursor);
+    cursor = next;
+
+    switch (type) {
+      case 2:
+        return { value: this.buffer.toString('utf8', cursor, cursor + size), next: cursor + size };
+      case 3:
+        return { value: this.buffer.readDoubleBE(cursor), next: cursor + size };
+      case 4:
+        return { value: this.buffer.subarray(cursor, cursor + size), next: cursor + size };
+      case 5:
+      case 6:
+        return { value: this.readUnsigned(cursor, size), next: cursor + size };
+      case 7:
+        return this.decodeMap(size, cursor);
+      case 8:
+        return { value: size === 4 ? this.buffer.readInt32BE(cursor) : this.readUnsigned(cursor, size), next: cursor + size };
+      case 9:
+      case 10:
+        return { value: this.readBigUnsigned(cursor, size), next: cursor + size };
+      case 11:
+        return this.decodeArray(size, cursor);
+      case 14:
+        return { value: size !== 0, next: cursor };
+      case 15:
+        return { value: this.buffer.readFloatBE(cursor), next: cursor + size };
+      default:
+        throw new Error(`Unsupported MaxMind DB data type ${type} at offset ${offset}`);
+    }
+  }
+
+  private byte(offset: number): number {
+    const value = this.buffer[offset];
+    if (value === undefined) {
+      throw new Error(`MaxMind DB read past end of file at offset ${offset}`);
+    }
+    return value;
+  }
+
+  private decodeSize(size: number, cursor: number) {
+    if (size < 29) {
+      return { size, next: cursor };
+    }
+    if (size === 29) {
+      return { size: 29 + this.byte(cursor), next: cursor + 1 };
+    }
+    if (size === 30) {
+      return { size: 285 + this.buffer.readUInt16BE(cursor), next: cursor + 2 };
+    }
+    return { size: 65821 + this.buffer.readUIntBE(cursor, 3), next: cursor + 3 };
+  }
+
+  private decodePointer(ctrl: number, cursor: number) {
+    const pointerSize = (ctrl >> 3) & 0x3;
+    const high = ctrl & 0x7;
+    let pointer: number;
+
+    switch (pointerSize) {
+      case 0:
+        pointer = (high << 8) | this.byte(cursor);
+        break;
+      case 1:
+        pointer = ((high << 16) | this.buffer.readUInt16BE(cursor)) + 2048;
+        break;
+      case 2:
+        pointer = ((high << 24) | this.buffer.readUIntBE(cursor, 3)) + 526336;
+        break;
+      default:
+        pointer = this.buffer.readUInt32BE(cursor);
+    }
+
+    // A pointer is followed once; decoding resumes after the pointer itself
+    const { value } = this.decode(this.pointerBase + pointer);
+    return { value, next: cursor + pointerSize + 1 };
+  }
+
+  private decodeMap(size: number, cursor: number) {
+    const map: Record<string, unknown> = {};
+    let next = cursor;
+    for (let i = 0; i < size; i += 1) {
+      const key = this.decode(next);
+      const value = this.decode(key.next);
+      map[String(key.value)] = value.value;
+      next = value.next;
+    }
+    return { value: map, next };
+  }
+
+  private decodeArray(size: number, cursor: number) {
+    const items: unknown[] = [];
+    let next = cursor;
+    for (let i = 0; i < size; i += 1) {
+      const item = this.decode(next);
+      items.push(item.value);
+      next = item.next;
+    }
+    return { value: items, next };
+  }
+
+  private readUnsigned(cursor: number, size: number): number {
+    return size === 0 ? 0 : this.buffer.readUIntBE(cursor, size);
+  }
+
+  private readBigUnsigned(cursor: number, size: number): number | bigint {
+    let value = 0n;
+    for (let i = 0; i < size; i += 1) {
+      value = (value << 8n) | BigInt(this.byte(cursor + i));
+    }
+    return value <= BigInt(Number.MAX_SAFE_INTEGER) ? Number(value) : value;
+  }
+}
+
+function parseIp(ipAddress: string): number[] | null {
+  const address = ipAddress.trim();
+
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  if (mapped?.[1]) {
+    return parseIp(mapped[1]);
+  }
+
+  if (isIPv4(address)) {
+    return address.split('.').map(Number);
+  }
+
+  if (!isIPv6(address)) {
+    return null;
+  }
+
+  // Expand "::" and any trailing dotted IPv4 part into eight 16-bit groups
+  let groups = address;
+  const dotted = /(\d+\.\d+\.\d+\.\d+)$/.exec(groups);
+  if (dotted?.[1]) {
+    const [a = 0, b = 0, c = 0, d = 0] = dotted[1].split('.').map(Number);
+    groups = groups.slice(0, -dotted[1].length) + `${((a << 8) | b).toString(16)}:${((c << 8) | d).toString(16)}`;
+  }
+
+  const [head = '', tail] = groups.split('::');
+  const headParts = head ? head.split(':') : [];
+  const tailParts = tail ? tail.split(':') : [];
+  const missing = 8 - headParts.length - tailParts.length;
+  const parts = tail === undefined ? headParts : [...headParts, ...Array<string>(missing).fill('0'), ...tailParts];
+
+  return parts.flatMap((part) => {
+    const value = parseInt(part, 16);
+    return [value >> 8, value & 0xff];
+  });
+}
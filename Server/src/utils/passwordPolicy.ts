@@ -0,0 +1,55 @@
+/**
+ * Password Policy
+ *
+ * Rules every new password must meet, whoever sets it: an admin creating or
+ * editing a user, a user changing their own password or completing a reset.
+ * Existing passwords are not re-checked at login.
+ */
+
+import { z } from 'zod';
+import { env } from '../config/env';
+import { AppError } from './appError';
+
+// bcrypt only looks at the first 72 bytes
+const MAX_PASSWORD_BYTES = 72;
+const MIN_CHARACTER_CLASSES = 3;
+
+const CHARACTER_CLASSES = [/[a-z]/, /[A-Z]/, /[0-9]/, /[^a-zA-Z0-9]/];
+
+/**
+ * Everything wrong with a candidate password, empty when it is acceptable
+ */
+export function passwordPolicyViolations(password: string, email?: string): string[] {
+  const violations: string[] = [];
+
+  if (password.length < env.PASSWORD_MIN_LENGTH) {
+    violations.push(`Password must be at least ${env.PASSWORD_MIN_LENGTH} characters long`);
+  }
+  if (Buffer.byteLength(password, 'utf8') > MAX_PASSWORD_BYTES) {
+    violations.push(`Password must be at most ${MAX_PASSWORD_BYTES} bytes long`);
+  }
+  if (CHARACTER_CLASSES.filter((pattern) => pattern.test(password)).length < MIN_CHARACTER_CLASSES) {
+    violations.push('Password must mix at least three of lowercase letters, uppercase letters, digits and symbols');
+  }
+
+  const name = email?.split('@')[0]?.toLowerCase();
+  if (name && name.length >= 3 && password.toLowerCase().includes(name)) {
+    violations.push('Password must not contain your email address');
+  }
+
+  return violations;
+}
+
+/**
+ * Zod schema for password fields; the email check needs the account and is done by assertPasswordPolicy
+ */
+export const passwordSchema = z.string().superRefine((password, ctx) => {
+  passwordPolicyViolations(password).forEach((message) => ctx.addIssue({ code: z.ZodIssueCode.custom, message }));
+});
+
+export function assertPasswordPolicy(password: string, email: string, field = 'password'): void {
+  const violations = passwordPolicyViolations(password, email);
+  if (violations.length > 0) {
+    throw new AppError('Password does not meet the password policy', 400, { [field]: violations });
+  }
+}
@@ -0,0 +1,257 @@
+/**
+ * SMTP Client
+ *
+ * Minimal SMTP submission client for plain-text alert emails: implicit TLS or
+ * STARTTLS, AUTH PLAIN, one message per connection. Mail goes out in the clear
+ * only when requireTls is off, and credentials are only ever sent over TLS.
+ *
+ * Protocol reference: RFC 5321 (SMTP), RFC 3207 (STARTTLS), RFC 4616 (PLAIN)
+ */
+
+import net from 'net';
+import os from 'os';
+import tls from 'tls';
+import { randomUUID } from 'crypto';
+
+export interface SmtpConfig {
+  host: string;
+  port: number;
+  /** Connect over TLS from the start (port 465) instead of upgrading with STARTTLS */
+  secure: boolean;
+  /** Without implicit TLS, refuse to send unless the server offers STARTTLS */
+  requireTls: boolean;
+  user?: string;
+  password?: string;
+  from: string;
+  timeoutMs: number;
+}
+
+export interface SmtpMessage {
+  to: string[];
+  subject: string;
+  text: string;
+}
+
+interface SmtpReply {
+  code: number;
+  lines: string[];
+}
+
+export class SmtpError extends Error {
+  constructor(message: string, readonly code?: number) {
+    super(message);
+    this.name = 'SmtpError';
+  }
+}
+
+class SmtpConnection {
+  private socket!: net.Socket;
+  private buffer = '';
+  private replyLines: string[] = [];
+  private replies: SmtpReply[] = [];
+  private waiting: { resolve: (reply: SmtpReply) => void; reject: (error: Error) => void } | null = null;
+  private failure: Error | null = null;
+
+  constructor(socket: net.Socket, private readonly timeoutMs: number) {
+    this.attach(socket);
+  }
+
+  /** Switch the connection to TLS after a successful STARTTLS */
+  async upgrade(host: string): Promise<void> {
+    const plain = this.socket;
+    plain.removeAllListeners('data');
+    plain.removeAllListeners('error');
+    plain.removeAllListeners('close');
+    plain.removeAllListeners('timeout');
+
+    const secure = tls.connect({ socket: plain, servername: host });
+    this.attach(secure);
+    await new Promise<void>((resolve, reject) => {
+      secure.once('secureConnect', resolve);
+      secure.once('error', reject);
+    });
+  }
+
+  async command(line: string, expected: number[]): Promise<SmtpReply> {
+    this.socket.write(`${line}\r\n`);
+    return this.expect(line.split(' ')[0] ?? line, expected);
+  }
+
+  async expect(step: string, expected: number[]): Promise<SmtpReply> {
+    const reply = await this.read();
+    if (!expected.includes(reply.code)) {
+      throw new SmtpError(`SMTP ${step} rejected: ${reply.code} ${reply.lines.join(' ')}`, reply.code);
+    }
+    return reply;
+  }
+
+  write(data: string) {
+    this.socket.write(data);
+  }
+
+  close() {
+    this.socket.destroy();
+  }
+
+  private attach(socket: net.Socket) {
+    this.socket = socket;
+    socket.setEncoding('utf8');
+    socket.setTimeout(this.timeoutMs);
+    socket.on('data', (chunk: string) => this.receive(chunk));
+    socket.on('timeout', () => socket.destroy(new SmtpError('SMTP server timed out')));
+    socket.on('error', (error) => this.fail(error));
+    socket.on('close', () => this.fail(new SmtpError('SMTP connection closed unexpectedly')));
+  }
+
+  private receive(chunk: string) {
+    this.buffer += chunk;
+    let newline = this.buffer.indexOf('\n');
+    while (newline !== -1) {
+      const line = this.buffer.slice(0, newline).replace(/\r$/, '');
+      this.buffer = this.buffer.slice(newline + 1);
+      newline = this.buffer.indexOf('\n');
+
+      // "250-..." continues a multi-line reply, "250 ..." ends it
+      this.replyLines.push(line.slice(4));
+      if (line.charAt(3) !== '-') {
+        this.deliver({ code: Number.parseInt(line.slice(0, 3), 10), lines: this.replyLines });
+        this.replyLines = [];
+      }
+    }
+  }
+
+  private deliver(reply: SmtpReply) {
+    if (this.waiting) {
+      const { resolve } = this.waiting;
+      this.waiting = null;
+      resolve(reply);
+    } else {
+      this.replies.push(reply);
+    }
+  }
+
+  private fail(error: Error) {
+    this.failure ??= error;
+    if (this.waiting) {
+      const { reject } = this.waiting;
+      this.waiting = null;
+      reject(error);
+    }
+  }
+
+  private read(): Promise<SmtpReply> {
+    const queued = this.replies.shift();
+    if (queued) {
+      return Promise.resolve(queued);
+    }
+    if (this.failure) {
+      return Promise.reject(this.failure);
+    }
+    return new Promise((resolve, reject) => {
+      this.waiting = { resolve, reject };
+    });
+  }
+}
+
+function singleLine(value: string): string {
+  return value.replace(/[\r\n]+/g, ' ').trim();
+}
+
+/** "Alerts <alerts@example.com>" -> "alerts@example.com" */
+function envelopeAddress(address: string): string {
+  return singleLine(/<([^>]+)>/.exec(address)?.[1] ?? address);
+}
+
+function encodeHeader(value: string): string {
+  const clean = singleLine(value);
+  return /^[\x20-\x7e]*$/.test(clean) ? clean : `=?UTF-8?B?${Buffer.from(clean, 'utf8').toString('base64')}?=`;
+}
+
+/**
+ * Build the RFC 5322 message, dot-stuffed and terminated for the DATA command
+ */
+export function formatSmtpMessage(from: string, message: SmtpMessage, date = new Date()): string {
+  const domain = envelopeAddress(from).split('@')[1] || os.hostname();
+  const text = message.text.replace(/\r?\n/g, '\r\n');
+  const isAscii = /^[\x00-\x7f]*$/.test(text);
+  const body = isAscii
+    ? text
+    : (Buffer.from(text, 'utf8').toString('base64').match(/.{1,76}/g) ?? []).join('\r\n');
+
+  const headers = [
+    `From: ${singleLine(from)}`,
+    `To: ${message.to.map(singleLine).join(', ')}`,
+    `Subject: ${encodeHeader(message.subject)}`,
+    `Date: ${date.toUTCString()}`,
+    `Message-ID: <${randomUUID()}@${domain}>`,
+    'MIME-Version: 1.0',
+    'Content-Type: text/plain; charset=utf-8',
+    `Content-Transfer-Encoding: ${isAscii ? '7bit' : 'base64'}`,
+  ];
+
+  const stuffed = `${headers.join('\r\n')}\r\n\r\n${body}`.replace(/^\./gm, '..');
+  return `${stuffed}\r\n.\r\n`;
+}
+
+function connect(config: SmtpConfig): Promise<net.Socket> {
+  return new Promise((resolve, reject) => {
+    const socket = config.secure
+      ? tls.connect({ host: config.host, port: config.port, servername: config.host })
+      : net.connect({ host: config.host, port: config.port });
+    socket.setTimeout(config.timeoutMs, () => socket.destroy(new SmtpError(`Could not reach SMTP server ${config.host}:${config.port}`)));
+    socket.once(config.secure ? 'secureConnect' : 'connect', () => {
+      socket.removeAllListeners('error');
+      socket.removeAllListeners('timeout');
+      resolve(socket);
+    });
+    socket.once('error', reject);
+  });
+}
+
+/**
+ * Deliver one message and return the server's final reply
+ */
+export async function sendMail(config: SmtpConfig, message: SmtpMessage): Promise<string> {
+  if (message.to.length === 0) {
+    throw new SmtpError('No recipients');
+  }
+
+  const connection = new SmtpConnection(await connect(config), config.timeoutMs);
+  const helo = `EHLO ${os.hostname() || 'localhost'}`;
+
+  try {
+    await connection.expect('greeting', [220]);
+    const capabilities = (await connection.command(helo, [250])).lines.map((line) => line.toUpperCase());
+
+    if (!config.secure && capabilities.includes('STARTTLS')) {
+      await connection.command('STARTTLS', [220]);
+      await connection.upgrade(config.host);
+      await connection.command(helo, [250]);
+    } else if (!config.secure && (config.requireTls || config.user)) {
+      // A missing STARTTLS may have been stripped in transit; never send the password in the clear
+      throw new SmtpError(
+        config.user
+          ? 'SMTP server did not offer STARTTLS; refusing to send credentials without TLS'
+          : 'SMTP server did not offer STARTTLS; refusing to send mail without TLS (SMTP_REQUIRE_TLS)'
+      );
+    }
+
+    if (config.user) {
+      const credentials = Buffer.from(`\0${config.user}\0${config.password ?? ''}`, 'utf8').toString('base64');
+      await connection.command(`AUTH PLAIN ${credentials}`, [235]);
+    }
+
+    await connection.command(`MAIL FROM:<${envelopeAddress(config.from)}>`, [250]);
+    for (const recipient of message.to) {
+      await connection.command(`RCPT TO:<${singleLine(recipient)}>`, [250, 251]);
+    }
+    await connection.command('DATA', [354]);
+    connection.write(formatSmtpMessage(config.from, message));
+    const accepted = await connection.expect('message', [250]);
+
+    await connection.command('QUIT', [221]).catch(() => undefined);
+    return `${accepted.code} ${accepted.lines.join(' ')}`;
+  } finally {
+    connection.close();
+  }
+}
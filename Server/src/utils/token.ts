@@ -1,3 +1,4 @@
+import { randomUUID } from 'crypto';
 import jwt, { Secret, SignOptions } from 'jsonwebtoken';
 import { env } from '../config/env';
 import type { UserRole } from '@prisma/client';
@@ -7,6 +8,11 @@ interface TokenPayload {
   role: UserRole;
 }
 
+export interface RefreshTokenPayload extends TokenPayload {
+  jti: string;
+  fam: string;
+}
+
 const accessOptions: SignOptions = {
   expiresIn: env.JWT_ACCESS_EXPIRES_IN as unknown as SignOptions['expiresIn'],
 };
@@ -17,24 +23,67 @@ const refreshOptions: SignOptions = {
 
 export function signAccessToken(userId: string, role: UserRole): string {
   const payload: TokenPayload = { sub: userId, role };
-  return jwt.sign(payload, env.JWT_ACCESS_SECRET as Secret, accessOptions);
+  // A unique jti keeps two logins within the same second from producing identical tokens
+  return jwt.sign(payload, env.JWT_ACCESS_SECRET as Secret, { ...accessOptions, jwtid: randomUUID() });
 }
 
-export function signRefreshToken(userId: string, role: UserRole): string {
-  const payload: TokenPayload = { sub: userId, role };
-  return jwt.sign(payload, env.JWT_REFRESH_SECRET as Secret, refreshOptions);
+/**
+ * Sign a refresh token bound to a persisted RefreshToken row (jti) and its rotation family (fam)
+ */
+export function signRefreshToken(
+  userId: string,
+  role: UserRole,
+  tokenId: string,
+  familyId: string
+): { token: string; expiresAt: Date } {
+  const payload = { sub: userId, role, fam: familyId };
+  const token = jwt.sign(payload, env.JWT_REFRESH_SECRET as Secret, { ...refreshOptions, jwtid: tokenId });
+  const { exp } = jwt.decode(token) as { exp: number };
+  return { token, expiresAt: new Date(exp * 1000) };
 }
 
-export function verifyRefreshToken(token: string): TokenPayload {
+/**
+ * Expiry of an already verified token
+ */
+export function getTokenExpiry(token: string): Date | null {
+  const decoded = jwt.decode(token);
+  return decoded && typeof decoded === 'object' && typeof decoded.exp === 'number' ? new Date(decoded.exp * 1000) : null;
+}
+
+export function verifyRefreshToken(token: string): RefreshTokenPayload {
   const decoded = jwt.verify(token, env.JWT_REFRESH_SECRET as Secret);
   if (!decoded || typeof decoded !== 'object') {
     throw new Error('Invalid refresh token payload');
   }
 
-  const { sub, role } = decoded as Partial<TokenPayload>;
-  if (!sub || !role) {
+  // Tokens issued before rotation was introduced carry no jti/fam and are rejected
+  const { sub, role, jti, fam } = decoded as Partial<RefreshTokenPayload>;
+  if (!sub || !role || !jti || !fam) {
     throw new Error('Invalid refresh token payload');
   }
 
-  return { sub, role };
-}
\ No newline at end of file
+  return { sub, role, jti, fam };
+}
+
+const MFA_TOKEN_AUDIENCE = 'mfa';
+const MFA_TOKEN_EXPIRES_IN = '5m';
+
+/**
+ * Short-lived proof that the password step of a login succeeded. It carries no
+ * role, so `authenticate` never accepts it as an access token.
+ */
+export function signMfaToken(userId: string): string {
+  return jwt.sign({ sub: userId }, env.JWT_ACCESS_SECRET as Secret, {
+    audience: MFA_TOKEN_AUDIENCE,
+    expiresIn: MFA_TOKEN_EXPIRES_IN,
+    jwtid: randomUUID(),
+  });
+}
+
+export function verifyMfaToken(token: string): { sub: string } {
+  const decoded = jwt.verify(token, env.JWT_ACCESS_SECRET as Secret, { audience: MFA_TOKEN_AUDIENCE });
+  if (!decoded || typeof decoded !== 'object' || typeof decoded.sub !== 'string') {
+    throw new Error('Invalid MFA token payload');
+  }
+  return { sub: decoded.sub };
+}
@@ -0,0 +1,43 @@
+import request from 'supertest';
+import { app } from '../../src/app';
+import type { User } from '@prisma/client';
+import { prisma } from '../../src/db/client';
+import { generateTotp } from '../../src/utils/totp';
+import { DEFAULT_PASSWORD, TEST_TOTP_SECRET } from './db';
+
+// A private address keeps getLocationFromIP from calling out to ip-api.com
+export const TEST_CLIENT_IP = '10.0.0.42';
+
+export const api = () => request(app);
+
+export interface LoggedInSession {
+  accessToken: string;
+  refreshToken: string;
+  auth: { Authorization: string };
+}
+
+/**
+ * Log in, answering the two-factor step with TEST_TOTP_SECRET when asked
+ */
+export async function loginAs(user: Pick<User, 'email'>, password = DEFAULT_PASSWORD): Promise<LoggedInSession> {
+  let res = await api()
+    .post('/api/v1/auth/login')
+    .set('X-Forwarded-For', TEST_CLIENT_IP)
+    .send({ email: user.email, password });
+
+  if (res.status === 200 && res.body.mfaRequired) {
+    // Each code is accepted once; several logins within one 30s step would otherwise collide
+    await prisma.user.update({ where: { email: user.email }, data: { totpLastUsedStep: null } });
+    res = await api()
+      .post('/api/v1/auth/login/mfa')
+      .set('X-Forwarded-For', TEST_CLIENT_IP)
+      .send({ mfaToken: res.body.mfaToken, code: generateTotp(TEST_TOTP_SECRET) });
+  }
+
+  if (res.status !== 200) {
+    throw new Error(`Login for ${user.email} failed with ${res.status}: ${JSON.stringify(res.body)}`);
+  }
+
+  const { accessToken, refreshToken } = res.body.tokens;
+  return { accessToken, refreshToken, auth: { Authorization: `Bearer ${accessToken}` } };
+}
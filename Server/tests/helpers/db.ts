@@ -0,0 +1,74 @@
+import type { UserRole, UserStatus } from '@prisma/client';
+import { prisma } from '../../src/db/client';
+import { hashPassword } from '../../src/utils/password';
+import { requiresTotp } from '../../src/config/permissions';
+import { encryptTotpSecret } from '../../src/services/totp.service';
+import { api, loginAs } from './api';
+
+export const DEFAULT_PASSWORD = 'Correct-Horse-42';
+
+/** Authenticator secret of every test user enrolled in two-factor */
+export const TEST_TOTP_SECRET = 'JBSWY3DPEHPK3PXPJBSWY3DPEHPK3PXP';
+
+/**
+ * Truncate every application table in the disposable schema.
+ * Called before each test so suites never depend on each other's rows.
+ */
+export async function resetDatabase(): Promise<void> {
+  const tables = await prisma.$queryRaw<Array<{ tablename: string }>>`
+    SELECT tablename FROM pg_tables
+    WHERE schemaname = current_schema() AND tablename <> '_prisma_migrations'
+  `;
+
+  if (tables.length === 0) {
+    return;
+  }
+
+  const list = tables.map(({ tablename }) => `"${tablename}"`).join(', ');
+  await prisma.$executeRawUnsafe(`TRUNCATE TABLE ${list} RESTART IDENTITY CASCADE`);
+}
+
+export async function createTestUser(params: {
+  email?: string;
+  password?: string;
+  role?: UserRole;
+  status?: UserStatus;
+  /** Enroll in two-factor with TEST_TOTP_SECRET; defaults to on for roles that require it */
+  totp?: boolean;
+} = {}) {
+  const password = params.password ?? DEFAULT_PASSWORD;
+  const role = params.role ?? 'USER';
+  const enrolled = params.totp ?? requiresTotp(role);
+  const user = await prisma.user.create({
+    data: {
+      email: params.email ?? `user-${Math.random().toString(36).slice(2, 10)}@example.com`,
+      passwordHash: await hashPassword(password),
+      role,
+      status: params.status ?? 'ACTIVE',
+      ...(enrolled ? { totpSecret: encryptTotpSecret(TEST_TOTP_SECRET), totpEnabledAt: new Date() } : {}),
+    },
+  });
+
+  return { user, password };
+}
+
+/**
+ * A signed-in admin and a regular customer, for billing tests
+ */
+export async function createAdminAndCustomer() {
+  const { user: admin } = await createTestUser({ role: 'ADMIN' });
+  const { user: customer, password } = await createTestUser();
+  const adminSession = await loginAs(admin);
+  return { admin, adminSession, customer, password };
+}
+
+/**
+ * A DAT session created through the API by a signed-in super admin
+ */
+export async function createDatSession(name = 'Test Session') {
+  const { user: admin } = await createTestUser({ role: 'SUPER_ADMIN' });
+  const adminSession = await loginAs(admin);
+  const res = await api().post('/api/v1/sessions').set(adminSession.auth).send({ name });
+  expect(res.status).toBe(201);
+  return { sessionId: res.body.id as string, admin, adminSession };
+}
@@ -0,0 +1,109 @@
+/**
+ * Event Stream Client
+ *
+ * Serves the app on an ephemeral localhost port and reads its server-sent
+ * events stream the way the desktop client does, since supertest waits for a
+ * response to end and an event stream never does on its own.
+ */
+
+import http from 'http';
+import type { AddressInfo } from 'net';
+import { app } from '../../src/app';
+
+export interface ReceivedEvent {
+  id?: number;
+  event: string;
+  data: Record<string, unknown>;
+}
+
+export interface EventStream {
+  status: number;
+  events: ReceivedEvent[];
+  /** Resolves once an event of this type arrives, or rejects after the timeout */
+  next: (type: string, timeoutMs?: number) => Promise<ReceivedEvent>;
+  ended: Promise<void>;
+  close: () => Promise<void>;
+}
+
+function parseBlock(block: string): ReceivedEvent | null {
+  const fields: Record<string, string> = {};
+  for (const line of block.split('\n')) {
+    const separator = line.indexOf(': ');
+    if (line.startsWith(':') || separator === -1) {
+      continue;
+    }
+    fields[line.slice(0, separator)] = line.slice(separator + 2);
+  }
+
+  if (!fields.event || fields.data === undefined) {
+    return null;
+  }
+  return {
+    id: fields.id !== undefined ? Number(fields.id) : undefined,
+    event: fields.event,
+    data: JSON.parse(fields.data),
+  };
+}
+
+export async function openEventStream(accessToken: string, headers: Record<string, string> = {}): Promise<EventStream> {
+  const server = http.createServer(app);
+  await new Promise<void>((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address() as AddressInfo;
+
+  const events: ReceivedEvent[] = [];
+  const waiters: Array<() => void> = [];
+  let buffer = '';
+
+  const res = await new Promise<http.IncomingMessage>((resolve, reject) => {
+    http
+      .get(
+        { host: '127.0.0.1', port, path: '/api/v1/events/stream', headers: { Authorization: `Bearer ${accessToken}`, ...headers } },
+        resolve
+      )
+      .on('error', reject);
+  });
+
+  res.setEncoding('utf8');
+  res.on('data', (chunk: string) => {
+    buffer += chunk;
+    let boundary = buffer.indexOf('\n\n');
+    while (boundary !== -1) {
+      const event = parseBlock(buffer.slice(0, boundary));
+      buffer = buffer.slice(boundary + 2);
+      if (event) {
+        events.push(event);
+        waiters.splice(0).forEach((wake) => wake());
+      }
+      boundary = buffer.indexOf('\n\n');
+    }
+  });
+
+  const ended = new Promise<void>((resolve) => res.on('end', resolve));
+
+  const next = (type: string, timeoutMs = 5000) =>
+    new Promise<ReceivedEvent>((resolve, reject) => {
+      const timer = setTimeout(() => reject(new Error(`No ${type} event within ${timeoutMs}ms`)), timeoutMs);
+      const check = () => {
+        const event = events.find((candidate) => candidate.event === type);
+        if (event) {
+          clearTimeout(timer);
+          resolve(event);
+        } else {
+          waiters.push(check);
+        }
+      };
+      check();
+    });
+
+  return {
+    status: res.statusCode ?? 0,
+    events,
+    next,
+    ended,
+    close: async () => {
+      res.destroy();
+      server.closeAllConnections();
+      await new Promise<void>((resolve) => server.close(() => resolve()));
+    },
+  };
+}
@@ -0,0 +1,141 @@
+/**
+ * MaxMind DB Test Writer
+ *
+ * Builds a small IPv6 .mmdb file (24-bit records) from a list of IPv4 networks so
+ * the offline geolocation provider can be exercised without shipping a real
+ * GeoLite2 database in the repository.
+ */
+
+type MmdbValue = string | number | boolean | MmdbValue[] | { [key: string]: MmdbValue };
+
+export interface MmdbNetwork {
+  /** IPv4 network in CIDR notation, e.g. 203.0.113.0/24 */
+  cidr: string;
+  data: { [key: string]: MmdbValue };
+}
+
+interface TreeNode {
+  children: [TreeNode | number | null, TreeNode | number | null];
+}
+
+function control(type: number, size: number): Buffer {
+  const header = type <= 7 ? [(type << 5) | Math.min(size, 29)] : [Math.min(size, 29), type - 7];
+  if (size >= 29) {
+    header.push(size - 29);
+  }
+  return Buffer.from(header);
+}
+
+function encode(value: MmdbValue): Buffer {
+  if (typeof value === 'string') {
+    const bytes = Buffer.from(value, 'utf8');
+    return Buffer.concat([control(2, bytes.length), bytes]);
+  }
+  if (typeof value === 'boolean') {
+    return control(14, value ? 1 : 0);
+  }
+  if (typeof value === 'number') {
+    if (Number.isInteger(value) && value >= 0 && value <= 0xffffffff) {
+      const bytes = Buffer.alloc(4);
+      bytes.writeUInt32BE(value);
+      return Buffer.concat([control(6, 4), bytes]);
+    }
+    const bytes = Buffer.alloc(8);
+    bytes.writeDoubleBE(value);
+    return Buffer.concat([control(3, 8), bytes]);
+  }
+  if (Array.isArray(value)) {
+    return Buffer.concat([control(11, value.length), ...value.map(encode)]);
+  }
+  const entries = Object.entries(value);
+  return Buffer.concat([control(7, entries.length), ...entries.flatMap(([key, item]) => [encode(key), encode(item)])]);
+}
+
+function ipv4Bits(cidr: string): number[] {
+  const [address = '', prefix = '32'] = cidr.split('/');
+  const octets = address.split('.').map(Number);
+  const bits: number[] = Array<number>(96).fill(0);
+  for (let i = 0; i < Number(prefix); i += 1) {
+    bits.push(((octets[i >> 3] ?? 0) >> (7 - (i % 8))) & 1);
+  }
+  return bits;
+}
+
+export function buildMmdb(networks: MmdbNetwork[]): Buffer {
+  const root: TreeNode = { children: [null, null] };
+  const dataSections: Buffer[] = [];
+  let dataSize = 0;
+
+  for (const network of networks) {
+    const encoded = encode(network.data);
+    const dataOffset = dataSize;
+    dataSections.push(encoded);
+    dataSize += encoded.length;
+
+    const bits = ipv4Bits(network.cidr);
+    let node = root;
+    bits.forEach((bit, index) => {
+      const side = bit as 0 | 1;
+      if (index === bits.length - 1) {
+        node.children[side] = -(dataOffset + 1);
+        return;
+      }
+      const child = node.children[side];
+      if (child === null || typeof child === 'number') {
+        const created: TreeNode = { children: [null, null] };
+        node.children[side] = created;
+        node = created;
+      } else {
+        node = child;
+      }
+    });
+  }
+
+  const nodes: TreeNode[] = [];
+  const indexOf = new Map<TreeNode, number>();
+  const queue = [root];
+  while (queue.length > 0) {
+    const node = queue.shift() as TreeNode;
+    indexOf.set(node, nodes.length);
+    nodes.push(node);
+    for (const child of node.children) {
+      if (child && typeof child !== 'number') {
+        queue.push(child);
+      }
+    }
+  }
+
+  const nodeCount = nodes.length;
+  const tree = Buffer.alloc(nodeCount * 6);
+  nodes.forEach((node, index) => {
+    node.children.forEach((child, side) => {
+      let record = nodeCount;
+      if (typeof child === 'number') {
+        record = nodeCount + 16 + (-child - 1);
+      } else if (child) {
+        record = indexOf.get(child) ?? nodeCount;
+      }
+      tree.writeUIntBE(record, index * 6 + side * 3, 3);
+    });
+  });
+
+  const metadata = encode({
+    node_count: nodeCount,
+    record_size: 24,
+    ip_version: 6,
+    database_type: 'Test-City',
+    languages: ['en'],
+    binary_format_major_version: 2,
+    binary_format_minor_version: 0,
+    build_epoch: Math.floor(Date.now() / 1000),
+  });
+
+  return Buffer.concat([
+    tree,
+    Buffer.alloc(16),
+    ...dataSections,
+    Buffer.from([0xab, 0xcd, 0xef]),
+    Buffer.from('MaxMind.com'),
+    metadata,
+  ]);
+}
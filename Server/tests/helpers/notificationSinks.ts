@@ -0,0 +1,144 @@
+/**
+ * Local Notification Sinks
+ *
+ * A webhook receiver and an SMTP sink on ephemeral localhost ports, so alert
+ * notifications can be exercised end to end without any outside service.
+ */
+
+import http from 'http';
+import net from 'net';
+import type { AddressInfo } from 'net';
+
+export interface ReceivedWebhook {
+  headers: http.IncomingHttpHeaders;
+  body: string;
+}
+
+export interface WebhookReceiver {
+  url: string;
+  requests: ReceivedWebhook[];
+  /** Status codes to answer with, in order; 200 once exhausted */
+  respondWith: number[];
+  close: () => Promise<void>;
+}
+
+export async function startWebhookReceiver(): Promise<WebhookReceiver> {
+  const receiver: Omit<WebhookReceiver, 'url' | 'close'> = { requests: [], respondWith: [] };
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.setEncoding('utf8');
+    req.on('data', (chunk: string) => {
+      body += chunk;
+    });
+    req.on('end', () => {
+      receiver.requests.push({ headers: req.headers, body });
+      res.statusCode = receiver.respondWith.shift() ?? 200;
+      res.end();
+    });
+  });
+
+  await new Promise<void>((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address() as AddressInfo;
+
+  return Object.assign(receiver, {
+    url: `http://127.0.0.1:${port}/hooks/alerts`,
+    close: () => new Promise<void>((resolve) => server.close(() => resolve())),
+  });
+}
+
+export interface ReceivedMail {
+  from: string;
+  to: string[];
+  data: string;
+}
+
+export interface SmtpSink {
+  host: string;
+  port: number;
+  messages: ReceivedMail[];
+  /** AUTH commands received, credentials included */
+  authAttempts: string[];
+  close: () => Promise<void>;
+}
+
+/**
+ * Accepts every message and any login, and never offers TLS
+ */
+export async function startSmtpSink(): Promise<SmtpSink> {
+  const messages: ReceivedMail[] = [];
+  const authAttempts: string[] = [];
+  const sockets = new Set<net.Socket>();
+
+  const server = net.createServer((socket) => {
+    sockets.add(socket);
+    socket.on('close', () => sockets.delete(socket));
+    socket.setEncoding('utf8');
+
+    let buffer = '';
+    let current: ReceivedMail = { from: '', to: [], data: '' };
+    let inData = false;
+    const reply = (line: string) => socket.write(`${line}\r\n`);
+
+    reply('220 sink.test ESMTP ready');
+    socket.on('data', (chunk: string) => {
+      buffer += chunk;
+      let newline = buffer.indexOf('\r\n');
+      while (newline !== -1) {
+        const line = buffer.slice(0, newline);
+        buffer = buffer.slice(newline + 2);
+        newline = buffer.indexOf('\r\n');
+
+        if (inData) {
+          if (line === '.') {
+            inData = false;
+            messages.push(current);
+            current = { from: '', to: [], data: '' };
+            reply('250 Queued');
+          } else {
+            current.data += `${line.startsWith('..') ? line.slice(1) : line}\r\n`;
+          }
+          continue;
+        }
+
+        const command = line.toUpperCase();
+        if (command.startsWith('EHLO') || command.startsWith('HELO')) {
+          reply('250-sink.test');
+          reply('250 8BITMIME');
+        } else if (command.startsWith('AUTH ')) {
+          authAttempts.push(line);
+          reply('235 Authentication successful');
+        } else if (command.startsWith('MAIL FROM:')) {
+          current.from = line.slice(10).replace(/[<>]/g, '');
+          reply('250 OK');
+        } else if (command.startsWith('RCPT TO:')) {
+          current.to.push(line.slice(8).replace(/[<>]/g, ''));
+          reply('250 OK');
+        } else if (command === 'DATA') {
+          inData = true;
+          reply('354 End data with <CR><LF>.<CR><LF>');
+        } else if (command === 'QUIT') {
+          reply('221 Bye');
+          socket.end();
+        } else {
+          reply('502 Command not implemented');
+        }
+      }
+    });
+  });
+
+  await new Promise<void>((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address() as AddressInfo;
+
+  return {
+    host: '127.0.0.1',
+    port,
+    messages,
+    authAttempts,
+    close: () =>
+      new Promise<void>((resolve) => {
+        sockets.forEach((socket) => socket.destroy());
+        server.close(() => resolve());
+      }),
+  };
+}
@@ -0,0 +1,118 @@
+/**
+ * Local S3 Stand-in
+ *
+ * Minimal path-style S3 implementation used by the integration tests in place of
+ * DigitalOcean Spaces. It keeps objects in memory and accepts any signature, so
+ * presigned URLs generated by config/storage.ts work against it unchanged.
+ */
+
+import http from 'http';
+import crypto from 'crypto';
+import type { AddressInfo } from 'net';
+
+interface StoredObject {
+  body: Buffer;
+  contentType: string;
+  etag: string;
+  lastModified: Date;
+}
+
+export interface S3StandIn {
+  endpoint: string;
+  objects: Map<string, StoredObject>;
+  close(): Promise<void>;
+}
+
+function objectKey(url: string): string | null {
+  const pathname = decodeURIComponent(new URL(url, 'http://localhost').pathname);
+  const [, bucket, ...rest] = pathname.split('/');
+  if (!bucket || rest.length === 0) {
+    return null;
+  }
+  return `${bucket}/${rest.join('/')}`;
+}
+
+function sendNotFound(res: http.ServerResponse, key: string) {
+  res.statusCode = 404;
+  res.setHeader('Content-Type', 'application/xml');
+  res.end(`<?xml version="1.0" encoding="UTF-8"?><Error><Code>NoSuchKey</Code><Key>${key}</Key></Error>`);
+}
+
+function writeObjectHeaders(res: http.ServerResponse, object: StoredObject) {
+  res.setHeader('Content-Type', object.contentType);
+  res.setHeader('Content-Length', object.body.length);
+  res.setHeader('ETag', `"${object.etag}"`);
+  res.setHeader('Last-Modified', object.lastModified.toUTCString());
+}
+
+export function startS3StandIn(port = 0): Promise<S3StandIn> {
+  const objects = new Map<string, StoredObject>();
+
+  const server = http.createServer((req, res) => {
+    const key = objectKey(req.url ?? '/');
+    if (!key) {
+      res.statusCode = 400;
+      res.end();
+      return;
+    }
+
+    const chunks: Buffer[] = [];
+    req.on('data', (chunk: Buffer) => chunks.push(chunk));
+    req.on('end', () => {
+      const object = objects.get(key);
+
+      switch (req.method) {
+        case 'PUT': {
+          const body = Buffer.concat(chunks);
+          const etag = crypto.createHash('md5').update(body).digest('hex');
+          objects.set(key, {
+            body,
+            contentType: req.headers['content-type'] ?? 'application/octet-stream',
+            etag,
+            lastModified: new Date(),
+          });
+          res.statusCode = 200;
+          res.setHeader('ETag', `"${etag}"`);
+          res.end();
+          return;
+        }
+        case 'HEAD':
+          if (!object) {
+            res.statusCode = 404;
+            res.end();
+            return;
+          }
+          writeObjectHeaders(res, object);
+          res.end();
+          return;
+        case 'GET':
+          if (!object) {
+            sendNotFound(res, key);
+            return;
+          }
+          writeObjectHeaders(res, object);
+          res.end(object.body);
+          return;
+        case 'DELETE':
+          objects.delete(key);
+          res.statusCode = 204;
+          res.end();
+          return;
+        default:
+          res.statusCode = 405;
+          res.end();
+      }
+    });
+  });
+
+  return new Promise((resolve) => {
+    server.listen(port, '127.0.0.1', () => {
+      const { port: boundPort } = server.address() as AddressInfo;
+      resolve({
+        endpoint: `http://127.0.0.1:${boundPort}`,
+        objects,
+        close: () => new Promise<void>((done) => server.close(() => done())),
+      });
+    });
+  });
+}
@@ -0,0 +1,144 @@
+import { prisma } from '../../src/db/client';
+import { recordAuditLog } from '../../src/services/audit.service';
+import { api, loginAs } from '../helpers/api';
+import { createTestUser, resetDatabase } from '../helpers/db';
+
+beforeEach(async () => {
+  await resetDatabase();
+});
+
+afterAll(async () => {
+  await prisma.$disconnect();
+});
+
+async function adminSession() {
+  const { user: admin } = await createTestUser({ email: 'ops@example.com', role: 'ADMIN' });
+  return { admin, session: await loginAs(admin) };
+}
+
+describe('GET /audits', () => {
+  it('answers who disabled an account, with the target resolved', async () => {
+    const { admin, session } = await adminSession();
+    const { user } = await createTestUser({ email: 'customer@example.com' });
+
+    const disable = await api().patch(`/api/v1/users/${user.id}/status`).set(session.auth).send({ status: 'DISABLED' });
+    expect(disable.status).toBe(200);
+
+    const res = await api()
+      .get(`/api/v1/audits?action=USER_STATUS_CHANGED&targetType=USER&targetId=${user.id}`)
+      .set(session.auth);
+    expect(res.status).toBe(200);
+    expect(res.body.nextCursor).toBeNull();
+    expect(res.body.logs).toHaveLength(1);
+    expect(res.body.logs[0]).toMatchObject({
+      action: 'USER_STATUS_CHANGED',
+      actor: { id: admin.id, email: 'ops@example.com' },
+      target: { type: 'USER', id: user.id, label: 'customer@example.com', exists: true },
+    });
+  });
+
+  it('pages newest first with a cursor', async () => {
+    const { session } = await adminSession();
+    const base = Date.now() - 10_000;
+    for (let i = 0; i < 5; i += 1) {
+      await prisma.auditLog.create({
+        data: { action: `ACTION_${i}`, targetType: 'SYSTEM', createdAt: new Date(base + i * 1000) },
+      });
+    }
+
+    const first = await api().get('/api/v1/audits?targetType=SYSTEM&limit=3').set(session.auth);
+    expect(first.body.logs.map((log: { action: string }) => log.action)).toEqual(['ACTION_4', 'ACTION_3', 'ACTION_2']);
+    expect(first.body.nextCursor).toEqual(expect.any(String));
+
+    const second = await api()
+      .get(`/api/v1/audits?targetType=SYSTEM&limit=3&cursor=${first.body.nextCursor}`)
+      .set(session.auth);
+    expect(second.body.logs.map((log: { action: string }) => log.action)).toEqual(['ACTION_1', 'ACTION_0']);
+    expect(second.body.nextCursor).toBeNull();
+  });
+
+  it('filters by actor email and date range', async () => {
+    const { admin, session } = await adminSession();
+    const { user: other } = await createTestUser({ email: 'someone-else@example.com', role: 'ADMIN' });
+
+    await recordAuditLog({ actorId: admin.id, action: 'USER_UPDATED', targetType: 'USER' });
+    await recordAuditLog({ actorId: other.id, action: 'USER_UPDATED', targetType: 'USER' });
+
+    const byActor = await api().get('/api/v1/audits?actorEmail=OPS@example').set(session.auth);
+    expect(byActor.body.logs).toHaveLength(1);
+    expect(byActor.body.logs[0].actorId).toBe(admin.id);
+
+    const future = new Date(Date.now() + 60_000).toISOString();
+    const none = await api().get(`/api/v1/audits?from=${future}`).set(session.auth);
+    expect(none.body.logs).toHaveLength(0);
+  });
+
+  it('marks targets that no longer exist', async () => {
+    const { session } = await adminSession();
+    await recordAuditLog({ action: 'USER_DELETED', targetType: 'USER', targetId: 'gone-user-id' });
+
+    const res = await api().get('/api/v1/audits?action=USER_DELETED').set(session.auth);
+    expect(res.body.logs[0].target).toEqual({ type: 'USER', id: 'gone-user-id', label: null, exists: false });
+  });
+
+  it('rejects bad queries and non-admins', async () => {
+    const { session } = await adminSession();
+    expect((await api().get('/api/v1/audits?cursor=missing').set(session.auth)).status).toBe(400);
+    expect((await api().get('/api/v1/audits?from=not-a-date').set(session.auth)).status).toBe(400);
+
+    const { user } = await createTestUser();
+    const userSession = await loginAs(user);
+    expect((await api().get('/api/v1/audits').set(userSession.auth)).status).toBe(403);
+  });
+});
+
+describe('GET /audits/export', () => {
+  it('exports matching entries as CSV and records the export', async () => {
+    const { admin, session } = await adminSession();
+    await recordAuditLog({
+      actorId: admin.id,
+      action: 'USER_UPDATED',
+      targetType: 'USER',
+      metadata: { note: '=HYPERLINK("x"), with comma' },
+    });
+
+    const res = await api().get('/api/v1/audits/export?format=csv&action=USER_UPDATED').set(session.auth);
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toMatch(/text\/csv/);
+    expect(res.headers['content-disposition']).toMatch(/attachment; filename="audit-trail-.*\.csv"/);
+
+    const lines = res.text.split('\r\n');
+    expect(lines[0]).toBe('id,createdAt,actorId,actorEmail,action,targetType,targetId,targetLabel,ipAddress,metadata');
+    expect(lines).toHaveLength(2);
+    expect(lines[1]).toContain('ops@example.com,USER_UPDATED,USER');
+    expect(lines[1]).toContain('"{""note"":""=HYPERLINK(\\""x\\""), with comma""}"');
+
+    const exported = await prisma.auditLog.findFirst({ where: { action: 'AUDIT_LOG_EXPORTED' } });
+    expect(exported?.actorId).toBe(admin.id);
+  });
+
+  it('exports JSON', async () => {
+    const { session } = await adminSession();
+    await recordAuditLog({ action: 'SESSION_CREATED', targetType: 'DAT_SESSION' });
+
+    const res = await api().get('/api/v1/audits/export?format=json&targetType=DAT_SESSION').set(session.auth);
+    expect(res.status).toBe(200);
+    expect(res.body).toHaveLength(1);
+    expect(res.body[0]).toMatchObject({ action: 'SESSION_CREATED', targetType: 'DAT_SESSION' });
+  });
+});
+
+describe('GET /audits/filters', () => {
+  it('lists distinct actions and target types', async () => {
+    const { session } = await adminSession();
+    await recordAuditLog({ action: 'USER_UPDATED', targetType: 'USER' });
+    await recordAuditLog({ action: 'USER_UPDATED', targetType: 'USER' });
+    await recordAuditLog({ action: 'SESSION_CREATED', targetType: 'DAT_SESSION' });
+
+    const res = await api().get('/api/v1/audits/filters').set(session.auth);
+    expect(res.body).toEqual({
+      actions: ['SESSION_CREATED', 'USER_UPDATED'],
+      targetTypes: ['DAT_SESSION', 'USER'],
+    });
+  });
+});
@@ -0,0 +1,155 @@
+import type { Router } from 'express';
+import { prisma } from '../../src/db/client';
+import { userRoutes } from '../../src/routes/user.routes';
+import { sessionRoutes } from '../../src/routes/session.routes';
+import { sessionActivityRoutes } from '../../src/routes/sessionActivity.routes';
+import { securityAlertRoutes } from '../../src/routes/securityAlert.routes';
+import billingRoutes from '../../src/routes/billing.routes';
+import { maintenanceRoutes } from '../../src/routes/maintenance.routes';
+import { notificationRoutes } from '../../src/routes/notification.routes';
+import { broadcastRoutes } from '../../src/routes/broadcast.routes';
+import { api, loginAs, TEST_CLIENT_IP } from '../helpers/api';
+import { createTestUser, resetDatabase } from '../helpers/db';
+
+beforeEach(async () => {
+  await resetDatabase();
+});
+
+afterAll(async () => {
+  await prisma.$disconnect();
+});
+
+async function adminSession() {
+  const { user: admin } = await createTestUser({ email: 'ops@example.com', role: 'ADMIN' });
+  return { admin, session: await loginAs(admin) };
+}
+
+function findAudit(action: string, targetId?: string) {
+  return prisma.auditLog.findFirstOrThrow({ where: { action, targetId }, orderBy: { createdAt: 'desc' } });
+}
+
+type AuditMetadata = {
+  statusCode: number;
+  request: Record<string, unknown>;
+  changes?: Record<string, { before: unknown; after: unknown }>;
+  [key: string]: unknown;
+};
+
+describe('audit middleware', () => {
+  it('records actor, IP and the before/after diff of a status change', async () => {
+    const { admin, session } = await adminSession();
+    const { user } = await createTestUser();
+
+    const res = await api()
+      .patch(`/api/v1/users/${user.id}/status`)
+      .set('X-Forwarded-For', TEST_CLIENT_IP)
+      .set(session.auth)
+      .send({ status: 'DISABLED' });
+    expect(res.status).toBe(200);
+
+    const audit = await findAudit('USER_STATUS_CHANGED', user.id);
+    expect(audit).toMatchObject({ actorId: admin.id, targetType: 'USER', ipAddress: TEST_CLIENT_IP });
+    const metadata = audit.metadata as AuditMetadata;
+    expect(metadata.statusCode).toBe(200);
+    expect(metadata.changes).toEqual({ status: { before: 'ACTIVE', after: 'DISABLED' } });
+  });
+
+  it('redacts secrets in the request and the diff', async () => {
+    const { session } = await adminSession();
+    const { user } = await createTestUser();
+
+    const res = await api()
+      .patch(`/api/v1/users/${user.id}/password`)
+      .set(session.auth)
+      .send({ password: 'AnotherPassword123!' });
+    expect(res.status).toBe(200);
+
+    const metadata = (await findAudit('USER_PASSWORD_CHANGED', user.id)).metadata as AuditMetadata;
+    expect(metadata.request).toEqual({ password: '[REDACTED]' });
+    expect(metadata.changes?.passwordHash).toEqual({ before: '[REDACTED]', after: '[REDACTED]' });
+    expect(JSON.stringify(metadata)).not.toContain('AnotherPassword123!');
+  });
+
+  it('records failed attempts without a diff', async () => {
+    const { admin, session } = await adminSession();
+
+    const res = await api().patch('/api/v1/users/missing-user/role').set(session.auth).send({ role: 'ADMIN' });
+    expect(res.status).toBe(404);
+
+    const audit = await findAudit('USER_ROLE_CHANGED_FAILED', 'missing-user');
+    expect(audit.actorId).toBe(admin.id);
+    const metadata = audit.metadata as AuditMetadata;
+    expect(metadata.statusCode).toBe(404);
+    expect(metadata.changes).toBeUndefined();
+  });
+
+  it('uses the created record as the target of create endpoints', async () => {
+    const { user: superAdmin } = await createTestUser({ role: 'SUPER_ADMIN' });
+    const session = await loginAs(superAdmin);
+
+    const res = await api().post('/api/v1/sessions').set(session.auth).send({ name: 'Audited Session' });
+    expect(res.status).toBe(201);
+
+    const audit = await findAudit('SESSION_CREATED', res.body.id);
+    expect(audit).toMatchObject({ actorId: superAdmin.id, targetType: 'DAT_SESSION' });
+    expect((audit.metadata as AuditMetadata).changes?.name).toEqual({ before: null, after: 'Audited Session' });
+  });
+
+  it('audits forced logouts and alert dismissals', async () => {
+    const { admin, session } = await adminSession();
+    const { user } = await createTestUser();
+    const activity = await prisma.sessionActivity.create({ data: { userId: user.id, sessionToken: 'audited-token' } });
+    const alert = await prisma.securityAlert.create({
+      data: { userId: user.id, alertType: 'FAILED_LOGIN_ATTEMPT', message: 'Failed login' },
+    });
+
+    expect((await api().post(`/api/v1/session-activity/${activity.id}/logout`).set(session.auth)).status).toBe(200);
+    expect((await api().post(`/api/v1/security-alerts/${alert.id}/dismiss`).set(session.auth)).status).toBe(200);
+
+    const logout = await findAudit('SESSION_FORCE_LOGOUT', activity.id);
+    expect(logout.actorId).toBe(admin.id);
+    expect((logout.metadata as AuditMetadata).changes?.isActive).toEqual({ before: true, after: false });
+
+    const dismissal = await findAudit('SECURITY_ALERT_DISMISSED', alert.id);
+    expect(dismissal.actorId).toBe(admin.id);
+    expect((dismissal.metadata as AuditMetadata).changes?.isDismissed).toEqual({ before: false, after: true });
+  });
+
+  it('merges handler-supplied details into the entry', async () => {
+    const { session } = await adminSession();
+    const { user } = await createTestUser();
+
+    const res = await api()
+      .post(`/api/v1/billing/${user.id}/add-payment`)
+      .set(session.auth)
+      .send({ cycle: 'MONTHLY', amount: 50 });
+    expect(res.status).toBe(200);
+
+    const metadata = (await findAudit('PAYMENT_ADDED', user.id)).metadata as AuditMetadata;
+    expect(metadata.paymentId).toEqual(expect.any(String));
+  });
+});
+
+describe('audit coverage', () => {
+  type RouteLayer = { route?: { path: string; methods: Record<string, boolean>; stack: { name: string }[] } };
+
+  const routers: Record<string, Router> = {
+    users: userRoutes,
+    sessions: sessionRoutes,
+    'session-activity': sessionActivityRoutes,
+    'security-alerts': securityAlertRoutes,
+    billing: billingRoutes,
+    maintenance: maintenanceRoutes,
+    notifications: notificationRoutes,
+    broadcasts: broadcastRoutes,
+  };
+
+  it.each(Object.entries(routers))('wraps every mutating %s route in the audit middleware', (_name, router) => {
+    const unaudited = (router.stack as RouteLayer[])
+      .filter((layer) => layer.route && !layer.route.methods.get)
+      .filter((layer) => !layer.route?.stack.some((handler) => handler.name === 'auditTrail'))
+      .map((layer) => `${Object.keys(layer.route?.methods ?? {}).join(',')} ${layer.route?.path}`);
+
+    expect(unaudited).toEqual([]);
+  });
+});
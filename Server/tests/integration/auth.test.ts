@@ -0,0 +1,146 @@
+import { prisma } from '../../src/db/client';
+import { api, loginAs, TEST_CLIENT_IP } from '../helpers/api';
+import { createTestUser, resetDatabase } from '../helpers/db';
+
+beforeEach(async () => {
+  await resetDatabase();
+});
+
+afterAll(async () => {
+  await prisma.$disconnect();
+});
+
+describe('POST /auth/login', () => {
+  it('returns tokens and records the login', async () => {
+    const { user, password } = await createTestUser();
+
+    const res = await api()
+      .post('/api/v1/auth/login')
+      .set('X-Forwarded-For', TEST_CLIENT_IP)
+      .send({ email: user.email, password });
+
+    expect(res.status).toBe(200);
+    expect(res.body.user).toMatchObject({ id: user.id, email: user.email, role: 'USER', status: 'ACTIVE' });
+    expect(res.body.tokens.accessToken).toEqual(expect.any(String));
+    expect(res.body.tokens.refreshToken).toEqual(expect.any(String));
+
+    const stored = await prisma.user.findUniqueOrThrow({ where: { id: user.id } });
+    expect(stored.currentSessionToken).toBe(res.body.tokens.accessToken);
+    expect(stored.lastLoginIP).toBe(TEST_CLIENT_IP);
+
+    const history = await prisma.loginHistory.findMany({ where: { userId: user.id } });
+    expect(history).toHaveLength(1);
+    expect(history[0]).toMatchObject({ success: true, ipAddress: TEST_CLIENT_IP });
+
+    const activity = await prisma.sessionActivity.findMany({ where: { userId: user.id, isActive: true } });
+    expect(activity).toHaveLength(1);
+  });
+
+  it('rejects a wrong password and records the failure', async () => {
+    const { user } = await createTestUser();
+
+    const res = await api()
+      .post('/api/v1/auth/login')
+      .set('X-Forwarded-For', TEST_CLIENT_IP)
+      .send({ email: user.email, password: 'not-the-password' });
+
+    expect(res.status).toBe(401);
+    expect(res.body.message).toBe('Invalid email or password');
+
+    const history = await prisma.loginHistory.findMany({ where: { userId: user.id } });
+    expect(history).toHaveLength(1);
+    expect(history[0]).toMatchObject({ success: false, failureReason: 'Incorrect password' });
+  });
+
+  it('rejects unknown and disabled accounts with the same message', async () => {
+    const { user, password } = await createTestUser({ status: 'DISABLED' });
+
+    const disabled = await api().post('/api/v1/auth/login').send({ email: user.email, password });
+    const unknown = await api().post('/api/v1/auth/login').send({ email: 'nobody@example.com', password });
+
+    expect(disabled.status).toBe(401);
+    expect(unknown.status).toBe(401);
+    expect(disabled.body.message).toBe(unknown.body.message);
+  });
+});
+
+describe('POST /auth/refresh', () => {
+  it('issues tokens that authenticate the user', async () => {
+    const { user } = await createTestUser();
+    const session = await loginAs(user);
+
+    const res = await api().post('/api/v1/auth/refresh').send({ refreshToken: session.refreshToken });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({ accessToken: expect.any(String), refreshToken: expect.any(String) });
+
+    const me = await api().get('/api/v1/auth/me').set('Authorization', `Bearer ${res.body.accessToken}`);
+    expect(me.status).toBe(200);
+    expect(me.body.id).toBe(user.id);
+  });
+
+  it('rejects an invalid refresh token', async () => {
+    const res = await api().post('/api/v1/auth/refresh').send({ refreshToken: 'definitely-not-a-jwt' });
+    expect(res.status).toBe(401);
+  });
+
+  it('rejects refresh for a disabled account', async () => {
+    const { user } = await createTestUser();
+    const session = await loginAs(user);
+    await prisma.user.update({ where: { id: user.id }, data: { status: 'DISABLED' } });
+
+    const res = await api().post('/api/v1/auth/refresh').send({ refreshToken: session.refreshToken });
+    expect(res.status).toBe(401);
+  });
+});
+
+describe('single session enforcement', () => {
+  it('invalidates the previous session when the user logs in again', async () => {
+    const { user } = await createTestUser();
+    const first = await loginAs(user);
+    const second = await loginAs(user);
+    expect(second.accessToken).not.toBe(first.accessToken);
+
+    const stale = await api().get('/api/v1/auth/session-status').set(first.auth);
+    expect(stale.status).toBe(401);
+    expect(stale.body.message).toMatch(/Session invalidated/);
+
+    const current = await api().get('/api/v1/auth/session-status').set(second.auth);
+    expect(current.status).toBe(200);
+    expect(current.body).toEqual({ valid: true, userId: user.id });
+
+    const activities = await prisma.sessionActivity.findMany({
+      where: { userId: user.id },
+      orderBy: { loginAt: 'asc' },
+    });
+    expect(activities.map((activity) => activity.isActive)).toEqual([false, true]);
+    expect(activities[0]?.logoutReason).toBe('new_login');
+
+    const alerts = await prisma.securityAlert.findMany({ where: { userId: user.id } });
+    expect(alerts).toHaveLength(1);
+    expect(alerts[0]?.alertType).toBe('MULTIPLE_DEVICE_LOGIN');
+  });
+
+  it('rejects requests without a bearer token', async () => {
+    const res = await api().get('/api/v1/auth/session-status');
+    expect(res.status).toBe(401);
+  });
+
+  it('rejects tokens for users that have since been disabled', async () => {
+    const { user } = await createTestUser();
+    const session = await loginAs(user);
+    await prisma.user.update({ where: { id: user.id }, data: { status: 'DISABLED' } });
+
+    const res = await api().get('/api/v1/auth/me').set(session.auth);
+    expect(res.status).toBe(403);
+  });
+
+  it('enforces required roles', async () => {
+    const { user } = await createTestUser({ role: 'USER' });
+    const session = await loginAs(user);
+
+    const res = await api().get('/api/v1/users').set(session.auth);
+    expect(res.status).toBe(403);
+    expect(res.body.message).toBe('Insufficient permissions');
+  });
+});
@@ -0,0 +1,247 @@
+import { prisma } from '../../src/db/client';
+import { api, loginAs, TEST_CLIENT_IP } from '../helpers/api';
+import { createAdminAndCustomer, resetDatabase } from '../helpers/db';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+beforeEach(async () => {
+  await resetDatabase();
+});
+
+afterAll(async () => {
+  await prisma.$disconnect();
+});
+
+describe('billing endpoints', () => {
+  it('records a payment and extends the billing cycle', async () => {
+    const { admin, adminSession, customer } = await createAdminAndCustomer();
+
+    const res = await api()
+      .post(`/api/v1/billing/${customer.id}/add-payment`)
+      .set(adminSession.auth)
+      .send({ cycle: 'WEEKLY', amount: 49.99, memo: 'Wire transfer' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.payment).toMatchObject({ userId: customer.id, status: 'PAID', billingCycle: 'WEEKLY', createdBy: admin.id });
+
+    const start = new Date(res.body.payment.cycleStartDate).getTime();
+    const end = new Date(res.body.payment.cycleEndDate).getTime();
+    expect(end - start).toBe(7 * DAY_MS);
+
+    const payments = await api().get(`/api/v1/billing/${customer.id}/payments`).set(adminSession.auth);
+    expect(payments.status).toBe(200);
+    expect(payments.body.payments).toHaveLength(1);
+    expect(payments.body.payments[0].amount).toBe('49.99');
+
+    const history = await api().get(`/api/v1/billing/${customer.id}/history`).set(adminSession.auth);
+    expect(history.body.history.map((entry: { action: string }) => entry.action)).toEqual(['PAYMENT_ADDED']);
+  });
+
+  it('stacks a second payment onto the end of the current cycle', async () => {
+    const { adminSession, customer } = await createAdminAndCustomer();
+
+    const first = await api()
+      .post(`/api/v1/billing/${customer.id}/add-payment`)
+      .set(adminSession.auth)
+      .send({ cycle: 'DAILY', amount: 5 });
+    const second = await api()
+      .post(`/api/v1/billing/${customer.id}/add-payment`)
+      .set(adminSession.auth)
+      .send({ cycle: 'DAILY', amount: 5 });
+
+    expect(second.body.payment.cycleStartDate).toBe(first.body.payment.cycleEndDate);
+  });
+
+  it('stacks payments recorded at the same time instead of granting one cycle twice', async () => {
+    const { adminSession, customer } = await createAdminAndCustomer();
+
+    const results = await Promise.all(
+      [1, 2, 3].map(() =>
+        api().post(`/api/v1/billing/${customer.id}/add-payment`).set(adminSession.auth).send({ cycle: 'DAILY', amount: 5 })
+      )
+    );
+    expect(results.map((res) => res.status)).toEqual([200, 200, 200]);
+
+    const payments = await prisma.payment.findMany({ where: { userId: customer.id }, orderBy: { cycleStartDate: 'asc' } });
+    expect(payments[1]?.cycleStartDate).toEqual(payments[0]?.cycleEndDate);
+    expect(payments[2]?.cycleStartDate).toEqual(payments[1]?.cycleEndDate);
+
+    const stored = await prisma.user.findUniqueOrThrow({ where: { id: customer.id } });
+    expect(stored.billingCycleEndDate).toEqual(payments[2]?.cycleEndDate);
+    expect(await prisma.invoice.count({ where: { userId: customer.id } })).toBe(3);
+  });
+
+  it('lets a user read their own billing status', async () => {
+    const { adminSession, customer } = await createAdminAndCustomer();
+    await api()
+      .post(`/api/v1/billing/${customer.id}/set-trial`)
+      .set(adminSession.auth)
+      .send({ hours: 48 });
+
+    const customerSession = await loginAs(customer);
+    const res = await api().get('/api/v1/billing/my-status').set(customerSession.auth);
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ isExpired: false, daysRemaining: 2 });
+    expect(res.body.user).toMatchObject({ id: customer.id, isTrialActive: true, isBillingActive: false, trialPeriodHours: 48 });
+  });
+
+  it('does not let regular users manage billing', async () => {
+    const { customer } = await createAdminAndCustomer();
+    const customerSession = await loginAs(customer);
+
+    const res = await api()
+      .post(`/api/v1/billing/${customer.id}/add-payment`)
+      .set(customerSession.auth)
+      .send({ cycle: 'YEARLY', amount: 1 });
+
+    expect(res.status).toBe(403);
+    expect(await prisma.payment.count()).toBe(0);
+  });
+
+  it('blocks login once the billing cycle has expired', async () => {
+    const { customer, password } = await createAdminAndCustomer();
+    await prisma.user.update({
+      where: { id: customer.id },
+      data: { isBillingActive: true, billingCycle: 'DAILY', billingCycleEndDate: new Date(Date.now() - DAY_MS) },
+    });
+
+    const res = await api()
+      .post('/api/v1/auth/login')
+      .set('X-Forwarded-For', TEST_CLIENT_IP)
+      .send({ email: customer.email, password });
+
+    expect(res.status).toBe(403);
+    expect(res.body.message).toMatch(/billing cycle has expired/);
+
+    const stored = await prisma.user.findUniqueOrThrow({ where: { id: customer.id } });
+    expect(stored).toMatchObject({ status: 'DISABLED', isBillingActive: false });
+  });
+
+  it('disables expired accounts on demand', async () => {
+    const { adminSession, customer } = await createAdminAndCustomer();
+    await prisma.user.update({
+      where: { id: customer.id },
+      data: { isTrialActive: true, trialEndDate: new Date(Date.now() - 1000) },
+    });
+
+    const expired = await api().get('/api/v1/billing/expired').set(adminSession.auth);
+    expect(expired.body.total).toBe(1);
+
+    const res = await api().post('/api/v1/billing/check-expired').set(adminSession.auth);
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({ disabled: 1, expiredUsers: [customer.id] });
+
+    const stored = await prisma.user.findUniqueOrThrow({ where: { id: customer.id } });
+    expect(stored.status).toBe('DISABLED');
+  });
+});
+
+describe('payment corrections', () => {
+  const addPayment = (auth: Record<string, string>, userId: string, body: object) =>
+    api().post(`/api/v1/billing/${userId}/add-payment`).set(auth).send(body);
+
+  it('keeps a partial payment pending until the balance is paid', async () => {
+    const { adminSession, customer } = await createAdminAndCustomer();
+
+    const first = await addPayment(adminSession.auth, customer.id, { cycle: 'MONTHLY', amount: 20, amountDue: 50 });
+    expect(first.status).toBe(200);
+    expect(first.body.payment.status).toBe('PENDING');
+    expect(first.body.invoice).toBeNull();
+
+    const pending = await api().get(`/api/v1/billing/${customer.id}/status`).set(adminSession.auth);
+    expect(pending.body).toMatchObject({ isPaymentPending: true, balanceDue: '30', statusMessage: 'Payment pending - 30.00 outstanding' });
+    expect(pending.body.user.billingCycleEndDate).toBeNull();
+
+    const tooMuch = await api().post(`/api/v1/billing/payments/${first.body.payment.id}/installments`).set(adminSession.auth).send({ amount: 31 });
+    expect(tooMuch.status).toBe(400);
+
+    const partial = await api().post(`/api/v1/billing/payments/${first.body.payment.id}/installments`).set(adminSession.auth).send({ amount: 10 });
+    expect(partial.body.payment).toMatchObject({ status: 'PENDING', amount: '30' });
+
+    const final = await api().post(`/api/v1/billing/payments/${first.body.payment.id}/installments`).set(adminSession.auth).send({ amount: 20 });
+    expect(final.status).toBe(200);
+    expect(final.body.payment).toMatchObject({ status: 'PAID', amount: '50' });
+    expect(final.body.invoice.amount).toBe('50');
+    expect(final.body.user.billingCycleEndDate).toBe(final.body.payment.cycleEndDate);
+
+    const paid = await api().get(`/api/v1/billing/${customer.id}/status`).set(adminSession.auth);
+    expect(paid.body).toMatchObject({ isPaymentPending: false, balanceDue: '0', isExpired: false });
+
+    const history = await api().get(`/api/v1/billing/${customer.id}/history`).set(adminSession.auth);
+    // The last installment and the completion share a transaction, so their timestamps may tie
+    expect(history.body.history.map((entry: { action: string }) => entry.action).sort()).toEqual([
+      'PAYMENT_COMPLETED',
+      'PAYMENT_INSTALLMENT_ADDED',
+      'PAYMENT_INSTALLMENT_ADDED',
+      'PAYMENT_PENDING',
+    ]);
+  });
+
+  it('refunds the unused part of the cycle and moves stacked payments earlier', async () => {
+    const { adminSession, customer } = await createAdminAndCustomer();
+    const current = await addPayment(adminSession.auth, customer.id, { cycle: 'WEEKLY', amount: 10 });
+    const stacked = await addPayment(adminSession.auth, customer.id, { cycle: 'WEEKLY', amount: 10 });
+
+    const before = Date.now();
+    const res = await api().post(`/api/v1/billing/payments/${current.body.payment.id}/refund`).set(adminSession.auth).send({ reason: 'Cancelled' });
+    expect(res.status).toBe(200);
+    expect(res.body.payment).toMatchObject({ status: 'REFUNDED', refundedAmount: '10', reversalReason: 'Cancelled' });
+    expect(res.body.user).not.toHaveProperty('passwordHash');
+    expect(res.body.user).not.toHaveProperty('currentSessionToken');
+    expect(res.body.user).not.toHaveProperty('totpSecret');
+
+    const moved = await prisma.payment.findUniqueOrThrow({ where: { id: stacked.body.payment.id } });
+    expect(moved.cycleStartDate.getTime()).toBeGreaterThanOrEqual(before);
+    expect(moved.cycleStartDate.getTime()).toBeLessThanOrEqual(Date.now());
+    expect(moved.cycleEndDate.getTime() - moved.cycleStartDate.getTime()).toBe(7 * DAY_MS);
+
+    const user = await prisma.user.findUniqueOrThrow({ where: { id: customer.id } });
+    expect(user.billingCycleEndDate).toEqual(moved.cycleEndDate);
+
+    const invoice = await prisma.invoice.findUniqueOrThrow({ where: { paymentId: current.body.payment.id } });
+    expect(invoice.status).toBe('REFUNDED');
+
+    const again = await api().post(`/api/v1/billing/payments/${current.body.payment.id}/refund`).set(adminSession.auth).send({});
+    expect(again.status).toBe(409);
+
+    const audit = await prisma.auditLog.findFirst({ where: { action: 'PAYMENT_REFUNDED', targetId: current.body.payment.id } });
+    expect(audit?.targetType).toBe('PAYMENT');
+  });
+
+  it('takes back only the refunded share of the unused time on a partial refund', async () => {
+    const { adminSession, customer } = await createAdminAndCustomer();
+    const current = await addPayment(adminSession.auth, customer.id, { cycle: 'WEEKLY', amount: 10 });
+    const endBefore = new Date(current.body.payment.cycleEndDate).getTime();
+
+    const before = Date.now();
+    const res = await api().post(`/api/v1/billing/payments/${current.body.payment.id}/refund`).set(adminSession.auth).send({ amount: 7.5 });
+    expect(res.status).toBe(200);
+    expect(res.body.payment).toMatchObject({ status: 'REFUNDED', refundedAmount: '7.5' });
+
+    // A quarter of the week that was left stays with the customer
+    const user = await prisma.user.findUniqueOrThrow({ where: { id: customer.id } });
+    const kept = (user.billingCycleEndDate?.getTime() ?? 0) - Date.now();
+    expect(kept).toBeLessThanOrEqual(0.25 * (endBefore - before) + 1000);
+    expect(kept).toBeGreaterThanOrEqual(0.25 * (endBefore - Date.now()) - 1000);
+  });
+
+  it('voids a payment entered in error, removing its whole cycle but keeping the invoice number', async () => {
+    const { adminSession, customer } = await createAdminAndCustomer();
+    const mistake = await addPayment(adminSession.auth, customer.id, { cycle: 'MONTHLY', amount: 30 });
+
+    const res = await api().post(`/api/v1/billing/payments/${mistake.body.payment.id}/void`).set(adminSession.auth).send({ reason: 'Wrong customer' });
+    expect(res.status).toBe(200);
+    expect(res.body.payment.status).toBe('VOIDED');
+
+    const status = await api().get(`/api/v1/billing/${customer.id}/status`).set(adminSession.auth);
+    expect(status.body.isExpired).toBe(true);
+    expect(status.body.user.billingCycleEndDate).toBe(mistake.body.payment.cycleStartDate);
+
+    const invoice = await prisma.invoice.findUniqueOrThrow({ where: { id: mistake.body.invoice.id } });
+    expect(invoice.status).toBe('VOIDED');
+
+    const next = await addPayment(adminSession.auth, customer.id, { cycle: 'MONTHLY', amount: 30 });
+    expect(next.body.invoice.sequence).toBe(mistake.body.invoice.sequence + 1);
+  });
+});
@@ -0,0 +1,118 @@
+import { prisma } from '../../src/db/client';
+import { api, loginAs, type LoggedInSession } from '../helpers/api';
+import { createTestUser, resetDatabase } from '../helpers/db';
+
+let admin: LoggedInSession;
+
+beforeEach(async () => {
+  await resetDatabase();
+  const { user } = await createTestUser({ role: 'ADMIN' });
+  admin = await loginAs(user);
+});
+
+afterAll(async () => {
+  await prisma.$disconnect();
+});
+
+async function createBroadcast(body: Record<string, unknown>) {
+  const res = await api().post('/api/v1/broadcasts').set(admin.auth).send(body);
+  expect(res.status).toBe(201);
+  return res.body;
+}
+
+async function activeMessages(session: LoggedInSession) {
+  const res = await api().get('/api/v1/broadcasts/active').set(session.auth);
+  expect(res.status).toBe(200);
+  return res.body.broadcasts.map((broadcast: { message: string }) => broadcast.message);
+}
+
+describe('broadcast management', () => {
+  it('lets admins create, edit and delete broadcasts, and nobody else', async () => {
+    const { user } = await createTestUser();
+    const customer = await loginAs(user);
+
+    const denied = await api().post('/api/v1/broadcasts').set(customer.auth).send({ message: 'Hello' });
+    expect(denied.status).toBe(403);
+
+    const created = await createBroadcast({ message: 'Maintenance at 22:00 UTC', severity: 'WARNING' });
+    expect(created).toMatchObject({ severity: 'WARNING', targetRoles: [], targetUserIds: [], endsAt: null });
+
+    const updated = await api().patch(`/api/v1/broadcasts/${created.id}`).set(admin.auth).send({ severity: 'CRITICAL' });
+    expect(updated.status).toBe(200);
+    expect(updated.body.severity).toBe('CRITICAL');
+
+    const audit = await prisma.auditLog.findFirstOrThrow({ where: { action: 'BROADCAST_UPDATED', targetId: created.id } });
+    expect((audit.metadata as { changes: unknown }).changes).toEqual({ severity: { before: 'WARNING', after: 'CRITICAL' } });
+
+    expect((await api().delete(`/api/v1/broadcasts/${created.id}`).set(admin.auth)).status).toBe(200);
+    expect((await api().delete(`/api/v1/broadcasts/${created.id}`).set(admin.auth)).status).toBe(404);
+  });
+
+  it('rejects windows that end before they start and unknown target users', async () => {
+    const backwards = await api()
+      .post('/api/v1/broadcasts')
+      .set(admin.auth)
+      .send({ message: 'Backwards', startsAt: '2030-01-02T00:00:00Z', endsAt: '2030-01-01T00:00:00Z' });
+    expect(backwards.status).toBe(400);
+
+    const unknownUser = await api().post('/api/v1/broadcasts').set(admin.auth).send({ message: 'Hi', targetUserIds: ['nobody'] });
+    expect(unknownUser.status).toBe(400);
+  });
+});
+
+describe('client banners', () => {
+  it('shows live broadcasts to the roles and users they target', async () => {
+    const { user } = await createTestUser();
+    const { user: targeted } = await createTestUser();
+    const { user: support } = await createTestUser({ role: 'SUPPORT' });
+    const hour = 60 * 60 * 1000;
+
+    await createBroadcast({ message: 'Everyone' });
+    await createBroadcast({ message: 'Customers', targetRoles: ['USER'], severity: 'CRITICAL' });
+    await createBroadcast({ message: 'Just you', targetUserIds: [targeted.id] });
+    await createBroadcast({ message: 'Later', startsAt: new Date(Date.now() + hour).toISOString() });
+    await createBroadcast({
+      message: 'Over',
+      startsAt: new Date(Date.now() - 2 * hour).toISOString(),
+      endsAt: new Date(Date.now() - hour).toISOString(),
+    });
+
+    expect(await activeMessages(await loginAs(user))).toEqual(['Customers', 'Everyone']);
+    expect(await activeMessages(await loginAs(targeted))).toEqual(['Customers', 'Just you', 'Everyone']);
+    expect(await activeMessages(await loginAs(support))).toEqual(['Everyone']);
+  });
+
+  it('pushes a live broadcast to connected clients', async () => {
+    const { user } = await createTestUser();
+    const created = await createBroadcast({ message: 'Bundle refresh tonight', targetUserIds: [user.id] });
+
+    const event = await prisma.clientEvent.findFirstOrThrow({ where: { type: 'broadcast', userId: user.id } });
+    expect(event.data).toMatchObject({ id: created.id, message: 'Bundle refresh tonight', severity: 'INFO' });
+  });
+
+  it('keeps a dismissed banner closed for that user only', async () => {
+    const { user } = await createTestUser();
+    const { user: other } = await createTestUser();
+    const session = await loginAs(user);
+    const created = await createBroadcast({ message: 'Maintenance at 22:00 UTC' });
+
+    const dismissed = await api().post(`/api/v1/broadcasts/${created.id}/dismiss`).set(session.auth);
+    expect(dismissed.status).toBe(200);
+    expect((await api().post(`/api/v1/broadcasts/${created.id}/dismiss`).set(session.auth)).status).toBe(200);
+
+    expect(await activeMessages(session)).toEqual([]);
+    expect(await activeMessages(await loginAs(other))).toEqual(['Maintenance at 22:00 UTC']);
+    expect(await prisma.broadcastDismissal.count({ where: { broadcastId: created.id } })).toBe(1);
+
+    const list = await api().get('/api/v1/broadcasts').set(admin.auth);
+    expect(list.body.broadcasts[0]._count).toEqual({ dismissals: 1 });
+  });
+
+  it('does not let users dismiss broadcasts meant for someone else', async () => {
+    const { user } = await createTestUser();
+    const created = await createBroadcast({ message: 'Staff only', targetRoles: ['ADMIN'] });
+
+    const res = await api().post(`/api/v1/broadcasts/${created.id}/dismiss`).set((await loginAs(user)).auth);
+    expect(res.status).toBe(404);
+  });
+});
@@ -0,0 +1,146 @@
+import { prisma } from '../../src/db/client';
+import { relayClientEvents, startClientEventRelay, stopClientEventRelay } from '../../src/services/clientEvent.service';
+import { runMaintenanceJob } from '../../src/services/maintenance.service';
+import { api, loginAs } from '../helpers/api';
+import { createTestUser, resetDatabase } from '../helpers/db';
+import { openEventStream, type EventStream } from '../helpers/eventStream';
+
+let streams: EventStream[] = [];
+
+beforeEach(async () => {
+  await resetDatabase();
+  // Pick up the restarted event ids; the tests relay by hand instead of on a timer
+  await startClientEventRelay();
+  stopClientEventRelay();
+});
+
+afterEach(async () => {
+  await Promise.all(streams.map((stream) => stream.close()));
+  streams = [];
+});
+
+afterAll(async () => {
+  await prisma.$disconnect();
+});
+
+async function connect(accessToken: string, headers?: Record<string, string>) {
+  const stream = await openEventStream(accessToken, headers);
+  streams.push(stream);
+  return stream;
+}
+
+async function adminSession() {
+  const { user: admin } = await createTestUser({ role: 'ADMIN' });
+  return loginAs(admin);
+}
+
+describe('client event stream', () => {
+  it('requires a valid access token', async () => {
+    const stream = await connect('not-a-token');
+    expect(stream.status).toBe(401);
+  });
+
+  it('pushes admin broadcasts and ends the stream when the session is replaced', async () => {
+    const admin = await adminSession();
+    const { user } = await createTestUser();
+    const stream = await connect((await loginAs(user)).accessToken);
+    expect(stream.status).toBe(200);
+
+    const sent = await api()
+      .post('/api/v1/broadcasts')
+      .set(admin.auth)
+      .send({ message: 'Maintenance at 22:00 UTC', severity: 'WARNING' });
+    expect(sent.status).toBe(201);
+    await relayClientEvents();
+
+    const broadcast = await stream.next('broadcast');
+    expect(broadcast.data).toMatchObject({ id: sent.body.id, message: 'Maintenance at 22:00 UTC', severity: 'WARNING' });
+    expect(broadcast.id).toEqual(expect.any(Number));
+
+    await loginAs(user);
+    await relayClientEvents();
+
+    const invalidated = await stream.next('session_invalidated');
+    expect(invalidated.data).toMatchObject({ reason: 'new_login', message: 'You have been logged in from another device.' });
+    await stream.ended;
+  });
+
+  it('only delivers events addressed to the stream', async () => {
+    const admin = await adminSession();
+    const { user } = await createTestUser();
+    const { user: other } = await createTestUser();
+    const stream = await connect((await loginAs(user)).accessToken);
+
+    await api().post('/api/v1/broadcasts').set(admin.auth).send({ message: 'Staff only', targetRoles: ['ADMIN', 'SUPPORT'] });
+    await api().patch(`/api/v1/users/${other.id}/status`).set(admin.auth).send({ status: 'DISABLED' });
+    await api().post('/api/v1/broadcasts').set(admin.auth).send({ message: 'For customers', targetRoles: ['USER'] });
+    await relayClientEvents();
+
+    await stream.next('broadcast');
+    expect(stream.events.map((event) => [event.event, event.data.message])).toEqual([['broadcast', 'For customers']]);
+  });
+
+  it('tells the client its account was disabled', async () => {
+    const admin = await adminSession();
+    const { user } = await createTestUser();
+    const stream = await connect((await loginAs(user)).accessToken);
+
+    await api().patch(`/api/v1/users/${user.id}/status`).set(admin.auth).send({ status: 'SUSPENDED' });
+    await relayClientEvents();
+
+    const disabled = await stream.next('account_disabled');
+    expect(disabled.data).toMatchObject({ reason: 'suspended' });
+    await stream.ended;
+  });
+
+  it('delivers an event that commits after a later id was already relayed, exactly once', async () => {
+    const { user } = await createTestUser();
+    const stream = await connect((await loginAs(user)).accessToken);
+    const broadcast = (id: number, message: string) =>
+      prisma.clientEvent.create({ data: { id, type: 'broadcast', roles: [], data: { message, severity: 'INFO' } } });
+
+    // Id 1001 was taken after 1000 but its insert committed first
+    await broadcast(1001, 'Committed first');
+    await relayClientEvents();
+    await broadcast(1000, 'Committed second');
+    await relayClientEvents();
+    await relayClientEvents();
+
+    await stream.next('broadcast');
+    for (let i = 0; i < 50 && stream.events.length < 2; i += 1) {
+      await new Promise((resolve) => setTimeout(resolve, 50));
+    }
+    await new Promise((resolve) => setTimeout(resolve, 200));
+    expect(stream.events.map((event) => event.data.message)).toEqual(['Committed first', 'Committed second']);
+  });
+
+  it('replays events missed since the last event id, but none from before the login', async () => {
+    const admin = await adminSession();
+    const { user } = await createTestUser();
+
+    await api().post('/api/v1/broadcasts').set(admin.auth).send({ message: 'Before login' });
+    const session = await loginAs(user);
+    await api().post('/api/v1/broadcasts').set(admin.auth).send({ message: 'While offline' });
+    await relayClientEvents();
+
+    const stream = await connect(session.accessToken, { 'Last-Event-ID': '0' });
+    await stream.next('broadcast');
+    expect(stream.events.map((event) => event.data.message)).toEqual(['While offline']);
+  });
+
+  it('warns about billing expiry on connect, and once per end date from the job', async () => {
+    const { user } = await createTestUser();
+    const endsAt = new Date(Date.now() + 10 * 60 * 60 * 1000);
+    await prisma.user.update({ where: { id: user.id }, data: { isBillingActive: true, billingCycleEndDate: endsAt } });
+
+    const stream = await connect((await loginAs(user)).accessToken);
+    const warning = await stream.next('billing_expiring');
+    expect(warning.data).toMatchObject({ endsAt: endsAt.toISOString(), isTrial: false, hoursRemaining: 10 });
+
+    const first = await runMaintenanceJob('billing-expiry-warning', { trigger: 'MANUAL' });
+    const second = await runMaintenanceJob('billing-expiry-warning', { trigger: 'MANUAL' });
+    expect(first).toMatchObject({ status: 'SUCCEEDED', result: { warned: 1, warnedUsers: [user.id] } });
+    expect(second).toMatchObject({ status: 'SUCCEEDED', result: { warned: 0 } });
+    expect(await prisma.clientEvent.count({ where: { type: 'billing_expiring', userId: user.id } })).toBe(1);
+  });
+});
@@ -0,0 +1,73 @@
+import { prisma } from '../../src/db/client';
+import { api, loginAs, type LoggedInSession } from '../helpers/api';
+import { createTestUser, resetDatabase } from '../helpers/db';
+
+let admin: LoggedInSession;
+let customer: LoggedInSession;
+
+beforeEach(async () => {
+  await resetDatabase();
+  const { user: adminUser } = await createTestUser({ role: 'ADMIN' });
+  const { user } = await createTestUser();
+  admin = await loginAs(adminUser);
+  customer = await loginAs(user);
+});
+
+afterAll(async () => {
+  await prisma.$disconnect();
+});
+
+// The first request creates the shared session and its DAT domain
+async function sharedSession() {
+  const res = await api().get('/api/v1/sessions/my-sessions').set(customer.auth);
+  expect(res.status).toBe(200);
+  return res.body[0] as { id: string; domainId: string };
+}
+
+describe('domain maintenance', () => {
+  it('answers my-sessions with the maintenance state instead of the session', async () => {
+    const { domainId } = await sharedSession();
+    const eta = new Date(Date.now() + 2 * 60 * 1000);
+
+    const updated = await api()
+      .patch(`/api/v1/domains/${domainId}`)
+      .set(admin.auth)
+      .send({ isMaintenance: true, maintenanceMessage: 'Upgrading the load board', maintenanceEta: eta.toISOString() });
+    expect(updated.status).toBe(200);
+
+    const res = await api().get('/api/v1/sessions/my-sessions').set(customer.auth);
+    expect(res.status).toBe(503);
+    expect(res.body.message).toBe('Upgrading the load board');
+    expect(res.body.details.maintenance).toMatchObject({ domain: 'DAT One', eta: eta.toISOString() });
+    expect(Number(res.headers['retry-after'])).toBe(res.body.details.maintenance.retryAfterSeconds);
+    expect(res.body.details.maintenance.retryAfterSeconds).toBeGreaterThanOrEqual(15);
+    expect(res.body.details.maintenance.retryAfterSeconds).toBeLessThanOrEqual(120);
+  });
+
+  it('falls back to a generic message and refuses bundle downloads', async () => {
+    const { id, domainId } = await sharedSession();
+    await prisma.domain.update({ where: { id: domainId }, data: { isMaintenance: true } });
+
+    const res = await api().get('/api/v1/sessions/my-sessions').set(customer.auth);
+    expect(res.status).toBe(503);
+    expect(res.body.details.maintenance).toMatchObject({ message: 'DAT One is down for maintenance.', eta: null, retryAfterSeconds: 60 });
+
+    const download = await api().post(`/api/v1/sessions/${id}/request-download`).set(customer.auth).send({});
+    expect(download.status).toBe(503);
+  });
+
+  it('clears the message and ETA when maintenance ends', async () => {
+    const { domainId } = await sharedSession();
+    await api()
+      .patch(`/api/v1/domains/${domainId}`)
+      .set(admin.auth)
+      .send({ isMaintenance: true, maintenanceMessage: 'Back soon', maintenanceEta: new Date().toISOString() });
+
+    const ended = await api().patch(`/api/v1/domains/${domainId}`).set(admin.auth).send({ isMaintenance: false });
+    expect(ended.status).toBe(200);
+    expect(ended.body).toMatchObject({ isMaintenance: false, maintenanceMessage: null, maintenanceEta: null });
+
+    const res = await api().get('/api/v1/sessions/my-sessions').set(customer.auth);
+    expect(res.status).toBe(200);
+  });
+});
@@ -0,0 +1,149 @@
+import os from 'os';
+import path from 'path';
+import { promises as fs } from 'fs';
+import { prisma } from '../../src/db/client';
+import { getLocationFromIP, isSuspiciousLocationChange, setGeolocationProvider, type LocationData } from '../../src/utils/geolocation';
+import {
+  MaxMindGeolocationProvider,
+  NullGeolocationProvider,
+  type GeolocationProvider,
+} from '../../src/utils/geolocationProviders';
+import { api } from '../helpers/api';
+import { createTestUser, resetDatabase } from '../helpers/db';
+import { buildMmdb } from '../helpers/mmdb';
+
+const CHICAGO_IP = '203.0.113.10';
+const BERLIN_IP = '198.51.100.20';
+
+let databasePath: string;
+
+beforeAll(async () => {
+  databasePath = path.join(await fs.mkdtemp(path.join(os.tmpdir(), 'geoip-')), 'test-city.mmdb');
+  await fs.writeFile(
+    databasePath,
+    buildMmdb([
+      {
+        cidr: '203.0.113.0/24',
+        data: {
+          city: { names: { en: 'Chicago' } },
+          subdivisions: [{ names: { en: 'Illinois' } }],
+          country: { iso_code: 'US', names: { en: 'United States' } },
+          location: { latitude: 41.8781, longitude: -87.6298 },
+        },
+      },
+      {
+        cidr: '198.51.100.0/24',
+        data: {
+          city: { names: { en: 'Berlin' } },
+          country: { iso_code: 'DE', names: { en: 'Germany' } },
+          location: { latitude: 52.52, longitude: 13.405 },
+        },
+      },
+    ])
+  );
+});
+
+beforeEach(async () => {
+  await resetDatabase();
+  setGeolocationProvider(new NullGeolocationProvider());
+});
+
+afterAll(async () => {
+  setGeolocationProvider(new NullGeolocationProvider());
+  await fs.rm(path.dirname(databasePath), { recursive: true, force: true });
+  await prisma.$disconnect();
+});
+
+function countingProvider(results: Record<string, LocationData | Error>) {
+  const calls: string[] = [];
+  const provider: GeolocationProvider = {
+    name: 'counting',
+    async lookup(ipAddress) {
+      calls.push(ipAddress);
+      const result = results[ipAddress];
+      if (result instanceof Error) {
+        throw result;
+      }
+      return result ?? null;
+    },
+  };
+  return { provider, calls };
+}
+
+describe('MaxMind provider', () => {
+  it('resolves addresses from the local database file', async () => {
+    const provider = new MaxMindGeolocationProvider(databasePath);
+
+    expect(await provider.lookup(CHICAGO_IP)).toEqual({
+      city: 'Chicago',
+      region: 'Illinois',
+      country: 'United States',
+      latitude: 41.8781,
+      longitude: -87.6298,
+      location: 'Chicago, United States',
+    });
+    expect(await provider.lookup(`::ffff:${BERLIN_IP}`)).toMatchObject({ city: 'Berlin', country: 'Germany' });
+    expect(await provider.lookup('192.0.2.1')).toBeNull();
+    expect(await provider.lookup('not-an-ip')).toBeNull();
+  });
+
+  it('resolves nothing instead of failing when the database is missing', async () => {
+    const provider = new MaxMindGeolocationProvider(path.join(os.tmpdir(), 'does-not-exist.mmdb'));
+    expect(await provider.lookup(CHICAGO_IP)).toBeNull();
+  });
+
+  it('feeds login history without any network access', async () => {
+    setGeolocationProvider(new MaxMindGeolocationProvider(databasePath));
+    const { user, password } = await createTestUser();
+
+    const res = await api().post('/api/v1/auth/login').set('X-Forwarded-For', BERLIN_IP).send({ email: user.email, password });
+    expect(res.status).toBe(200);
+
+    const history = await prisma.loginHistory.findFirstOrThrow({ where: { userId: user.id } });
+    expect(history).toMatchObject({ ipAddress: BERLIN_IP, city: 'Berlin', country: 'Germany', location: 'Berlin, Germany' });
+  });
+});
+
+describe('lookup cache', () => {
+  it('looks each IP up once, including misses', async () => {
+    const { provider, calls } = countingProvider({ [CHICAGO_IP]: { city: 'Chicago', location: 'Chicago, United States' } });
+    setGeolocationProvider(provider);
+
+    await getLocationFromIP(CHICAGO_IP);
+    expect(await getLocationFromIP(CHICAGO_IP)).toMatchObject({ city: 'Chicago' });
+    await getLocationFromIP('192.0.2.1');
+    expect(await getLocationFromIP('192.0.2.1')).toBeNull();
+
+    expect(calls).toEqual([CHICAGO_IP, '192.0.2.1']);
+  });
+
+  it('does not cache failed lookups', async () => {
+    const { provider, calls } = countingProvider({ [CHICAGO_IP]: new Error('rate limited') });
+    setGeolocationProvider(provider);
+
+    expect(await getLocationFromIP(CHICAGO_IP)).toBeNull();
+    expect(await getLocationFromIP(CHICAGO_IP)).toBeNull();
+    expect(calls).toHaveLength(2);
+  });
+
+  it('answers private addresses without asking the provider', async () => {
+    const { provider, calls } = countingProvider({});
+    setGeolocationProvider(provider);
+
+    expect(await getLocationFromIP('10.0.0.42')).toMatchObject({ location: 'Local Network' });
+    expect(calls).toEqual([]);
+  });
+});
+
+describe('isSuspiciousLocationChange', () => {
+  it('compares locations from any provider', async () => {
+    const maxmind = new MaxMindGeolocationProvider(databasePath);
+    const chicago = await maxmind.lookup(CHICAGO_IP);
+    const berlin = await maxmind.lookup(BERLIN_IP);
+
+    expect(isSuspiciousLocationChange(chicago, berlin, 30)).toBe(true);
+    expect(isSuspiciousLocationChange(chicago, berlin, 24 * 60)).toBe(false);
+    expect(isSuspiciousLocationChange(chicago, await new NullGeolocationProvider().lookup(), 30)).toBe(false);
+    expect(isSuspiciousLocationChange(41.8781, -87.6298, 52.52, 13.405, 30)).toBe(true);
+  });
+});
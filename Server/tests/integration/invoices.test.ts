@@ -0,0 +1,81 @@
+import { prisma } from '../../src/db/client';
+import { api, loginAs } from '../helpers/api';
+import { createAdminAndCustomer, createTestUser, resetDatabase } from '../helpers/db';
+
+beforeEach(async () => {
+  await resetDatabase();
+});
+
+afterAll(async () => {
+  await prisma.$disconnect();
+});
+
+describe('invoices', () => {
+  it('numbers invoices sequentially within the year, across customers', async () => {
+    const { adminSession, customer } = await createAdminAndCustomer();
+    const { user: other } = await createTestUser();
+    const year = new Date().getUTCFullYear();
+
+    const numbers: string[] = [];
+    for (const userId of [customer.id, other.id, customer.id]) {
+      const res = await api().post(`/api/v1/billing/${userId}/add-payment`).set(adminSession.auth).send({ cycle: 'MONTHLY', amount: 30 });
+      expect(res.status).toBe(200);
+      numbers.push(res.body.invoice.number);
+    }
+
+    expect(numbers).toEqual([`INV-${year}-000001`, `INV-${year}-000002`, `INV-${year}-000003`]);
+
+    const payments = await api().get(`/api/v1/billing/${customer.id}/payments`).set(adminSession.auth);
+    expect(payments.body.payments.map((p: { invoice: { number: string } }) => p.invoice.number)).toEqual([numbers[2], numbers[0]]);
+  });
+
+  it('does not consume a number when the payment is not recorded', async () => {
+    const { adminSession, customer } = await createAdminAndCustomer();
+
+    const missing = await api().post('/api/v1/billing/no-such-user/add-payment').set(adminSession.auth).send({ cycle: 'MONTHLY', amount: 30 });
+    expect(missing.status).toBe(404);
+
+    const res = await api().post(`/api/v1/billing/${customer.id}/add-payment`).set(adminSession.auth).send({ cycle: 'MONTHLY', amount: 30 });
+    expect(res.body.invoice.sequence).toBe(1);
+  });
+
+  it('lets customers list and download only their own receipts', async () => {
+    const { adminSession, customer } = await createAdminAndCustomer();
+    const { user: other } = await createTestUser();
+
+    const own = await api().post(`/api/v1/billing/${customer.id}/add-payment`).set(adminSession.auth).send({ cycle: 'YEARLY', amount: 299.5 });
+    const foreign = await api().post(`/api/v1/billing/${other.id}/add-payment`).set(adminSession.auth).send({ cycle: 'DAILY', amount: 5 });
+
+    const session = await loginAs(customer);
+    const list = await api().get('/api/v1/billing/my-invoices').set(session.auth);
+    expect(list.status).toBe(200);
+    expect(list.body.invoices).toEqual([
+      expect.objectContaining({ id: own.body.invoice.id, number: own.body.invoice.number, amount: '299.5', currency: 'USD', billingCycle: 'YEARLY' }),
+    ]);
+
+    const receipt = await api().get(`/api/v1/billing/my-invoices/${own.body.invoice.id}/receipt`).set(session.auth);
+    expect(receipt.status).toBe(200);
+    expect(receipt.headers['content-type']).toContain('text/html');
+    expect(receipt.text).toContain(own.body.invoice.number);
+    expect(receipt.text).toContain(customer.email);
+    expect(receipt.text).toContain('$299.50');
+
+    const denied = await api().get(`/api/v1/billing/my-invoices/${foreign.body.invoice.id}/receipt`).set(session.auth);
+    expect(denied.status).toBe(404);
+    expect((await api().get(`/api/v1/billing/invoices/${own.body.invoice.id}/receipt`).set(session.auth)).status).toBe(403);
+
+    const adminReceipt = await api().get(`/api/v1/billing/invoices/${foreign.body.invoice.id}/receipt`).set(adminSession.auth);
+    expect(adminReceipt.status).toBe(200);
+    expect(adminReceipt.text).toContain(other.email);
+  });
+
+  it('keeps invoices when the customer is deleted', async () => {
+    const { adminSession, customer } = await createAdminAndCustomer();
+    const res = await api().post(`/api/v1/billing/${customer.id}/add-payment`).set(adminSession.auth).send({ cycle: 'WEEKLY', amount: 10 });
+
+    await prisma.user.delete({ where: { id: customer.id } });
+
+    const invoice = await prisma.invoice.findUniqueOrThrow({ where: { id: res.body.invoice.id } });
+    expect(invoice).toMatchObject({ userId: null, paymentId: null, customerEmail: customer.email });
+  });
+});
@@ -0,0 +1,193 @@
+import type { SecurityAlertType } from '@prisma/client';
+import { prisma } from '../../src/db/client';
+import { env } from '../../src/config/env';
+import { setGeolocationProvider, type LocationData } from '../../src/utils/geolocation';
+import { NullGeolocationProvider } from '../../src/utils/geolocationProviders';
+import { api } from '../helpers/api';
+import { createTestUser, DEFAULT_PASSWORD, resetDatabase } from '../helpers/db';
+
+const CHICAGO_IP = '203.0.113.10';
+const BERLIN_IP = '198.51.100.20';
+const CHICAGO: LocationData = { city: 'Chicago', country: 'US', latitude: 41.8781, longitude: -87.6298, location: 'Chicago, US' };
+const BERLIN: LocationData = { city: 'Berlin', country: 'DE', latitude: 52.52, longitude: 13.405, location: 'Berlin, DE' };
+
+const WINDOWS_CHROME = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/131.0.0.0 Safari/537.36';
+const MAC_SAFARI = 'Mozilla/5.0 (Macintosh; Intel Mac OS X 14_1_0) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.1 Safari/605.1.15';
+
+const originalSeverities = {
+  failureBurst: env.LOGIN_RULE_FAILURE_BURST_SEVERITY,
+};
+
+beforeAll(() => {
+  setGeolocationProvider({
+    name: 'fixed',
+    lookup: async (ip) => ({ [CHICAGO_IP]: CHICAGO, [BERLIN_IP]: BERLIN })[ip] ?? null,
+  });
+});
+
+beforeEach(async () => {
+  await resetDatabase();
+  env.LOGIN_RULE_FAILURE_BURST_SEVERITY = originalSeverities.failureBurst;
+});
+
+afterAll(async () => {
+  env.LOGIN_RULE_FAILURE_BURST_SEVERITY = originalSeverities.failureBurst;
+  setGeolocationProvider(new NullGeolocationProvider());
+  await prisma.$disconnect();
+});
+
+function attemptLogin(email: string, password: string, options: { ip?: string; userAgent?: string } = {}) {
+  return api()
+    .post('/api/v1/auth/login')
+    .set('X-Forwarded-For', options.ip ?? CHICAGO_IP)
+    .set('User-Agent', options.userAgent ?? WINDOWS_CHROME)
+    .send({ email, password });
+}
+
+function alertsOfType(userId: string, alertType: SecurityAlertType) {
+  return prisma.securityAlert.findMany({ where: { userId, alertType }, orderBy: { createdAt: 'asc' } });
+}
+
+function minutesAgo(minutes: number) {
+  return new Date(Date.now() - minutes * 60 * 1000);
+}
+
+describe('impossible travel', () => {
+  it('alerts when the previous login was too far away to have travelled since', async () => {
+    const { user } = await createTestUser();
+    await prisma.loginHistory.create({
+      data: { userId: user.id, email: user.email, ipAddress: CHICAGO_IP, userAgent: WINDOWS_CHROME, ...CHICAGO, loginAt: minutesAgo(30) },
+    });
+
+    expect((await attemptLogin(user.email, DEFAULT_PASSWORD, { ip: BERLIN_IP })).status).toBe(200);
+
+    const [alert, ...rest] = await alertsOfType(user.id, 'SUSPICIOUS_LOCATION');
+    expect(rest).toHaveLength(0);
+    expect(alert?.severity).toBe('HIGH');
+    expect(alert?.metadata).toMatchObject({
+      rule: 'impossible-travel',
+      previousLocation: 'Chicago, US',
+      newLocation: 'Berlin, DE',
+      timeMinutes: 30,
+    });
+    expect((alert?.metadata as { distanceKm: number }).distanceKm).toBeGreaterThan(7000);
+  });
+
+  it('stays quiet when there was enough time to make the trip', async () => {
+    const { user } = await createTestUser();
+    await prisma.loginHistory.create({
+      data: { userId: user.id, email: user.email, ipAddress: CHICAGO_IP, userAgent: WINDOWS_CHROME, ...CHICAGO, loginAt: minutesAgo(24 * 60) },
+    });
+
+    expect((await attemptLogin(user.email, DEFAULT_PASSWORD, { ip: BERLIN_IP })).status).toBe(200);
+    expect(await alertsOfType(user.id, 'SUSPICIOUS_LOCATION')).toHaveLength(0);
+  });
+});
+
+describe('new device', () => {
+  it('alerts on the first login from an unfamiliar device only', async () => {
+    const { user } = await createTestUser();
+
+    // Nothing to compare a first ever login against
+    expect((await attemptLogin(user.email, DEFAULT_PASSWORD)).status).toBe(200);
+    expect(await alertsOfType(user.id, 'NEW_DEVICE_LOGIN')).toHaveLength(0);
+
+    expect((await attemptLogin(user.email, DEFAULT_PASSWORD, { userAgent: MAC_SAFARI })).status).toBe(200);
+    expect((await attemptLogin(user.email, DEFAULT_PASSWORD, { userAgent: MAC_SAFARI })).status).toBe(200);
+    expect((await attemptLogin(user.email, DEFAULT_PASSWORD)).status).toBe(200);
+
+    const alerts = await alertsOfType(user.id, 'NEW_DEVICE_LOGIN');
+    expect(alerts).toHaveLength(1);
+    expect(alerts[0]?.severity).toBe('MEDIUM');
+    expect(alerts[0]?.metadata).toMatchObject({ rule: 'new-device', device: expect.stringContaining('macOS') });
+  });
+});
+
+describe('unusual hours', () => {
+  function atHourDaysAgo(hourUtc: number, days: number) {
+    const date = minutesAgo(days * 24 * 60);
+    date.setUTCHours(hourUtc, 0, 0, 0);
+    return date;
+  }
+
+  async function seedLogins(userId: string, email: string, hourUtc: number) {
+    await prisma.loginHistory.createMany({
+      data: Array.from({ length: env.LOGIN_RULE_UNUSUAL_HOURS_MIN_LOGINS }, (_, i) => ({
+        userId,
+        email,
+        ipAddress: CHICAGO_IP,
+        userAgent: WINDOWS_CHROME,
+        loginAt: atHourDaysAgo(hourUtc, i + 2),
+      })),
+    });
+  }
+
+  it('alerts when a user with an established routine logs in at an odd hour', async () => {
+    const { user } = await createTestUser();
+    await seedLogins(user.id, user.email, (new Date().getUTCHours() + 12) % 24);
+
+    expect((await attemptLogin(user.email, DEFAULT_PASSWORD)).status).toBe(200);
+
+    const alerts = await alertsOfType(user.id, 'UNUSUAL_LOGIN_TIME');
+    expect(alerts).toHaveLength(1);
+    expect(alerts[0]?.severity).toBe('LOW');
+    expect(alerts[0]?.metadata).toMatchObject({ rule: 'unusual-hours', hourUtc: new Date().getUTCHours() });
+  });
+
+  it('does not judge hours without enough history or at a usual hour', async () => {
+    const { user: newcomer } = await createTestUser();
+    expect((await attemptLogin(newcomer.email, DEFAULT_PASSWORD)).status).toBe(200);
+
+    const { user: regular } = await createTestUser();
+    await seedLogins(regular.id, regular.email, new Date().getUTCHours());
+    expect((await attemptLogin(regular.email, DEFAULT_PASSWORD)).status).toBe(200);
+
+    expect(await prisma.securityAlert.count({ where: { alertType: 'UNUSUAL_LOGIN_TIME' } })).toBe(0);
+  });
+});
+
+describe('failures followed by success', () => {
+  it('alerts when a run of failed attempts ends in a successful login', async () => {
+    const { user } = await createTestUser();
+
+    for (let i = 0; i < env.LOGIN_RULE_FAILURE_BURST_THRESHOLD; i += 1) {
+      expect((await attemptLogin(user.email, 'wrong-password')).status).toBe(401);
+    }
+    expect((await attemptLogin(user.email, DEFAULT_PASSWORD)).status).toBe(200);
+
+    const alerts = await alertsOfType(user.id, 'FAILED_LOGIN_BURST');
+    expect(alerts).toHaveLength(1);
+    expect(alerts[0]?.severity).toBe('HIGH');
+    expect(alerts[0]?.metadata).toMatchObject({ rule: 'failure-burst', failedAttempts: env.LOGIN_RULE_FAILURE_BURST_THRESHOLD });
+  });
+
+  it('ignores a single typo', async () => {
+    const { user } = await createTestUser();
+
+    await attemptLogin(user.email, 'wrong-password');
+    expect((await attemptLogin(user.email, DEFAULT_PASSWORD)).status).toBe(200);
+
+    expect(await alertsOfType(user.id, 'FAILED_LOGIN_BURST')).toHaveLength(0);
+  });
+});
+
+describe('rule severity', () => {
+  async function burstThenLogin() {
+    const { user } = await createTestUser();
+    for (let i = 0; i < env.LOGIN_RULE_FAILURE_BURST_THRESHOLD; i += 1) {
+      await attemptLogin(user.email, 'wrong-password');
+    }
+    expect((await attemptLogin(user.email, DEFAULT_PASSWORD)).status).toBe(200);
+    return alertsOfType(user.id, 'FAILED_LOGIN_BURST');
+  }
+
+  it('follows the configured severity', async () => {
+    env.LOGIN_RULE_FAILURE_BURST_SEVERITY = 'CRITICAL';
+    expect((await burstThenLogin()).map((alert) => alert.severity)).toEqual(['CRITICAL']);
+  });
+
+  it('skips rules that are turned off', async () => {
+    env.LOGIN_RULE_FAILURE_BURST_SEVERITY = 'OFF';
+    expect(await burstThenLogin()).toHaveLength(0);
+  });
+});
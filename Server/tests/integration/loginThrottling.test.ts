@@ -0,0 +1,152 @@
+import { prisma } from '../../src/db/client';
+import { env } from '../../src/config/env';
+import { api, loginAs } from '../helpers/api';
+import { createTestUser, resetDatabase } from '../helpers/db';
+
+beforeEach(async () => {
+  await resetDatabase();
+});
+
+afterAll(async () => {
+  await prisma.$disconnect();
+});
+
+function attemptLogin(email: string, password: string, ip = '10.0.1.1') {
+  return api().post('/api/v1/auth/login').set('X-Forwarded-For', ip).send({ email, password });
+}
+
+describe('account lockout', () => {
+  it('locks the account after repeated failures, even for the right password', async () => {
+    const { user, password } = await createTestUser();
+
+    for (let i = 0; i < env.LOGIN_LOCKOUT_THRESHOLD; i += 1) {
+      const res = await attemptLogin(user.email, 'wrong-password');
+      expect(res.status).toBe(401);
+    }
+
+    const locked = await attemptLogin(user.email, password);
+    expect(locked.status).toBe(423);
+    expect(locked.body.details.lockedUntil).toEqual(expect.any(String));
+    expect(locked.body.details.retryAfterSeconds).toBeGreaterThan(0);
+  });
+
+  it('raises alerts carrying the real attempt count with escalating severity', async () => {
+    const { user } = await createTestUser();
+
+    for (let i = 0; i < env.LOGIN_LOCKOUT_THRESHOLD; i += 1) {
+      await attemptLogin(user.email, 'wrong-password');
+    }
+
+    const alerts = await prisma.securityAlert.findMany({
+      where: { alertType: 'FAILED_LOGIN_ATTEMPT', userId: user.id },
+      orderBy: { createdAt: 'asc' },
+    });
+    expect(alerts.map((alert) => (alert.metadata as { attemptCount: number }).attemptCount)).toEqual([1, 2, 3, 4, 5]);
+    expect(alerts.map((alert) => alert.severity)).toEqual(['LOW', 'LOW', 'MEDIUM', 'MEDIUM', 'HIGH']);
+    expect((alerts[4]?.metadata as { lockedUntil: string | null }).lockedUntil).toEqual(expect.any(String));
+  });
+
+  it('only counts failures since the last successful login', async () => {
+    const { user, password } = await createTestUser();
+
+    for (let i = 0; i < env.LOGIN_LOCKOUT_THRESHOLD - 1; i += 1) {
+      await attemptLogin(user.email, 'wrong-password');
+    }
+    expect((await attemptLogin(user.email, password)).status).toBe(200);
+
+    await attemptLogin(user.email, 'wrong-password');
+    expect((await attemptLogin(user.email, password)).status).toBe(200);
+  });
+
+  it('lets an admin unlock the account', async () => {
+    const { user: admin } = await createTestUser({ role: 'ADMIN' });
+    const adminSession = await loginAs(admin);
+    const { user, password } = await createTestUser();
+
+    for (let i = 0; i < env.LOGIN_LOCKOUT_THRESHOLD; i += 1) {
+      await attemptLogin(user.email, 'wrong-password');
+    }
+    expect((await attemptLogin(user.email, password)).status).toBe(423);
+
+    const unlock = await api().post(`/api/v1/users/${user.id}/unlock`).set(adminSession.auth);
+    expect(unlock.status).toBe(200);
+    expect(unlock.body).toMatchObject({ userId: user.id, wasLocked: true, failedAttempts: env.LOGIN_LOCKOUT_THRESHOLD });
+
+    expect((await attemptLogin(user.email, password)).status).toBe(200);
+
+    const audit = await prisma.auditLog.findFirst({ where: { action: 'USER_UNLOCKED', targetId: user.id } });
+    expect(audit?.actorId).toBe(admin.id);
+  });
+
+  it('does not let regular users unlock accounts', async () => {
+    const { user } = await createTestUser();
+    const session = await loginAs(user);
+
+    const res = await api().post(`/api/v1/users/${user.id}/unlock`).set(session.auth);
+    expect(res.status).toBe(403);
+  });
+});
+
+describe('auth rate limiting', () => {
+  it('throttles login attempts per account across IPs', async () => {
+    const email = 'target@example.com';
+
+    for (let i = 0; i < env.AUTH_RATE_LIMIT_PER_ACCOUNT; i += 1) {
+      const res = await attemptLogin(email, 'wrong-password', `10.0.2.${i + 1}`);
+      expect(res.status).toBe(401);
+    }
+
+    const throttled = await attemptLogin(email, 'wrong-password', '10.0.3.1');
+    expect(throttled.status).toBe(429);
+    expect(Number(throttled.headers['retry-after'])).toBeGreaterThan(0);
+  });
+
+  it('throttles login attempts per IP across accounts', async () => {
+    for (let i = 0; i < env.AUTH_RATE_LIMIT_PER_IP; i += 1) {
+      const res = await attemptLogin(`user${i}@example.com`, 'wrong-password', '10.0.4.1');
+      expect(res.status).toBe(401);
+    }
+
+    const throttled = await attemptLogin('another@example.com', 'wrong-password', '10.0.4.1');
+    expect(throttled.status).toBe(429);
+
+    const otherIp = await attemptLogin('another@example.com', 'wrong-password', '10.0.4.2');
+    expect(otherIp.status).toBe(401);
+  });
+
+  it('keys the per-IP limit on the address the proxy saw, not the client-supplied hops', async () => {
+    // Nginx appends the real peer address; everything before it comes from the client
+    for (let i = 0; i < env.AUTH_RATE_LIMIT_PER_IP; i += 1) {
+      const res = await attemptLogin(`user${i}@example.com`, 'wrong-password', `203.0.113.${i + 1}, 10.0.7.1`);
+      expect(res.status).toBe(401);
+    }
+
+    const throttled = await attemptLogin('another@example.com', 'wrong-password', '198.51.100.9, 10.0.7.1');
+    expect(throttled.status).toBe(429);
+  });
+
+  it('does not let parallel requests exceed the limit', async () => {
+    const attempts = env.AUTH_RATE_LIMIT_PER_ACCOUNT + 5;
+    const results = await Promise.all(
+      Array.from({ length: attempts }, (_, i) => attemptLogin('burst@example.com', 'wrong-password', `10.0.8.${i + 1}`))
+    );
+
+    const statuses = results.map((res) => res.status);
+    expect(statuses.filter((status) => status === 401)).toHaveLength(env.AUTH_RATE_LIMIT_PER_ACCOUNT);
+    expect(statuses.filter((status) => status === 429)).toHaveLength(5);
+  });
+
+  it('throttles refresh per account', async () => {
+    const { user } = await createTestUser();
+    let { refreshToken } = await loginAs(user);
+
+    for (let i = 0; i < env.AUTH_RATE_LIMIT_PER_ACCOUNT; i += 1) {
+      const res = await api().post('/api/v1/auth/refresh').set('X-Forwarded-For', `10.0.5.${i + 1}`).send({ refreshToken });
+      expect(res.status).toBe(200);
+      refreshToken = res.body.refreshToken;
+    }
+
+    const throttled = await api().post('/api/v1/auth/refresh').set('X-Forwarded-For', '10.0.6.1').send({ refreshToken });
+    expect(throttled.status).toBe(429);
+  });
+});
@@ -0,0 +1,147 @@
+import { prisma } from '../../src/db/client';
+import { runMaintenanceJob } from '../../src/services/maintenance.service';
+import { api, loginAs } from '../helpers/api';
+import { createTestUser, resetDatabase } from '../helpers/db';
+
+beforeEach(async () => {
+  await resetDatabase();
+});
+
+afterAll(async () => {
+  await prisma.$disconnect();
+});
+
+function daysAgo(days: number) {
+  return new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+}
+
+async function adminSession() {
+  const { user: admin } = await createTestUser({ role: 'ADMIN' });
+  return { admin, session: await loginAs(admin) };
+}
+
+describe('retention jobs', () => {
+  it('delete records past their retention period and keep recent ones', async () => {
+    const { session } = await adminSession();
+    const { user } = await createTestUser();
+    const datSession = await prisma.datSession.create({ data: { name: 'Retention Session' } });
+
+    await prisma.loginHistory.createMany({
+      data: [
+        { userId: user.id, email: user.email, loginAt: daysAgo(400) },
+        { userId: user.id, email: user.email, loginAt: daysAgo(1) },
+      ],
+    });
+    await prisma.datSessionLog.createMany({
+      data: [
+        { sessionId: datSession.id, message: 'old', createdAt: daysAgo(200) },
+        { sessionId: datSession.id, message: 'recent', createdAt: daysAgo(1) },
+      ],
+    });
+    await prisma.billingHistory.createMany({
+      data: [
+        { userId: user.id, action: 'PAYMENT_ADDED', createdAt: daysAgo(800) },
+        { userId: user.id, action: 'PAYMENT_ADDED', createdAt: daysAgo(1) },
+      ],
+    });
+    await prisma.sessionActivity.createMany({
+      data: [
+        { userId: user.id, sessionToken: 'ended-long-ago', isActive: false, logoutAt: daysAgo(60) },
+        { userId: user.id, sessionToken: 'still-active', isActive: true },
+      ],
+    });
+    await prisma.securityAlert.createMany({
+      data: [
+        { userId: user.id, alertType: 'FAILED_LOGIN_ATTEMPT', message: 'old', isDismissed: true, createdAt: daysAgo(120) },
+        { userId: user.id, alertType: 'FAILED_LOGIN_ATTEMPT', message: 'undismissed', createdAt: daysAgo(120) },
+      ],
+    });
+
+    for (const job of [
+      'login-history-retention',
+      'session-log-retention',
+      'billing-history-retention',
+      'session-activity-retention',
+      'security-alert-retention',
+    ]) {
+      const res = await api().post(`/api/v1/maintenance/jobs/${job}/run`).set(session.auth);
+      expect(res.status).toBe(200);
+      expect(res.body).toMatchObject({ name: job, status: 'SUCCEEDED', result: { deleted: 1 } });
+    }
+
+    expect(await prisma.loginHistory.count({ where: { userId: user.id } })).toBe(1);
+    expect(await prisma.datSessionLog.findMany({ select: { message: true } })).toEqual([{ message: 'recent' }]);
+    expect(await prisma.billingHistory.count()).toBe(1);
+    expect(await prisma.sessionActivity.findMany({ where: { userId: user.id }, select: { sessionToken: true } })).toEqual([{ sessionToken: 'still-active' }]);
+    expect(await prisma.securityAlert.findMany({ where: { userId: user.id }, select: { message: true } })).toEqual([{ message: 'undismissed' }]);
+  });
+
+  it('prunes rate limit hits outside the throttling window', async () => {
+    await prisma.rateLimitHit.createMany({
+      data: [
+        { bucket: 'login:ip', key: '203.0.113.1', createdAt: daysAgo(1) },
+        { bucket: 'login:ip', key: '203.0.113.1' },
+      ],
+    });
+
+    const run = await runMaintenanceJob('rate-limit-prune', { trigger: 'SCHEDULED' });
+    expect(run).toMatchObject({ status: 'SUCCEEDED', result: { deleted: 1 } });
+    expect(await prisma.rateLimitHit.count()).toBe(1);
+  });
+});
+
+describe('maintenance job API', () => {
+  it('reports the last run of every job', async () => {
+    const { admin, session } = await adminSession();
+    await api().post('/api/v1/maintenance/jobs/login-history-retention/run').set(session.auth);
+
+    const res = await api().get('/api/v1/maintenance/jobs').set(session.auth);
+    expect(res.status).toBe(200);
+    expect(res.body.jobs.map((job: { name: string }) => job.name)).toEqual(
+      expect.arrayContaining(['billing-expiration', 'bundle-upload-janitor', 'login-history-retention', 'rate-limit-prune'])
+    );
+
+    const job = res.body.jobs.find((entry: { name: string }) => entry.name === 'login-history-retention');
+    expect(job).toMatchObject({
+      lastStatus: 'SUCCEEDED',
+      lastTrigger: 'MANUAL',
+      lastTriggeredBy: { id: admin.id },
+      lastResult: { retentionDays: 180, deleted: 0 },
+      isRunning: false,
+      runCount: 1,
+    });
+    expect(job.lastFinishedAt).toEqual(expect.any(String));
+
+    const neverRun = res.body.jobs.find((entry: { name: string }) => entry.name === 'session-log-retention');
+    expect(neverRun).toMatchObject({ lastStatus: null, lastStartedAt: null, runCount: 0 });
+
+    const audit = await prisma.auditLog.findFirst({ where: { action: 'MAINTENANCE_JOB_TRIGGERED', targetId: 'login-history-retention' } });
+    expect(audit?.actorId).toBe(admin.id);
+  });
+
+  it('refuses to start a job that is already running', async () => {
+    const { session } = await adminSession();
+    await prisma.maintenanceJob.create({
+      data: { name: 'session-log-retention', lastStatus: 'RUNNING', lockedUntil: new Date(Date.now() + 60_000) },
+    });
+
+    const res = await api().post('/api/v1/maintenance/jobs/session-log-retention/run').set(session.auth);
+    expect(res.status).toBe(409);
+  });
+
+  it('runs a scheduled job once per tick across workers', async () => {
+    expect((await runMaintenanceJob('rate-limit-prune', { trigger: 'SCHEDULED' })).status).toBe('SUCCEEDED');
+    expect((await runMaintenanceJob('rate-limit-prune', { trigger: 'SCHEDULED' })).status).toBe('SKIPPED');
+    expect((await runMaintenanceJob('rate-limit-prune', { trigger: 'MANUAL' })).status).toBe('SUCCEEDED');
+  });
+
+  it('rejects unknown jobs and non-admins', async () => {
+    const { session } = await adminSession();
+    expect((await api().post('/api/v1/maintenance/jobs/drop-everything/run').set(session.auth)).status).toBe(404);
+
+    const { user: support } = await createTestUser({ role: 'SUPPORT' });
+    const supportSession = await loginAs(support);
+    expect((await api().get('/api/v1/maintenance/jobs').set(supportSession.auth)).status).toBe(403);
+    expect((await api().post('/api/v1/maintenance/jobs/rate-limit-prune/run').set(supportSession.auth)).status).toBe(403);
+  });
+});
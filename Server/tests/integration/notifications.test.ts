@@ -0,0 +1,207 @@
+import { prisma } from '../../src/db/client';
+import { env } from '../../src/config/env';
+import { createSecurityAlert } from '../../src/services/securityAlert.service';
+import { processDueDeliveries, signWebhookPayload } from '../../src/services/notification.service';
+import { api, loginAs, type LoggedInSession } from '../helpers/api';
+import { createTestUser, resetDatabase } from '../helpers/db';
+import { startSmtpSink, startWebhookReceiver, type SmtpSink, type WebhookReceiver } from '../helpers/notificationSinks';
+
+const originalEnv = {
+  SMTP_HOST: env.SMTP_HOST,
+  SMTP_PORT: env.SMTP_PORT,
+  SMTP_FROM: env.SMTP_FROM,
+  SMTP_USER: env.SMTP_USER,
+  SMTP_PASSWORD: env.SMTP_PASSWORD,
+  SMTP_REQUIRE_TLS: env.SMTP_REQUIRE_TLS,
+  NOTIFICATION_MAX_ATTEMPTS: env.NOTIFICATION_MAX_ATTEMPTS,
+};
+
+let receiver: WebhookReceiver;
+let smtp: SmtpSink;
+let session: LoggedInSession;
+
+beforeAll(async () => {
+  receiver = await startWebhookReceiver();
+  smtp = await startSmtpSink();
+});
+
+beforeEach(async () => {
+  await resetDatabase();
+  receiver.requests.length = 0;
+  receiver.respondWith.length = 0;
+  smtp.messages.length = 0;
+  smtp.authAttempts.length = 0;
+  // The sink never offers TLS
+  Object.assign(env, originalEnv, { SMTP_HOST: smtp.host, SMTP_PORT: smtp.port, SMTP_FROM: 'Security Alerts <alerts@example.com>', SMTP_REQUIRE_TLS: false });
+
+  const { user: admin } = await createTestUser({ role: 'ADMIN' });
+  session = await loginAs(admin);
+});
+
+afterAll(async () => {
+  Object.assign(env, originalEnv);
+  await receiver.close();
+  await smtp.close();
+  await prisma.$disconnect();
+});
+
+async function createChannel(body: Record<string, unknown>) {
+  const res = await api().post('/api/v1/notifications/channels').set(session.auth).send(body);
+  expect(res.status).toBe(201);
+  return res.body;
+}
+
+async function settledDeliveries(where: { alertId?: string; channelId?: string } = {}) {
+  for (let i = 0; i < 50; i += 1) {
+    const deliveries = await prisma.notificationDelivery.findMany({ where, orderBy: { createdAt: 'asc' } });
+    if (deliveries.every((delivery) => delivery.status !== 'PENDING' && delivery.status !== 'SENDING')) {
+      return deliveries;
+    }
+    await new Promise((resolve) => setTimeout(resolve, 100));
+  }
+  throw new Error('Deliveries did not settle');
+}
+
+describe('channel configuration', () => {
+  it('shows a webhook secret once and keeps it out of listings', async () => {
+    const channel = await createChannel({ name: 'SIEM', type: 'WEBHOOK', webhookUrl: receiver.url, severities: ['HIGH', 'CRITICAL'] });
+    expect(channel.webhookSecret).toMatch(/^[0-9a-f]{64}$/);
+
+    const list = await api().get('/api/v1/notifications/channels').set(session.auth);
+    expect(list.status).toBe(200);
+    expect(list.body.channels).toEqual([expect.objectContaining({ id: channel.id, hasWebhookSecret: true })]);
+    expect(list.body.channels[0]).not.toHaveProperty('webhookSecret');
+
+    const rotated = await api().patch(`/api/v1/notifications/channels/${channel.id}`).set(session.auth).send({ rotateSecret: true });
+    expect(rotated.status).toBe(200);
+    expect(rotated.body.webhookSecret).not.toBe(channel.webhookSecret);
+
+    const audit = await prisma.auditLog.findFirst({ where: { action: 'NOTIFICATION_CHANNEL_UPDATED', targetId: channel.id } });
+    expect(JSON.stringify(audit?.metadata)).not.toContain(rotated.body.webhookSecret);
+  });
+
+  it('rejects incomplete channels and non-admins', async () => {
+    const noUrl = await api().post('/api/v1/notifications/channels').set(session.auth).send({ name: 'Hook', type: 'WEBHOOK', severities: ['HIGH'] });
+    expect(noUrl.status).toBe(400);
+
+    const noSeverity = await api()
+      .post('/api/v1/notifications/channels')
+      .set(session.auth)
+      .send({ name: 'Mail', type: 'EMAIL', emailRecipients: ['soc@example.com'], severities: [] });
+    expect(noSeverity.status).toBe(400);
+
+    const { user: support } = await createTestUser({ role: 'SUPPORT' });
+    const supportSession = await loginAs(support);
+    expect((await api().get('/api/v1/notifications/channels').set(supportSession.auth)).status).toBe(403);
+  });
+});
+
+describe('test sends', () => {
+  it('posts a signed payload to the webhook', async () => {
+    const channel = await createChannel({ name: 'SIEM', type: 'WEBHOOK', webhookUrl: receiver.url, severities: ['LOW'] });
+
+    const res = await api().post(`/api/v1/notifications/channels/${channel.id}/test`).set(session.auth);
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ status: 'DELIVERED', responseCode: 200, isTest: true, attempts: 1 });
+
+    const [request] = receiver.requests;
+    const timestamp = request?.headers['x-signature-timestamp'] as string;
+    expect(request?.headers['x-signature']).toBe(signWebhookPayload(channel.webhookSecret, timestamp, request?.body ?? ''));
+    expect(JSON.parse(request?.body ?? '{}')).toMatchObject({ event: 'notification.test', channel: { id: channel.id } });
+  });
+
+  it('sends email through SMTP', async () => {
+    const channel = await createChannel({ name: 'SOC inbox', type: 'EMAIL', emailRecipients: ['soc@example.com'], severities: ['LOW'] });
+
+    const res = await api().post(`/api/v1/notifications/channels/${channel.id}/test`).set(session.auth);
+    expect(res.body.status).toBe('DELIVERED');
+
+    expect(smtp.messages).toHaveLength(1);
+    expect(smtp.messages[0]).toMatchObject({ from: 'alerts@example.com', to: ['soc@example.com'] });
+    expect(smtp.messages[0]?.data).toContain('Subject: Test notification from SOC inbox');
+  });
+
+  it('will not send mail to a server that does not offer STARTTLS by default', async () => {
+    env.SMTP_REQUIRE_TLS = true;
+    const channel = await createChannel({ name: 'SOC inbox', type: 'EMAIL', emailRecipients: ['soc@example.com'], severities: ['LOW'] });
+
+    const res = await api().post(`/api/v1/notifications/channels/${channel.id}/test`).set(session.auth);
+    expect(res.body.status).toBe('FAILED');
+    expect(res.body.lastError).toMatch(/STARTTLS/);
+    expect(smtp.messages).toHaveLength(0);
+  });
+
+  it('will not log in to a server that does not offer STARTTLS', async () => {
+    Object.assign(env, { SMTP_USER: 'alerts', SMTP_PASSWORD: 'smtp-secret' });
+    const channel = await createChannel({ name: 'SOC inbox', type: 'EMAIL', emailRecipients: ['soc@example.com'], severities: ['LOW'] });
+
+    const res = await api().post(`/api/v1/notifications/channels/${channel.id}/test`).set(session.auth);
+    expect(res.body.status).toBe('FAILED');
+    expect(res.body.lastError).toMatch(/STARTTLS/);
+    expect(smtp.authAttempts).toEqual([]);
+    expect(smtp.messages).toHaveLength(0);
+  });
+
+  it('reports a failure without retrying', async () => {
+    env.SMTP_HOST = undefined;
+    const channel = await createChannel({ name: 'SOC inbox', type: 'EMAIL', emailRecipients: ['soc@example.com'], severities: ['LOW'] });
+
+    const res = await api().post(`/api/v1/notifications/channels/${channel.id}/test`).set(session.auth);
+    expect(res.body).toMatchObject({ status: 'FAILED', nextAttemptAt: null });
+    expect(res.body.lastError).toMatch(/SMTP is not configured/);
+  });
+});
+
+describe('alert dispatch', () => {
+  it('routes alerts to the channels subscribed to their severity', async () => {
+    const { user } = await createTestUser();
+    const webhook = await createChannel({ name: 'Pager', type: 'WEBHOOK', webhookUrl: receiver.url, severities: ['HIGH', 'CRITICAL'] });
+    const email = await createChannel({ name: 'Digest', type: 'EMAIL', emailRecipients: ['soc@example.com'], severities: ['LOW', 'MEDIUM'] });
+    await createChannel({ name: 'Muted', type: 'WEBHOOK', webhookUrl: receiver.url, severities: ['HIGH'], enabled: false });
+
+    const high = await createSecurityAlert({ userId: user.id, alertType: 'REFRESH_TOKEN_REUSE', severity: 'HIGH', message: 'Token replayed' });
+    const low = await createSecurityAlert({ userId: user.id, alertType: 'FAILED_LOGIN_ATTEMPT', severity: 'LOW', message: 'Typo' });
+
+    const highDeliveries = await settledDeliveries({ alertId: high.id });
+    expect(highDeliveries.map((delivery) => [delivery.channelId, delivery.status])).toEqual([[webhook.id, 'DELIVERED']]);
+    const lowDeliveries = await settledDeliveries({ alertId: low.id });
+    expect(lowDeliveries.map((delivery) => [delivery.channelId, delivery.status])).toEqual([[email.id, 'DELIVERED']]);
+
+    expect(receiver.requests).toHaveLength(1);
+    expect(JSON.parse(receiver.requests[0]?.body ?? '{}')).toMatchObject({
+      event: 'security_alert.created',
+      alert: { id: high.id, type: 'REFRESH_TOKEN_REUSE', severity: 'HIGH', user: { email: user.email } },
+    });
+    expect(smtp.messages[0]?.data).toContain('Subject: [LOW] Security alert: failed login attempt');
+  });
+
+  it('retries with backoff and gives up after the last attempt', async () => {
+    env.NOTIFICATION_MAX_ATTEMPTS = 3;
+    receiver.respondWith.push(500, 503, 500);
+    const channel = await createChannel({ name: 'Flaky', type: 'WEBHOOK', webhookUrl: receiver.url, severities: ['CRITICAL'] });
+    const alert = await createSecurityAlert({ alertType: 'SUSPICIOUS_LOCATION', severity: 'CRITICAL', message: 'Travel' });
+
+    const [first] = await settledDeliveries({ alertId: alert.id });
+    expect(first).toMatchObject({ status: 'RETRYING', attempts: 1, responseCode: 500 });
+    expect(first?.nextAttemptAt?.getTime()).toBeGreaterThan(Date.now() + (env.NOTIFICATION_RETRY_BASE_SECONDS - 5) * 1000);
+
+    // Nothing is due until the backoff has elapsed
+    expect((await processDueDeliveries()).attempted).toBe(0);
+
+    for (const expected of [
+      { status: 'RETRYING', attempts: 2, responseCode: 503 },
+      { status: 'FAILED', attempts: 3, responseCode: 500, nextAttemptAt: null },
+    ]) {
+      await prisma.notificationDelivery.updateMany({ where: { channelId: channel.id }, data: { nextAttemptAt: new Date() } });
+      await processDueDeliveries();
+      expect(await prisma.notificationDelivery.findFirst({ where: { channelId: channel.id } })).toMatchObject(expected);
+    }
+    expect(receiver.requests).toHaveLength(3);
+
+    const log = await api().get('/api/v1/notifications/deliveries').query({ status: 'FAILED' }).set(session.auth);
+    expect(log.status).toBe(200);
+    expect(log.body.deliveries).toEqual([
+      expect.objectContaining({ channel: expect.objectContaining({ name: 'Flaky' }), lastError: 'Webhook responded with HTTP 500' }),
+    ]);
+  });
+});
@@ -0,0 +1,180 @@
+import { prisma } from '../../src/db/client';
+import { env } from '../../src/config/env';
+import { issueRefreshToken } from '../../src/services/refreshToken.service';
+import { api, loginAs } from '../helpers/api';
+import { createTestUser, DEFAULT_PASSWORD, resetDatabase } from '../helpers/db';
+import { startSmtpSink, type SmtpSink } from '../helpers/notificationSinks';
+
+const NEW_PASSWORD = 'Fresh-Battery-Staple-7';
+
+const originalEnv = {
+  SMTP_HOST: env.SMTP_HOST,
+  SMTP_PORT: env.SMTP_PORT,
+  SMTP_FROM: env.SMTP_FROM,
+  SMTP_REQUIRE_TLS: env.SMTP_REQUIRE_TLS,
+};
+
+let smtp: SmtpSink;
+
+beforeAll(async () => {
+  smtp = await startSmtpSink();
+});
+
+beforeEach(async () => {
+  await resetDatabase();
+  smtp.messages.length = 0;
+  // The sink never offers TLS
+  Object.assign(env, { SMTP_HOST: smtp.host, SMTP_PORT: smtp.port, SMTP_FROM: 'Accounts <accounts@example.com>', SMTP_REQUIRE_TLS: false });
+});
+
+afterAll(async () => {
+  Object.assign(env, originalEnv);
+  await smtp.close();
+  await prisma.$disconnect();
+});
+
+const login = (email: string, password: string) => api().post('/api/v1/auth/login').send({ email, password });
+const refresh = (refreshToken: string) => api().post('/api/v1/auth/refresh').send({ refreshToken });
+
+async function requestResetCode(email: string): Promise<string> {
+  const sent = smtp.messages.length;
+  const res = await api().post('/api/v1/auth/password-reset/request').send({ email });
+  expect(res.status).toBe(202);
+
+  // The code is issued after the response, so wait for this request's email
+  for (let i = 0; i < 50 && smtp.messages.length === sent; i += 1) {
+    await new Promise((resolve) => setTimeout(resolve, 50));
+  }
+  const code = /Reset code: (\S+)/.exec(smtp.messages.at(-1)?.data ?? '')?.[1];
+  if (!code) {
+    throw new Error('No reset code was emailed');
+  }
+  return code;
+}
+
+describe('change password', () => {
+  it('changes the password and signs out every other session', async () => {
+    const { user } = await createTestUser();
+    const session = await loginAs(user);
+    const otherDevice = await issueRefreshToken(user.id, user.role);
+
+    const res = await api()
+      .post('/api/v1/auth/change-password')
+      .set(session.auth)
+      .send({ currentPassword: DEFAULT_PASSWORD, newPassword: NEW_PASSWORD });
+    expect(res.status).toBe(200);
+
+    expect((await refresh(otherDevice.token)).status).toBe(401);
+    expect((await api().get('/api/v1/auth/me').set(session.auth)).status).toBe(200);
+    expect((await refresh(session.refreshToken)).status).toBe(200);
+
+    expect((await login(user.email, DEFAULT_PASSWORD)).status).toBe(401);
+    expect((await login(user.email, NEW_PASSWORD)).status).toBe(200);
+
+    const audit = await prisma.auditLog.findFirstOrThrow({ where: { action: 'PASSWORD_CHANGED', targetId: user.id } });
+    expect(JSON.stringify(audit.metadata)).not.toContain(NEW_PASSWORD);
+  });
+
+  it('requires the current password and a policy-compliant new one', async () => {
+    const { user } = await createTestUser({ email: 'dispatcher@example.com' });
+    const session = await loginAs(user);
+    const change = (body: Record<string, string>) => api().post('/api/v1/auth/change-password').set(session.auth).send(body);
+
+    const wrongCurrent = await change({ currentPassword: 'not-my-password', newPassword: NEW_PASSWORD });
+    expect(wrongCurrent.status).toBe(400);
+    expect(wrongCurrent.body.message).toBe('Current password is incorrect');
+
+    for (const weak of ['Short-1', 'alllowercaseletters', 'Dispatcher-2026!']) {
+      const res = await change({ currentPassword: DEFAULT_PASSWORD, newPassword: weak });
+      expect(res.status).toBe(400);
+      expect(res.body.details.newPassword.length).toBeGreaterThan(0);
+    }
+
+    expect((await login(user.email, DEFAULT_PASSWORD)).status).toBe(200);
+  });
+});
+
+describe('password reset', () => {
+  it('emails a single-use code that sets a new password and ends all sessions', async () => {
+    const { user } = await createTestUser();
+    const session = await loginAs(user);
+
+    const code = await requestResetCode(user.email);
+    expect(smtp.messages[0]?.to).toEqual([user.email]);
+
+    const stored = await prisma.passwordResetToken.findFirstOrThrow({ where: { userId: user.id } });
+    expect(stored.tokenHash).not.toBe(code);
+
+    const confirm = await api().post('/api/v1/auth/password-reset/confirm').send({ token: code, password: NEW_PASSWORD });
+    expect(confirm.status).toBe(200);
+
+    const reused = await api().post('/api/v1/auth/password-reset/confirm').send({ token: code, password: 'Another-Secret-99' });
+    expect(reused.status).toBe(400);
+
+    expect((await api().get('/api/v1/auth/me').set(session.auth)).status).toBe(401);
+    expect((await refresh(session.refreshToken)).status).toBe(401);
+    expect((await login(user.email, NEW_PASSWORD)).status).toBe(200);
+  });
+
+  it('answers the same for unknown accounts without sending anything', async () => {
+    const res = await api().post('/api/v1/auth/password-reset/request').send({ email: 'nobody@example.com' });
+    expect(res.status).toBe(202);
+
+    const { user } = await createTestUser();
+    const known = await api().post('/api/v1/auth/password-reset/request').send({ email: user.email });
+    expect(known.body).toEqual(res.body);
+
+    await new Promise((resolve) => setTimeout(resolve, 200));
+    expect(smtp.messages.map((message) => message.to)).toEqual([[user.email]]);
+  });
+
+  it('rejects expired and superseded codes, and keeps a code after a weak password', async () => {
+    const { user } = await createTestUser();
+
+    const first = await requestResetCode(user.email);
+    const second = await requestResetCode(user.email);
+    const superseded = await api().post('/api/v1/auth/password-reset/confirm').send({ token: first, password: NEW_PASSWORD });
+    expect(superseded.status).toBe(400);
+
+    const weak = await api().post('/api/v1/auth/password-reset/confirm').send({ token: second, password: 'password' });
+    expect(weak.status).toBe(400);
+    expect(weak.body.details.password.length).toBeGreaterThan(0);
+
+    await prisma.passwordResetToken.updateMany({ where: { usedAt: null }, data: { expiresAt: new Date(Date.now() - 1000) } });
+    const expired = await api().post('/api/v1/auth/password-reset/confirm').send({ token: second, password: NEW_PASSWORD });
+    expect(expired.status).toBe(400);
+    expect(expired.body.message).toBe('Invalid or expired reset code');
+  });
+});
+
+describe('password policy for admins', () => {
+  it('applies to passwords set through user management', async () => {
+    const { user: admin } = await createTestUser({ role: 'ADMIN' });
+    const session = await loginAs(admin);
+
+    const created = await api().post('/api/v1/users').set(session.auth).send({ email: 'driver@example.com', password: 'secret1', role: 'USER' });
+    expect(created.status).toBe(400);
+
+    const { user } = await createTestUser({ email: 'carrier@example.com' });
+    const changed = await api().patch(`/api/v1/users/${user.id}/password`).set(session.auth).send({ password: 'Carrier-Rates-2026' });
+    expect(changed.status).toBe(400);
+    expect(changed.body.details.password).toEqual(['Password must not contain your email address']);
+  });
+});
+
+describe('password set by an admin', () => {
+  it('ends every session and refresh token of the user', async () => {
+    const { user: admin } = await createTestUser({ role: 'ADMIN' });
+    const adminSession = await loginAs(admin);
+    const { user } = await createTestUser();
+    const session = await loginAs(user);
+
+    const changed = await api().patch(`/api/v1/users/${user.id}/password`).set(adminSession.auth).send({ password: NEW_PASSWORD });
+    expect(changed.status).toBe(200);
+
+    expect((await api().get('/api/v1/auth/me').set(session.auth)).status).toBe(401);
+    expect((await refresh(session.refreshToken)).status).toBe(401);
+    expect(await prisma.sessionActivity.count({ where: { userId: user.id, isActive: true } })).toBe(0);
+    expect((await login(user.email, NEW_PASSWORD)).status).toBe(200);
+  });
+});
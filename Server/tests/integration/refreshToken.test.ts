@@ -0,0 +1,120 @@
+import { prisma } from '../../src/db/client';
+import { api, loginAs } from '../helpers/api';
+import { createTestUser, resetDatabase } from '../helpers/db';
+
+beforeEach(async () => {
+  await resetDatabase();
+});
+
+afterAll(async () => {
+  await prisma.$disconnect();
+});
+
+const refresh = (refreshToken: string) => api().post('/api/v1/auth/refresh').send({ refreshToken });
+
+describe('refresh token rotation', () => {
+  it('issues a new refresh token on every refresh', async () => {
+    const { user } = await createTestUser();
+    const session = await loginAs(user);
+
+    const first = await refresh(session.refreshToken);
+    expect(first.status).toBe(200);
+    expect(first.body.refreshToken).not.toBe(session.refreshToken);
+
+    const second = await refresh(first.body.refreshToken);
+    expect(second.status).toBe(200);
+
+    const tokens = await prisma.refreshToken.findMany({ where: { userId: user.id }, orderBy: { createdAt: 'asc' } });
+    expect(tokens).toHaveLength(3);
+    expect(new Set(tokens.map((token) => token.familyId)).size).toBe(1);
+    expect(tokens[0]?.replacedById).toBe(tokens[1]?.id);
+    expect(tokens[2]?.usedAt).toBeNull();
+  });
+
+  it('keeps the session activity pointed at the refreshed access token', async () => {
+    const { user } = await createTestUser();
+    const session = await loginAs(user);
+
+    const res = await refresh(session.refreshToken);
+
+    const activity = await prisma.sessionActivity.findFirstOrThrow({ where: { userId: user.id } });
+    expect(activity.sessionToken).toBe(res.body.accessToken);
+    expect(activity.isActive).toBe(true);
+  });
+
+  it('revokes the whole family and raises an alert when a used token is replayed', async () => {
+    const { user } = await createTestUser();
+    const session = await loginAs(user);
+
+    const rotated = await refresh(session.refreshToken);
+    expect(rotated.status).toBe(200);
+
+    const replay = await refresh(session.refreshToken);
+    expect(replay.status).toBe(401);
+
+    // The legitimate successor is dead too
+    const successor = await refresh(rotated.body.refreshToken);
+    expect(successor.status).toBe(401);
+
+    const outstanding = await prisma.refreshToken.count({ where: { userId: user.id, revokedAt: null } });
+    expect(outstanding).toBe(0);
+
+    const activity = await prisma.sessionActivity.findFirstOrThrow({ where: { userId: user.id } });
+    expect(activity).toMatchObject({ isActive: false, logoutReason: 'refresh_token_reuse' });
+
+    const alerts = await prisma.securityAlert.findMany({ where: { userId: user.id, alertType: 'REFRESH_TOKEN_REUSE' } });
+    expect(alerts).toHaveLength(1);
+    expect(alerts[0]?.severity).toBe('HIGH');
+  });
+});
+
+describe('refresh token revocation', () => {
+  it('revokes the refresh token on logout', async () => {
+    const { user } = await createTestUser();
+    const session = await loginAs(user);
+
+    const res = await api().post('/api/v1/auth/logout').set(session.auth);
+    expect(res.status).toBe(204);
+
+    expect((await refresh(session.refreshToken)).status).toBe(401);
+
+    const stored = await prisma.user.findUniqueOrThrow({ where: { id: user.id } });
+    expect(stored.currentSessionToken).toBeNull();
+  });
+
+  it('revokes the previous session refresh token on a new login', async () => {
+    const { user } = await createTestUser();
+    const first = await loginAs(user);
+    const second = await loginAs(user);
+
+    expect((await refresh(first.refreshToken)).status).toBe(401);
+    expect((await refresh(second.refreshToken)).status).toBe(200);
+  });
+
+  it('revokes the refresh token when an admin forces a logout', async () => {
+    const { user: admin } = await createTestUser({ role: 'ADMIN' });
+    const { user } = await createTestUser();
+    const adminSession = await loginAs(admin);
+    const session = await loginAs(user);
+
+    const activity = await prisma.sessionActivity.findFirstOrThrow({ where: { userId: user.id, isActive: true } });
+    const res = await api().post(`/api/v1/session-activity/${activity.id}/logout`).set(adminSession.auth);
+    expect(res.status).toBe(200);
+
+    expect((await refresh(session.refreshToken)).status).toBe(401);
+  });
+
+  it('revokes every refresh token when an admin logs out all sessions', async () => {
+    const { user: admin } = await createTestUser({ role: 'ADMIN' });
+    const { user } = await createTestUser();
+    const adminSession = await loginAs(admin);
+    const session = await loginAs(user);
+
+    const res = await api().post(`/api/v1/session-activity/logout-all/${user.id}`).set(adminSession.auth);
+    expect(res.status).toBe(200);
+
+    expect((await refresh(session.refreshToken)).status).toBe(401);
+    const tokens = await prisma.refreshToken.findMany({ where: { userId: user.id } });
+    expect(tokens.every((token) => token.revokedReason === 'forced_by_admin')).toBe(true);
+  });
+});
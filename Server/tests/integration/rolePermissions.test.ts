@@ -0,0 +1,233 @@
+import type { UserRole } from '@prisma/client';
+import { prisma } from '../../src/db/client';
+import { canManageRole, hasPermission, rolesWithPermission } from '../../src/config/permissions';
+import { api, loginAs } from '../helpers/api';
+import { createTestUser, resetDatabase } from '../helpers/db';
+
+beforeEach(async () => {
+  await resetDatabase();
+});
+
+afterAll(async () => {
+  await prisma.$disconnect();
+});
+
+async function actorWithRole(role: UserRole) {
+  const { user } = await createTestUser({ role });
+  return { actor: user, session: await loginAs(user) };
+}
+
+describe('permission matrix', () => {
+  it('only lets super admins manage admins and super admins', () => {
+    for (const target of ['SUPER_ADMIN', 'ADMIN'] as UserRole[]) {
+      expect(canManageRole('SUPER_ADMIN', 'create', target)).toBe(true);
+      expect(canManageRole('ADMIN', 'create', target)).toBe(false);
+      expect(canManageRole('ADMIN', 'disable', target)).toBe(false);
+      expect(canManageRole('ADMIN', 'delete', target)).toBe(false);
+    }
+    expect(canManageRole('ADMIN', 'modify', 'SUPPORT')).toBe(true);
+    expect(canManageRole('SUPPORT', 'modify', 'USER')).toBe(false);
+  });
+
+  it('gives support read access only', () => {
+    expect(hasPermission('SUPPORT', 'sessions:read')).toBe(true);
+    expect(hasPermission('SUPPORT', 'sessions:write')).toBe(false);
+    expect(rolesWithPermission('users:write')).toEqual(['SUPER_ADMIN', 'ADMIN']);
+    expect(rolesWithPermission('audit:read')).not.toContain('SUPPORT');
+  });
+});
+
+describe('SUPER_ADMIN', () => {
+  it('can create, promote, disable and delete admins', async () => {
+    const { session } = await actorWithRole('SUPER_ADMIN');
+
+    const created = await api()
+      .post('/api/v1/users')
+      .set(session.auth)
+      .send({ email: 'new-admin@example.com', password: 'Password123!', role: 'ADMIN' });
+    expect(created.status).toBe(201);
+
+    const promote = await api().patch(`/api/v1/users/${created.body.id}/role`).set(session.auth).send({ role: 'SUPER_ADMIN' });
+    expect(promote.status).toBe(200);
+
+    const disable = await api().patch(`/api/v1/users/${created.body.id}/status`).set(session.auth).send({ status: 'DISABLED' });
+    expect(disable.status).toBe(200);
+
+    expect((await api().delete(`/api/v1/users/${created.body.id}`).set(session.auth)).status).toBe(200);
+  });
+
+  it('cannot demote, disable or delete themselves', async () => {
+    const { actor, session } = await actorWithRole('SUPER_ADMIN');
+
+    expect((await api().patch(`/api/v1/users/${actor.id}/role`).set(session.auth).send({ role: 'USER' })).status).toBe(403);
+    expect((await api().patch(`/api/v1/users/${actor.id}/status`).set(session.auth).send({ status: 'DISABLED' })).status).toBe(403);
+    expect((await api().delete(`/api/v1/users/${actor.id}`).set(session.auth)).status).toBe(403);
+
+    const stored = await prisma.user.findUniqueOrThrow({ where: { id: actor.id } });
+    expect(stored).toMatchObject({ role: 'SUPER_ADMIN', status: 'ACTIVE' });
+  });
+});
+
+describe('ADMIN', () => {
+  it('manages support and regular users', async () => {
+    const { session } = await actorWithRole('ADMIN');
+    const { user } = await createTestUser();
+
+    const created = await api()
+      .post('/api/v1/users')
+      .set(session.auth)
+      .send({ email: 'helpdesk@example.com', password: 'Password123!', role: 'SUPPORT' });
+    expect(created.status).toBe(201);
+
+    expect((await api().patch(`/api/v1/users/${user.id}/role`).set(session.auth).send({ role: 'SUPPORT' })).status).toBe(200);
+    expect((await api().patch(`/api/v1/users/${user.id}/status`).set(session.auth).send({ status: 'SUSPENDED' })).status).toBe(200);
+    expect((await api().delete(`/api/v1/users/${created.body.id}`).set(session.auth)).status).toBe(200);
+  });
+
+  it('cannot mint admins or super admins', async () => {
+    const { session } = await actorWithRole('ADMIN');
+    const { user } = await createTestUser();
+
+    for (const role of ['ADMIN', 'SUPER_ADMIN']) {
+      const created = await api()
+        .post('/api/v1/users')
+        .set(session.auth)
+        .send({ email: `${role.toLowerCase()}@example.com`, password: 'Password123!', role });
+      expect(created.status).toBe(403);
+
+      expect((await api().patch(`/api/v1/users/${user.id}/role`).set(session.auth).send({ role })).status).toBe(403);
+      expect((await api().patch(`/api/v1/users/${user.id}`).set(session.auth).send({ role })).status).toBe(403);
+    }
+
+    expect(await prisma.user.count({ where: { role: { in: ['ADMIN', 'SUPER_ADMIN'] } } })).toBe(1);
+    expect((await prisma.user.findUniqueOrThrow({ where: { id: user.id } })).role).toBe('USER');
+  });
+
+  it('cannot disable, modify or delete super admins or other admins', async () => {
+    const { session } = await actorWithRole('ADMIN');
+    const { user: superAdmin } = await createTestUser({ role: 'SUPER_ADMIN' });
+    const { user: peer } = await createTestUser({ role: 'ADMIN' });
+
+    for (const target of [superAdmin, peer]) {
+      expect((await api().patch(`/api/v1/users/${target.id}/status`).set(session.auth).send({ status: 'DISABLED' })).status).toBe(403);
+      expect((await api().patch(`/api/v1/users/${target.id}/role`).set(session.auth).send({ role: 'USER' })).status).toBe(403);
+      expect((await api().patch(`/api/v1/users/${target.id}/password`).set(session.auth).send({ password: 'Hijacked123!' })).status).toBe(403);
+      expect((await api().delete(`/api/v1/users/${target.id}`).set(session.auth)).status).toBe(403);
+    }
+
+    const stored = await prisma.user.findUniqueOrThrow({ where: { id: superAdmin.id } });
+    expect(stored).toMatchObject({ role: 'SUPER_ADMIN', status: 'ACTIVE' });
+  });
+
+  it('cannot sign out or change the billing of super admins or other admins', async () => {
+    const { session } = await actorWithRole('ADMIN');
+    const { user: superAdmin } = await createTestUser({ role: 'SUPER_ADMIN' });
+    const { user: peer } = await createTestUser({ role: 'ADMIN' });
+    await loginAs(superAdmin);
+    await loginAs(peer);
+
+    for (const target of [superAdmin, peer]) {
+      const activity = await prisma.sessionActivity.findFirstOrThrow({ where: { userId: target.id, isActive: true } });
+      const payment = await prisma.payment.create({
+        data: { userId: target.id, amount: 10, billingCycle: 'WEEKLY', cycleStartDate: new Date(), cycleEndDate: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000) },
+      });
+
+      expect((await api().post(`/api/v1/session-activity/${activity.id}/logout`).set(session.auth)).status).toBe(403);
+      expect((await api().post(`/api/v1/session-activity/logout-all/${target.id}`).set(session.auth)).status).toBe(403);
+      expect((await api().post(`/api/v1/billing/${target.id}/start-cycle`).set(session.auth).send({ cycle: 'WEEKLY' })).status).toBe(403);
+      expect((await api().post(`/api/v1/billing/${target.id}/add-payment`).set(session.auth).send({ cycle: 'WEEKLY', amount: 10 })).status).toBe(403);
+      expect((await api().post(`/api/v1/billing/${target.id}/set-trial`).set(session.auth).send({ hours: 24 })).status).toBe(403);
+      expect((await api().post(`/api/v1/billing/payments/${payment.id}/refund`).set(session.auth).send({})).status).toBe(403);
+      expect((await api().post(`/api/v1/billing/payments/${payment.id}/void`).set(session.auth).send({})).status).toBe(403);
+      expect((await api().post(`/api/v1/billing/payments/${payment.id}/installments`).set(session.auth).send({ amount: 1 })).status).toBe(403);
+
+      expect(await prisma.sessionActivity.count({ where: { userId: target.id, isActive: true } })).toBe(1);
+      expect(await prisma.payment.count({ where: { userId: target.id } })).toBe(1);
+    }
+  });
+
+  it('cannot escalate themselves', async () => {
+    const { actor, session } = await actorWithRole('ADMIN');
+
+    expect((await api().patch(`/api/v1/users/${actor.id}/role`).set(session.auth).send({ role: 'SUPER_ADMIN' })).status).toBe(403);
+    expect((await api().patch(`/api/v1/users/${actor.id}`).set(session.auth).send({ role: 'SUPER_ADMIN' })).status).toBe(403);
+
+    const audit = await prisma.auditLog.findFirst({ where: { action: 'USER_ROLE_CHANGED_FAILED', targetId: actor.id } });
+    expect(audit?.actorId).toBe(actor.id);
+  });
+
+  it('cannot set their own password or email without the current password', async () => {
+    const { actor, session } = await actorWithRole('ADMIN');
+
+    const password = await api().patch(`/api/v1/users/${actor.id}/password`).set(session.auth).send({ password: 'Rotated123!' });
+    expect(password.status).toBe(403);
+    expect(password.body.message).toContain('/auth/change-password');
+    expect((await api().patch(`/api/v1/users/${actor.id}`).set(session.auth).send({ password: 'Rotated123!' })).status).toBe(403);
+    expect((await api().patch(`/api/v1/users/${actor.id}`).set(session.auth).send({ email: 'elsewhere@example.com' })).status).toBe(403);
+
+    const stored = await prisma.user.findUniqueOrThrow({ where: { id: actor.id } });
+    expect(stored.email).toBe(actor.email);
+    expect(stored.passwordHash).toBe(actor.passwordHash);
+    expect((await api().get('/api/v1/auth/me').set(session.auth)).status).toBe(200);
+  });
+
+  it('rejects malformed payloads with a 400', async () => {
+    const { session } = await actorWithRole('ADMIN');
+
+    const res = await api().post('/api/v1/users').set(session.auth).send({ email: 'not-an-email', password: 'x', role: 'OWNER' });
+    expect(res.status).toBe(400);
+  });
+});
+
+describe('SUPPORT', () => {
+  it('can read users, sessions, domains, billing and login history', async () => {
+    const { session } = await actorWithRole('SUPPORT');
+    const { user } = await createTestUser();
+
+    for (const path of ['/users', '/sessions', '/domains', `/billing/${user.id}/status`, '/login-history', '/session-activity/active']) {
+      const res = await api().get(`/api/v1${path}`).set(session.auth);
+      expect({ path, status: res.status }).toEqual({ path, status: 200 });
+    }
+  });
+
+  it('cannot change anything', async () => {
+    const { session } = await actorWithRole('SUPPORT');
+    const { user } = await createTestUser();
+    const datSession = await prisma.datSession.create({ data: { name: 'Read Only Session' } });
+
+    const attempts = [
+      api().post('/api/v1/users').set(session.auth).send({ email: 'x@example.com', password: 'Password123!', role: 'USER' }),
+      api().patch(`/api/v1/users/${user.id}/status`).set(session.auth).send({ status: 'DISABLED' }),
+      api().delete(`/api/v1/users/${user.id}`).set(session.auth),
+      api().post('/api/v1/sessions').set(session.auth).send({ name: 'Support Session' }),
+      api().patch(`/api/v1/sessions/${datSession.id}`).set(session.auth).send({ name: 'Renamed' }),
+      api().delete(`/api/v1/sessions/${datSession.id}`).set(session.auth),
+      api().post('/api/v1/domains').set(session.auth).send({ label: 'Support', baseUrl: 'https://support.example.com' }),
+      api().post(`/api/v1/billing/${user.id}/add-payment`).set(session.auth).send({ cycle: 'MONTHLY', amount: 50 }),
+      api().post(`/api/v1/session-activity/logout-all/${user.id}`).set(session.auth),
+    ];
+
+    for (const res of await Promise.all(attempts)) {
+      expect(res.status).toBe(403);
+    }
+    expect((await prisma.user.findUniqueOrThrow({ where: { id: user.id } })).status).toBe('ACTIVE');
+    expect(await prisma.datSession.count()).toBe(1);
+  });
+
+  it('cannot see the audit trail or security alerts', async () => {
+    const { session } = await actorWithRole('SUPPORT');
+
+    expect((await api().get('/api/v1/audits').set(session.auth)).status).toBe(403);
+    expect((await api().get('/api/v1/security-alerts').set(session.auth)).status).toBe(403);
+  });
+});
+
+describe('USER', () => {
+  it('has no access to staff endpoints', async () => {
+    const { session } = await actorWithRole('USER');
+
+    for (const path of ['/users', '/sessions', '/domains', '/login-history']) {
+      expect((await api().get(`/api/v1${path}`).set(session.auth)).status).toBe(403);
+    }
+  });
+});
@@ -0,0 +1,188 @@
+import { createHash } from 'crypto';
+import { prisma } from '../../src/db/client';
+import { api, loginAs } from '../helpers/api';
+import { createDatSession, createTestUser, resetDatabase } from '../helpers/db';
+
+beforeEach(async () => {
+  await resetDatabase();
+});
+
+afterAll(async () => {
+  await prisma.$disconnect();
+});
+
+function sha256(buffer: Buffer) {
+  return createHash('sha256').update(buffer).digest('hex');
+}
+
+async function putBundle(sessionId: string, auth: { Authorization: string }, body: Buffer) {
+  const uploadRes = await api()
+    .post(`/api/v1/sessions/${sessionId}/request-upload`)
+    .set(auth)
+    .send({ contentType: 'application/zip' });
+  expect(uploadRes.status).toBe(200);
+
+  const put = await fetch(uploadRes.body.url, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/zip' },
+    body,
+  });
+  expect(put.ok).toBe(true);
+  return uploadRes.body.bundleKey as string;
+}
+
+describe('session bundle upload and download', () => {
+  it('uploads a bundle through a signed URL and serves it back', async () => {
+    const { sessionId, adminSession } = await createDatSession();
+    const bundle = Buffer.from('PK\u0003\u0004 fake chromium profile bundle');
+
+    const uploadRes = await api()
+      .post(`/api/v1/sessions/${sessionId}/request-upload`)
+      .set(adminSession.auth)
+      .send({ contentType: 'application/zip' });
+    expect(uploadRes.status).toBe(200);
+    expect(uploadRes.body.bundleKey).toMatch(new RegExp(`^sessions/${sessionId}/\\d+-[0-9a-f-]+\\.zip$`));
+
+    const put = await fetch(uploadRes.body.url, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/zip' },
+      body: bundle,
+    });
+    expect(put.ok).toBe(true);
+
+    const completeRes = await api()
+      .post(`/api/v1/sessions/${sessionId}/complete-upload`)
+      .set(adminSession.auth)
+      .send({ checksum: sha256(bundle), fileSizeBytes: bundle.length });
+    expect(completeRes.status).toBe(204);
+
+    const session = await prisma.datSession.findUniqueOrThrow({ where: { id: sessionId } });
+    expect(session).toMatchObject({
+      status: 'READY',
+      bundleKey: uploadRes.body.bundleKey,
+      bundleChecksum: sha256(bundle),
+      bundleSizeBytes: bundle.length,
+      bundleVersion: 1,
+    });
+
+    // Any authenticated user may download the shared bundle
+    const { user } = await createTestUser();
+    const userSession = await loginAs(user);
+    const downloadRes = await api()
+      .post(`/api/v1/sessions/${sessionId}/request-download`)
+      .set(userSession.auth)
+      .send({});
+    expect(downloadRes.status).toBe(200);
+    expect(downloadRes.body).toMatchObject({
+      bundleKey: uploadRes.body.bundleKey,
+      checksum: sha256(bundle),
+      sizeBytes: bundle.length,
+      bundleVersion: 1,
+    });
+
+    const get = await fetch(downloadRes.body.url);
+    expect(get.ok).toBe(true);
+    expect(Buffer.from(await get.arrayBuffer())).toEqual(bundle);
+
+    const logs = await prisma.datSessionLog.findMany({ where: { sessionId }, orderBy: { createdAt: 'asc' } });
+    expect(logs.map((log) => log.message)).toEqual([
+      'Generated bundle upload URL',
+      'Session bundle upload completed',
+      'Generated bundle download URL',
+    ]);
+
+    const audits = await prisma.auditLog.findMany({ where: { targetId: sessionId } });
+    expect(audits.map((audit) => audit.action)).toEqual(
+      expect.arrayContaining([
+        'SESSION_BUNDLE_UPLOAD_REQUESTED',
+        'SESSION_BUNDLE_UPLOAD_COMPLETED',
+        'SESSION_BUNDLE_DOWNLOAD_REQUESTED',
+      ])
+    );
+  });
+
+  it('rejects an upload whose stored object does not match the reported checksum', async () => {
+    const { sessionId, adminSession } = await createDatSession();
+    const bundle = Buffer.from('PK\u0003\u0004 bundle as uploaded');
+    await putBundle(sessionId, adminSession.auth, bundle);
+
+    const res = await api()
+      .post(`/api/v1/sessions/${sessionId}/complete-upload`)
+      .set(adminSession.auth)
+      .send({ checksum: sha256(Buffer.from('something else')), fileSizeBytes: bundle.length });
+    expect(res.status).toBe(422);
+    expect(res.body.details).toMatchObject({ actualChecksum: sha256(bundle), actualSizeBytes: bundle.length });
+
+    const session = await prisma.datSession.findUniqueOrThrow({ where: { id: sessionId } });
+    expect(session).toMatchObject({ bundleChecksum: null, bundleVersion: 0 });
+
+    const log = await prisma.datSessionLog.findFirst({ where: { sessionId, level: 'ERROR' } });
+    expect(log?.message).toBe('Session bundle failed integrity check');
+  });
+
+  it('rejects a truncated upload by size before hashing it', async () => {
+    const { sessionId, adminSession } = await createDatSession();
+    const bundle = Buffer.from('PK\u0003\u0004 full bundle contents');
+    await putBundle(sessionId, adminSession.auth, bundle.subarray(0, 10));
+
+    const res = await api()
+      .post(`/api/v1/sessions/${sessionId}/complete-upload`)
+      .set(adminSession.auth)
+      .send({ checksum: sha256(bundle), fileSizeBytes: bundle.length });
+    expect(res.status).toBe(422);
+    expect(res.body.details).toMatchObject({ expectedSizeBytes: bundle.length, actualSizeBytes: 10 });
+  });
+
+  it('rejects completion when nothing was uploaded, or without a SHA-256 checksum', async () => {
+    const { sessionId, adminSession } = await createDatSession();
+    await api().post(`/api/v1/sessions/${sessionId}/request-upload`).set(adminSession.auth).send({});
+
+    const missing = await api()
+      .post(`/api/v1/sessions/${sessionId}/complete-upload`)
+      .set(adminSession.auth)
+      .send({ checksum: sha256(Buffer.from('never uploaded')) });
+    expect(missing.status).toBe(409);
+
+    const notAHash = await api()
+      .post(`/api/v1/sessions/${sessionId}/complete-upload`)
+      .set(adminSession.auth)
+      .send({ checksum: 'sessions/abc/123.zip' });
+    expect(notAHash.status).toBe(400);
+  });
+
+  it('refuses a download before any bundle has been uploaded', async () => {
+    const { sessionId, adminSession } = await createDatSession();
+
+    const res = await api().post(`/api/v1/sessions/${sessionId}/request-download`).set(adminSession.auth).send({});
+    expect(res.status).toBe(409);
+  });
+
+  it('returns 404 for an unknown session', async () => {
+    const { user } = await createTestUser();
+    const session = await loginAs(user);
+
+    const res = await api().post('/api/v1/sessions/does-not-exist/request-upload').set(session.auth).send({});
+    expect(res.status).toBe(404);
+  });
+
+  it('requires authentication', async () => {
+    const { sessionId } = await createDatSession();
+
+    const res = await api().post(`/api/v1/sessions/${sessionId}/request-download`).send({});
+    expect(res.status).toBe(401);
+  });
+
+  it('records client events against the session log', async () => {
+    const { sessionId, adminSession } = await createDatSession();
+
+    const res = await api()
+      .post(`/api/v1/sessions/${sessionId}/events`)
+      .set(adminSession.auth)
+      .send({ level: 'WARN', message: 'Profile extraction slow', context: { seconds: 42 } });
+    expect(res.status).toBe(202);
+
+    const logs = await prisma.datSessionLog.findMany({ where: { sessionId } });
+    expect(logs).toHaveLength(1);
+    expect(logs[0]).toMatchObject({ level: 'WARN', message: 'Profile extraction slow', context: { seconds: 42 } });
+  });
+});
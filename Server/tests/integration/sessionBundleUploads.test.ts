@@ -0,0 +1,123 @@
+import { createHash } from 'crypto';
+import { prisma } from '../../src/db/client';
+import { expireAbandonedUploads } from '../../src/services/sessionBundle.service';
+import { api, type LoggedInSession } from '../helpers/api';
+import { createDatSession, resetDatabase } from '../helpers/db';
+
+beforeEach(async () => {
+  await resetDatabase();
+});
+
+afterAll(async () => {
+  await prisma.$disconnect();
+});
+
+function bundleBody(contents: string) {
+  const body = Buffer.from(`PK\u0003\u0004 ${contents}`);
+  return { body, checksum: createHash('sha256').update(body).digest('hex') };
+}
+
+async function stageUpload(sessionId: string, session: LoggedInSession, body?: Buffer) {
+  const res = await api().post(`/api/v1/sessions/${sessionId}/request-upload`).set(session.auth).send({});
+  expect(res.status).toBe(200);
+  if (body) {
+    const put = await fetch(res.body.url, { method: 'PUT', headers: { 'Content-Type': 'application/zip' }, body });
+    expect(put.ok).toBe(true);
+  }
+  return res.body as { url: string; bundleKey: string; uploadExpiresAt: string };
+}
+
+async function publishBundle(sessionId: string, session: LoggedInSession, contents: string) {
+  const { body, checksum } = bundleBody(contents);
+  const { bundleKey } = await stageUpload(sessionId, session, body);
+  const res = await api()
+    .post(`/api/v1/sessions/${sessionId}/complete-upload`)
+    .set(session.auth)
+    .send({ bundleKey, checksum, fileSizeBytes: body.length });
+  expect(res.status).toBe(204);
+  return bundleKey;
+}
+
+async function storageHas(url: string) {
+  return (await fetch(url, { method: 'HEAD' })).ok;
+}
+
+describe('staged bundle uploads', () => {
+  it('keeps serving the live bundle until the staged upload is confirmed', async () => {
+    const { sessionId, adminSession } = await createDatSession();
+    const liveKey = await publishBundle(sessionId, adminSession, 'live capture');
+
+    const staged = await stageUpload(sessionId, adminSession);
+    expect(new Date(staged.uploadExpiresAt).getTime()).toBeGreaterThan(Date.now());
+
+    const session = await prisma.datSession.findUniqueOrThrow({ where: { id: sessionId } });
+    expect(session).toMatchObject({ status: 'UPLOADING', bundleKey: liveKey });
+
+    const download = await api().post(`/api/v1/sessions/${sessionId}/request-download`).set(adminSession.auth).send({});
+    expect(download.body.bundleKey).toBe(liveKey);
+    expect(await storageHas(download.body.url)).toBe(true);
+  });
+
+  it('refuses to complete without a pending upload or before the object exists', async () => {
+    const { sessionId, adminSession } = await createDatSession();
+    const { checksum } = bundleBody('never staged');
+
+    const unstaged = await api().post(`/api/v1/sessions/${sessionId}/complete-upload`).set(adminSession.auth).send({ checksum });
+    expect(unstaged.status).toBe(409);
+
+    await stageUpload(sessionId, adminSession);
+    const notUploaded = await api().post(`/api/v1/sessions/${sessionId}/complete-upload`).set(adminSession.auth).send({ checksum });
+    expect(notUploaded.status).toBe(409);
+
+    const upload = await prisma.sessionBundleUpload.findFirstOrThrow({ where: { sessionId } });
+    expect(upload.status).toBe('PENDING');
+  });
+
+  it('lets a newer upload request supersede an older one', async () => {
+    const { sessionId, adminSession } = await createDatSession();
+    const { body, checksum } = bundleBody('first attempt');
+    const first = await stageUpload(sessionId, adminSession, body);
+    await stageUpload(sessionId, adminSession);
+
+    expect(await storageHas(first.url)).toBe(false);
+    const res = await api()
+      .post(`/api/v1/sessions/${sessionId}/complete-upload`)
+      .set(adminSession.auth)
+      .send({ bundleKey: first.bundleKey, checksum, fileSizeBytes: body.length });
+    expect(res.status).toBe(409);
+  });
+
+  it('expires abandoned uploads and restores the prior status', async () => {
+    const { sessionId, adminSession } = await createDatSession();
+    const liveKey = await publishBundle(sessionId, adminSession, 'live capture');
+    const { body } = bundleBody('abandoned capture');
+    const staged = await stageUpload(sessionId, adminSession, body);
+
+    await prisma.sessionBundleUpload.updateMany({ where: { bundleKey: staged.bundleKey }, data: { expiresAt: new Date(Date.now() - 1000) } });
+    expect(await expireAbandonedUploads()).toEqual({ expired: 1 });
+    expect(await expireAbandonedUploads()).toEqual({ expired: 0 });
+
+    const session = await prisma.datSession.findUniqueOrThrow({ where: { id: sessionId } });
+    expect(session).toMatchObject({ status: 'READY', bundleKey: liveKey, bundleVersion: 1 });
+    expect(await storageHas(staged.url)).toBe(false);
+
+    const log = await prisma.datSessionLog.findFirst({ where: { sessionId, message: 'Abandoned bundle upload expired' } });
+    expect(log?.context).toMatchObject({ bundleKey: staged.bundleKey, restoredStatus: 'READY' });
+  });
+
+  it('rejects completion after the upload window even before the janitor runs', async () => {
+    const { sessionId, adminSession } = await createDatSession();
+    const { body, checksum } = bundleBody('late capture');
+    const staged = await stageUpload(sessionId, adminSession, body);
+    await prisma.sessionBundleUpload.updateMany({ where: { bundleKey: staged.bundleKey }, data: { expiresAt: new Date(Date.now() - 1000) } });
+
+    const res = await api()
+      .post(`/api/v1/sessions/${sessionId}/complete-upload`)
+      .set(adminSession.auth)
+      .send({ bundleKey: staged.bundleKey, checksum, fileSizeBytes: body.length });
+    expect(res.status).toBe(410);
+
+    const session = await prisma.datSession.findUniqueOrThrow({ where: { id: sessionId } });
+    expect(session).toMatchObject({ status: 'PENDING', bundleKey: null });
+  });
+});
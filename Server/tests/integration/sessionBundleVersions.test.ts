@@ -0,0 +1,129 @@
+import { createHash } from 'crypto';
+import { HeadObjectCommand } from '@aws-sdk/client-s3';
+import { prisma } from '../../src/db/client';
+import { getObjectStorageClient } from '../../src/config/storage';
+import { pruneSessionBundleVersions } from '../../src/services/sessionBundle.service';
+import { api, loginAs, type LoggedInSession } from '../helpers/api';
+import { createDatSession, createTestUser, resetDatabase } from '../helpers/db';
+
+beforeEach(async () => {
+  await resetDatabase();
+});
+
+afterAll(async () => {
+  await prisma.$disconnect();
+});
+
+async function uploadBundle(sessionId: string, session: LoggedInSession, contents: string, notes?: string) {
+  const body = Buffer.from(`PK\u0003\u0004 ${contents}`);
+  const uploadRes = await api().post(`/api/v1/sessions/${sessionId}/request-upload`).set(session.auth).send({});
+  expect(uploadRes.status).toBe(200);
+
+  const put = await fetch(uploadRes.body.url, { method: 'PUT', headers: { 'Content-Type': 'application/zip' }, body });
+  expect(put.ok).toBe(true);
+
+  const completeRes = await api()
+    .post(`/api/v1/sessions/${sessionId}/complete-upload`)
+    .set(session.auth)
+    .send({ checksum: createHash('sha256').update(body).digest('hex'), fileSizeBytes: body.length, notes });
+  expect(completeRes.status).toBe(204);
+  return uploadRes.body.bundleKey as string;
+}
+
+async function existsInStorage(key: string) {
+  const { client, bucket } = getObjectStorageClient();
+  try {
+    await client.send(new HeadObjectCommand({ Bucket: bucket, Key: key }));
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+describe('session bundle versions', () => {
+  it('records every upload with its uploader, checksum, size and notes', async () => {
+    const { sessionId, admin, adminSession } = await createDatSession();
+    const firstKey = await uploadBundle(sessionId, adminSession, 'first capture', 'Initial capture');
+    const secondKey = await uploadBundle(sessionId, adminSession, 'second capture');
+
+    const res = await api().get(`/api/v1/sessions/${sessionId}/bundle-versions`).set(adminSession.auth);
+    expect(res.status).toBe(200);
+    expect(res.body.currentVersion).toBe(2);
+    expect(res.body.versions).toHaveLength(2);
+    expect(res.body.versions[0]).toMatchObject({ version: 2, bundleKey: secondKey, isCurrent: true, prunedAt: null });
+    expect(res.body.versions[1]).toMatchObject({
+      version: 1,
+      bundleKey: firstKey,
+      notes: 'Initial capture',
+      isCurrent: false,
+      sizeBytes: Buffer.from('PK\u0003\u0004 first capture').length,
+      uploadedBy: { id: admin.id },
+    });
+    expect(res.body.versions[1].checksum).toMatch(/^[a-f0-9]{64}$/);
+  });
+
+  it('rolls back to an earlier version and keeps numbering forward', async () => {
+    const { sessionId, adminSession } = await createDatSession();
+    const firstKey = await uploadBundle(sessionId, adminSession, 'good capture');
+    await uploadBundle(sessionId, adminSession, 'bad capture');
+
+    const rollback = await api()
+      .post(`/api/v1/sessions/${sessionId}/bundle-versions/1/rollback`)
+      .set(adminSession.auth)
+      .send({ notes: 'Capture 2 logs out immediately' });
+    expect(rollback.status).toBe(200);
+    expect(rollback.body).toEqual({ previousVersion: 2, bundleVersion: 1, bundleKey: firstKey });
+
+    const download = await api().post(`/api/v1/sessions/${sessionId}/request-download`).set(adminSession.auth).send({});
+    expect(download.body).toMatchObject({ bundleKey: firstKey, bundleVersion: 1 });
+
+    await uploadBundle(sessionId, adminSession, 'fixed capture');
+    const session = await prisma.datSession.findUniqueOrThrow({ where: { id: sessionId } });
+    expect(session.bundleVersion).toBe(3);
+
+    const audit = await prisma.auditLog.findFirst({ where: { action: 'SESSION_BUNDLE_ROLLED_BACK', targetId: sessionId } });
+    expect(audit?.metadata).toMatchObject({ fromVersion: 2, toVersion: 1 });
+  });
+
+  it('deletes versions beyond the retention limit from storage, never the live one', async () => {
+    const { sessionId, adminSession } = await createDatSession();
+    const keys = [];
+    for (let i = 1; i <= 4; i += 1) {
+      keys.push(await uploadBundle(sessionId, adminSession, `capture ${i}`));
+    }
+
+    // Serve version 1 again so it must survive pruning
+    expect(
+      (await api().post(`/api/v1/sessions/${sessionId}/bundle-versions/1/rollback`).set(adminSession.auth).send({})).status
+    ).toBe(200);
+
+    expect(await pruneSessionBundleVersions(sessionId, 2)).toEqual([2]);
+    expect(await existsInStorage(keys[0]!)).toBe(true);
+    expect(await existsInStorage(keys[1]!)).toBe(false);
+    expect(await existsInStorage(keys[3]!)).toBe(true);
+
+    const rollback = await api()
+      .post(`/api/v1/sessions/${sessionId}/bundle-versions/2/rollback`)
+      .set(adminSession.auth)
+      .send({});
+    expect(rollback.status).toBe(410);
+  });
+
+  it('validates the target version and restricts rollback to admins', async () => {
+    const { sessionId, adminSession } = await createDatSession();
+    await uploadBundle(sessionId, adminSession, 'only capture');
+
+    const missing = await api().post(`/api/v1/sessions/${sessionId}/bundle-versions/9/rollback`).set(adminSession.auth).send({});
+    expect(missing.status).toBe(404);
+
+    const invalid = await api().post(`/api/v1/sessions/${sessionId}/bundle-versions/latest/rollback`).set(adminSession.auth).send({});
+    expect(invalid.status).toBe(400);
+
+    const { user: support } = await createTestUser({ role: 'SUPPORT' });
+    const supportSession = await loginAs(support);
+    expect((await api().get(`/api/v1/sessions/${sessionId}/bundle-versions`).set(supportSession.auth)).status).toBe(200);
+    expect(
+      (await api().post(`/api/v1/sessions/${sessionId}/bundle-versions/1/rollback`).set(supportSession.auth).send({})).status
+    ).toBe(403);
+  });
+});
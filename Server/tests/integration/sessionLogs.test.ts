@@ -0,0 +1,148 @@
+import { prisma } from '../../src/db/client';
+import { api, loginAs } from '../helpers/api';
+import { createDatSession, createTestUser, resetDatabase } from '../helpers/db';
+
+beforeEach(async () => {
+  await resetDatabase();
+});
+
+afterAll(async () => {
+  await prisma.$disconnect();
+});
+
+async function seedLogs(sessionId: string, count: number, level: 'INFO' | 'WARN' | 'ERROR' = 'INFO') {
+  const base = Date.now() - count * 1000;
+  for (let i = 0; i < count; i += 1) {
+    await prisma.datSessionLog.create({
+      data: { sessionId, level, message: `entry ${i}`, createdAt: new Date(base + i * 1000) },
+    });
+  }
+}
+
+describe('GET /sessions/:id/logs', () => {
+  it('records the triggering user and returns it with each entry', async () => {
+    const { sessionId, adminSession } = await createDatSession();
+    const { user } = await createTestUser({ email: 'operator@example.com' });
+    const userSession = await loginAs(user);
+
+    const eventRes = await api()
+      .post(`/api/v1/sessions/${sessionId}/events`)
+      .set(userSession.auth)
+      .send({ level: 'WARN', message: 'Profile lock detected' });
+    expect(eventRes.status).toBe(202);
+
+    const res = await api().get(`/api/v1/sessions/${sessionId}/logs`).set(adminSession.auth);
+    expect(res.status).toBe(200);
+    expect(res.body.nextCursor).toBeNull();
+    expect(res.body.logs).toHaveLength(1);
+    expect(res.body.logs[0]).toMatchObject({
+      level: 'WARN',
+      message: 'Profile lock detected',
+      actor: { id: user.id, email: 'operator@example.com', role: 'USER' },
+    });
+  });
+
+  it('pages newest first with a cursor', async () => {
+    const { sessionId, adminSession } = await createDatSession();
+    await seedLogs(sessionId, 5);
+
+    const first = await api().get(`/api/v1/sessions/${sessionId}/logs?limit=2`).set(adminSession.auth);
+    expect(first.status).toBe(200);
+    expect(first.body.logs.map((log: { message: string }) => log.message)).toEqual(['entry 4', 'entry 3']);
+    expect(first.body.nextCursor).toBe(first.body.logs[1].id);
+
+    const second = await api()
+      .get(`/api/v1/sessions/${sessionId}/logs?limit=2&cursor=${first.body.nextCursor}`)
+      .set(adminSession.auth);
+    expect(second.body.logs.map((log: { message: string }) => log.message)).toEqual(['entry 2', 'entry 1']);
+
+    const last = await api()
+      .get(`/api/v1/sessions/${sessionId}/logs?limit=2&cursor=${second.body.nextCursor}`)
+      .set(adminSession.auth);
+    expect(last.body.logs.map((log: { message: string }) => log.message)).toEqual(['entry 0']);
+    expect(last.body.nextCursor).toBeNull();
+  });
+
+  it('filters by level and date range', async () => {
+    const { sessionId, adminSession } = await createDatSession();
+    await seedLogs(sessionId, 3, 'INFO');
+    await seedLogs(sessionId, 2, 'ERROR');
+
+    const errors = await api().get(`/api/v1/sessions/${sessionId}/logs?level=ERROR`).set(adminSession.auth);
+    expect(errors.body.logs).toHaveLength(2);
+    expect(errors.body.logs.every((log: { level: string }) => log.level === 'ERROR')).toBe(true);
+
+    const future = new Date(Date.now() + 60_000).toISOString();
+    const none = await api().get(`/api/v1/sessions/${sessionId}/logs?from=${future}`).set(adminSession.auth);
+    expect(none.body.logs).toHaveLength(0);
+  });
+
+  it('tails entries written after the cursor', async () => {
+    const { sessionId, adminSession } = await createDatSession();
+    await seedLogs(sessionId, 2);
+
+    const start = await api().get(`/api/v1/sessions/${sessionId}/logs?tail=true`).set(adminSession.auth);
+    expect(start.body.logs).toHaveLength(0);
+    expect(start.body.nextCursor).toEqual(expect.any(String));
+
+    const pending = api()
+      .get(`/api/v1/sessions/${sessionId}/logs?tail=true&wait=5&after=${start.body.nextCursor}`)
+      .set(adminSession.auth)
+      .then((res) => res);
+    await new Promise((resolve) => setTimeout(resolve, 500));
+    await prisma.datSessionLog.create({ data: { sessionId, level: 'INFO', message: 'live entry' } });
+
+    const tailed = await pending;
+    expect(tailed.status).toBe(200);
+    expect(tailed.body.logs.map((log: { message: string }) => log.message)).toEqual(['live entry']);
+
+    const again = await api().get(`/api/v1/sessions/${sessionId}/logs?tail=true&after=${tailed.body.nextCursor}`).set(adminSession.auth);
+    expect(again.body.logs).toHaveLength(0);
+  });
+
+  it('tails an entry that commits after a later one was already returned, once', async () => {
+    const { sessionId, adminSession } = await createDatSession();
+    const tail = async (cursor: string) => {
+      const res = await api().get(`/api/v1/sessions/${sessionId}/logs?tail=true&after=${cursor}`).set(adminSession.auth);
+      expect(res.status).toBe(200);
+      return res.body as { logs: { message: string }[]; nextCursor: string };
+    };
+    await prisma.datSessionLog.create({ data: { sessionId, level: 'INFO', message: 'history', createdAt: new Date(Date.now() - 60 * 1000) } });
+
+    const start = await api().get(`/api/v1/sessions/${sessionId}/logs?tail=true`).set(adminSession.auth);
+    const now = Date.now();
+    await prisma.datSessionLog.create({ data: { sessionId, level: 'INFO', message: 'committed first', createdAt: new Date(now) } });
+    const first = await tail(start.body.nextCursor);
+    expect(first.logs.map((log) => log.message)).toEqual(['committed first']);
+
+    // Written by another worker a moment earlier, but committed only now
+    await prisma.datSessionLog.create({ data: { sessionId, level: 'INFO', message: 'committed second', createdAt: new Date(now - 500) } });
+    const second = await tail(first.nextCursor);
+    expect(second.logs.map((log) => log.message)).toEqual(['committed second']);
+
+    const third = await tail(second.nextCursor);
+    expect(third.logs).toHaveLength(0);
+  });
+
+  it('rejects unknown cursors and invalid filters', async () => {
+    const { sessionId, adminSession } = await createDatSession();
+
+    const badCursor = await api().get(`/api/v1/sessions/${sessionId}/logs?cursor=missing`).set(adminSession.auth);
+    expect(badCursor.status).toBe(400);
+
+    const badLevel = await api().get(`/api/v1/sessions/${sessionId}/logs?level=DEBUG`).set(adminSession.auth);
+    expect(badLevel.status).toBe(400);
+
+    const missing = await api().get('/api/v1/sessions/does-not-exist/logs').set(adminSession.auth);
+    expect(missing.status).toBe(404);
+  });
+
+  it('is not available to regular users', async () => {
+    const { sessionId } = await createDatSession();
+    const { user } = await createTestUser();
+    const userSession = await loginAs(user);
+
+    const res = await api().get(`/api/v1/sessions/${sessionId}/logs`).set(userSession.auth);
+    expect(res.status).toBe(403);
+  });
+});
@@ -0,0 +1,62 @@
+import { prisma } from '../../src/db/client';
+import { env } from '../../src/config/env';
+import { bootstrapSuperAdmin, findAdminsWithDefaultPassword } from '../../src/services/auth.service';
+import { createTestUser, resetDatabase } from '../helpers/db';
+
+const originalEmail = env.SUPER_ADMIN_EMAIL;
+const originalPassword = env.SUPER_ADMIN_PASSWORD;
+
+beforeEach(async () => {
+  await resetDatabase();
+});
+
+afterEach(() => {
+  env.SUPER_ADMIN_EMAIL = originalEmail;
+  env.SUPER_ADMIN_PASSWORD = originalPassword;
+});
+
+afterAll(async () => {
+  await prisma.$disconnect();
+});
+
+describe('first super admin', () => {
+  it('waits for setup when no credentials are configured', async () => {
+    env.SUPER_ADMIN_EMAIL = undefined;
+    env.SUPER_ADMIN_PASSWORD = undefined;
+
+    expect(await bootstrapSuperAdmin()).toBe('needs_setup');
+    expect(await prisma.user.count()).toBe(0);
+  });
+
+  it('creates the account once from the environment', async () => {
+    env.SUPER_ADMIN_EMAIL = 'owner@example.com';
+    env.SUPER_ADMIN_PASSWORD = 'Fresh-Start-2026';
+
+    expect(await bootstrapSuperAdmin()).toBe('created');
+    expect(await bootstrapSuperAdmin()).toBe('exists');
+
+    const admins = await prisma.user.findMany({ where: { role: 'SUPER_ADMIN' } });
+    expect(admins.map((admin) => admin.email)).toEqual(['owner@example.com']);
+  });
+
+  it('refuses a published default or weak password', async () => {
+    env.SUPER_ADMIN_EMAIL = 'owner@example.com';
+
+    env.SUPER_ADMIN_PASSWORD = 'ChangeMeSuperSecure123!';
+    await expect(bootstrapSuperAdmin()).rejects.toMatchObject({ statusCode: 400 });
+
+    env.SUPER_ADMIN_PASSWORD = 'short';
+    await expect(bootstrapSuperAdmin()).rejects.toMatchObject({ statusCode: 400 });
+
+    expect(await prisma.user.count()).toBe(0);
+  });
+
+  it('reports active admins that still accept a published default password', async () => {
+    const { user: exposed } = await createTestUser({ role: 'SUPER_ADMIN', password: 'ChangeMeSuperSecure123!' });
+    await createTestUser({ role: 'ADMIN', password: 'ChangeMeSuperSecure123!', status: 'DISABLED' });
+    await createTestUser({ role: 'USER', password: 'ChangeMeSuperSecure123!' });
+    await createTestUser({ role: 'ADMIN' });
+
+    expect(await findAdminsWithDefaultPassword()).toEqual([exposed.email]);
+  });
+});
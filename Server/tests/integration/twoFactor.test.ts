@@ -0,0 +1,171 @@
+import { prisma } from '../../src/db/client';
+import { env } from '../../src/config/env';
+import { generateTotp, totpStep } from '../../src/utils/totp';
+import { api, loginAs, TEST_CLIENT_IP } from '../helpers/api';
+import { createTestUser, DEFAULT_PASSWORD, resetDatabase, TEST_TOTP_SECRET } from '../helpers/db';
+
+beforeEach(async () => {
+  await resetDatabase();
+});
+
+afterAll(async () => {
+  await prisma.$disconnect();
+});
+
+const login = (email: string, password = DEFAULT_PASSWORD) =>
+  api().post('/api/v1/auth/login').set('X-Forwarded-For', TEST_CLIENT_IP).send({ email, password });
+
+const loginMfa = (mfaToken: string, code: string) =>
+  api().post('/api/v1/auth/login/mfa').set('X-Forwarded-For', TEST_CLIENT_IP).send({ mfaToken, code });
+
+const previousStepCode = (secret: string) => generateTotp(secret, totpStep() - 1);
+
+describe('two-step login', () => {
+  it('withholds tokens until the second factor is verified', async () => {
+    const { user } = await createTestUser({ role: 'ADMIN' });
+
+    const first = await login(user.email);
+    expect(first.status).toBe(200);
+    expect(first.body).toEqual({ mfaRequired: true, mfaToken: expect.any(String) });
+    expect(await prisma.sessionActivity.count({ where: { userId: user.id } })).toBe(0);
+
+    // The intermediate token is not an access token
+    expect((await api().get('/api/v1/auth/me').set('Authorization', `Bearer ${first.body.mfaToken}`)).status).toBe(401);
+
+    const second = await loginMfa(first.body.mfaToken, generateTotp(TEST_TOTP_SECRET));
+    expect(second.status).toBe(200);
+    expect(second.body.tokens.accessToken).toEqual(expect.any(String));
+    expect(second.body.mfaEnrollmentRequired).toBe(false);
+
+    const me = await api().get('/api/v1/auth/me').set('Authorization', `Bearer ${second.body.tokens.accessToken}`);
+    expect(me.body).toMatchObject({ mfaEnabled: true, mfaRequired: true });
+  });
+
+  it('rejects wrong and replayed codes and counts them as failed logins', async () => {
+    const { user } = await createTestUser({ role: 'ADMIN' });
+    const code = previousStepCode(TEST_TOTP_SECRET);
+
+    const { body } = await login(user.email);
+    const wrong = await loginMfa(body.mfaToken, code === '000000' ? '111111' : '000000');
+    expect(wrong.status).toBe(401);
+    expect(wrong.body.message).toBe('Invalid two-factor code');
+
+    expect((await loginMfa(body.mfaToken, code)).status).toBe(200);
+
+    const again = await login(user.email);
+    expect((await loginMfa(again.body.mfaToken, code)).status).toBe(401);
+
+    const failures = await prisma.loginHistory.findMany({ where: { userId: user.id, success: false } });
+    expect(failures.map((entry) => entry.failureReason)).toEqual(['Invalid two-factor code', 'Invalid two-factor code']);
+  });
+
+  it('accepts each recovery code once', async () => {
+    const { user } = await createTestUser({ role: 'USER' });
+    const session = await loginAs(user);
+
+    const setup = await api().post('/api/v1/auth/mfa/setup').set(session.auth);
+    const enable = await api().post('/api/v1/auth/mfa/enable').set(session.auth).send({ code: generateTotp(setup.body.secret) });
+    expect(enable.status).toBe(200);
+    const recoveryCode: string = enable.body.recoveryCodes[0];
+
+    const first = await login(user.email);
+    expect((await loginMfa(first.body.mfaToken, recoveryCode.toUpperCase())).status).toBe(200);
+
+    const second = await login(user.email);
+    expect((await loginMfa(second.body.mfaToken, recoveryCode)).status).toBe(401);
+
+    expect(await prisma.auditLog.count({ where: { action: 'MFA_RECOVERY_CODE_USED', targetId: user.id } })).toBe(1);
+  });
+
+  it('rejects an intermediate token that no longer verifies', async () => {
+    const { user } = await createTestUser({ role: 'ADMIN' });
+    const { body } = await login(user.email);
+
+    const originalSecret = env.JWT_ACCESS_SECRET;
+    env.JWT_ACCESS_SECRET = `${originalSecret}-rotated`;
+    try {
+      const res = await loginMfa(body.mfaToken, generateTotp(TEST_TOTP_SECRET));
+      expect(res.status).toBe(401);
+      expect(res.body.message).toBe('Two-factor sign-in expired. Please log in again.');
+    } finally {
+      env.JWT_ACCESS_SECRET = originalSecret;
+    }
+  });
+});
+
+describe('mandatory enrollment for admin roles', () => {
+  it('restricts an unenrolled admin to the enrollment endpoints until setup is done', async () => {
+    const { user } = await createTestUser({ role: 'ADMIN', totp: false });
+
+    const res = await login(user.email);
+    expect(res.status).toBe(200);
+    expect(res.body.mfaEnrollmentRequired).toBe(true);
+    const auth = { Authorization: `Bearer ${res.body.tokens.accessToken}` };
+
+    const blocked = await api().get('/api/v1/users').set(auth);
+    expect(blocked.status).toBe(403);
+    expect(blocked.body.details).toEqual({ mfaEnrollmentRequired: true });
+    expect((await api().get('/api/v1/auth/me').set(auth)).status).toBe(200);
+
+    const setup = await api().post('/api/v1/auth/mfa/setup').set(auth);
+    expect(setup.status).toBe(200);
+    expect(setup.body.otpauthUri).toContain(`secret=${setup.body.secret}`);
+
+    const stored = await prisma.user.findUniqueOrThrow({ where: { id: user.id } });
+    expect(stored.totpSecret).not.toContain(setup.body.secret);
+
+    const badEnable = await api().post('/api/v1/auth/mfa/enable').set(auth).send({ code: '123456' });
+    expect(badEnable.status).toBe(400);
+
+    const enable = await api().post('/api/v1/auth/mfa/enable').set(auth).send({ code: generateTotp(setup.body.secret) });
+    expect(enable.status).toBe(200);
+    expect(enable.body.recoveryCodes).toHaveLength(10);
+
+    expect((await api().get('/api/v1/users').set(auth)).status).toBe(200);
+    expect((await api().get('/api/v1/auth/mfa').set(auth)).body).toMatchObject({ enabled: true, required: true, recoveryCodesRemaining: 10 });
+  });
+
+  it('does not let admins switch two-factor off, but lets users', async () => {
+    const admin = await createTestUser({ role: 'ADMIN' });
+    const adminSession = await loginAs(admin.user);
+    await prisma.user.update({ where: { id: admin.user.id }, data: { totpLastUsedStep: null } });
+
+    const refused = await api()
+      .post('/api/v1/auth/mfa/disable')
+      .set(adminSession.auth)
+      .send({ password: DEFAULT_PASSWORD, code: previousStepCode(TEST_TOTP_SECRET) });
+    expect(refused.status).toBe(403);
+
+    const { user } = await createTestUser({ totp: true });
+    const session = await loginAs(user);
+    await prisma.user.update({ where: { id: user.id }, data: { totpLastUsedStep: null } });
+
+    const disabled = await api()
+      .post('/api/v1/auth/mfa/disable')
+      .set(session.auth)
+      .send({ password: DEFAULT_PASSWORD, code: previousStepCode(TEST_TOTP_SECRET) });
+    expect(disabled.status).toBe(200);
+
+    const plain = await login(user.email);
+    expect(plain.body.tokens.accessToken).toEqual(expect.any(String));
+  });
+
+  it('lets an admin reset another user after a lost device', async () => {
+    const { user: superAdmin } = await createTestUser({ role: 'SUPER_ADMIN' });
+    const session = await loginAs(superAdmin);
+    const { user: admin } = await createTestUser({ role: 'ADMIN' });
+
+    const reset = await api().post(`/api/v1/users/${admin.id}/mfa/reset`).set(session.auth);
+    expect(reset.status).toBe(200);
+
+    const stored = await prisma.user.findUniqueOrThrow({ where: { id: admin.id } });
+    expect(stored).toMatchObject({ totpSecret: null, totpEnabledAt: null });
+    expect((await login(admin.email)).body.mfaEnrollmentRequired).toBe(true);
+
+    const self = await api().post(`/api/v1/users/${superAdmin.id}/mfa/reset`).set(session.auth);
+    expect(self.status).toBe(403);
+
+    const audit = await prisma.auditLog.findFirst({ where: { action: 'USER_MFA_RESET', targetId: admin.id } });
+    expect(audit?.actorId).toBe(superAdmin.id);
+  });
+});
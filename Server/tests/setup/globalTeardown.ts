@@ -0,0 +1,28 @@
+/**
+ * Jest global teardown
+ *
+ * Drops the disposable schema created in globalSetup and stops the S3 stand-in.
+ */
+
+import { PrismaClient } from '@prisma/client';
+import type { S3StandIn } from '../helpers/s3Server';
+
+export default async function globalTeardown(): Promise<void> {
+  const s3 = (globalThis as any).__S3_STAND_IN__ as S3StandIn | undefined;
+  if (s3) {
+    await s3.close();
+  }
+
+  const baseUrl = process.env.TEST_DATABASE_URL;
+  const schema = process.env.TEST_DATABASE_SCHEMA;
+  if (!baseUrl || !schema) {
+    return;
+  }
+
+  const admin = new PrismaClient({ datasources: { db: { url: baseUrl } } });
+  try {
+    await admin.$executeRawUnsafe(`DROP SCHEMA IF EXISTS "${schema}" CASCADE`);
+  } finally {
+    await admin.$disconnect();
+  }
+}
@@ -62,6 +62,7 @@ document.addEventListener('DOMContentLoaded', () => {
   const emailInput = document.getElementById('email');
   const passwordGroup = document.getElementById('passwordGroup');
   const passwordInput = document.getElementById('password');
+  const keepSignedInInput = document.getElementById('keepSignedIn');
   const continueBtn = document.querySelector('.btn-continue');
 
   // Track login state to prevent multiple simultaneous logins
@@ -94,6 +95,19 @@ document.addEventListener('DOMContentLoaded', () => {
     }
   };
 
+  const formatBytes = (bytes = 0) => {
+    if (bytes >= 1024 * 1024 * 1024) return `${(bytes / 1024 / 1024 / 1024).toFixed(1)} GB`;
+    if (bytes >= 1024 * 1024) return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+    return `${Math.round(bytes / 1024)} KB`;
+  };
+
+  const formatDuration = (seconds) => {
+    if (seconds < 60) return `${seconds}s`;
+    const minutes = Math.floor(seconds / 60);
+    if (minutes < 60) return `${minutes}m ${seconds % 60}s`;
+    return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+  };
+
   // Initialize button with span wrapper
   if (continueBtn && !continueBtn.querySelector('span')) {
     const span = document.createElement('span');
@@ -197,17 +211,22 @@ document.addEventListener('DOMContentLoaded', () => {
       // Stage 2: Authenticating
       setTimeout(() => updateProgress(1, 'Authenticating...'), 500);
       
-      const result = await window.dslb.login(email, password);
+      const result = await window.dslb.login(email, password, keepSignedInInput.checked);
       
       // Clear progress interval - download progress will update button with "Loading DAT Workspace (%)"
       clearInterval(progressInterval);
+
+      // Two-factor accounts finish signing in from the code prompt
+      if (result.mfaRequired) {
+        isLoggingIn = false;
+        setLoginButtonState(true, 'LOG IN', null);
+        showPanel('mfaForm', 'Enter the code from your authenticator app.', 'info');
+        return;
+      }
       
       cachedSessions = result.sessions || [];
       
       // Download progress will automatically update button to "Loading DAT Workspace (%)"
-      
-      // Start session validation
-      startSessionValidation();
 
       // Keep login form visible - don't show session panel
       // The download progress will update the button automatically
@@ -327,10 +346,20 @@ document.addEventListener('DOMContentLoaded', () => {
   window.dslb.onStatus((payload) => {
     if (!payload) return;
     
-    // Handle download progress - show "Loading DAT Workspace (%)" format
-    if (payload.type === 'download' && payload.percent !== undefined) {
-      // Update login button with "Loading DAT Workspace (%)" format
-      setLoginButtonState(false, `Loading DAT Workspace (${payload.percent}%)`, payload.percent);
+    // Handle download progress - show "Loading DAT Workspace (%)" format with time left
+    if (payload.type === 'download') {
+      if (payload.percent === null || payload.percent === undefined) {
+        setLoginButtonState(false, `Loading DAT Workspace (${formatBytes(payload.receivedBytes)})`, null);
+      } else {
+        const eta = payload.etaSeconds !== null && payload.etaSeconds !== undefined && payload.percent < 100
+          ? ` · ${formatDuration(payload.etaSeconds)} left`
+          : '';
+        setLoginButtonState(false, `Loading DAT Workspace (${payload.percent}%)${eta}`, payload.percent);
+      }
+      if (payload.bytesPerSecond) {
+        const total = payload.totalBytes ? ` of ${formatBytes(payload.totalBytes)}` : '';
+        setStatus(`Downloaded ${formatBytes(payload.receivedBytes)}${total} at ${formatBytes(payload.bytesPerSecond)}/s`, 'info');
+      }
       return;
     }
     
@@ -338,140 +367,179 @@ document.addEventListener('DOMContentLoaded', () => {
     setStatus(payload.message || 'Ready.', payload.type || 'info');
   });
 
-  // Periodic session validation to detect if user was logged out from another device
-  let sessionValidationInterval = null;
-  
-  // Start session validation after successful login
-  const startSessionValidation = () => {
-    if (sessionValidationInterval) {
-      clearInterval(sessionValidationInterval);
+  // === Forgot / change password ===
+  // The login form and the password forms share the card; only one is shown at a time
+  const PASSWORD_HINT = 'Use at least 10 characters and mix three of: lowercase, uppercase, digits, symbols.';
+  const accountLinks = document.getElementById('accountLinks');
+  const passwordPanels = ['loginForm', 'mfaForm', 'resetRequestForm', 'resetConfirmForm', 'changePasswordForm']
+    .map((id) => document.getElementById(id))
+    .filter(Boolean);
+
+  // ipcRenderer.invoke prefixes errors with "Error invoking remote method '...': Error: "
+  const ipcErrorMessage = (error) =>
+    (error?.message || 'Something went wrong. Please try again.').replace(/^Error invoking remote method '[^']+': (Error: )?/, '');
+
+  const showPanel = (panelId, message = null, type = 'info') => {
+    passwordPanels.forEach((panel) => panel.classList.toggle('hidden', panel.id !== panelId));
+    if (accountLinks) accountLinks.classList.toggle('hidden', panelId !== 'loginForm');
+
+    const panel = document.getElementById(panelId);
+    statusBanner = panel.querySelector('.status-banner') || statusBanner;
+    statusBanner.style.display = 'none';
+    if (message) setStatus(message, type);
+
+    const firstEmpty = Array.from(panel.querySelectorAll('input')).find((input) => !input.value && input.offsetParent !== null);
+    if (firstEmpty) firstEmpty.focus();
+  };
+
+  document.querySelectorAll('.password-hint').forEach((hint) => {
+    hint.textContent = PASSWORD_HINT;
+  });
+
+  document.querySelectorAll('[data-panel]').forEach((link) => {
+    link.addEventListener('click', () => {
+      const email = emailInput.value.trim();
+      if (link.dataset.panel === 'resetRequestForm' && email) document.getElementById('resetEmail').value = email;
+      if (link.dataset.panel === 'changePasswordForm' && email) document.getElementById('changeEmail').value = email;
+      showPanel(link.dataset.panel);
+    });
+  });
+
+  // Runs a password form action with its button disabled, reporting failures in the form's banner
+  const submitPasswordForm = async (formElement, busyText, action) => {
+    const button = formElement.querySelector('button[type="submit"]');
+    const idleText = button.textContent;
+    button.disabled = true;
+    button.textContent = busyText;
+    try {
+      await action();
+    } catch (error) {
+      setStatus(ipcErrorMessage(error), 'error');
+    } finally {
+      button.disabled = false;
+      button.textContent = idleText;
     }
-    
-    // Track consecutive validation failures to avoid false positives
-    let consecutiveFailures = 0;
-    const MAX_FAILURES = 3; // Require 3 consecutive failures before logout
-    
-    sessionValidationInterval = setInterval(async () => {
+  };
+
+  const resetRequestForm = document.getElementById('resetRequestForm');
+  resetRequestForm?.addEventListener('submit', (event) => {
+    event.preventDefault();
+    const email = document.getElementById('resetEmail').value.trim();
+    if (!email) {
+      setStatus('Email address is required.', 'warning');
+      return;
+    }
+
+    submitPasswordForm(resetRequestForm, 'SENDING...', async () => {
+      const result = await window.dslb.requestPasswordReset(email);
+      showPanel('resetConfirmForm', result.message || 'Check your email for a reset code.', 'success');
+    });
+  });
+
+  const resetConfirmForm = document.getElementById('resetConfirmForm');
+  resetConfirmForm?.addEventListener('submit', (event) => {
+    event.preventDefault();
+    const code = document.getElementById('resetCode').value.trim();
+    const password = document.getElementById('resetNewPassword').value;
+    const confirmation = document.getElementById('resetConfirmPassword').value;
+    if (!code || !password) {
+      setStatus('Reset code and new password are required.', 'warning');
+      return;
+    }
+    if (password !== confirmation) {
+      setStatus('Passwords do not match.', 'warning');
+      return;
+    }
+
+    submitPasswordForm(resetConfirmForm, 'RESETTING...', async () => {
+      await window.dslb.resetPassword(code, password);
+      resetConfirmForm.reset();
+      resetRequestForm?.reset();
+      showPanel('loginForm', 'Password reset. Log in with your new password.', 'success');
+    });
+  });
+
+  // Second login step for accounts with two-factor authentication
+  const mfaForm = document.getElementById('mfaForm');
+  mfaForm?.addEventListener('submit', (event) => {
+    event.preventDefault();
+    const codeInput = document.getElementById('mfaCode');
+    const code = codeInput.value.trim();
+    if (!code) {
+      setStatus('Two-factor code is required.', 'warning');
+      return;
+    }
+
+    submitPasswordForm(mfaForm, 'VERIFYING...', async () => {
       try {
-        const result = await window.dslb.validateSession();
-        
-        if (!result.valid) {
-          consecutiveFailures++;
-          console.log(`🔒 Session validation failed (${consecutiveFailures}/${MAX_FAILURES}):`, result.reason);
-          
-          // If account is disabled, logout immediately (don't wait for 3 failures)
-          if (result.reason === 'account_disabled') {
-            console.log('🔒 Account disabled - logging out immediately');
-            clearInterval(sessionValidationInterval);
-            sessionValidationInterval = null;
-            
-            setStatus(result.message || 'Your account has been disabled. Please contact your administrator.', 'warning');
-            
-            // Force logout IMMEDIATELY
-            await window.dslb.logout('account_disabled');
-            cachedSessions = [];
-            sessionPanel.classList.add('hidden');
-            form.style.display = 'flex';
-            form.reset();
-            emailEntered = false;
-            passwordGroup.style.display = 'none';
-            isLoggingIn = false; // Reset login state
-            setLoginButtonState(true, 'CONTINUE', null);
-            return; // Exit immediately
-          }
-          
-          // If explicitly logged out from another device, logout immediately (don't wait for 3 failures)
-          if (result.reason === 'logged_out_from_another_device') {
-            console.log('🔒 Session invalidated from another device - logging out immediately');
-            clearInterval(sessionValidationInterval);
-            sessionValidationInterval = null;
-            
-            setStatus('Signed out due to another device logged into same account. Please logout from there and login again.', 'warning');
-            
-            // Force logout IMMEDIATELY
-            await window.dslb.logout('logged_out_from_another_device');
-            cachedSessions = [];
-            sessionPanel.classList.add('hidden');
-            form.style.display = 'flex';
-            form.reset();
-            emailEntered = false;
-            passwordGroup.style.display = 'none';
-            isLoggingIn = false; // Reset login state
-            setLoginButtonState(true, 'CONTINUE', null);
-            return; // Exit immediately
-          }
-          
-          // Only logout if we have multiple consecutive failures AND it's a real session invalidation
-          // This prevents false positives from temporary network issues
-          if (consecutiveFailures >= MAX_FAILURES) {
-            // Session is no longer valid - force logout
-            console.log('🔒 Session invalidated after multiple failures:', result.reason);
-            clearInterval(sessionValidationInterval);
-            sessionValidationInterval = null;
-            
-            // Show appropriate message
-            if (result.reason === 'logged_out_from_another_device') {
-              setStatus('Signed out due to another device logged into same account. Please logout from there and login again.', 'warning');
-            } else {
-              setStatus('Your session has expired. Please log in again.', 'warning');
-            }
-            
-            // Force logout IMMEDIATELY to close DAT window
-            await window.dslb.logout(result.reason === 'logged_out_from_another_device' ? 'logged_out_from_another_device' : undefined);
-            cachedSessions = [];
-            sessionPanel.classList.add('hidden');
-            form.style.display = 'flex';
-            form.reset();
-            emailEntered = false;
-            passwordGroup.style.display = 'none';
-            isLoggingIn = false; // Reset login state
-            setLoginButtonState(true, 'CONTINUE', null);
-          } else {
-            // Log but don't logout yet - might be temporary network issue
-            console.log(`⚠️ Session validation failed but not logging out yet (${consecutiveFailures}/${MAX_FAILURES})`);
-          }
-        } else {
-          // Session is valid - reset failure counter
-          if (consecutiveFailures > 0) {
-            console.log('✅ Session validation successful - resetting failure counter');
-            consecutiveFailures = 0;
-          }
+        const result = await window.dslb.verifyMfa(code);
+        codeInput.value = '';
+        cachedSessions = result.sessions || [];
+        showPanel('loginForm');
+        if (cachedSessions.length) {
+          // Download progress takes over the button until the DAT window opens
+          isLoggingIn = true;
+          setLoginButtonState(false, 'Loading DAT Workspace...', null);
         }
       } catch (error) {
-        consecutiveFailures++;
-        console.error(`Session validation error (${consecutiveFailures}/${MAX_FAILURES}):`, error);
-        
-        // Only logout if we have multiple consecutive failures
-        if (consecutiveFailures >= MAX_FAILURES) {
-          console.error('❌ Too many consecutive validation failures - logging out');
-          clearInterval(sessionValidationInterval);
-          sessionValidationInterval = null;
-          
-          setStatus('Connection error. Please log in again.', 'error');
-          
-          // Force logout
-          try {
-            await window.dslb.logout();
-          } catch (logoutError) {
-            console.error('Error during logout:', logoutError);
-          }
-          
-          cachedSessions = [];
-          sessionPanel.classList.add('hidden');
-          form.style.display = 'flex';
-          form.reset();
-          emailEntered = false;
-          passwordGroup.style.display = 'none';
-          isLoggingIn = false; // Reset login state
-          setLoginButtonState(true, 'CONTINUE', null);
-          setStatus('Your session has expired. Please log in again.', 'warning');
+        codeInput.value = '';
+        // An expired sign-in has to start over from the password
+        if (ipcErrorMessage(error).includes('expired')) {
+          passwordInput.value = '';
+          showPanel('loginForm', ipcErrorMessage(error), 'warning');
+          return;
         }
-        // Don't force logout on single validation errors (might be network issue)
+        throw error;
       }
-    }, 5000); // Check every 5 seconds (faster detection of logout from another device)
-  };
+    });
+  });
+
+  const changePasswordForm = document.getElementById('changePasswordForm');
+  changePasswordForm?.addEventListener('submit', (event) => {
+    event.preventDefault();
+    const email = document.getElementById('changeEmail').value.trim();
+    const currentPassword = document.getElementById('changeCurrentPassword').value;
+    const newPassword = document.getElementById('changeNewPassword').value;
+    const confirmation = document.getElementById('changeConfirmPassword').value;
+    if (!email || !currentPassword || !newPassword) {
+      setStatus('Email, current password and new password are required.', 'warning');
+      return;
+    }
+    if (newPassword !== confirmation) {
+      setStatus('New passwords do not match.', 'warning');
+      return;
+    }
+
+    submitPasswordForm(changePasswordForm, 'CHANGING...', async () => {
+      const result = await window.dslb.changePassword(email, currentPassword, newPassword);
+      changePasswordForm.reset();
+      passwordInput.value = '';
+      showPanel(
+        'loginForm',
+        result.signedIn
+          ? 'Password changed. Your other sessions have been signed out.'
+          : 'Password changed. Log in with your new password.',
+        'success'
+      );
+    });
+  });
+
+  // The main process holds the server's event stream and has already signed out when
+  // the server ends the session (login elsewhere, admin action, disabled account)
+  window.dslb.onSignedOut((payload) => {
+    console.log('🔒 Signed out by the server:', payload?.reason);
+    cachedSessions = [];
+    sessionPanel.classList.add('hidden');
+    form.style.display = 'flex';
+    form.reset();
+    emailEntered = false;
+    passwordGroup.style.display = 'none';
+    isLoggingIn = false; // Reset login state
+    setLoginButtonState(true, 'CONTINUE', null);
+    setStatus(payload?.message || 'Your session has ended. Please log in again.', 'warning');
+  });
   
-  // Override the login success to start validation
+  // Override the login submit handler (capture phase)
   const originalFormSubmit = form.addEventListener;
   form.addEventListener('submit', async (event) => {
     event.preventDefault();
@@ -498,11 +566,11 @@ document.addEventListener('DOMContentLoaded', () => {
 
     try {
       setStatus('Connecting...');
-      const result = await window.dslb.login(email, password);
+      const result = await window.dslb.login(email, password, keepSignedInInput.checked);
+      if (result.mfaRequired) {
+        return;
+      }
       cachedSessions = result.sessions || [];
-      
-      // Start session validation
-      startSessionValidation();
 
       // Keep login form visible - don't hide it
       // The download progress will update the button automatically
@@ -572,14 +640,8 @@ document.addEventListener('DOMContentLoaded', () => {
     }
   }, true); // Use capture phase
   
-  // Stop validation on logout
   const originalLogout = logoutBtn.addEventListener;
   logoutBtn.addEventListener('click', async () => {
-    if (sessionValidationInterval) {
-      clearInterval(sessionValidationInterval);
-      sessionValidationInterval = null;
-    }
-    
     await window.dslb.logout();
     cachedSessions = [];
     sessionPanel.classList.add('hidden');
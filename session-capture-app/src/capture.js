@@ -11,9 +11,11 @@ const axios = require('axios');
 const crypto = require('crypto');
 
 class SessionCapture {
-  constructor(config, progressCallback) {
+  constructor(config, progressCallback, requestTotpCode) {
     this.config = config;
     this.progressCallback = progressCallback || (() => {});
+    // Asks the user for a two-factor code; without it the code comes from API_TOTP_CODE
+    this.requestTotpCode = requestTotpCode || null;
     this.USER_DATA_PATH = path.join(os.homedir(), 'AppData', 'Roaming', 'dat-loadboard');
   }
 
@@ -34,8 +36,9 @@ class SessionCapture {
 
     const config = {
       baseUrl: 'http://167.99.147.118:3000/api/v1',
-      email: 'superadmin@digitalstorming.com',
-      password: 'ChangeMeSuperSecure123!'
+      // No default account: credentials must come from session-config.env
+      email: '',
+      password: ''
     };
 
     // Find first existing config file
@@ -155,13 +158,18 @@ class SessionCapture {
   // Authenticate with API
   async authenticate() {
     console.log('🔐 [AUTH] Authenticating with API...');
+
+    if (!this.config.email || !this.config.password) {
+      throw new Error('API_EMAIL and API_PASSWORD must be set in session-config.env');
+    }
+
     console.log(`🔐 [AUTH] Endpoint: ${this.config.baseUrl}/auth/login`);
     console.log(`🔐 [AUTH] Email: ${this.config.email}`);
     
     this.progress('authenticating', 'Authenticating with API...', 0);
     
     try {
-      const response = await axios.post(`${this.config.baseUrl}/auth/login`, {
+      let response = await axios.post(`${this.config.baseUrl}/auth/login`, {
         email: this.config.email,
         password: this.config.password
       }, {
@@ -170,6 +178,14 @@ class SessionCapture {
       });
 
       console.log(`📥 [AUTH] Response status: ${response.status}`);
+
+      // Admin accounts sign in with a second factor, and must have enrolled in the admin panel first
+      if (response.data && response.data.mfaEnrollmentRequired) {
+        throw new Error('This account must set up two-factor authentication in the admin panel before it can upload backups');
+      }
+      if (response.data && response.data.mfaRequired) {
+        response = await this.verifyTotp(response.data.mfaToken);
+      }
       
       if (response.data && response.data.tokens) {
         console.log(`✅ [AUTH] Authentication successful!`);
@@ -198,6 +214,23 @@ class SessionCapture {
     }
   }
 
+  // Second sign-in step for accounts with two-factor authentication
+  async verifyTotp(mfaToken) {
+    console.log('🔐 [AUTH] Two-factor code required');
+    this.progress('authenticating', 'Enter the code from your authenticator app', null);
+
+    const code = ((this.requestTotpCode ? await this.requestTotpCode() : process.env.API_TOTP_CODE) || '').trim();
+    if (!code) {
+      throw new Error('This account uses two-factor authentication: a code from the authenticator app is required');
+    }
+
+    console.log(`🔐 [AUTH] Endpoint: ${this.config.baseUrl}/auth/login/mfa`);
+    return axios.post(`${this.config.baseUrl}/auth/login/mfa`, { mfaToken, code }, {
+      headers: { 'Content-Type': 'application/json' },
+      timeout: 10000
+    });
+  }
+
   // Compute file checksum
   computeChecksum(filePath) {
     const buffer = fs.readFileSync(filePath);
@@ -64,6 +64,17 @@ app.on('window-all-closed', () => {
 
 // IPC Handlers
 let currentCapture = null;
+let pendingTotpCode = null; // Resolves the capture's two-factor prompt with what the user typed
+
+function requestTotpCode() {
+  if (!mainWindow || mainWindow.isDestroyed()) {
+    return Promise.resolve('');
+  }
+  return new Promise((resolve) => {
+    pendingTotpCode = resolve;
+    mainWindow.webContents.send('totp-required');
+  });
+}
 
 ipcMain.handle('detect-sessions', () => {
   const config = SessionCapture.loadConfig();
@@ -84,7 +95,7 @@ ipcMain.handle('capture-session', async (event, sessionId) => {
     }
   };
 
-  currentCapture = new SessionCapture(config, progressCallback);
+  currentCapture = new SessionCapture(config, progressCallback, requestTotpCode);
   console.log('🔄 [IPC] Starting capture process...');
   
   try {
@@ -99,6 +110,14 @@ ipcMain.handle('capture-session', async (event, sessionId) => {
   }
 });
 
+ipcMain.handle('submit-totp', (event, code) => {
+  if (pendingTotpCode) {
+    const resolve = pendingTotpCode;
+    pendingTotpCode = null;
+    resolve(code || '');
+  }
+});
+
 ipcMain.handle('cancel-capture', () => {
   // Note: Cannot easily cancel mid-process, but we can mark it
   if (currentCapture) {
@@ -6,6 +6,7 @@ async function init() {
   await detectWorkspace();
   setupEventListeners();
   setupProgressListener();
+  setupTotpPrompt();
 }
 
 // Detect available workspace automatically
@@ -68,6 +69,24 @@ function setupProgressListener() {
   });
 }
 
+// Ask for the authenticator code when the account uses two-factor authentication
+function setupTotpPrompt() {
+  const totpForm = document.getElementById('totpForm');
+  const totpCode = document.getElementById('totpCode');
+
+  window.sessionCapture.onTotpRequired(() => {
+    totpCode.value = '';
+    totpForm.style.display = 'flex';
+    totpCode.focus();
+  });
+
+  totpForm.addEventListener('submit', (event) => {
+    event.preventDefault();
+    totpForm.style.display = 'none';
+    window.sessionCapture.submitTotp(totpCode.value.trim());
+  });
+}
+
 // Start backup process
 async function startBackup() {
   if (isProcessing || !workspaceId) return;
@@ -4,6 +4,10 @@ contextBridge.exposeInMainWorld('sessionCapture', {
   detectSessions: () => ipcRenderer.invoke('detect-sessions'),
   captureSession: (sessionId) => ipcRenderer.invoke('capture-session', sessionId),
   cancelCapture: () => ipcRenderer.invoke('cancel-capture'),
+  submitTotp: (code) => ipcRenderer.invoke('submit-totp', code),
+  onTotpRequired: (callback) => {
+    ipcRenderer.on('totp-required', () => callback());
+  },
   close: () => ipcRenderer.invoke('close-window'),
   onProgress: (callback) => {
     ipcRenderer.on('progress-update', (event, data) => callback(data));
@@ -0,0 +1,134 @@
+// Shared HTTP client for the backend API. Attaches the signed-in user's access token and,
+// when a request comes back 401 because that token expired, refreshes it once for every
+// request waiting on it and replays them.
+const axios = require('axios').default;
+
+// Requests made before there is a session; a 401 here means wrong credentials, not an expired token
+const SESSIONLESS_PATHS = ['/auth/login', '/auth/refresh', '/auth/password-reset'];
+
+// Statuses with which /auth/refresh rejects the refresh token itself
+const REFRESH_REJECTED_STATUSES = [400, 401, 403];
+
+const SESSION_ENDED_PATTERN = /Session invalidated|another device/;
+
+/**
+ * @param {object} options
+ * @param {string} options.baseURL - API base URL, e.g. http://host:3000/api/v1
+ * @param {number} [options.timeout]
+ * @param {() => ({ accessToken: string, refreshToken: string }|null)} options.getTokens - Current session tokens
+ * @param {(tokens: { accessToken: string, refreshToken: string }) => void} options.setTokens - Store rotated tokens
+ * @param {() => void} options.onSessionExpired - The refresh token was rejected; sign out
+ * @param {object} options.logger
+ */
+function createApiClient({ baseURL, timeout = 45000, getTokens, setTokens, onSessionExpired, logger }) {
+  const client = axios.create({ baseURL, timeout });
+  // Without the interceptors, so a failed refresh cannot trigger another refresh
+  const refreshClient = axios.create({ baseURL, timeout });
+  let pendingRefresh = null;
+
+  async function performRefresh() {
+    const current = getTokens();
+    if (!current?.refreshToken) {
+      return null;
+    }
+
+    let response;
+    try {
+      logger.log('🔄 Refreshing access token...');
+      response = await refreshClient.post('/auth/refresh', { refreshToken: current.refreshToken });
+    } catch (error) {
+      const status = error.response?.status;
+      if (!REFRESH_REJECTED_STATUSES.includes(status)) {
+        // Network trouble or throttling: the session may still be fine, so keep it
+        logger.warn('⚠️ Token refresh failed:', error.response?.data?.message || error.message);
+        throw error;
+      }
+
+      logger.warn('🔒 Refresh token rejected:', error.response?.data?.message || status);
+      // Only end the session the rejected token belonged to, not one started since
+      if (getTokens() === current) {
+        onSessionExpired();
+      }
+      return null;
+    }
+
+    // Signed out, or signed in again, while the refresh was in flight
+    if (getTokens() !== current) {
+      return getTokens()?.accessToken || null;
+    }
+
+    const data = response.data || {};
+    const next = data.tokens || (data.accessToken && data.refreshToken
+      ? { accessToken: data.accessToken, refreshToken: data.refreshToken }
+      : null);
+    if (!next?.accessToken || !next?.refreshToken) {
+      throw new Error('Token refresh returned no tokens');
+    }
+
+    setTokens(next);
+    logger.log('✅ Access token refreshed');
+    return next.accessToken;
+  }
+
+  /**
+   * New access token, or null when there is no session any more. Throws when the
+   * refresh could not be completed (e.g. offline) without the session being rejected.
+   *
+   * Concurrent callers share one refresh: refresh tokens are single use, and the server
+   * treats a second use of the same one as theft and ends the session.
+   */
+  function refreshTokens() {
+    if (!pendingRefresh) {
+      pendingRefresh = performRefresh().finally(() => {
+        pendingRefresh = null;
+      });
+    }
+    return pendingRefresh;
+  }
+
+  client.interceptors.request.use((config) => {
+    const accessToken = getTokens()?.accessToken;
+    const sessionless = SESSIONLESS_PATHS.some((prefix) => config.url?.startsWith(prefix));
+    // A caller that sets its own Authorization header (another session's token) keeps it
+    if (accessToken && !sessionless && !config.headers.Authorization) {
+      config.headers.Authorization = `Bearer ${accessToken}`;
+      config.sessionToken = accessToken;
+    }
+    return config;
+  });
+
+  client.interceptors.response.use(undefined, async (error) => {
+    const { config, response } = error;
+    if (!config || response?.status !== 401 || !config.sessionToken || config.isRetry) {
+      throw error;
+    }
+    // The session was ended elsewhere (e.g. a login on another device); a new token will not bring it back
+    if (SESSION_ENDED_PATTERN.test(response.data?.message || '')) {
+      throw error;
+    }
+
+    // Another request may already have refreshed while this one was in flight
+    const latest = getTokens()?.accessToken;
+    let accessToken = latest && latest !== config.sessionToken ? latest : null;
+    if (!accessToken) {
+      try {
+        accessToken = await refreshTokens();
+      } catch (refreshError) {
+        throw error;
+      }
+    }
+    if (!accessToken) {
+      throw error;
+    }
+
+    config.isRetry = true;
+    config.sessionToken = accessToken;
+    config.headers.Authorization = `Bearer ${accessToken}`;
+    return client.request(config);
+  });
+
+  client.refreshTokens = refreshTokens;
+  return client;
+}
+
+module.exports = { createApiClient };
@@ -7,6 +7,7 @@ const envPath = path.join(__dirname, '../../.env');
 dotenv.config({ path: envPath });
 const fs = require('fs');
 const os = require('os');
+const crypto = require('crypto');
 const { app, BrowserWindow, BrowserView, ipcMain, dialog } = require('electron');
 const axios = require('axios').default;
 const AdmZip = require('adm-zip');
@@ -14,6 +15,9 @@ const { initializeProxy, createProxiedSession, testProxyConnection } = require('
 const { machineIdSync } = require('node-machine-id');
 const macaddress = require('macaddress');
 const { TabManager } = require('./tabManager');
+const { ServerEventStream } = require('./serverEvents');
+const { createApiClient } = require('./apiClient');
+const { createRememberedLogin } = require('./rememberedLogin');
 
 // Set AppUserModelId for Windows IMMEDIATELY - must be before any windows are created
 // This ensures correct icon and name in taskbar when app is pinned
@@ -239,7 +243,30 @@ let tokens = null;
 let currentUser = null;
 let currentSessionId = null; // Track the current session ID for super admin
 let isIntentionalLogout = false; // Track if logout is intentional (to prevent app.quit on logout)
-let http = axios.create({ baseURL: API_BASE_URL, timeout: 45000 });
+let pendingMfaLogin = null; // { mfaToken, deviceInfo, keepSignedIn } between the password and two-factor steps
+let keepSignedIn = false; // The user chose "keep me signed in" for the current session
+let domainMaintenance = null; // The server's maintenance state while the login window waits it out, plus nextRetryAt
+let maintenanceRetryTimer = null;
+const rememberedLogin = createRememberedLogin({
+  getFilePath: () => path.join(app.getPath('userData'), 'remembered-login.json'),
+  logger,
+});
+// Every API call goes through this client: it sends the current access token and refreshes it when it expires
+const http = createApiClient({
+  baseURL: API_BASE_URL,
+  timeout: 45000,
+  getTokens: () => tokens,
+  setTokens: (next) => {
+    tokens = next;
+    // Refresh tokens are single use, so the remembered one has to follow every rotation
+    if (keepSignedIn) {
+      rememberedLogin.save(next.refreshToken);
+    }
+  },
+  onSessionExpired: () => forceSignOut('token_expired', 'Your session has expired. Please log in again.'),
+  logger,
+});
+let serverEvents = null; // Push channel for forced logouts, billing warnings and broadcasts while signed in
 
 function resolvePublicPath(...segments) {
   // In production, files are in asar archive or unpacked
@@ -673,6 +700,8 @@ async function uploadSessionFromDirectory(sessionDataPath, sessionId) {
     logger.log(`?? Uploading session bundle: ${bundleKey}`);
 
     const zipBuffer = fs.readFileSync(zipPath);
+    const checksum = crypto.createHash('sha256').update(zipBuffer).digest('hex');
+    logger.log(`?? Bundle SHA-256: ${checksum}`);
     await axios.put(uploadUrl, zipBuffer, {
       headers: { 'Content-Type': 'application/zip' },
     });
@@ -680,7 +709,8 @@ async function uploadSessionFromDirectory(sessionDataPath, sessionId) {
     logger.log(`? Session uploaded successfully`);
 
     await http.post(`/sessions/${sessionId}/complete-upload`, {
-      checksum: bundleKey,
+      bundleKey,
+      checksum,
       fileSizeBytes: zipBuffer.length,
     });
 
@@ -844,6 +874,11 @@ app.whenReady().then(() => {
   }
   
   createLoginWindow();
+  loginWindow.webContents.once('did-finish-load', () => {
+    restoreRememberedLogin().catch((error) => {
+      logger.error('❌ Failed to restore remembered sign-in:', error.message);
+    });
+  });
   
   // Initialize log file now that app is ready
   initializeLogFile();
@@ -870,91 +905,139 @@ function sendStatus(channel, payload) {
   }
 }
 
-function setupHttp(authToken) {
-  http = axios.create({
+// Shared with the API client, so the refresh token is never used twice at once
+function refreshAccessToken() {
+  return http.refreshTokens();
+}
+
+function startServerEvents() {
+  stopServerEvents();
+  serverEvents = new ServerEventStream({
     baseURL: API_BASE_URL,
-    timeout: 45000,
+    getAccessToken: () => tokens?.accessToken || null,
+    refreshAccessToken,
+    onEvent: handleServerEvent,
+    onAuthFailed: forceSignOut,
+    logger,
   });
+  serverEvents.start();
+}
 
-  if (authToken) {
-    http.defaults.headers.common.Authorization = `Bearer ${authToken}`;
+function stopServerEvents() {
+  if (serverEvents) {
+    serverEvents.stop();
+    serverEvents = null;
   }
 }
 
-// Token refresh function - refreshes access token using refresh token
-async function refreshAccessToken() {
-  if (!tokens || !tokens.refreshToken) {
-    logger.warn('⚠️ Cannot refresh token: No refresh token available');
-    return null;
+// Drop the local session and bring the login window back
+function endLocalSession() {
+  stopServerEvents();
+
+  tokens = null;
+  currentUser = null;
+  // Any sign-out, by the user or by the server, also forgets "keep me signed in"
+  keepSignedIn = false;
+  rememberedLogin.clear();
+  leaveMaintenanceScreen();
+
+  if (datWindow) {
+    // Mark as intentional logout to prevent app.quit()
+    isIntentionalLogout = true;
+    datWindow.close();
   }
-  
-  try {
-    logger.log('🔄 Refreshing access token...');
-    // Create a temporary http instance without auth header for refresh call
-    const refreshHttp = axios.create({
-      baseURL: API_BASE_URL,
-      timeout: 45000,
-    });
-    
-    const response = await refreshHttp.post('/auth/refresh', {
-      refreshToken: tokens.refreshToken
-    });
-    
-    // Debug: Log the actual response structure
-    logger.log('🔍 Refresh response data:', JSON.stringify(response.data, null, 2));
-    
-    // Check for both possible formats (old and new)
-    if (response.data && response.data.tokens) {
-      // New format: { tokens: { accessToken, refreshToken } }
-      tokens = response.data.tokens;
-      setupHttp(tokens.accessToken);
-      logger.log('✅ Access token refreshed successfully');
-      return tokens.accessToken;
-    } else if (response.data && response.data.accessToken && response.data.refreshToken) {
-      // Old format: { accessToken, refreshToken } - fallback support
-      logger.log('⚠️ Server returned old format, converting...');
-      tokens = {
-        accessToken: response.data.accessToken,
-        refreshToken: response.data.refreshToken
-      };
-      setupHttp(tokens.accessToken);
-      logger.log('✅ Access token refreshed successfully (old format)');
-      return tokens.accessToken;
-    } else {
-      logger.error('❌ Token refresh failed: Invalid response format');
-      logger.error('🔍 Response data keys:', Object.keys(response.data || {}));
-      return null;
-    }
-  } catch (error) {
-    logger.error('❌ Token refresh failed:', error.response?.data?.message || error.message);
-    if (error.response?.data) {
-      logger.error('🔍 Error response data:', JSON.stringify(error.response.data, null, 2));
-    }
-    return null;
+
+  if (loginWindow) {
+    loginWindow.show();
+    loginWindow.focus();
+  }
+}
+
+// The server ended the session (login elsewhere, admin action, disabled account):
+// sign out right away and tell the login window why
+function forceSignOut(reason, message) {
+  if (!tokens) {
+    return;
   }
+  logger.log(`🔒 Signed out by the server: ${reason}`);
+  endLocalSession();
+  sendStatus('auth:signed-out', { reason, message: message || 'Your session has ended. Please log in again.' });
 }
 
-ipcMain.handle('auth:login', async (_event, credentials) => {
+const SERVER_EVENT_STATUS_TYPES = { billing_expiring: 'warning', bundle_updated: 'info' };
+
+function handleServerEvent(type, data) {
+  switch (type) {
+    case 'session_invalidated':
+      forceSignOut(data.reason === 'new_login' ? 'logged_out_from_another_device' : data.reason, data.message);
+      break;
+    case 'account_disabled':
+      forceSignOut('account_disabled', data.message);
+      break;
+    case 'billing_expiring':
+    case 'bundle_updated':
+    case 'broadcast':
+      // The tab bar shows these over the DAT workspace; the login window shows them when it is up
+      if (datWindow && !datWindow.isDestroyed()) {
+        datWindow.webContents.send('server:event', { type, data });
+      }
+      sendStatus('status:update', {
+        type: type === 'broadcast' ? (data.severity === 'INFO' ? 'info' : 'warning') : SERVER_EVENT_STATUS_TYPES[type],
+        message: data.message,
+      });
+      break;
+    default:
+      logger.debug(`Ignoring unknown server event "${type}"`);
+  }
+}
+
+// Shared by both login steps and the startup restore: `authenticate` performs the request that
+// yields tokens (or, for accounts with two-factor, the request for a code) and the rest starts the session
+async function signIn(authenticate, { remember = false } = {}) {
   try {
     // Minimal status for production - only show essential info
     sendStatus('status:update', { type: 'info', message: 'Connecting...' });
     
-    // Collect device information for session tracking
-    const deviceInfo = await collectDeviceInfo();
-    
-    // Send credentials with device info
-    const loginData = {
-      ...credentials,
-      macAddress: deviceInfo.macAddress,
-      deviceMetadata: deviceInfo,
-    };
-    
-    const response = await http.post('/auth/login', loginData);
+    const response = await authenticate();
+    if (response.data.mfaRequired) {
+      sendStatus('status:update', { type: 'info', message: 'Enter the code from your authenticator app.' });
+      return { mfaRequired: true };
+    }
+
+    // Admin roles have to enroll first, and enrollment only exists in the admin panel
+    if (response.data.mfaEnrollmentRequired) {
+      await http.post('/auth/logout', null, {
+        headers: { Authorization: `Bearer ${response.data.tokens.accessToken}` },
+      }).catch((error) => {
+        logger.warn('⚠️ Logout of unenrolled session failed:', error.response?.data?.message || error.message);
+      });
+      throw new Error('Two-factor authentication must be set up in the admin panel before this account can sign in here.');
+    }
+
     tokens = response.data.tokens;
     currentUser = response.data.user;
-    setupHttp(tokens.accessToken);
+    keepSignedIn = remember;
+    if (keepSignedIn) {
+      rememberedLogin.save(tokens.refreshToken);
+    } else {
+      // Signing in without the option drops one remembered earlier
+      rememberedLogin.clear();
+    }
+    startServerEvents();
 
-    const sessionsResponse = await http.get('/sessions/my-sessions');
+    let sessionsResponse;
+    try {
+      sessionsResponse = await http.get('/sessions/my-sessions');
+    } catch (error) {
+      const maintenance = error.response?.status === 503 && error.response.data?.details?.maintenance;
+      if (!maintenance) {
+        throw error;
+      }
+      // Nothing to launch until the site is back; the maintenance screen retries on its own
+      showMaintenanceScreen(maintenance);
+      return { user: currentUser, maintenance };
+    }
+    await leaveMaintenanceScreen();
     const assignedSessions = Array.isArray(sessionsResponse.data) ? sessionsResponse.data : [];
 
     if (!assignedSessions.length) {
@@ -1138,11 +1221,20 @@ ipcMain.handle('auth:login', async (_event, credentials) => {
     logger.error(`❌ Login handler error stack:`, error.stack);
     
     // Check for session invalidation (logged in from another device)
-    if (message.includes('Session invalidated') || message.includes('another device')) {
+    if (/two-factor/i.test(message)) {
+      // Wrong or expired code, or enrollment still missing - the server message says which
+      if (message.includes('expired')) {
+        pendingMfaLogin = null;
+      }
+      sendStatus('status:update', { type: 'error', message });
+    } else if (message.includes('Session invalidated') || message.includes('another device')) {
       sendStatus('status:update', { 
         type: 'warning', 
         message: 'You have been logged out because you logged in from another device.' 
       });
+    } else if (error.response?.status === 423 || error.response?.status === 429) {
+      // Account lockout or login throttling - the server message says how long to wait
+      sendStatus('status:update', { type: 'error', message });
     } else if (message.includes('Invalid') || message.includes('Unauthorized') || message.includes('credentials')) {
       sendStatus('status:update', { type: 'error', message: 'Invalid email or password' });
     } else {
@@ -1157,7 +1249,7 @@ ipcMain.handle('auth:login', async (_event, credentials) => {
     }
     
     // Only throw for actual authentication errors, not launch errors
-    if (message.includes('Invalid') || message.includes('Unauthorized') || message.includes('credentials') || message.includes('Session invalidated')) {
+    if (message.includes('Invalid') || message.includes('Unauthorized') || message.includes('credentials') || message.includes('Session invalidated') || /two-factor/i.test(message)) {
     throw new Error(message);
     } else {
       // For other errors (like launch failures), return error but don't throw
@@ -1165,6 +1257,213 @@ ipcMain.handle('auth:login', async (_event, credentials) => {
       return { error: message };
     }
   }
+}
+
+ipcMain.handle('auth:login', async (_event, { keepSignedIn: remember = false, ...credentials } = {}) => signIn(async () => {
+  // Collect device information for session tracking
+  const deviceInfo = await collectDeviceInfo();
+  
+  // Send credentials with device info
+  const loginData = {
+    ...credentials,
+    macAddress: deviceInfo.macAddress,
+    deviceMetadata: deviceInfo,
+  };
+  
+  const response = await http.post('/auth/login', loginData);
+  pendingMfaLogin = response.data.mfaRequired ? { mfaToken: response.data.mfaToken, deviceInfo, keepSignedIn: remember } : null;
+  return response;
+}, { remember: Boolean(remember) }));
+
+ipcMain.handle('auth:verify-mfa', async (_event, { code } = {}) => signIn(async () => {
+  if (!pendingMfaLogin) {
+    throw new Error('Two-factor sign-in expired. Please log in again.');
+  }
+
+  const { mfaToken, deviceInfo } = pendingMfaLogin;
+  const response = await http.post('/auth/login/mfa', {
+    mfaToken,
+    code,
+    macAddress: deviceInfo.macAddress,
+    deviceMetadata: deviceInfo,
+  });
+  pendingMfaLogin = null;
+  return response;
+}, { remember: Boolean(pendingMfaLogin?.keepSignedIn) }));
+
+// Startup: sign back in with the remembered refresh token instead of asking for the password
+async function restoreRememberedLogin() {
+  const remembered = rememberedLogin.load();
+  if (!remembered) {
+    return;
+  }
+
+  logger.log('🔑 Restoring remembered sign-in...');
+  sendStatus('status:update', { type: 'info', message: 'Signing you back in...' });
+  tokens = { accessToken: null, refreshToken: remembered.refreshToken };
+  keepSignedIn = true;
+
+  let accessToken;
+  try {
+    accessToken = await refreshAccessToken();
+  } catch (error) {
+    // Server unreachable: keep the remembered token for the next launch
+    tokens = null;
+    keepSignedIn = false;
+    sendStatus('status:update', { type: 'warning', message: 'Could not reach the server to sign you back in. Please log in.' });
+    return;
+  }
+  if (!accessToken) {
+    // Rejected: the API client has already signed out, which forgets the token
+    return;
+  }
+
+  await signIn(async () => {
+    const me = await http.get('/auth/me');
+    return { data: { tokens, user: me.data } };
+  }, { remember: true });
+}
+
+const MAINTENANCE_RETRY_FALLBACK_SECONDS = 60;
+
+function scheduleMaintenanceRetry(seconds) {
+  clearTimeout(maintenanceRetryTimer);
+  maintenanceRetryTimer = setTimeout(retryAfterMaintenance, seconds * 1000);
+  domainMaintenance.nextRetryAt = Date.now() + seconds * 1000;
+}
+
+// Swap the login form for the maintenance screen, or refresh the one already up
+function showMaintenanceScreen(maintenance) {
+  const alreadyShown = Boolean(domainMaintenance);
+  domainMaintenance = { ...maintenance, checking: false };
+  scheduleMaintenanceRetry(maintenance.retryAfterSeconds || MAINTENANCE_RETRY_FALLBACK_SECONDS);
+  logger.log(`🛠️ ${maintenance.domain} is in maintenance; checking again in ${maintenance.retryAfterSeconds}s`);
+
+  if (!loginWindow) {
+    return;
+  }
+  if (alreadyShown) {
+    sendStatus('maintenance:update', domainMaintenance);
+  } else {
+    loginWindow.loadFile(resolvePublicPath('maintenance.html'));
+  }
+  loginWindow.show();
+}
+
+// Stop waiting and put the login form back, which the launch status messages go to
+async function leaveMaintenanceScreen() {
+  clearTimeout(maintenanceRetryTimer);
+  maintenanceRetryTimer = null;
+  if (!domainMaintenance) {
+    return;
+  }
+  domainMaintenance = null;
+  if (loginWindow) {
+    await loginWindow.loadFile(resolvePublicPath('index.html'));
+  }
+}
+
+// Runs the rest of the sign-in again with the tokens we hold; it launches once the site is back
+async function retryAfterMaintenance() {
+  if (!tokens || !domainMaintenance || domainMaintenance.checking) {
+    return;
+  }
+  clearTimeout(maintenanceRetryTimer);
+  maintenanceRetryTimer = null;
+
+  domainMaintenance.checking = true;
+  sendStatus('maintenance:update', domainMaintenance);
+  try {
+    await signIn(async () => ({ data: { tokens, user: currentUser } }), { remember: keepSignedIn });
+  } catch (error) {
+    logger.warn('⚠️ Maintenance check failed:', error.message);
+  }
+
+  // The check itself failed (server unreachable) and nothing was rescheduled: keep waiting
+  if (tokens && domainMaintenance && !maintenanceRetryTimer) {
+    domainMaintenance.checking = false;
+    scheduleMaintenanceRetry(MAINTENANCE_RETRY_FALLBACK_SECONDS);
+    sendStatus('maintenance:update', domainMaintenance);
+  }
+}
+
+ipcMain.handle('maintenance:get', () => domainMaintenance);
+
+ipcMain.handle('maintenance:retry', () => retryAfterMaintenance());
+
+// Server message plus any per-field reasons, e.g. which password rule was not met
+function describeApiError(error, fallback) {
+  const data = error.response?.data;
+  const message = data?.message || error.message || fallback;
+  const reasons = data?.details && typeof data.details === 'object'
+    ? Object.values(data.details).flat().filter((reason) => typeof reason === 'string')
+    : [];
+  return reasons.length ? `${message}: ${reasons.join('; ')}` : message;
+}
+
+// Password endpoints run outside the signed-in session, so they get their own client
+function createAuthClient() {
+  return axios.create({ baseURL: API_BASE_URL, timeout: 45000 });
+}
+
+ipcMain.handle('auth:request-password-reset', async (_event, { email } = {}) => {
+  try {
+    const response = await createAuthClient().post('/auth/password-reset/request', { email });
+    logger.log('🔑 Password reset code requested');
+    return { message: response.data?.message };
+  } catch (error) {
+    logger.warn('⚠️ Password reset request failed:', error.response?.data?.message || error.message);
+    throw new Error(describeApiError(error, 'Could not request a reset code'));
+  }
+});
+
+ipcMain.handle('auth:reset-password', async (_event, { token, password } = {}) => {
+  try {
+    const response = await createAuthClient().post('/auth/password-reset/confirm', { token, password });
+    logger.log('🔑 Password reset completed');
+    return { message: response.data?.message };
+  } catch (error) {
+    logger.warn('⚠️ Password reset failed:', error.response?.data?.message || error.message);
+    throw new Error(describeApiError(error, 'Could not reset the password'));
+  }
+});
+
+ipcMain.handle('auth:change-password', async (_event, { email, currentPassword, newPassword } = {}) => {
+  try {
+    // Signed in as this user: change it within the current session, which the server keeps
+    if (tokens?.accessToken && currentUser?.email === email) {
+      const response = await http.post('/auth/change-password', { currentPassword, newPassword });
+      logger.log('🔑 Password changed for the signed-in user');
+      return { message: response.data?.message, signedIn: true };
+    }
+
+    // Otherwise sign in with the current password just long enough to change it
+    const client = createAuthClient();
+    const deviceInfo = await collectDeviceInfo();
+    const loginResponse = await client.post('/auth/login', {
+      email,
+      password: currentPassword,
+      macAddress: deviceInfo.macAddress,
+      deviceMetadata: deviceInfo,
+    });
+    if (loginResponse.data.mfaRequired) {
+      throw new Error('This account uses two-factor authentication. Sign in first, then change the password.');
+    }
+    const headers = { Authorization: `Bearer ${loginResponse.data.tokens.accessToken}` };
+
+    try {
+      const response = await client.post('/auth/change-password', { currentPassword, newPassword }, { headers });
+      logger.log('🔑 Password changed');
+      return { message: response.data?.message, signedIn: false };
+    } finally {
+      await client.post('/auth/logout', null, { headers }).catch((error) => {
+        logger.warn('⚠️ Logout after password change failed:', error.response?.data?.message || error.message);
+      });
+    }
+  } catch (error) {
+    logger.warn('⚠️ Password change failed:', error.response?.data?.message || error.message);
+    throw new Error(describeApiError(error, 'Could not change the password'));
+  }
 });
 
 // Helper function to launch a session (used for auto-launch after login)
@@ -1755,6 +2054,249 @@ async function captureSuperAdminSession(sessionId) {
   }
 }
 
+const BUNDLE_CHECKSUM_PATTERN = /^[a-f0-9]{64}$/i;
+
+function hashFile(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(filePath)
+      .on('data', (chunk) => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('hex')))
+      .on('error', reject);
+  });
+}
+
+// Returns null when the downloaded bundle is intact, otherwise why it was rejected
+async function checkSessionBundleIntegrity(filePath, expected) {
+  const size = fs.statSync(filePath).size;
+  if (expected.sizeBytes != null && size !== expected.sizeBytes) {
+    return `size ${size} bytes, expected ${expected.sizeBytes}`;
+  }
+
+  // Bundles uploaded before checksums were verified carry no usable hash
+  if (expected.checksum && BUNDLE_CHECKSUM_PATTERN.test(expected.checksum)) {
+    const actual = await hashFile(filePath);
+    if (actual !== expected.checksum.toLowerCase()) {
+      return `SHA-256 ${actual}, expected ${expected.checksum}`;
+    }
+  } else {
+    logger.log(`⚠️ No SHA-256 recorded for this bundle - checking zip structure only`);
+  }
+
+  try {
+    new AdmZip(filePath).getEntries();
+  } catch (error) {
+    return `unreadable zip (${error.message})`;
+  }
+
+  return null;
+}
+
+function installedBundlePath(sessionId) {
+  return path.join(app.getPath('userData'), 'session-bundles', `${sessionId}.json`);
+}
+
+function readInstalledBundle(sessionId) {
+  try {
+    return JSON.parse(fs.readFileSync(installedBundlePath(sessionId), 'utf8'));
+  } catch (error) {
+    return null;
+  }
+}
+
+function writeInstalledBundle(sessionId, bundle) {
+  const filePath = installedBundlePath(sessionId);
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, JSON.stringify({ ...bundle, installedAt: new Date().toISOString() }, null, 2));
+}
+
+async function reportSessionEvent(sessionId, level, message, context) {
+  try {
+    await http.post(`/sessions/${sessionId}/events`, { level, message, context });
+  } catch (error) {
+    logger.log(`⚠️ Could not report session event: ${error.message}`);
+  }
+}
+
+const DOWNLOAD_MAX_ATTEMPTS = 5;
+const DOWNLOAD_STALL_TIMEOUT_MS = 60000;
+const DOWNLOAD_PROGRESS_INTERVAL_MS = 500;
+const DOWNLOAD_RATE_WINDOW_MS = 5000;
+
+// Measures throughput over the last few seconds so the rate and ETA follow the
+// connection as it is now, not the average since the download began
+function createDownloadProgress() {
+  let totalBytes = null;
+  let receivedBytes = 0;
+  let samples = [];
+  let lastReportAt = 0;
+
+  const report = () => {
+    const first = samples[0];
+    const last = samples[samples.length - 1];
+    const seconds = (last.time - first.time) / 1000;
+    const bytesPerSecond = seconds > 0 ? Math.round((last.bytes - first.bytes) / seconds) : 0;
+    const percent = totalBytes ? Math.min(100, Math.floor((receivedBytes * 100) / totalBytes)) : null;
+    const etaSeconds = totalBytes && bytesPerSecond > 0
+      ? Math.ceil((totalBytes - receivedBytes) / bytesPerSecond)
+      : null;
+
+    logger.log(`📥 Download progress: ${percent ?? '?'}% (${(receivedBytes / 1024 / 1024).toFixed(1)}MB${totalBytes ? ` / ${(totalBytes / 1024 / 1024).toFixed(1)}MB` : ''}) - ${(bytesPerSecond / 1024 / 1024).toFixed(2)} MB/s${etaSeconds !== null ? ` - ${etaSeconds}s left` : ''}`);
+    sendStatus('status:update', { type: 'download', percent, receivedBytes, totalBytes, bytesPerSecond, etaSeconds });
+  };
+
+  return {
+    // Called at the start of every attempt; a resumed attempt starts from the bytes already on disk
+    start(startBytes, knownTotalBytes) {
+      receivedBytes = startBytes;
+      totalBytes = knownTotalBytes ?? totalBytes;
+      samples = [{ time: Date.now(), bytes: startBytes }];
+    },
+    add(byteCount) {
+      const now = Date.now();
+      receivedBytes += byteCount;
+      samples.push({ time: now, bytes: receivedBytes });
+      while (samples.length > 2 && now - samples[0].time > DOWNLOAD_RATE_WINDOW_MS) {
+        samples.shift();
+      }
+      if (now - lastReportAt >= DOWNLOAD_PROGRESS_INTERVAL_MS) {
+        lastReportAt = now;
+        report();
+      }
+    },
+    finish() {
+      samples.push({ time: Date.now(), bytes: receivedBytes });
+      report();
+    },
+  };
+}
+
+function parseContentRange(header) {
+  const match = /^bytes (?:(\d+)-\d+|\*)\/(\d+|\*)$/.exec(header || '');
+  if (!match) {
+    return null;
+  }
+  return {
+    start: match[1] !== undefined ? Number(match[1]) : null,
+    total: match[2] !== '*' ? Number(match[2]) : null,
+  };
+}
+
+function requestBundleRange(url, offset, agent) {
+  return new Promise((resolve, reject) => {
+    const urlObj = new URL(url);
+    const isHttps = urlObj.protocol === 'https:';
+    const transport = isHttps ? require('https') : require('http');
+
+    const req = transport.request({
+      hostname: urlObj.hostname,
+      port: urlObj.port || (isHttps ? 443 : 80),
+      path: urlObj.pathname + urlObj.search,
+      method: 'GET',
+      agent: isHttps ? agent : undefined,
+      headers: {
+        'User-Agent': 'DAT-Loadboard/1.0.0',
+        ...(offset > 0 ? { Range: `bytes=${offset}-` } : {}),
+      },
+    }, resolve);
+
+    req.on('error', reject);
+    // Idle timeout: a slow but moving download is fine, a silent socket is not
+    req.setTimeout(DOWNLOAD_STALL_TIMEOUT_MS, () => {
+      req.destroy(new Error(`Download stalled: no data for ${DOWNLOAD_STALL_TIMEOUT_MS / 1000} seconds`));
+    });
+    req.end();
+  });
+}
+
+/**
+ * Stream a bundle to disk, resuming with an HTTP Range request from whatever is
+ * already in `filePath` when the connection drops. `refreshUrl` is asked for a
+ * new signed URL if the current one is rejected (e.g. it expired mid-download).
+ */
+async function downloadBundleToFile(url, filePath, { agent, expectedBytes, refreshUrl }) {
+  const { pipeline } = require('stream/promises');
+  const progress = createDownloadProgress();
+  let currentUrl = url;
+  let lastError = null;
+
+  for (let attempt = 1; attempt <= DOWNLOAD_MAX_ATTEMPTS; attempt++) {
+    let offset = fs.existsSync(filePath) ? fs.statSync(filePath).size : 0;
+    if (expectedBytes != null && offset > expectedBytes) {
+      fs.truncateSync(filePath, 0);
+      offset = 0;
+    }
+    if (expectedBytes != null && offset > 0 && offset === expectedBytes) {
+      return offset;
+    }
+
+    try {
+      if (offset > 0) {
+        logger.log(`🔁 Resuming download at byte ${offset} (attempt ${attempt}/${DOWNLOAD_MAX_ATTEMPTS})`);
+      }
+      const res = await requestBundleRange(currentUrl, offset, agent);
+
+      if (res.statusCode === 403 && refreshUrl) {
+        res.resume();
+        currentUrl = await refreshUrl();
+        throw new Error('Download URL was rejected; requested a fresh one');
+      }
+
+      if (res.statusCode === 416) {
+        res.resume();
+        const range = parseContentRange(res.headers['content-range']);
+        if (range && range.total === offset) {
+          return offset;
+        }
+        fs.truncateSync(filePath, 0);
+        throw new Error('Download range was not satisfiable; restarting from the beginning');
+      }
+
+      if (res.statusCode !== 200 && res.statusCode !== 206) {
+        res.resume();
+        const error = new Error(`Download failed with HTTP ${res.statusCode}`);
+        error.fatal = res.statusCode >= 400 && res.statusCode < 500;
+        throw error;
+      }
+
+      const range = res.statusCode === 206 ? parseContentRange(res.headers['content-range']) : null;
+      const resuming = Boolean(range && range.start === offset);
+      if (offset > 0 && !resuming) {
+        logger.log(`⚠️ Server did not resume at byte ${offset}; downloading the whole bundle again`);
+      }
+
+      const startBytes = resuming ? offset : 0;
+      const contentLength = Number(res.headers['content-length']);
+      const totalBytes = expectedBytes
+        ?? range?.total
+        ?? (Number.isFinite(contentLength) && contentLength > 0 ? startBytes + contentLength : null);
+
+      progress.start(startBytes, totalBytes);
+      res.on('data', (chunk) => progress.add(chunk.length));
+      await pipeline(res, fs.createWriteStream(filePath, { flags: resuming ? 'a' : 'w' }));
+
+      const size = fs.statSync(filePath).size;
+      if (totalBytes !== null && size < totalBytes) {
+        throw new Error(`Download interrupted at ${size} of ${totalBytes} bytes`);
+      }
+
+      progress.finish();
+      return size;
+    } catch (error) {
+      if (error.fatal) {
+        throw error;
+      }
+      lastError = error;
+      logger.log(`⚠️ Download attempt ${attempt}/${DOWNLOAD_MAX_ATTEMPTS} failed: ${error.message}`);
+      if (attempt < DOWNLOAD_MAX_ATTEMPTS) {
+        await new Promise(resolve => setTimeout(resolve, Math.min(1000 * 2 ** (attempt - 1), 10000)));
+      }
+    }
+  }
+
+  throw new Error(`Download failed after ${DOWNLOAD_MAX_ATTEMPTS} attempts: ${lastError.message}`);
+}
+
 async function downloadSessionBundle(sessionId) {
   try {
     logger.log(`🔄 Starting download process for session: ${sessionId}`);
@@ -1763,7 +2305,7 @@ async function downloadSessionBundle(sessionId) {
     const request = await http.post(`/sessions/${sessionId}/request-download`, {}, {
       timeout: 30000  // 30 second timeout for API request
     });
-  const { url, bundleKey } = request.data;
+  const { url, bundleKey, checksum, sizeBytes, bundleVersion } = request.data;
 
   if (!url) {
     throw new Error('Download URL was not provided by the server.');
@@ -1778,10 +2320,8 @@ async function downloadSessionBundle(sessionId) {
     // Track download start time for progress logging
     const downloadStartTime = Date.now();
     
-    // Use Node.js native https with HttpProxyAgent for proper CONNECT tunneling
-    // This correctly handles HTTPS URLs through HTTP proxies
+    // Use HttpsProxyAgent for proper CONNECT tunneling of HTTPS URLs through HTTP proxies
     const { HttpsProxyAgent } = require('https-proxy-agent');
-    const https = require('https');
     
     const proxyUrl = process.env.CLOUD_PROXY_ENABLED === 'true' 
       ? `http://${hasProxyCredentials ? `${PROXY_USERNAME}:${PROXY_PASSWORD}@` : ''}${process.env.CLOUD_SERVER_IP || '167.99.147.118'}:${process.env.CLOUD_PROXY_PORT || '3128'}`
@@ -1793,90 +2333,30 @@ async function downloadSessionBundle(sessionId) {
       logger.log(`🔐 Proxy auth: ${hasProxyCredentials ? 'configured' : 'none'}`);
     }
     
-    // Parse the URL
-    const urlObj = new URL(url);
-    
     // Create proxy agent if proxy is enabled
     const agent = proxyUrl ? new HttpsProxyAgent(proxyUrl) : undefined;
-    
-    // Download using Node.js native https module with proxy agent
-    const downloadPromise = new Promise((resolve, reject) => {
-      const options = {
-        hostname: urlObj.hostname,
-        port: urlObj.port || 443,
-        path: urlObj.pathname + urlObj.search,
-        method: 'GET',
-        agent: agent,
-        headers: {
-          'User-Agent': 'DAT-Loadboard/1.0.0'
+
+    // Stream straight to disk; a partial file from an earlier run may be for another version
+  const tempZipPath = path.join(os.tmpdir(), `dslb-session-${sessionId}.zip`);
+    fs.rmSync(tempZipPath, { force: true });
+
+    const downloadedBytes = await downloadBundleToFile(url, tempZipPath, {
+      agent,
+      expectedBytes: sizeBytes ?? null,
+      refreshUrl: async () => {
+        const refreshed = await http.post(`/sessions/${sessionId}/request-download`, {}, { timeout: 30000 });
+        if (refreshed.data.bundleKey !== bundleKey) {
+          const error = new Error('Session bundle changed during download');
+          error.fatal = true;
+          throw error;
         }
-      };
-      
-      const req = https.request(options, (res) => {
-        const chunks = [];
-        let totalSize = parseInt(res.headers['content-length'] || '0', 10);
-        
-        logger.log(`📥 Download started. Content-Length: ${totalSize > 0 ? Math.round(totalSize / 1024 / 1024) + 'MB' : 'Unknown'}`);
-        
-        res.on('data', (chunk) => {
-          chunks.push(chunk);
-          const downloaded = Buffer.concat(chunks).length;
-          const downloadedMB = Math.round(downloaded / 1024 / 1024);
-          const elapsed = Math.round((Date.now() - downloadStartTime) / 1000);
-          const speedMBps = elapsed > 0 ? (downloadedMB / elapsed).toFixed(2) : '0';
-          
-          if (totalSize > 0) {
-            const percentCompleted = Math.round((downloaded * 100) / totalSize);
-            const totalMB = Math.round(totalSize / 1024 / 1024);
-            logger.log(`📥 Download progress: ${percentCompleted}% (${downloadedMB}MB / ${totalMB}MB) - ${speedMBps} MB/s - ${elapsed}s elapsed`);
-            // Send download progress to renderer for login button - format: "Loading DAT Workspace (%)"
-            sendStatus('status:update', { type: 'download', percent: percentCompleted });
-          } else {
-            logger.log(`📥 Download progress: ${downloadedMB}MB downloaded - ${speedMBps} MB/s - ${elapsed}s elapsed`);
-            // Estimate progress based on elapsed time for unknown size
-            const estimatedPercent = Math.min(95, Math.round((elapsed / 300) * 100)); // Assume max 5 minutes
-            sendStatus('status:update', { type: 'download', percent: estimatedPercent });
-          }
-        });
-        
-        res.on('end', () => {
-          const buffer = Buffer.concat(chunks);
-          resolve({
-            data: buffer,
-            status: res.statusCode,
-            headers: res.headers
-          });
-        });
-        
-        res.on('error', (error) => {
-          reject(error);
-        });
-      });
-      
-      req.on('error', (error) => {
-        reject(error);
-      });
-      
-      // Set timeout
-      req.setTimeout(600000, () => {
-        req.destroy();
-        reject(new Error('Download timeout after 10 minutes'));
-      });
-      
-      req.end();
+        return refreshed.data.url;
+      },
     });
-    
-    const download = await downloadPromise;
-
-    const downloadTime = Math.round((Date.now() - downloadStartTime) / 1000);
-    const downloadSizeMB = Math.round(download.data.length / 1024 / 1024);
-    const downloadSpeedMBps = downloadTime > 0 ? (downloadSizeMB / downloadTime).toFixed(2) : '0';
-    logger.log(`✅ Session bundle downloaded (${download.data.length} bytes) in ${downloadTime} seconds`);
-    logger.log(`📊 Download speed: ${downloadSpeedMBps} MB/s`);
-    logger.log(`📊 Download size: ${downloadSizeMB} MB`);
 
-  const tempZipPath = path.join(os.tmpdir(), `dslb-session-${sessionId}.zip`);
-  fs.writeFileSync(tempZipPath, Buffer.from(download.data));
+    const downloadTime = Math.max(1, Math.round((Date.now() - downloadStartTime) / 1000));
+    logger.log(`✅ Session bundle downloaded (${downloadedBytes} bytes) in ${downloadTime} seconds`);
+    logger.log(`📊 Average download speed: ${(downloadedBytes / downloadTime / 1024 / 1024).toFixed(2)} MB/s`);
     logger.log(`💾 Session bundle saved to: ${tempZipPath}`);
 
   const userData = app.getPath('userData');
@@ -1884,6 +2364,34 @@ async function downloadSessionBundle(sessionId) {
     // Electron maps persist:session-${sessionId} to session-${sessionId} directory internally
   const sessionPartitionDir = path.join(partitionsDir, `session-${sessionId}`);
 
+    // Verify before touching the partition so a bad bundle never replaces a working one
+    const integrityProblem = await checkSessionBundleIntegrity(tempZipPath, { checksum, sizeBytes });
+    if (integrityProblem) {
+      logger.log(`❌ Session bundle failed integrity check: ${integrityProblem}`);
+      fs.rmSync(tempZipPath, { force: true });
+      const installed = readInstalledBundle(sessionId);
+      const canFallBack = fs.existsSync(sessionPartitionDir) && validateSessionCompleteness(sessionPartitionDir).isComplete;
+
+      await reportSessionEvent(sessionId, 'ERROR', 'Downloaded bundle failed integrity check', {
+        bundleKey,
+        bundleVersion,
+        problem: integrityProblem,
+        fallbackVersion: canFallBack ? installed?.bundleVersion ?? null : null,
+      });
+
+      if (!canFallBack) {
+        throw new Error(`Downloaded session bundle failed integrity check: ${integrityProblem}`);
+      }
+
+      logger.log(`↩️ Keeping previously installed bundle${installed ? ` (version ${installed.bundleVersion})` : ''}`);
+      return {
+        bundleKey: installed?.bundleKey ?? null,
+        partition: `persist:session-${sessionId}`,
+        fallback: true,
+      };
+    }
+    logger.log(`🔒 Session bundle verified${checksum ? ` (SHA-256 ${String(checksum).substring(0, 16)}...)` : ''}`);
+
     // AGGRESSIVE cleanup of old partition - remove ALL locked files
   if (fs.existsSync(sessionPartitionDir)) {
       logger.log(`🧹 AGGRESSIVE cleanup of old partition: ${sessionPartitionDir}`);
@@ -2039,6 +2547,7 @@ async function downloadSessionBundle(sessionId) {
   });
 
   fs.unlinkSync(tempZipPath);
+  writeInstalledBundle(sessionId, { bundleKey, checksum, bundleVersion });
 
   logger.log(`✅ Download and extraction completed successfully!`);
   return {
@@ -2979,6 +3488,76 @@ function setupTabBarIPC(tabManager) {
       throw error;
     }
   });
+
+  // Admin broadcasts for the tab bar banner that the user has not dismissed
+  ipcMain.handle('broadcasts:get-active', async () => {
+    try {
+      if (!tokens?.accessToken) {
+        throw new Error('Not authenticated');
+      }
+      const response = await http.get('/broadcasts/active');
+      return response.data.broadcasts;
+    } catch (error) {
+      logger.error('Error fetching broadcasts:', error);
+      throw error;
+    }
+  });
+
+  // Dismissal is stored by the server, so the banner stays closed on other devices too
+  ipcMain.handle('broadcasts:dismiss', async (_event, broadcastId) => {
+    try {
+      if (!tokens?.accessToken) {
+        throw new Error('Not authenticated');
+      }
+      await http.post(`/broadcasts/${encodeURIComponent(broadcastId)}/dismiss`);
+      return { success: true };
+    } catch (error) {
+      logger.error('Error dismissing broadcast:', error);
+      throw error;
+    }
+  });
+
+  // List the current user's invoices
+  ipcMain.handle('billing:get-my-invoices', async () => {
+    try {
+      if (!http || !tokens?.accessToken) {
+        throw new Error('Not authenticated');
+      }
+      const response = await http.get('/billing/my-invoices');
+      return response.data.invoices;
+    } catch (error) {
+      logger.error('Error fetching invoices:', error);
+      throw error;
+    }
+  });
+
+  // Save the receipt of one of the current user's invoices where the user chooses
+  ipcMain.handle('billing:save-invoice-receipt', async (event, invoiceId) => {
+    try {
+      if (!http || !tokens?.accessToken) {
+        throw new Error('Not authenticated');
+      }
+      const response = await http.get(`/billing/my-invoices/${encodeURIComponent(invoiceId)}/receipt`, {
+        responseType: 'text',
+      });
+      const fileName = /filename="([^"]+)"/.exec(response.headers['content-disposition'] || '')?.[1] || 'receipt.html';
+
+      const owner = BrowserWindow.fromWebContents(event.sender) || undefined;
+      const { canceled, filePath } = await dialog.showSaveDialog(owner, {
+        defaultPath: path.join(app.getPath('downloads'), fileName),
+        filters: [{ name: 'Receipt', extensions: ['html'] }],
+      });
+      if (canceled || !filePath) {
+        return { saved: false };
+      }
+
+      fs.writeFileSync(filePath, response.data, 'utf8');
+      return { saved: true, filePath };
+    } catch (error) {
+      logger.error('Error saving invoice receipt:', error);
+      throw error;
+    }
+  });
   
   // Reload a specific tab
   ipcMain.handle('tab:reload', async (_event, tabId) => {
@@ -3522,21 +4101,15 @@ function injectDATNavigationHiding(webContents) {
 // ipcMain.handle('session:save-manual', async () => {
 
 ipcMain.handle('auth:logout', async (event, data = {}) => {
-  // Mark as intentional logout to prevent app.quit()
-  isIntentionalLogout = true;
-  
-  tokens = null;
-  currentUser = null;
-  setupHttp(null);
-
-  if (datWindow) {
-    datWindow.close();
+  // Revoke the session server-side so its refresh token cannot be used again.
+  // Skipped when the server already ended the session (e.g. logged in elsewhere).
+  if (tokens?.accessToken && !data?.reason) {
+    http.post('/auth/logout').catch((error) => {
+      logger.warn('⚠️ Server-side logout failed:', error.response?.data?.message || error.message);
+    });
   }
 
-  if (loginWindow) {
-    loginWindow.show();
-    loginWindow.focus();
-  }
+  endLocalSession();
 
   // Show appropriate logout message based on reason
   const reason = data?.reason;
@@ -3597,26 +4170,7 @@ ipcMain.handle('session:validate', async () => {
         message: 'You have been logged out because you logged in from another device.'
       };
     } else if (status === 401) {
-      // Token expired - try to refresh it first
-      logger.warn('⚠️ Session validation: Token expired (401) - attempting refresh...');
-      
-      const newToken = await refreshAccessToken();
-      
-      if (newToken) {
-        // Token refreshed successfully - retry validation
-        try {
-          const retryResponse = await http.get('/auth/session-status');
-          if (retryResponse.data && retryResponse.data.valid) {
-            logger.log('✅ Session validation: Valid after token refresh');
-            return { valid: true };
-          }
-        } catch (retryError) {
-          logger.error('❌ Session validation failed after refresh:', retryError.response?.data?.message || retryError.message);
-        }
-      }
-      
-      // If refresh failed or retry failed, return as invalid
-      // Renderer will track consecutive failures and logout after 3 failures (30 seconds)
+      // The API client already tried a refresh; the session cannot be recovered
       logger.warn('⚠️ Session validation: Token expired and refresh failed - marking as invalid');
       return { valid: false, reason: 'token_expired' };
     } else {
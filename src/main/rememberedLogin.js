@@ -0,0 +1,86 @@
+// "Keep me signed in": the refresh token is kept across restarts, encrypted with the
+// OS keychain through Electron's safeStorage. It is never written in plain text; when
+// the keychain is unavailable the option just does nothing.
+const fs = require('fs');
+const path = require('path');
+const { safeStorage } = require('electron');
+
+const FILE_VERSION = 1;
+
+/**
+ * @param {object} options
+ * @param {() => string} options.getFilePath - Where to keep the file; resolved on use, since userData needs the app
+ * @param {object} options.logger
+ */
+function createRememberedLogin({ getFilePath, logger }) {
+  function canEncrypt() {
+    if (!safeStorage.isEncryptionAvailable()) {
+      return false;
+    }
+    // On Linux without a keyring, safeStorage falls back to a hardcoded key
+    if (process.platform === 'linux' && safeStorage.getSelectedStorageBackend?.() === 'basic_text') {
+      return false;
+    }
+    return true;
+  }
+
+  function save(refreshToken) {
+    if (!canEncrypt()) {
+      logger.warn('⚠️ Keep me signed in unavailable: no OS keychain to encrypt the token');
+      return false;
+    }
+
+    const filePath = getFilePath();
+    try {
+      const contents = JSON.stringify({
+        version: FILE_VERSION,
+        refreshToken: safeStorage.encryptString(refreshToken).toString('base64'),
+        savedAt: new Date().toISOString(),
+      });
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      // Write then rename, so a crash mid-write never leaves half a token behind
+      const tempPath = `${filePath}.tmp`;
+      fs.writeFileSync(tempPath, contents, { mode: 0o600 });
+      fs.renameSync(tempPath, filePath);
+      return true;
+    } catch (error) {
+      logger.error('❌ Failed to save sign-in:', error.message);
+      return false;
+    }
+  }
+
+  /** `{ refreshToken }`, or null when nothing usable is stored */
+  function load() {
+    const filePath = getFilePath();
+    if (!fs.existsSync(filePath)) {
+      return null;
+    }
+
+    try {
+      const saved = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      if (saved.version !== FILE_VERSION || !saved.refreshToken || !canEncrypt()) {
+        clear();
+        return null;
+      }
+      const refreshToken = safeStorage.decryptString(Buffer.from(saved.refreshToken, 'base64'));
+      return { refreshToken };
+    } catch (error) {
+      // Corrupt, or encrypted under another OS user or keychain: unusable either way
+      logger.warn('⚠️ Discarding unreadable saved sign-in:', error.message);
+      clear();
+      return null;
+    }
+  }
+
+  function clear() {
+    try {
+      fs.rmSync(getFilePath(), { force: true });
+    } catch (error) {
+      logger.error('❌ Failed to remove saved sign-in:', error.message);
+    }
+  }
+
+  return { save, load, clear };
+}
+
+module.exports = { createRememberedLogin };
@@ -0,0 +1,223 @@
+// Push channel from the server: reads the server-sent events stream at /events/stream
+// and reconnects with backoff, resuming from the last event id it saw
+const axios = require('axios').default;
+
+const INITIAL_RETRY_MS = 2000;
+const MAX_RETRY_MS = 60000;
+// The server sends a heartbeat every 25 seconds; silence longer than this means a dead connection
+const IDLE_TIMEOUT_MS = 70000;
+
+class ServerEventStream {
+  /**
+   * @param {object} options
+   * @param {string} options.baseURL - API base URL, e.g. http://host:3000/api/v1
+   * @param {() => string|null} options.getAccessToken - Current access token
+   * @param {() => Promise<string|null>} options.refreshAccessToken - New access token, or null when the refresh token was rejected; throws when the refresh could not be attempted
+   * @param {(type: string, data: object) => void} options.onEvent - Called for every event received
+   * @param {(reason: string, message?: string) => void} options.onAuthFailed - The server will not accept this session any more
+   * @param {object} options.logger
+   */
+  constructor({ baseURL, getAccessToken, refreshAccessToken, onEvent, onAuthFailed, logger }) {
+    this.baseURL = baseURL;
+    this.getAccessToken = getAccessToken;
+    this.refreshAccessToken = refreshAccessToken;
+    this.onEvent = onEvent;
+    this.onAuthFailed = onAuthFailed;
+    this.logger = logger;
+
+    this.running = false;
+    this.lastEventId = null;
+    this.retryDelay = INITIAL_RETRY_MS;
+    this.retryTimer = null;
+    this.controller = null;
+  }
+
+  start() {
+    if (this.running) {
+      return;
+    }
+    this.running = true;
+    this.lastEventId = null;
+    this.retryDelay = INITIAL_RETRY_MS;
+    this.connect();
+  }
+
+  stop() {
+    this.running = false;
+    clearTimeout(this.retryTimer);
+    this.retryTimer = null;
+    if (this.controller) {
+      this.controller.abort();
+      this.controller = null;
+    }
+  }
+
+  scheduleReconnect(delay = this.retryDelay) {
+    if (!this.running) {
+      return;
+    }
+    clearTimeout(this.retryTimer);
+    this.retryTimer = setTimeout(() => this.connect(), delay);
+    this.retryDelay = Math.min(this.retryDelay * 2, MAX_RETRY_MS);
+  }
+
+  async connect() {
+    const accessToken = this.getAccessToken();
+    if (!this.running || !accessToken) {
+      return;
+    }
+
+    const controller = new AbortController();
+    this.controller = controller;
+
+    try {
+      const response = await axios.get(`${this.baseURL}/events/stream`, {
+        headers: {
+          Authorization: `Bearer ${accessToken}`,
+          Accept: 'text/event-stream',
+          ...(this.lastEventId !== null ? { 'Last-Event-ID': String(this.lastEventId) } : {}),
+        },
+        responseType: 'stream',
+        signal: controller.signal,
+        timeout: 0,
+        validateStatus: () => true,
+      });
+
+      if (response.status !== 200) {
+        await this.handleRejection(response);
+        return;
+      }
+
+      this.logger.log('📡 Connected to server events');
+      this.retryDelay = INITIAL_RETRY_MS;
+      await this.consume(response.data, controller);
+      this.logger.log('📡 Server event stream closed');
+    } catch (error) {
+      if (controller.signal.aborted && !this.running) {
+        return;
+      }
+      this.logger.warn('⚠️ Server event stream failed:', error.message);
+    }
+
+    this.scheduleReconnect();
+  }
+
+  async handleRejection(response) {
+    const body = await readBody(response.data);
+    const message = body?.message || `HTTP ${response.status}`;
+
+    if (response.status === 401 && /Session invalidated|another device/.test(message)) {
+      this.stop();
+      this.onAuthFailed('logged_out_from_another_device', message);
+    } else if (response.status === 401) {
+      // The access token expired; reconnect straight away with a fresh one
+      let refreshed;
+      try {
+        refreshed = await this.refreshAccessToken();
+      } catch (error) {
+        // Could not reach the server to refresh; the session itself may still be valid
+        this.scheduleReconnect();
+        return;
+      }
+      if (!this.running) {
+        return;
+      }
+      if (refreshed) {
+        this.scheduleReconnect(0);
+      } else {
+        this.stop();
+        this.onAuthFailed('token_expired', 'Your session has expired. Please log in again.');
+      }
+    } else if (response.status === 403 && /not active/.test(message)) {
+      this.stop();
+      this.onAuthFailed('account_disabled', 'Your account has been disabled. Please contact your administrator.');
+    } else {
+      this.logger.warn(`⚠️ Server events unavailable (${response.status}): ${message}`);
+      this.scheduleReconnect();
+    }
+  }
+
+  consume(stream, controller) {
+    return new Promise((resolve) => {
+      let buffer = '';
+      let idleTimer = null;
+
+      const resetIdleTimer = () => {
+        clearTimeout(idleTimer);
+        idleTimer = setTimeout(() => controller.abort(), IDLE_TIMEOUT_MS);
+      };
+      const finish = () => {
+        clearTimeout(idleTimer);
+        resolve();
+      };
+
+      resetIdleTimer();
+      stream.setEncoding('utf8');
+      stream.on('data', (chunk) => {
+        resetIdleTimer();
+        buffer += chunk.replace(/\r\n/g, '\n');
+        let boundary = buffer.indexOf('\n\n');
+        while (boundary !== -1) {
+          this.dispatch(buffer.slice(0, boundary));
+          buffer = buffer.slice(boundary + 2);
+          boundary = buffer.indexOf('\n\n');
+        }
+      });
+      stream.on('end', finish);
+      stream.on('close', finish);
+      stream.on('error', finish);
+    });
+  }
+
+  dispatch(block) {
+    let id = null;
+    let type = 'message';
+    const data = [];
+
+    for (const line of block.split('\n')) {
+      if (!line || line.startsWith(':')) {
+        continue;
+      }
+      const separator = line.indexOf(':');
+      const field = separator === -1 ? line : line.slice(0, separator);
+      const value = separator === -1 ? '' : line.slice(separator + 1).replace(/^ /, '');
+      if (field === 'id') id = value;
+      else if (field === 'event') type = value;
+      else if (field === 'data') data.push(value);
+    }
+
+    if (id !== null && /^\d+$/.test(id)) {
+      this.lastEventId = Number(id);
+    }
+    if (data.length === 0) {
+      return;
+    }
+
+    try {
+      this.onEvent(type, JSON.parse(data.join('\n')));
+    } catch (error) {
+      this.logger.error(`❌ Failed to handle server event "${type}":`, error.message);
+    }
+  }
+}
+
+// Error responses are small JSON bodies, but arrive as a stream here
+function readBody(stream) {
+  return new Promise((resolve) => {
+    let raw = '';
+    stream.setEncoding('utf8');
+    stream.on('data', (chunk) => {
+      raw += chunk;
+    });
+    stream.on('end', () => {
+      try {
+        resolve(JSON.parse(raw));
+      } catch (error) {
+        resolve(null);
+      }
+    });
+    stream.on('error', () => resolve(null));
+  });
+}
+
+module.exports = { ServerEventStream };
@@ -1,12 +1,23 @@
 ﻿const { contextBridge, ipcRenderer } = require('electron');
 
 contextBridge.exposeInMainWorld('dslb', {
-  login: (email, password) => ipcRenderer.invoke('auth:login', { email, password }),
+  login: (email, password, keepSignedIn) => ipcRenderer.invoke('auth:login', { email, password, keepSignedIn }),
+  verifyMfa: (code) => ipcRenderer.invoke('auth:verify-mfa', { code }),
   launchSession: (sessionId, datUrl) => ipcRenderer.invoke('session:launch', { sessionId, datUrl }),
   logout: (reason) => ipcRenderer.invoke('auth:logout', { reason }),
+  requestPasswordReset: (email) => ipcRenderer.invoke('auth:request-password-reset', { email }),
+  resetPassword: (token, password) => ipcRenderer.invoke('auth:reset-password', { token, password }),
+  changePassword: (email, currentPassword, newPassword) =>
+    ipcRenderer.invoke('auth:change-password', { email, currentPassword, newPassword }),
   testIP: () => ipcRenderer.invoke('test:ip'),
   validateSession: () => ipcRenderer.invoke('session:validate'),
 // Manual session save removed - using standalone script instead
 // saveSessionManual: () => ipcRenderer.invoke('session:save-manual'),
   onStatus: (callback) => ipcRenderer.on('status:update', (_event, payload) => callback(payload)),
+  // The server ended the session; payload is { reason, message }
+  onSignedOut: (callback) => ipcRenderer.on('auth:signed-out', (_event, payload) => callback(payload)),
+  // Maintenance screen: payload is { domain, message, eta, retryAfterSeconds, nextRetryAt, checking }
+  getMaintenance: () => ipcRenderer.invoke('maintenance:get'),
+  retryMaintenance: () => ipcRenderer.invoke('maintenance:retry'),
+  onMaintenance: (callback) => ipcRenderer.on('maintenance:update', (_event, payload) => callback(payload)),
 });
@@ -29,8 +29,23 @@ contextBridge.exposeInMainWorld('dslbSession', {
     ipcRenderer.removeAllListeners('tab:update');
   },
   
+  // Broadcasts, billing warnings and bundle updates pushed by the server
+  onServerEvent: (callback) => {
+    ipcRenderer.on('server:event', (_event, payload) => {
+      callback(payload);
+    });
+  },
+  
+  // Admin broadcasts shown as a banner under the tabs
+  getBroadcasts: () => ipcRenderer.invoke('broadcasts:get-active'),
+  dismissBroadcast: (broadcastId) => ipcRenderer.invoke('broadcasts:dismiss', broadcastId),
+  
   // Get billing status for current user
   getBillingStatus: () => ipcRenderer.invoke('billing:get-my-status'),
+
+  // List the current user's invoices and save one as an HTML receipt
+  getMyInvoices: () => ipcRenderer.invoke('billing:get-my-invoices'),
+  saveInvoiceReceipt: (invoiceId) => ipcRenderer.invoke('billing:save-invoice-receipt', invoiceId),
   
   // Reload a specific tab
   reloadTab: (tabId) => ipcRenderer.invoke('tab:reload', tabId),